@@ -3,6 +3,8 @@ const cors = require("cors");
 const dotenv = require("dotenv");
 const mongoose = require("mongoose");
 const { inject } = require("@vercel/analytics");
+const StreamEvent = require("../models/StreamEvent");
+const { useStore, flush } = require("../utils/eventBus");
 
 dotenv.config();
 
@@ -35,7 +37,15 @@ try {
   console.warn("Vercel Analytics initialization warning:", err.message);
 }
 
+// Behind Vercel's proxy: req.ip is the client from X-Forwarded-For, not the
+// proxy, so per-IP rate limits (middleware/rateLimit.js) count callers
+app.set("trust proxy", 1);
+
 app.use(cors());
+// Save-file imports carry a whole universe document, far past the default
+// 100kb (kept under Vercel's 4.5MB request cap). Registered first so the
+// general parser below sees the body as already parsed and skips it.
+app.use("/api/universe/import", express.json({ limit: "4mb" }));
 app.use(express.json());
 
 app.use(async (req, res, next) => {
@@ -47,6 +57,28 @@ app.use(async (req, res, next) => {
   }
 });
 
+// Live-stream events go through MongoDB so they reach streams served by
+// other instances (utils/eventBus.js). A response waits for the event writes
+// in flight when it is ready - its own request's among them - since once
+// it's sent, Vercel may freeze the function before they finish.
+useStore(StreamEvent);
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    flush()
+      .then(() => json(body))
+      .catch((err) => {
+        // A body that won't serialize, or a response already sent
+        console.error(`Response failed for ${req.method} ${req.originalUrl}:`, err);
+        if (res.headersSent) return;
+        res.status(500);
+        json({ ok: false, error: "Server error" });
+      });
+    return res;
+  };
+  next();
+});
+
 app.get("/", (req, res) => {
   res.send("EternaVerseApp API running on Vercel");
 });
@@ -59,11 +91,15 @@ const authRoutes = require("../routes/auth");
 const userRoutes = require("../routes/user");
 const universeRoutes = require("../routes/universe");
 const cronRoutes = require("../routes/cron");
+const adminRoutes = require("../routes/admin");
 
 app.use("/api/auth", authRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/universe", universeRoutes);
 // Scheduler-facing (CRON_SECRET auth, not JWT) - see routes/cron.js
 app.use("/api/cron", cronRoutes);
+// Moderation and support tooling, permission-gated and audited - see
+// routes/admin.js
+app.use("/api/admin", adminRoutes);
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const AuditLog = require("../models/AuditLog");
+const { auditEntry } = require("../utils/auditLog");
+
+/**
+ * Record an admin console action (utils/auditLog.js) before it runs. Runs
+ * AFTER the permission check. `action` is a name or a function of the
+ * request; `target(req)` names the account or universe acted on.
+ *
+ * Fails closed: if the entry can't be written the action doesn't happen.
+ * The response status is added to the entry once the action has answered.
+ */
+function audit(action, target = () => null) {
+  return async (req, res, next) => {
+    let entry;
+    try {
+      const name = typeof action === "function" ? action(req) : action;
+      entry = await AuditLog.create(auditEntry(req, name, target(req)));
+    } catch (err) {
+      console.error("Audit log write failed:", err.message);
+      return res.status(500).json({ ok: false, error: "Audit log unavailable" });
+    }
+
+    res.on("finish", () => {
+      AuditLog.updateOne({ _id: entry._id }, { $set: { status: res.statusCode } })
+        .catch((err) => console.error("Audit status update failed:", err.message));
+    });
+    next();
+  };
+}
+
+module.exports = audit;
@@ -1,28 +1,44 @@
 const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { checkAccess } = require("../utils/sessions");
 
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   const authHeader = req.header("Authorization");
-  
+
   if (!authHeader) {
     return res.status(401).json({ message: "Access Denied: No token provided" });
   }
 
   // Extract token from "Bearer <token>" format
-  const token = authHeader.startsWith("Bearer ") 
-    ? authHeader.slice(7) 
+  const token = authHeader.startsWith("Bearer ")
+    ? authHeader.slice(7)
     : authHeader;
 
+  let verified;
   try {
-    const verified = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = verified;
-    next();
+    verified = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     console.error("Token verification failed:", err.message);
     // 401 (not 400): invalid/expired tokens are an auth failure. The frontend
     // treats 401/403 as "session over, log out" - a 400 here would either be
     // ignored or force the client to conflate validation errors with logout.
-    res.status(401).json({ message: "Invalid Token" });
+    return res.status(401).json({ message: "Invalid Token" });
+  }
+
+  // Tokens are bound to a sign-in session (utils/sessions.js); a revoked one
+  // (logout, logout-all, refresh-token reuse) or a ban shuts its tokens out
+  // at once.
+  try {
+    const access = await checkAccess({ Session, User }, verified);
+    if (!access.ok) return res.status(access.status).json({ message: access.reason });
+  } catch (err) {
+    console.error("Session check failed:", err.message);
+    return res.status(500).json({ message: "Server error" });
   }
+
+  req.user = verified;
+  next();
 };
 
-module.exports = verifyToken;
\ No newline at end of file
+module.exports = verifyToken;
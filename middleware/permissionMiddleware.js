@@ -0,0 +1,31 @@
+const User = require("../models/User");
+const { PERMISSIONS, effectiveRole, hasPermission } = require("../utils/permissions");
+
+/**
+ * Server-side permission gate (utils/permissions.js). Runs AFTER verifyToken.
+ *
+ * Always checks the database rather than a JWT claim, so a role change takes
+ * effect immediately and a tampered/stale token can never grant access.
+ * Callers without the permission get a 404 (not 403) so privileged
+ * endpoints don't advertise their existence. On success `req.role` holds
+ * the caller's role.
+ */
+function requirePermission(name) {
+  if (!PERMISSIONS[name]) throw new Error(`Unknown permission: ${name}`);
+
+  return async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.id).select("role isAdmin").lean();
+      if (!user || !hasPermission(user, name)) {
+        return res.status(404).json({ ok: false, error: "Not found" });
+      }
+      req.role = effectiveRole(user);
+      next();
+    } catch (err) {
+      console.error("Permission check failed:", err.message);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+  };
+}
+
+module.exports = requirePermission;
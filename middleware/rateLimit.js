@@ -0,0 +1,61 @@
+const RateLimit = require("../models/RateLimit");
+const { RATE_LIMITS, memoryStore, mongoStore, consume } = require("../utils/rateLimiter");
+
+let sharedStore = null;
+
+/**
+ * The process-wide counter store: RATE_LIMIT_STORE=memory|mongo, defaulting
+ * to Mongo on Vercel (where instances come and go and would each count
+ * alone) and to memory everywhere else.
+ */
+function rateLimitStore() {
+  if (!sharedStore) {
+    const kind = process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? "mongo" : "memory");
+    sharedStore = kind === "mongo" ? mongoStore(RateLimit) : memoryStore();
+  }
+  return sharedStore;
+}
+
+/**
+ * Enforce the RATE_LIMITS policy `policyName` (utils/rateLimiter.js). Every
+ * response carries RateLimit-Limit / -Remaining / -Reset; an over-limit one
+ * is a 429 with Retry-After. Account-keyed policies must run AFTER
+ * verifyToken.
+ *
+ * Fails open: if the store can't be reached the request goes through - a
+ * database hiccup shouldn't lock every player out.
+ */
+function rateLimit(policyName, { store = null } = {}) {
+  const policy = RATE_LIMITS[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  return async (req, res, next) => {
+    const caller = policy.by === "account" ? req.user?.id : req.ip;
+    if (!caller) return next();
+
+    let result;
+    try {
+      result = await consume(store || rateLimitStore(), policyName, caller);
+    } catch (err) {
+      console.error("Rate limit check failed:", err.message);
+      return next();
+    }
+
+    res.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.retryAfter)
+    });
+    if (!result.ok) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        ok: false,
+        error: "Too many requests - try again later",
+        retryAfter: result.retryAfter
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit, rateLimitStore };
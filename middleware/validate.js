@@ -0,0 +1,129 @@
+const { isValidEmail } = require("../utils/accountTokens");
+
+/**
+ * Declarative request validation. `validate({ body, query, params })` takes a
+ * schema per request part - field name -> rule - and answers a request that
+ * breaks it with a uniform 400:
+ *
+ *   { ok: false, error: "<first problem>", fields: { <field>: "<problem>" } }
+ *
+ * Rules: type ("string" | "number" | "integer" | "boolean" | "object" |
+ * "array" | "objectId"), required, default, trim, minLength / maxLength,
+ * min / max, enum, pattern, email.
+ *
+ * Schemas check the SHAPE of what a client sent. Game rules (is that civ at
+ * war, can the player afford it) stay with the server-side logic in utils/,
+ * which keeps clamping what it clamps. Numeric and boolean strings are
+ * coerced - query strings only carry strings, and the routes always accepted
+ * "5" for 5 - and the cleaned values (trimmed, coerced, defaulted) are
+ * written back onto the request. Fields a schema doesn't name pass through
+ * untouched.
+ */
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+  objectId: (v) => typeof v === "string" && OBJECT_ID.test(v)
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  object: "an object",
+  array: "a list",
+  objectId: "a valid id"
+};
+
+function coerce(value, type) {
+  if (typeof value !== "string" || value.trim() === "") return value;
+  if (type === "number" || type === "integer") {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : value;
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) return value === "true";
+  return value;
+}
+
+const isAbsent = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Check one value against its rule. Returns { value } (cleaned) or
+ * { problem } - a message fragment to follow the field name.
+ */
+function checkField(raw, rule) {
+  let value = rule.trim && typeof raw === "string" ? raw.trim() : raw;
+
+  if (isAbsent(value)) {
+    if (rule.required) return { problem: "is required" };
+    return { value: rule.default !== undefined ? rule.default : value };
+  }
+
+  const type = rule.type || "string";
+  value = coerce(value, type);
+  if (!TYPE_CHECKS[type](value)) return { problem: `must be ${TYPE_NAMES[type]}` };
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { problem: `must be at least ${rule.minLength} characters` };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { problem: `must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.min !== undefined && value < rule.min) return { problem: `must be at least ${rule.min}` };
+  if (rule.max !== undefined && value > rule.max) return { problem: `must be at most ${rule.max}` };
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { problem: `must be one of: ${rule.enum.join(", ")}` };
+  }
+  if (rule.pattern && !rule.pattern.test(value)) return { problem: "has an invalid format" };
+  if (rule.email && !isValidEmail(value)) return { problem: "must be a valid email address" };
+
+  return { value };
+}
+
+/**
+ * Check `input` (one request part) against `schema`. Returns
+ * { ok: true, values } or { ok: false, fields }.
+ */
+function checkSchema(schema, input = {}) {
+  const values = {};
+  const fields = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const { value, problem } = checkField(input[name], rule);
+    if (problem) fields[name] = `${name} ${problem}`;
+    else if (value !== undefined) values[name] = value;
+  }
+  return Object.keys(fields).length > 0 ? { ok: false, fields } : { ok: true, values };
+}
+
+const PARTS = ["params", "query", "body"];
+
+function validate(schemas) {
+  return (req, res, next) => {
+    const fields = {};
+    const cleaned = {};
+    for (const part of PARTS) {
+      if (!schemas[part]) continue;
+      const result = checkSchema(schemas[part], req[part] || {});
+      if (result.ok) cleaned[part] = result.values;
+      else Object.assign(fields, result.fields);
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return res.status(400).json({ ok: false, error: Object.values(fields)[0], fields });
+    }
+
+    for (const [part, values] of Object.entries(cleaned)) {
+      req[part] = { ...(req[part] || {}), ...values };
+    }
+    next();
+  };
+}
+
+module.exports = { validate, checkSchema };
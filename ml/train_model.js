@@ -0,0 +1,77 @@
+// ml/train_model.js - fit the predictor to a generated dataset
+//
+//   node ml/generate_dataset.js 20000
+//   node ml/train_model.js [samples.jsonl] [model.json] [--lambda=1e-4]
+//
+// Writes the weights file MLPredictor loads (utils/mlPredictor.js). Without
+// one the game falls back to its heuristic predictions. A dataset generated
+// with another feature schema version is refused - regenerate it.
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { FEATURE_SCHEMA_VERSION, FEATURE_SCHEMA, TARGET_SCHEMA } = require("../utils/predictorFeatures");
+const { DEFAULT_LAMBDA, createTrainer } = require("../utils/predictorModel");
+const { DEFAULT_MODEL_PATH } = require("../utils/mlPredictor");
+const { OUT_JSONL: DEFAULT_SAMPLES } = require("./generate_dataset");
+
+async function trainFromFile(samplesPath, { lambda = DEFAULT_LAMBDA } = {}) {
+  const trainer = createTrainer({
+    featureSchema: FEATURE_SCHEMA,
+    targetSchema: TARGET_SCHEMA,
+    schemaVersion: FEATURE_SCHEMA_VERSION,
+    lambda
+  });
+
+  const lines = readline.createInterface({ input: fs.createReadStream(samplesPath), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    const sample = JSON.parse(line);
+    if (sample.meta?.schemaVersion !== FEATURE_SCHEMA_VERSION) {
+      throw new Error(`Line ${lineNumber} is feature schema v${sample.meta?.schemaVersion ?? "1"}, ` +
+        `expected v${FEATURE_SCHEMA_VERSION} - regenerate the dataset`);
+    }
+    trainer.add(sample);
+  }
+  return trainer.finish();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((a) => !a.startsWith("--"));
+  const samplesPath = path.resolve(positional[0] || DEFAULT_SAMPLES);
+  const modelPath = path.resolve(positional[1] || DEFAULT_MODEL_PATH);
+  const lambdaArg = args.find((a) => a.startsWith("--lambda="));
+  const lambda = lambdaArg ? parseFloat(lambdaArg.split("=")[1]) : DEFAULT_LAMBDA;
+
+  if (!fs.existsSync(samplesPath)) {
+    console.error(`❌ No dataset at ${samplesPath} - run ml/generate_dataset.js first`);
+    process.exit(1);
+  }
+  if (!(lambda >= 0)) {
+    console.error("❌ --lambda must be a non-negative number");
+    process.exit(1);
+  }
+
+  try {
+    console.log(`\n🧠 Training on ${samplesPath} (lambda ${lambda})...`);
+    const model = await trainFromFile(samplesPath, { lambda });
+    fs.writeFileSync(modelPath, JSON.stringify(model, null, 2));
+
+    console.log(`\n✅ Trained on ${model.samples.training.toLocaleString()} samples, ` +
+      `checked on ${model.samples.holdout.toLocaleString()} held out`);
+    console.log(`\n📊 Held-out RMSE (normalized units):`);
+    for (const [key, rmse] of Object.entries(model.rmse)) {
+      console.log(`   ${key}: ${rmse.toExponential(3)}`);
+    }
+    console.log(`\n   Model: ${modelPath}\n`);
+  } catch (err) {
+    console.error("\n❌ Error:", err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { trainFromFile };
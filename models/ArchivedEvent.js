@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const { eventFields } = require("./universeRecords");
+
+const Schema = mongoose.Schema;
+
+// An event evicted from a universe's live significantEvents log (capped at
+// MAX_EVENTS) and kept here instead of being lost, so the full chronicle of
+// a long-lived universe stays browsable (GET /:id/chronicle). Archived
+// events are always older (lower seq) than every live one.
+const ArchivedEventSchema = new Schema({
+  universeId: { type: Schema.Types.ObjectId, ref: "Universe", required: true },
+  ...eventFields(),
+  archivedAt: { type: Date, default: Date.now }
+});
+
+ArchivedEventSchema.index({ universeId: 1, seq: 1 }, { unique: true });
+ArchivedEventSchema.index({ universeId: 1, type: 1, seq: 1 });
+
+module.exports = mongoose.model("ArchivedEvent", ArchivedEventSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// One action taken through the admin console (see utils/auditLog.js): who,
+// with what role, did what to which account or universe, with what input -
+// written BEFORE the action runs, so nothing happens unrecorded. Kept
+// indefinitely.
+const AuditLogSchema = new Schema({
+  actorId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  actorRole: { type: String, required: true },
+  action: { type: String, required: true },
+  target: {
+    type: new Schema({ kind: String, id: String }, { _id: false }),
+    default: null
+  },
+  // The request's params, query and body, secrets redacted
+  payload: { type: Schema.Types.Mixed, default: {} },
+  ip: { type: String, default: null },
+  // The response status, filled in once the action has answered
+  status: { type: Number, default: null },
+  at: { type: Date, default: Date.now }
+});
+
+AuditLogSchema.index({ at: -1 });
+AuditLogSchema.index({ actorId: 1, at: -1 });
+AuditLogSchema.index({ "target.id": 1, at: -1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+const { discoveryFields } = require("./universeRecords");
+
+const Schema = mongoose.Schema;
+
+// One cataloged discovery, stored outside its Universe document
+// (utils/universeStore.js). Keyed by the discovery's id within the universe.
+const DiscoverySchema = new Schema({
+  universeId: { type: Schema.Types.ObjectId, ref: "Universe", required: true },
+  ...discoveryFields()
+});
+
+DiscoverySchema.index({ universeId: 1, id: 1 }, { unique: true });
+
+module.exports = mongoose.model("Discovery", DiscoverySchema);
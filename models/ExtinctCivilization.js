@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+const { civilisationFields } = require("./universeRecords");
+
+const Schema = mongoose.Schema;
+
+// A civilization that went extinct, moved out of its Universe document
+// (utils/universeStore.js) - the living ones stay embedded, since the
+// simulation rewrites them every step. Keyed by the civ's id within the
+// universe.
+const ExtinctCivilizationSchema = new Schema({
+  universeId: { type: Schema.Types.ObjectId, ref: "Universe", required: true },
+  ...civilisationFields()
+});
+
+ExtinctCivilizationSchema.index({ universeId: 1, id: 1 }, { unique: true });
+
+module.exports = mongoose.model("ExtinctCivilization", ExtinctCivilizationSchema);
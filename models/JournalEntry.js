@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// One state-mutating call against a universe (see utils/actionJournal.js):
+// which action, its validated inputs, the simStep it applied at and the
+// clock it ran with. Together with the universe's genesis entry and seed,
+// the journal is enough to rebuild the universe from scratch. Unlike
+// significantEvents it is never capped or rewritten - entries are only ever
+// appended, and only removed when their universe is deleted.
+const JournalEntrySchema = new Schema({
+  universeId: { type: Schema.Types.ObjectId, ref: "Universe", required: true, index: true },
+  userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  action: { type: String, required: true },
+  // The universe's simStep just BEFORE the action applied
+  simStep: { type: Number, required: true },
+  // Validated inputs only - whatever the action actually consumed, never
+  // the raw request body. Mixed: each action has its own shape.
+  input: { type: Schema.Types.Mixed, default: {} },
+  at: { type: Date, required: true }
+}, {
+  minimize: false
+});
+
+JournalEntrySchema.index({ universeId: 1, at: 1, _id: 1 });
+
+// Append-only: refuse in-place edits at the model level, so no future route
+// can quietly rewrite history.
+JournalEntrySchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+  throw new Error("Journal entries are append-only");
+});
+JournalEntrySchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Journal entries are append-only");
+});
+
+module.exports = mongoose.model("JournalEntry", JournalEntrySchema);
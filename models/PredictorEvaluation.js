@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// One run of the predictor evaluation harness (utils/predictorEvaluation.js)
+// and the admin who asked for it. It is queued, worked through by the cron
+// path a chunk at a time - `job` holds the progress in between, under a lease
+// while a call is on it - and once done holds the whole report as it came
+// out. The console shows the latest.
+const PredictorEvaluationSchema = new Schema({
+  createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  status: { type: String, enum: ["queued", "running", "done", "failed"], default: "queued" },
+  job: { type: Schema.Types.Mixed, default: null },
+  report: { type: Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  leaseId: { type: String, default: null },
+  leaseUntil: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+}, { minimize: false });
+
+PredictorEvaluationSchema.index({ createdAt: -1 });
+PredictorEvaluationSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("PredictorEvaluation", PredictorEvaluationSchema);
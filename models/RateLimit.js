@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// One rate-limit window for one caller (see utils/rateLimiter.js): the
+// number of requests `key` made in the window, shared by every serverless
+// instance. Mongo drops the counter once its window is over.
+const RateLimitSchema = new Schema({
+  // "<policy>:<ip or account>:<window index>"
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimit", RateLimitSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// One signed-in device (see utils/sessions.js). Access tokens carry the
+// session's id and are rejected once it is revoked; the refresh token that
+// renews them is stored only as a hash and rotates on every use.
+const SessionSchema = new Schema({
+  userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  // sha256 of the current refresh token
+  tokenHash: { type: String, required: true, unique: true },
+  // ...and of the one it replaced: presenting that again means the token was
+  // copied, and the whole session is revoked
+  previousTokenHash: { type: String, default: null, index: true },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  // Sliding: pushed back on every refresh. Mongo drops the session after.
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// A point-in-time copy of a universe's simulation state (see
+// utils/snapshotSystem.js), kept in its own collection so the rewind history
+// never bloats the Universe document every save rewrites. Rotated per
+// universe - only the most recent few survive.
+const SnapshotSchema = new Schema({
+  universeId: { type: Schema.Types.ObjectId, ref: "Universe", required: true, index: true },
+  userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  simStep: { type: Number, required: true },
+  // Display summary, so listing snapshots never has to load `state`
+  age: { type: Number, default: 0 },
+  stabilityIndex: { type: Number, default: 1 },
+  // "auto" (periodic, from the sim loop) or "pre-restore" (taken right before
+  // a rewind, so the rewind itself can be undone)
+  reason: { type: String, enum: ["auto", "pre-restore"], default: "auto" },
+  takenAt: { type: Date, default: Date.now },
+  // Plain copy of the SNAPSHOT_FIELDS. Mixed so the captured shape follows
+  // UniverseSchema without a parallel schema to keep in sync.
+  state: { type: Schema.Types.Mixed, required: true }
+}, {
+  minimize: false
+});
+
+SnapshotSchema.index({ universeId: 1, simStep: -1 });
+
+module.exports = mongoose.model("Snapshot", SnapshotSchema);
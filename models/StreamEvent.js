@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Live-stream events on their way to SSE clients (utils/eventBus.js). The
+// instance that publishes one is rarely the one holding the client's stream
+// - on Vercel the cron sweep and each stream are separate function
+// invocations - so events pass through here and every stream polls for its
+// universe's. Only news: each expires after a few minutes.
+const STREAM_EVENT_TTL_SECONDS = 5 * 60;
+
+const StreamEventSchema = new Schema({
+  universeId: { type: String, required: true },
+  kind: { type: String, required: true },
+  data: { type: Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now, expires: STREAM_EVENT_TTL_SECONDS }
+}, { minimize: false });
+
+StreamEventSchema.index({ universeId: 1, _id: -1 });
+
+module.exports = mongoose.model("StreamEvent", StreamEventSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { discoveryFields, civilisationFields, eventFields } = require("./universeRecords");
+const { SWEEP_SHARD_SLOTS } = require("./sweepShards");
 
 const Schema = mongoose.Schema;
 
@@ -23,19 +25,11 @@ const AnomalySchema = new Schema({
   stepsUnresolved: { type: Number, default: 0, min: 0 }
 }, { _id: false });
 
-const DiscoverySchema = new Schema({
-  id: { type: String, required: true, index: true },
-  name: { type: String },
-  category: { type: String, enum: ["galaxy", "nebula", "phenomenon", "anomaly"], required: true },
-  objectClass: { type: String, required: true },
-  rarity: { type: String, enum: ["common", "uncommon", "rare", "exceptional"], default: "common" },
-  researchValue: { type: Number, default: 0, min: 0 },
-  location: {
-    x: { type: Number, default: 0 },
-    y: { type: Number, default: 0 }
-  },
-  discoveredAt: { type: Date, default: Date.now }
-}, { _id: false });
+// Records that only pass through the document in memory: they are stored in
+// their own collections (utils/universeStore.js).
+const DiscoverySchema = new Schema(discoveryFields(), { _id: false });
+const CivilisationSchema = new Schema(civilisationFields(), { _id: false });
+const SignificantEventSchema = new Schema(eventFields(), { _id: false });
 
 const ResearchSchema = new Schema({
   points: { type: Number, default: 0, min: 0 },
@@ -69,54 +63,6 @@ const UpgradesSchema = new Schema({
   containment: { type: Number, default: 0, min: 0, max: 3 }
 }, { _id: false });
 
-const CivilisationSchema = new Schema({
-  id: { type: String, required: true },
-  type: { type: String, enum: ["Type0", "Type1", "Type2", "Type3"], default: "Type0" },
-  createdAt: { type: Date, default: Date.now },
-  age: { type: Number, default: 0 },
-  developmentLevel: { type: Number, default: 0, min: 0, max: 1 },
-  technology: { type: Number, default: 0, min: 0, max: 100 },
-  stability: { type: Number, default: 0.5, min: 0, max: 1 },
-  population: { type: Number, default: 0, min: 0 },
-  resourceDepletion: { type: Number, default: 0, min: 0, max: 1 },
-  warlikeness: { type: Number, default: 0, min: 0, max: 1 },
-  extinct: { type: Boolean, default: false },
-  extinctionDate: { type: Date, default: null },
-  extinctionAge: { type: Number, default: null },
-  // First Contact: world position (null for civs spawned before locations
-  // existed - those simply never appear as beacons) + per-civ contact state
-  location: {
-    x: { type: Number, default: null },
-    y: { type: Number, default: null }
-  },
-  observed: { type: Boolean, default: false },
-  uplifts: { type: Number, default: 0, min: 0 },
-  pacifies: { type: Number, default: 0, min: 0 },
-  rescues: { type: Number, default: 0, min: 0 },
-  // How this civ feels about the player (-1 hostile .. +1 devoted), shifted
-  // by contact actions and events; drives attitude (worship/hostile/...)
-  relationship: { type: Number, default: 0, min: -1, max: 1 },
-  // A chosen species that reached Type III ascends: it becomes a permanent
-  // benefactor (the "shepherd's dividend") and frees the player to champion
-  // another. The legacy itself is recorded on universe.legacies.
-  ascended: { type: Boolean, default: false },
-  // Disposition assigned from innate stats; flavors the petitions it raises
-  // (militant / devout / scholarly / mercantile / insular).
-  personality: { type: String, default: null },
-  // Active petition the civ has raised to the player (null when none). Mixed
-  // so the option/outcome shape can evolve without a migration.
-  petition: { type: Schema.Types.Mixed, default: null }
-}, { _id: false });
-
-const SignificantEventSchema = new Schema({
-  timestamp: { type: Date, default: Date.now },
-  age: { type: Number, required: true },
-  ageGyr: { type: String },
-  type: { type: String, required: true },
-  description: { type: String },
-  effects: { type: Schema.Types.Mixed }
-}, { _id: false });
-
 const MilestonesSchema = new Schema({
   firstGalaxy: { type: Boolean, default: false },
   firstStar: { type: Boolean, default: false },
@@ -227,6 +173,7 @@ const UniverseSchema = new Schema({
     y: { type: Number, default: 0 }
   },
   anomalies: { type: [AnomalySchema], default: [] },
+  // In memory only - stored in the discoveries collection
   discoveries: { type: [DiscoverySchema], default: [] },
   research: { type: ResearchSchema, default: () => ({}) },
   upgrades: { type: UpgradesSchema, default: () => ({}) },
@@ -242,12 +189,17 @@ const UniverseSchema = new Schema({
   // does) and the universe age at that moment
   lastVisitedAt: { type: Date, default: null },
   lastVisitAge: { type: Number, default: null },
+  // Stability index at that moment - the away digest's baseline
+  lastVisitStability: { type: Number, default: null },
   // Interstellar wars in progress (utils/warSystem.js):
   // [{ id, a: civId, b: civId, scoreA, scoreB, startedAt }]
   activeWars: { type: [Schema.Types.Mixed], default: [] },
   // Monotonic simulation-step counter, persisted so time-bounded mechanics
   // (civ petition deadlines) survive across separate advance/sweep calls.
   simStep: { type: Number, default: 0 },
+  // Snapshot restores so far (utils/snapshotSystem.js). A rewind replays
+  // simStep values; ids carry this as well so they never repeat.
+  rewinds: { type: Number, default: 0 },
   // The player's "chosen species" - the civ they've committed to shepherding up
   // the Kardashev ladder. Their rise/fall drives the game's long arc.
   chosenCivId: { type: String, default: null },
@@ -257,8 +209,20 @@ const UniverseSchema = new Schema({
   // Build-identity doctrine (utils/doctrineCatalog.js); null = stock, no bias.
   doctrine: { type: String, default: null },
   legacies: { type: [LegacySchema], default: [] },
+  // Fork lineage (utils/universeFork.js): the universe this one was branched
+  // from, and the simStep it branched at. Null for originals. The parent may
+  // since have been deleted - this is a record, not a live link.
+  forkedFrom: { type: Schema.Types.ObjectId, ref: "Universe", default: null, index: true },
+  forkedAtStep: { type: Number, default: null },
+  // Living civilizations are stored here; extinct ones are kept in memory
+  // alongside them but stored in the extinctcivilizations collection.
   civilizations: { type: [CivilisationSchema], default: [] },
+  // In memory only - stored in the universeevents collection
   significantEvents: { type: [SignificantEventSchema], default: [] },
+  // Events ever recorded (utils/eventLog.js) - unlike significantEvents.length
+  // it never drops when old entries are evicted, so a delta can tell how many
+  // were appended since a client's revision. Also numbers the events (seq).
+  eventsRecorded: { type: Number, default: 0 },
   milestones: { type: MilestonesSchema, default: () => ({}) },
   metrics: { type: MetricsSchema, default: () => ({}) },
 
@@ -268,12 +232,27 @@ const UniverseSchema = new Schema({
     default: "running",
     index: true
   },
+  // When the universe was paused (utils/pauseControl.js); null unless paused.
+  pausedAt: { type: Date, default: null },
   endCondition: { type: String, default: null },
   endReason: { type: String, default: null },
 
   createdAt: { type: Date, default: Date.now, index: true },
   lastModified: { type: Date, default: Date.now, index: true },
-  lastSimulatedAt: { type: Date, default: Date.now }
+  lastSimulatedAt: { type: Date, default: Date.now },
+  // Cron sweep bookkeeping (utils/cronSweep.js): which shard sweeps this
+  // universe, and the lease a sweep holds on it while advancing it so a
+  // parallel sweep passes it over. Documents older than the field are swept
+  // by shard 0 until a sweep writes them one.
+  sweepShard: { type: Number, default: () => Math.floor(Math.random() * SWEEP_SHARD_SLOTS) },
+  sweepLeaseId: { type: String, default: null },
+  sweepLeaseUntil: { type: Date, default: null },
+
+  // Delta responses (utils/universeDelta.js): bumped by every save that
+  // changed something (utils/universeStore.js), with a short log of what
+  // each revision touched.
+  revision: { type: Number, default: 0 },
+  revisionLog: { type: [Schema.Types.Mixed], default: [] }
 }, {
   timestamps: false, // We handle timestamps manually
   minimize: false // Don't remove empty objects
@@ -282,6 +261,7 @@ const UniverseSchema = new Schema({
 // Compound indexes for common queries
 UniverseSchema.index({ status: 1, lastModified: -1 });
 UniverseSchema.index({ difficulty: 1, status: 1 });
+UniverseSchema.index({ status: 1, sweepShard: 1, lastSimulatedAt: 1 });
 
 // Virtual for age in Gyr (convenient for queries)
 UniverseSchema.virtual('ageGyr').get(function() {
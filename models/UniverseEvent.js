@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+const { eventFields } = require("./universeRecords");
+
+const Schema = mongoose.Schema;
+
+// One entry of a universe's significantEvents log, stored outside the
+// Universe document so the log's size never weighs on its saves
+// (utils/universeStore.js). Keyed by the event's seq within the universe.
+const UniverseEventSchema = new Schema({
+  universeId: { type: Schema.Types.ObjectId, ref: "Universe", required: true },
+  ...eventFields()
+});
+
+UniverseEventSchema.index({ universeId: 1, seq: 1 }, { unique: true });
+
+module.exports = mongoose.model("UniverseEvent", UniverseEventSchema);
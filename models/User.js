@@ -1,16 +1,53 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../utils/permissions");
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  // Dev/test privileges. Deliberately NOT settable through any API route -
-  // the only way to grant it is editing the document directly in MongoDB.
+  // Privileges (utils/permissions.js). Deliberately NOT settable through any
+  // API route - the only way to grant them is editing the document directly
+  // in MongoDB. isAdmin predates roles and still counts as the admin role.
+  role: { type: String, enum: ROLES, default: "player" },
   isAdmin: { type: Boolean, default: false },
+  // Suspension by a moderator (routes/admin.js): a banned account can't sign
+  // in, and banning revokes every session it had
+  bannedAt: { type: Date, default: null },
+  banReason: { type: String, default: null },
+  bannedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
   // Anonymous demo account (POST /auth/guest). Full-featured while active;
   // POST /auth/claim upgrades it in place to a real account (same _id, so the
   // guest's universes are simply kept - no reassignment).
   isGuest: { type: Boolean, default: false },
+  // Last sign-in or token refresh - what guest retention measures idleness
+  // by (utils/guestRetention.js)
+  lastActiveAt: { type: Date, default: null },
+  // When an idle guest is due for deletion; set by the retention sweep as
+  // its warning, cleared once the guest plays again or claims the account
+  guestDeletionAt: { type: Date, default: null },
+  // Set once the player follows the link mailed at registration (or resets
+  // their password, which proves the same thing). Accounts created before
+  // verification existed start unverified.
+  emailVerified: { type: Boolean, default: false },
+  // Pending single-use tokens (utils/accountTokens.js): only the hash is
+  // kept, and never selected unless asked for.
+  emailVerification: {
+    type: new mongoose.Schema({ tokenHash: String, expiresAt: Date }, { _id: false }),
+    default: undefined,
+    select: false,
+  },
+  passwordReset: {
+    type: new mongoose.Schema({ tokenHash: String, expiresAt: Date }, { _id: false }),
+    default: undefined,
+    select: false,
+  },
+  // Consecutive wrong passwords and the lockout they earned
+  // (utils/loginLockout.js)
+  loginLockout: {
+    type: new mongoose.Schema({ failures: Number, lastFailureAt: Date, lockedUntil: Date }, { _id: false }),
+    default: undefined,
+    select: false,
+  },
   // Account-wide achievements, unlocked by evaluating a universe's state
   // (see utils/achievements.js) - persist across all of a player's universes.
   achievements: {
@@ -0,0 +1,8 @@
+// Shard slots for the cron sweep (utils/cronSweep.js): every universe gets a
+// random sweepShard from 0 to SWEEP_SHARD_SLOTS - 1, which also bounds how
+// many shards a sweep can be split into. Kept with the models so the
+// Universe schema doesn't have to load the sweep - and the simulation with
+// it - for one number.
+const SWEEP_SHARD_SLOTS = 1024;
+
+module.exports = { SWEEP_SHARD_SLOTS };
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Field definitions for the universe records that can live either embedded
+// in a Universe document (as the simulation sees them) or as rows of their
+// own collection keyed by universe id (models/UniverseEvent.js,
+// models/Discovery.js, models/ExtinctCivilization.js - see
+// utils/universeStore.js). Functions, so each schema gets its own copy.
+
+const discoveryFields = () => ({
+  id: { type: String, required: true },
+  name: { type: String },
+  category: { type: String, enum: ["galaxy", "nebula", "phenomenon", "anomaly"], required: true },
+  objectClass: { type: String, required: true },
+  rarity: { type: String, enum: ["common", "uncommon", "rare", "exceptional"], default: "common" },
+  researchValue: { type: Number, default: 0, min: 0 },
+  location: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 }
+  },
+  discoveredAt: { type: Date, default: Date.now }
+});
+
+const civilisationFields = () => ({
+  id: { type: String, required: true },
+  type: { type: String, enum: ["Type0", "Type1", "Type2", "Type3"], default: "Type0" },
+  createdAt: { type: Date, default: Date.now },
+  age: { type: Number, default: 0 },
+  developmentLevel: { type: Number, default: 0, min: 0, max: 1 },
+  technology: { type: Number, default: 0, min: 0, max: 100 },
+  stability: { type: Number, default: 0.5, min: 0, max: 1 },
+  population: { type: Number, default: 0, min: 0 },
+  resourceDepletion: { type: Number, default: 0, min: 0, max: 1 },
+  warlikeness: { type: Number, default: 0, min: 0, max: 1 },
+  extinct: { type: Boolean, default: false },
+  extinctionDate: { type: Date, default: null },
+  extinctionAge: { type: Number, default: null },
+  // First Contact: world position (null for civs spawned before locations
+  // existed - those simply never appear as beacons) + per-civ contact state
+  location: {
+    x: { type: Number, default: null },
+    y: { type: Number, default: null }
+  },
+  observed: { type: Boolean, default: false },
+  uplifts: { type: Number, default: 0, min: 0 },
+  pacifies: { type: Number, default: 0, min: 0 },
+  rescues: { type: Number, default: 0, min: 0 },
+  // How this civ feels about the player (-1 hostile .. +1 devoted), shifted
+  // by contact actions and events; drives attitude (worship/hostile/...)
+  relationship: { type: Number, default: 0, min: -1, max: 1 },
+  // A chosen species that reached Type III ascends: it becomes a permanent
+  // benefactor (the "shepherd's dividend") and frees the player to champion
+  // another. The legacy itself is recorded on universe.legacies.
+  ascended: { type: Boolean, default: false },
+  // Disposition assigned from innate stats; flavors the petitions it raises
+  // (militant / devout / scholarly / mercantile / insular).
+  personality: { type: String, default: null },
+  // Active petition the civ has raised to the player (null when none). Mixed
+  // so the option/outcome shape can evolve without a migration.
+  petition: { type: Schema.Types.Mixed, default: null }
+});
+
+const eventFields = () => ({
+  // Position in the universe's whole history (1-based; see eventLog's
+  // eventsRecorded) - the key the event is stored under
+  seq: { type: Number },
+  timestamp: { type: Date, default: Date.now },
+  age: { type: Number, required: true },
+  ageGyr: { type: String },
+  type: { type: String, required: true },
+  description: { type: String },
+  effects: { type: Schema.Types.Mixed }
+});
+
+module.exports = { discoveryFields, civilisationFields, eventFields };
@@ -0,0 +1,282 @@
+// routes/admin.js
+//
+// The admin console: find players, look into their accounts and universes,
+// run the dev tools on a universe that isn't yours, restore an ended one from
+// a snapshot, ban or unban accounts, and check how accurate the predictions
+// players see are - without opening MongoDB by hand. Every route needs the
+// "admin.console" permission (moderators and admins) plus its own
+// (utils/permissions.js), and every route writes an audit log entry before
+// it runs (middleware/auditMiddleware.js).
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const verifyToken = require("../middleware/authMiddleware");
+const requireAdmin = require("../middleware/adminMiddleware");
+const requirePermission = require("../middleware/permissionMiddleware");
+const audit = require("../middleware/auditMiddleware");
+const { validate } = require("../middleware/validate");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const Universe = require("../models/Universe");
+const UniverseEvent = require("../models/UniverseEvent");
+const Discovery = require("../models/Discovery");
+const ExtinctCivilization = require("../models/ExtinctCivilization");
+const ArchivedEvent = require("../models/ArchivedEvent");
+const AuditLog = require("../models/AuditLog");
+const PredictorEvaluation = require("../models/PredictorEvaluation");
+const { devTools, snapshotRestore } = require("./universe");
+const { attachRecords } = require("../utils/universeStore");
+const { revokeAllSessions } = require("../utils/sessions");
+const { effectiveRole, outranks } = require("../utils/permissions");
+const { MAX_AUDIT_PAGE_SIZE, readAuditLog } = require("../utils/auditLog");
+const {
+  MAX_EVALUATION_UNIVERSES,
+  MAX_EVALUATION_STEPS,
+  pickStoredUniverses,
+  planEvaluation
+} = require("../utils/predictorEvaluation");
+
+router.use(verifyToken, requireAdmin);
+
+// The collections a universe's records live in (utils/universeStore.js)
+const STORE = { Universe, UniverseEvent, Discovery, ExtinctCivilization, ArchivedEvent };
+
+router.param("userId", validate({ params: { userId: { type: "objectId", required: true } } }));
+router.param("id", validate({ params: { id: { type: "objectId", required: true } } }));
+
+// What the console shows of an account - never credentials or tokens
+const ACCOUNT_FIELDS =
+  "username email role isAdmin isGuest emailVerified bannedAt banReason bannedBy createdAt lastActiveAt guestDeletionAt";
+const MAX_SEARCH_RESULTS = 50;
+
+const userTarget = (req) => ({ kind: "user", id: req.params.userId });
+const universeTarget = (req) => ({ kind: "universe", id: req.params.id });
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Load ANY universe by id - the console's counterpart to the player routes'
+ * findOwnedUniverse, with the same options. Responds 404 (and returns null)
+ * when it doesn't exist.
+ */
+async function findAnyUniverse(req, res, { lean = false, select = null } = {}) {
+  let query = Universe.findById(req.params.id);
+  if (select) query = query.select(select);
+  if (lean) query = query.lean();
+
+  const uni = await query;
+  if (!uni) {
+    res.status(404).json({ ok: false, error: "Universe not found" });
+    return null;
+  }
+
+  if (!select) await attachRecords(STORE, uni);
+  return uni;
+}
+
+// Find accounts by id, or by a fragment of username or email
+router.get("/users", validate({
+  query: {
+    q: { type: "string", trim: true, maxLength: 100 },
+    limit: { type: "integer", min: 1, max: MAX_SEARCH_RESULTS, default: 20 }
+  }
+}), audit("users.search"), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    let filter = {};
+    if (q && mongoose.isValidObjectId(q)) filter = { _id: q };
+    else if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter = { $or: [{ username: pattern }, { email: pattern }] };
+    }
+
+    const users = await User.find(filter).select(ACCOUNT_FIELDS).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({ ok: true, users: users.map((u) => ({ ...u, role: effectiveRole(u) })) });
+  } catch (err) {
+    console.error("Admin user search error:", err);
+    return res.status(500).json({ ok: false, error: "Search failed" });
+  }
+});
+
+router.get("/users/:userId", audit("users.read", userTarget), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select(ACCOUNT_FIELDS).lean();
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+
+    const universeCount = await Universe.countDocuments({ userId: user._id });
+    return res.json({ ok: true, user: { ...user, role: effectiveRole(user) }, universeCount });
+  } catch (err) {
+    console.error("Admin user read error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// A player's universes, summarized as their own universe list shows them
+router.get("/users/:userId/universes", requirePermission("universes.inspectAny"),
+  audit("users.universes", userTarget), async (req, res) => {
+    try {
+      const universes = await Universe.find({ userId: req.params.userId })
+        .select("-anomalies -significantEvents -civilizations -revisionLog")
+        .sort({ createdAt: -1 })
+        .lean();
+      return res.json({ ok: true, universes });
+    } catch (err) {
+      console.error("Admin universe list error:", err);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+  });
+
+// Any universe, whole and read-only
+router.get("/universes/:id", requirePermission("universes.inspectAny"),
+  audit("universes.read", universeTarget), async (req, res) => {
+    try {
+      const uni = await findAnyUniverse(req, res, { lean: true });
+      if (!uni) return;
+
+      const { revisionLog, ...universe } = uni;
+      return res.json({ ok: true, universe });
+    } catch (err) {
+      console.error("Admin universe read error:", err);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+  });
+
+// The player-facing dev tools (routes/universe.js), run over any universe:
+// POST /universes/:id/dev/fast-forward and so on, same input and output
+router.use("/universes/:id/dev",
+  requirePermission("universes.manageAny"),
+  audit((req) => `universes.dev.${req.path.split("/").filter(Boolean)[0] || ""}`, universeTarget),
+  (req, res, next) => {
+    req.loadUniverse = findAnyUniverse;
+    next();
+  },
+  devTools);
+
+// Bring a player's ended universe back from one of its snapshots, for free -
+// the recovery path for a collapse caused by a bug or a bad balance change.
+// Running universes are their owners' to rewind.
+router.post("/universes/:id/snapshots/:snapshotId/restore", requirePermission("universes.restoreEnded"),
+  validate({ params: { snapshotId: { type: "objectId", required: true } } }),
+  audit("universes.restore", universeTarget), snapshotRestore(findAnyUniverse));
+
+// Suspend an account: it can't sign in, and every device it was signed in
+// on is signed out now. Only a higher role can ban - moderators can't ban
+// each other, and nobody can ban themselves.
+router.post("/users/:userId/ban", requirePermission("users.ban"), validate({
+  body: { reason: { type: "string", trim: true, maxLength: 500 } }
+}), audit("users.ban", userTarget), async (req, res) => {
+  try {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ ok: false, error: "You can't ban yourself" });
+    }
+    const user = await User.findById(req.params.userId).select("role isAdmin bannedAt");
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+    if (!outranks(req.role, user)) {
+      return res.status(403).json({ ok: false, error: "Only a higher role can ban this account" });
+    }
+
+    user.bannedAt = new Date();
+    user.banReason = req.body.reason || null;
+    user.bannedBy = req.user.id;
+    await user.save();
+    const sessionsRevoked = await revokeAllSessions(Session, user._id);
+
+    console.log(`🚫 User ${user._id} banned by ${req.user.id}`);
+    return res.json({ ok: true, bannedAt: user.bannedAt, sessionsRevoked });
+  } catch (err) {
+    console.error("Admin ban error:", err);
+    return res.status(500).json({ ok: false, error: "Ban failed" });
+  }
+});
+
+router.post("/users/:userId/unban", requirePermission("users.ban"),
+  audit("users.unban", userTarget), async (req, res) => {
+    try {
+      const user = await User.findById(req.params.userId).select("role isAdmin bannedAt");
+      if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+      if (!user.bannedAt) return res.status(400).json({ ok: false, error: "This account is not banned" });
+      if (!outranks(req.role, user)) {
+        return res.status(403).json({ ok: false, error: "Only a higher role can unban this account" });
+      }
+
+      user.bannedAt = null;
+      user.banReason = null;
+      user.bannedBy = null;
+      await user.save();
+
+      console.log(`✅ User ${user._id} unbanned by ${req.user.id}`);
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error("Admin unban error:", err);
+      return res.status(500).json({ ok: false, error: "Unban failed" });
+    }
+  });
+
+// The audit log itself, newest first (utils/auditLog.js)
+router.get("/audit", requirePermission("audit.read"), validate({
+  query: {
+    actor: { type: "objectId" },
+    target: { type: "string", maxLength: 64 },
+    action: { type: "string", maxLength: 100 },
+    before: { type: "string", pattern: /^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/ },
+    limit: { type: "integer", min: 1, max: MAX_AUDIT_PAGE_SIZE }
+  }
+}), audit("audit.read"), async (req, res) => {
+  try {
+    const page = await readAuditLog(AuditLog, req.query);
+    return res.json({ ok: true, entries: page.entries, nextBefore: page.nextBefore });
+  } catch (err) {
+    console.error("Audit log read error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+// Score the predictions players see against what actually happened
+// (utils/predictorEvaluation.js): copies of the most recently played
+// universes plus freshly created ones, run forward and never saved. The
+// report compares the heuristics with the trained model and is kept.
+// Running it takes too long for a request, so this only queues it - the
+// cron path (POST /api/cron/predictor-evaluations) runs it - and answers
+// 202 with its id; the report turns up on GET .../latest once it's done.
+router.post("/predictor/evaluations", requirePermission("predictor.evaluate"), validate({
+  body: {
+    stored: { type: "integer", min: 0, max: MAX_EVALUATION_UNIVERSES, default: 4 },
+    fresh: { type: "integer", min: 0, max: MAX_EVALUATION_UNIVERSES, default: 4 },
+    steps: { type: "integer", min: 10, max: MAX_EVALUATION_STEPS, default: 200 },
+    horizon: { type: "integer", min: 1, max: 50, default: 5 }
+  }
+}), audit("predictor.evaluate"), async (req, res) => {
+  try {
+    const { stored, fresh, steps, horizon } = req.body;
+    if (!stored && !fresh) {
+      return res.status(400).json({ ok: false, error: "Evaluate at least one universe" });
+    }
+
+    const universeIds = await pickStoredUniverses(STORE, stored);
+    const evaluation = await PredictorEvaluation.create({
+      createdBy: req.user.id,
+      job: planEvaluation(universeIds, { steps, horizon, fresh })
+    });
+    return res.status(202).json({ ok: true, id: evaluation._id, status: evaluation.status });
+  } catch (err) {
+    console.error("Predictor evaluation error:", err);
+    return res.status(500).json({ ok: false, error: "Evaluation failed" });
+  }
+});
+
+router.get("/predictor/evaluations/latest", requirePermission("predictor.evaluate"),
+  audit("predictor.read"), async (req, res) => {
+    try {
+      // Queued and running ones too, so the console can show the progress;
+      // `report` is null until `status` is "done"
+      const evaluation = await PredictorEvaluation.findOne().sort({ createdAt: -1 })
+        .select("-job -leaseId -leaseUntil").lean();
+      if (!evaluation) return res.status(404).json({ ok: false, error: "No evaluation has been run yet" });
+      return res.json({ ok: true, evaluation });
+    } catch (err) {
+      console.error("Predictor evaluation read error:", err);
+      return res.status(500).json({ ok: false, error: "Server error" });
+    }
+  });
+
+module.exports = router;
@@ -1,16 +1,77 @@
 const express = require("express");
 const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
 const verifyToken = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  openSession, rotateSession, revokeSession, revokeAllSessions, listSessions
+} = require("../utils/sessions");
+const { createMailer } = require("../utils/mailer");
+const {
+  isValidEmail, issueAccountToken, redeemFilter, redeemUpdate, passwordResetEmail, verificationEmail
+} = require("../utils/accountTokens");
+const { lockoutRemaining, recordLoginFailure, clearLoginFailures } = require("../utils/loginLockout");
+const { effectiveRole, permissionsFor } = require("../utils/permissions");
 
 const router = express.Router();
 
-const signToken = (user) =>
-  jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "24h" });
+// Request shapes (middleware/validate.js)
+const PASSWORD = { type: "string", required: true, minLength: 6, maxLength: 128 };
+const CREDENTIALS = {
+  username: { type: "string", required: true, trim: true, minLength: 3, maxLength: 32 },
+  email: { type: "string", required: true, trim: true, email: true },
+  password: PASSWORD
+};
+const ACCOUNT_TOKEN = { token: { type: "string", required: true, maxLength: 256 } };
 
-router.post("/register", async (req, res) => {
+// Every sign-in opens a session for the calling device and answers with its
+// { token, refreshToken, expiresIn } (utils/sessions.js).
+const signIn = async (req, user) => {
+  const { token, refreshToken, expiresIn } = await openSession(Session, user._id, {
+    userAgent: req.get("User-Agent") || "",
+    ip: req.ip || null
+  });
+  await markActive(user._id);
+  return { token, refreshToken, expiresIn };
+};
+
+// Sign-ins and refreshes are the account's activity (utils/guestRetention.js)
+const markActive = (userId) => User.updateOne({ _id: userId }, { $set: { lastActiveAt: new Date() } });
+
+// Mail `user` a fresh verification link (replacing any pending one). Never
+// fails the calling request: an undelivered mail can be re-sent.
+const sendVerification = async (user) => {
+  try {
+    const { token, record } = issueAccountToken("emailVerification");
+    await User.updateOne({ _id: user._id }, { $set: { emailVerification: record } });
+    await createMailer().send(verificationEmail(user, token));
+    return true;
+  } catch (err) {
+    console.error("Verification mail failed:", err.message);
+    return false;
+  }
+};
+
+// What a sign-in response tells the client about the account's role
+const privileges = (user) => ({
+  isAdmin: effectiveRole(user) === "admin",
+  role: effectiveRole(user),
+  permissions: permissionsFor(user),
+});
+
+// The answer while an account is locked out (utils/loginLockout.js)
+const lockedOut = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: `Too many failed sign-in attempts - try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+    retryAfter
+  });
+};
+
+router.post("/register", rateLimit("register"), validate({ body: CREDENTIALS }), async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
@@ -22,27 +83,46 @@ router.post("/register", async (req, res) => {
     const newUser = new User({ username, email, password: hashedPassword });
     await newUser.save();
 
-    res.status(201).json({ message: "User registered successfully" });
+    const verificationSent = await sendVerification(newUser);
+    res.status(201).json({ message: "User registered successfully", verificationSent });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-router.post("/login", async (req, res) => {
+// Wrong passwords count toward a progressive lockout of the account
+// (utils/loginLockout.js); while it lasts even the right password is
+// refused, with a 429 and Retry-After like any other limit.
+router.post("/login", rateLimit("login"), validate({
+  body: {
+    email: { type: "string", required: true, trim: true },
+    password: { type: "string", required: true }
+  }
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select("+loginLockout");
 
     if (!user) return res.status(400).json({ message: "User not found" });
 
+    const locked = lockoutRemaining(user);
+    if (locked > 0) return lockedOut(res, locked);
+
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ message: "Invalid password" });
+    if (!isMatch) {
+      const failure = await recordLoginFailure(User, user._id);
+      if (failure.retryAfter > 0) return lockedOut(res, failure.retryAfter);
+      return res.status(400).json({ message: "Invalid password" });
+    }
+    if (user.loginLockout) await clearLoginFailures(User, user._id);
+    // Only after the password checks out, so a ban isn't news to a guesser
+    if (user.bannedAt) return res.status(403).json({ message: "This account has been suspended" });
 
-    // Generate JWT Token. isAdmin in the response is a UI hint only (shows
-    // the dev panel) - actual authorization is re-checked against the DB on
-    // every dev request by adminMiddleware.
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "24h" });
-    res.json({ token, userId: user._id, username: user.username, isAdmin: !!user.isAdmin });
+    // role, permissions and isAdmin in the response are UI hints only (which
+    // dev tools to show) - actual authorization is re-checked against the DB
+    // on every privileged request by permissionMiddleware.
+    const tokens = await signIn(req, user);
+    res.json({ ...tokens, userId: user._id, username: user.username, ...privileges(user) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -51,7 +131,7 @@ router.post("/login", async (req, res) => {
 // Anonymous demo session: mint a throwaway guest account + real JWT, so the
 // player can play the full game (server-authoritative and all) with zero
 // signup friction. No email/password to remember - claim later to keep it.
-router.post("/guest", async (req, res) => {
+router.post("/guest", rateLimit("guest"), async (req, res) => {
   try {
     const suffix = crypto.randomBytes(6).toString("hex");
     const randomPass = await bcrypt.hash(crypto.randomBytes(16).toString("hex"), 10);
@@ -64,10 +144,10 @@ router.post("/guest", async (req, res) => {
     await guest.save();
 
     return res.status(201).json({
-      token: signToken(guest),
+      ...(await signIn(req, guest)),
       userId: guest._id,
       username: guest.username,
-      isAdmin: false,
+      ...privileges(guest),
       isGuest: true,
     });
   } catch (err) {
@@ -78,15 +158,9 @@ router.post("/guest", async (req, res) => {
 // Claim a guest account: upgrade it in place to a real, credentialed account.
 // Same _id, so every universe the guest created is simply kept. Requires the
 // guest's own token.
-router.post("/claim", verifyToken, async (req, res) => {
+router.post("/claim", verifyToken, validate({ body: CREDENTIALS }), async (req, res) => {
   try {
     const { username, email, password } = req.body;
-    if (!username?.trim() || !email?.trim() || !password) {
-      return res.status(400).json({ message: "Username, email and password are required" });
-    }
-    if (password.length < 6) {
-      return res.status(400).json({ message: "Password must be at least 6 characters" });
-    }
 
     const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ message: "Account not found" });
@@ -98,19 +172,176 @@ router.post("/claim", verifyToken, async (req, res) => {
     }).select("_id");
     if (clash) return res.status(409).json({ message: "That username or email is already taken" });
 
-    user.username = username.trim();
-    user.email = email.trim();
+    user.username = username;
+    user.email = email;
     user.password = await bcrypt.hash(password, 10);
     user.isGuest = false;
+    user.guestDeletionAt = null;
     await user.save();
 
+    // New credentials, new session: the guest's own is closed
+    await revokeSession(Session, user._id, req.user.sid);
+    const verificationSent = await sendVerification(user);
+
     return res.json({
-      token: signToken(user),
+      ...(await signIn(req, user)),
       userId: user._id,
       username: user.username,
-      isAdmin: !!user.isAdmin,
+      ...privileges(user),
       isGuest: false,
+      verificationSent,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Start a password reset: mail a single-use link to the account's address.
+// Answers the same whether or not the address has an account, so it can't
+// be used to find out who plays here.
+router.post("/forgot-password", rateLimit("forgotPassword"), validate({
+  body: { email: { type: "string", required: true, trim: true } }
+}), async (req, res) => {
+  try {
+    const { email } = req.body;
+    const reply = { message: "If that address has an account, a reset link is on its way" };
+    if (!isValidEmail(email)) return res.json(reply);
+
+    const user = await User.findOne({ email, isGuest: { $ne: true } }).select("username email");
+    if (!user) return res.json(reply);
+
+    const { token, record } = issueAccountToken("passwordReset");
+    await User.updateOne({ _id: user._id }, { $set: { passwordReset: record } });
+    try {
+      await createMailer().send(passwordResetEmail(user, token));
+    } catch (err) {
+      console.error("Password reset mail failed:", err.message);
+    }
+    return res.json(reply);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Finish a password reset with the mailed token. Signs every device out -
+// whoever knew the old password is locked out with it.
+router.post("/reset-password", validate({
+  body: { ...ACCOUNT_TOKEN, password: PASSWORD }
+}), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const filter = redeemFilter("passwordReset", token);
+    if (!filter) return res.status(400).json({ message: "Invalid or expired reset link" });
+
+    // Following the link proves the address, too
+    const user = await User.findOneAndUpdate(
+      filter,
+      redeemUpdate("passwordReset", { password: await bcrypt.hash(password, 10), emailVerified: true }),
+      { new: true }
+    ).select("_id");
+    if (!user) return res.status(400).json({ message: "Invalid or expired reset link" });
+
+    await revokeAllSessions(Session, user._id);
+    await clearLoginFailures(User, user._id);
+    return res.json({ message: "Password updated - sign in with your new password" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm an email address with the mailed token
+router.post("/verify-email", validate({ body: ACCOUNT_TOKEN }), async (req, res) => {
+  try {
+    const filter = redeemFilter("emailVerification", req.body.token);
+    if (!filter) return res.status(400).json({ message: "Invalid or expired verification link" });
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      redeemUpdate("emailVerification", { emailVerified: true }),
+      { new: true }
+    ).select("_id");
+    if (!user) return res.status(400).json({ message: "Invalid or expired verification link" });
+
+    return res.json({ message: "Email verified" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Mail a new verification link to the signed-in account
+router.post("/verify-email/resend", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("username email emailVerified isGuest");
+    if (!user) return res.status(404).json({ message: "Account not found" });
+    if (user.isGuest) return res.status(400).json({ message: "Claim the account before verifying an email" });
+    if (user.emailVerified) return res.status(400).json({ message: "Email already verified" });
+
+    const verificationSent = await sendVerification(user);
+    if (!verificationSent) return res.status(502).json({ message: "Could not send the verification email" });
+    return res.json({ message: "Verification email sent" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Trade a refresh token for a new access/refresh pair. Unauthenticated by
+// design - the access token is usually what has expired.
+router.post("/refresh", validate({
+  body: { refreshToken: { type: "string", required: true, maxLength: 256 } }
+}), async (req, res) => {
+  try {
+    const result = await rotateSession(Session, req.body.refreshToken, {
+      userAgent: req.get("User-Agent") || ""
     });
+    if (!result.ok) return res.status(401).json({ message: result.reason });
+    await markActive(result.session.userId);
+
+    const { token, refreshToken, expiresIn } = result;
+    return res.json({ token, refreshToken, expiresIn });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// End the calling session: its access and refresh tokens stop working.
+router.post("/logout", verifyToken, async (req, res) => {
+  try {
+    await revokeSession(Session, req.user.id, req.user.sid);
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// End every session of the account, this one included - "sign out
+// everywhere" after a lost device or leaked token.
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(Session, req.user.id);
+    return res.json({ message: "Logged out everywhere", revoked });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// The account's signed-in devices, most recently used first
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(Session, req.user.id, { currentSessionId: req.user.sid });
+    return res.json({ sessions });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign one device out
+router.delete("/sessions/:sessionId", verifyToken, validate({
+  params: { sessionId: { type: "objectId", required: true } }
+}), async (req, res) => {
+  try {
+    const revoked = await revokeSession(Session, req.user.id, req.params.sessionId);
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+    return res.json({ message: "Session revoked" });
   } catch (err) {
     return res.status(500).json({ error: err.message });
   }
@@ -7,73 +7,106 @@
 const express = require("express");
 const router = express.Router();
 const Universe = require("../models/Universe");
-const { advanceUniverse } = require("../utils/simulationRunner");
+const Snapshot = require("../models/Snapshot");
+const JournalEntry = require("../models/JournalEntry");
+const UniverseEvent = require("../models/UniverseEvent");
+const Discovery = require("../models/Discovery");
+const ExtinctCivilization = require("../models/ExtinctCivilization");
+const ArchivedEvent = require("../models/ArchivedEvent");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const PredictorEvaluation = require("../models/PredictorEvaluation");
+const { migrateEmbeddedRecords } = require("../utils/universeStore");
+const { parseShard, sweepUniverses, timeBudgetMs } = require("../utils/cronSweep");
+const { advanceEvaluations } = require("../utils/predictorEvaluation");
+const { reapGuests } = require("../utils/guestRetention");
 
-// Universes swept per invocation - most-starved first, so with more
-// universes than this cap every one still gets advanced across consecutive
-// sweeps rather than the same batch hogging every run.
-const MAX_UNIVERSES_PER_SWEEP = 100;
+// The collections a universe's records live in (utils/universeStore.js)
+const STORE = { Universe, UniverseEvent, Discovery, ExtinctCivilization, ArchivedEvent };
 
-router.post("/sweep", async (req, res) => {
+// What a sweep reads and writes (utils/cronSweep.js)
+const SWEEP_MODELS = { ...STORE, Snapshot, JournalEntry };
+
+// What a predictor evaluation reads (utils/predictorEvaluation.js)
+const EVALUATION_MODELS = { ...STORE, PredictorEvaluation };
+
+// Everything an account owns, for deleting one (utils/accountPurge.js)
+const ACCOUNTS = { ...STORE, Snapshot, JournalEntry, Session, User };
+
+// 404 (not 401) so the endpoints don't advertise their existence to probes.
+// A missing CRON_SECRET config also refuses everything rather than becoming
+// an open door.
+function requireCronSecret(req, res, next) {
   const secret = process.env.CRON_SECRET;
-  // 404 (not 401) so the endpoint doesn't advertise its existence to probes.
-  // A missing CRON_SECRET config also refuses everything rather than
-  // becoming an open door.
   if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
     return res.status(404).json({ ok: false, error: "Not found" });
   }
+  next();
+}
 
-  try {
-    const universes = await Universe.find({ status: "running" })
-      .sort({ lastSimulatedAt: 1 })
-      .limit(MAX_UNIVERSES_PER_SWEEP);
+// Lease-based (utils/cronSweep.js): schedulers can run side by side, each
+// with its own `?shard=i&of=n`, and a sweep stops claiming universes before
+// the platform's time limit. Call again while `outOfTime` is true.
+router.post("/sweep", requireCronSecret, async (req, res) => {
+  const parsed = parseShard(req.query);
+  if (!parsed.ok) return res.status(400).json({ ok: false, error: parsed.reason });
 
-    const now = new Date();
-    let advanced = 0;
-    let ended = 0;
-    let totalSteps = 0;
-    const failures = [];
+  try {
+    const result = await sweepUniverses(SWEEP_MODELS, { shard: parsed.shard });
+    const { index, of } = result.shard;
+    console.log(`🕘 Sweep${of > 1 ? ` [shard ${index}/${of}]` : ""}: ${result.advanced}/${result.scanned} universes advanced ` +
+      `(${result.totalSteps} steps, ${result.ended} ended, ${result.superseded} superseded, ${result.failures.length} failed) ` +
+      `in ${result.elapsedMs}ms${result.outOfTime ? " - out of time" : ""}`);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("Sweep error:", err);
+    return res.status(500).json({ ok: false, error: "Sweep failed" });
+  }
+});
 
-    for (const uni of universes) {
-      try {
-        // The sweep runs while the owner is away: reduced drain, floored, and
-        // it can never enter CRITICAL or collapse a universe (see stabilityConfig).
-        const result = advanceUniverse(uni, now, { offline: true });
-        if (result.steps > 0) {
-          await uni.save();
-          advanced++;
-          totalSteps += result.steps;
-          if (uni.status === "ended") ended++;
-        }
-      } catch (err) {
-        // Version conflicts just mean the owner's own client simulated this
-        // universe while the sweep was working - not a failure, the state
-        // is current either way. Anything else is a real problem.
-        const isVersionConflict =
-          err.name === "VersionError" || /No matching document found/i.test(err.message);
-        if (isVersionConflict) {
-          console.log(`↩️ Sweep superseded by live session for universe ${uni._id}`);
-        } else {
-          // One broken universe must not stall the rest of the sweep
-          console.error(`Sweep failed for universe ${uni._id}:`, err.message);
-          failures.push(uni._id.toString());
-        }
-      }
-    }
+// One-off storage migration: moves events, discoveries and extinct
+// civilizations still embedded in Universe documents into their own
+// collections (utils/universeStore.js), a batch per call so each stays well
+// inside a serverless time limit. Safe to repeat; call until `remaining` is 0.
+// Universes that are opened in the meantime migrate themselves on save.
+router.post("/migrate-storage", requireCronSecret, async (req, res) => {
+  try {
+    const result = await migrateEmbeddedRecords(STORE);
+    console.log(`📦 Storage migration: ${result.migrated} migrated, ${result.failures.length} failed, ${result.remaining} remaining`);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("Storage migration error:", err);
+    return res.status(500).json({ ok: false, error: "Migration failed" });
+  }
+});
 
-    console.log(`🕘 Sweep: ${advanced}/${universes.length} universes advanced (${totalSteps} steps, ${ended} ended, ${failures.length} failed)`);
+// Guest retention (utils/guestRetention.js): warn guests going idle, reprieve
+// the ones that came back, and delete - with their universes - the ones
+// idle past both the retention period and their warning. Daily is plenty.
+router.post("/reap-guests", requireCronSecret, async (req, res) => {
+  try {
+    const result = await reapGuests(ACCOUNTS);
+    console.log(`🧹 Guest reap: ${result.reaped} reaped (${result.universesDeleted} universes), ${result.warned} warned, ${result.reprieved} reprieved, ${result.failures.length} failed`);
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error("Guest reap error:", err);
+    return res.status(500).json({ ok: false, error: "Guest reap failed" });
+  }
+});
 
-    return res.json({
-      ok: true,
-      scanned: universes.length,
-      advanced,
-      totalSteps,
-      ended,
-      failures
-    });
+// Predictor evaluations the admin console queued (utils/predictorEvaluation.js):
+// works on the oldest one for as long as the sweep's time budget allows and
+// saves its progress. Call again while `remaining` is above 0; `idle` means
+// nothing is waiting.
+router.post("/predictor-evaluations", requireCronSecret, async (req, res) => {
+  try {
+    const result = await advanceEvaluations(EVALUATION_MODELS, { budgetMs: timeBudgetMs() });
+    if (!result) return res.json({ ok: true, idle: true });
+    console.log(`📈 Predictor evaluation ${result.id}: ${result.status}, ${result.remaining} universes remaining`);
+    return res.json({ ok: true, idle: false, ...result });
   } catch (err) {
-    console.error("Sweep error:", err);
-    return res.status(500).json({ ok: false, error: "Sweep failed" });
+    console.error("Predictor evaluation error:", err);
+    return res.status(500).json({ ok: false, error: "Evaluation failed" });
   }
 });
 
@@ -7,25 +7,64 @@ const EndConditions = require("../utils/endConditions");
 const MLPredictor = require("../utils/mlPredictor");
 const Universe = require("../models/Universe");
 const { recordEvent } = require("../utils/eventLog");
-const { prepareDiscoveries } = require("../utils/discoveryValidator");
-const { applyWarStrike } = require("../utils/warStrike");
-const { applyBombardment } = require("../utils/bombardment");
-const { shouldStageOpeningSiege, stageOpeningSiege } = require("../utils/openingSiege");
-const { validatePurchase, CONTAINMENT_BONUS_PER_LEVEL } = require("../utils/upgradeCatalog");
-const { doctrineModifiers, isValidDoctrine } = require("../utils/doctrineCatalog");
-const { difficultyOptions, simulationSeed, advanceUniverse } = require("../utils/simulationRunner");
+const { difficultyOptions, simulationSeed } = require("../utils/simulationRunner");
 const { difficultyStability } = require("../utils/stabilityConfig");
-const { applyContact, civDesignation } = require("../utils/contactSystem");
-const { respondToPetition } = require("../utils/petitionSystem");
-const requireAdmin = require("../middleware/adminMiddleware");
-const { ensureMissions, claimMission } = require("../utils/missionSystem");
+const { civDesignation } = require("../utils/contactSystem");
+const requirePermission = require("../middleware/permissionMiddleware");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { ensureMissions } = require("../utils/missionSystem");
 const { awardAchievements } = require("../utils/achievements");
-const { applyMinorResolution } = require("../utils/minorAnomalies");
-const { claimEventReward } = require("../utils/eventRewards");
+const { persistSnapshot, captureSnapshot, restoreCost } = require("../utils/snapshotSystem");
+const { buildFork, confirmFork, buildLineage } = require("../utils/universeFork");
+const { exportSave, importSave } = require("../utils/saveFile");
+const { actionContext, applyAction } = require("../utils/universeActions");
+const { genesisFields } = require("../utils/genesis");
+const {
+  DEV,
+  journalEntry,
+  genesisEntry,
+  createReplay,
+  diffUniverse
+} = require("../utils/actionJournal");
+const { subscribe, sseFrame } = require("../utils/eventBus");
+const { universeDelta } = require("../utils/universeDelta");
 const User = require("../models/User");
+const Snapshot = require("../models/Snapshot");
+const JournalEntry = require("../models/JournalEntry");
+const UniverseEvent = require("../models/UniverseEvent");
+const Discovery = require("../models/Discovery");
+const ExtinctCivilization = require("../models/ExtinctCivilization");
+const ArchivedEvent = require("../models/ArchivedEvent");
+const { attachRecords, saveUniverse } = require("../utils/universeStore");
+const { purgeUniverses } = require("../utils/accountPurge");
+const { MAX_PAGE_SIZE, readChronicle } = require("../utils/chronicle");
+const { FORMATS, exportChronicle } = require("../utils/chronicleExport");
+const { buildDigest } = require("../utils/awayDigest");
+const { hasPermission } = require("../utils/permissions");
+const {
+  MAX_FORECAST_RUNS,
+  MAX_FORECAST_STEPS,
+  forecastUniverse,
+  createForecastCache
+} = require("../utils/monteCarloForecast");
 
 router.use(verifyToken);
 
+// The collections a universe's records live in (utils/universeStore.js)
+const STORE = { Universe, UniverseEvent, Discovery, ExtinctCivilization, ArchivedEvent };
+
+// Request shapes (middleware/validate.js). Ids in the path are checked once
+// here rather than per route - a malformed one used to surface as a 500
+// from the cast.
+router.param("id", validate({ params: { id: { type: "objectId", required: true } } }));
+router.param("snapshotId", validate({ params: { snapshotId: { type: "objectId", required: true } } }));
+
+const DIFFICULTIES = ["Beginner", "Intermediate", "Advanced"];
+const UNIVERSE_NAME = { type: "string", trim: true, maxLength: 80 };
+// Ids the simulation mints (civilizations, anomalies, petitions, missions)
+const SIM_ID = { type: "string", required: true, trim: true, maxLength: 128 };
+
 /**
  * Load a universe by id and verify it belongs to the authenticated user.
  * Responds with 404 (and returns null) when missing OR owned by someone
@@ -33,6 +72,9 @@ router.use(verifyToken);
  * probed for existence.
  *
  * `select`, when provided, must include userId for the ownership check.
+ * Without it the universe comes back whole, its events, discoveries and
+ * extinct civilizations attached from their collections - save it with
+ * saveUniverse(STORE, uni), never uni.save().
  */
 async function findOwnedUniverse(req, res, { lean = false, select = null } = {}) {
   let query = Universe.findById(req.params.id);
@@ -46,15 +88,77 @@ async function findOwnedUniverse(req, res, { lean = false, select = null } = {})
     return null;
   }
 
+  if (!select) await attachRecords(STORE, uni);
   return uni;
 }
 
+// Key for signing portable save files (utils/saveFile.js). Environments that
+// should accept each other's saves must share it.
+const saveSecret = () => process.env.SAVE_SECRET || process.env.JWT_SECRET;
+
+// Persist the periodic snapshot a simulation run captured, if it took one.
+// Runs after the universe saved and never fails the request - a missed
+// snapshot only costs one rewind point (utils/snapshotSystem.js).
+async function keepSnapshot(uni, result) {
+  if (!result?.snapshot) return;
+  try {
+    await persistSnapshot(Snapshot, uni, result.snapshot);
+  } catch (err) {
+    console.error("Snapshot save failed:", err.message);
+  }
+}
+
+// Delta responses (utils/universeDelta.js): a client that sends the revision
+// it holds of THIS universe in this header gets { delta } - only what changed
+// since - instead of the full document. Without the header, or too far
+// behind for the revision log, it gets { universe } exactly as before.
+const REVISION_HEADER = "X-Universe-Revision";
+
+function universeBody(req, uni) {
+  const held = req.get(REVISION_HEADER);
+  const delta = held ? universeDelta(uni, Number(held)) : null;
+  if (delta) return { delta };
+
+  // The revision log is server bookkeeping; `revision` itself stays, it's
+  // what the client sends back next time
+  const universe = typeof uni.toObject === "function" ? uni.toObject() : { ...uni };
+  delete universe.revisionLog;
+  return { universe };
+}
+
+// Apply a journaled action (utils/universeActions.js) with this call's clock.
+// Returns the action's result and the journal entry to append once the
+// universe has saved - refused actions are never journaled.
+function performAction(uni, action, input = {}, now = new Date()) {
+  const entry = journalEntry(uni, action, input, now);
+  const result = applyAction(uni, action, input, actionContext(uni, action, now));
+  return { result, entry };
+}
+
+// Append to the action journal (utils/actionJournal.js) after the universe
+// saved. Never fails the request - a lost entry shows up as a divergence
+// when the journal is replayed.
+async function keepJournal(entry) {
+  try {
+    await JournalEntry.create(entry);
+  } catch (err) {
+    console.error("Journal append failed:", err.message);
+  }
+}
+
 // Get all universes
 router.get("/", async (req, res) => {
   try {
     const universes = await Universe.find({userId: req.user.id})
-      .select('-anomalies -significantEvents -civilizations')
+      .select('-anomalies -significantEvents -civilizations -revisionLog')
       .lean();
+
+    // Fork lineage (ancestor chain + direct forks) per universe, so the
+    // client can draw the branch tree without extra requests
+    const lineage = buildLineage(universes);
+    for (const u of universes) {
+      u.lineage = lineage[u._id.toString()];
+    }
     
     return res.json({ ok: true, universes });
   } catch (err) {
@@ -64,74 +168,37 @@ router.get("/", async (req, res) => {
 });
 
 // Create a new universe
-router.post("/", async (req, res) => {
+router.post("/", validate({
+  body: {
+    name: UNIVERSE_NAME,
+    seed: { type: "string", trim: true, maxLength: 64 },
+    difficulty: { type: "string", enum: DIFFICULTIES, default: "Beginner" },
+    constants: { type: "object" },
+    initialConditions: { type: "object" }
+  }
+}), async (req, res) => {
   try {
-    const { name, seed, difficulty, constants, initialConditions } = req.body;
-
-    const validDifficulties = ["Beginner", "Intermediate", "Advanced"];
-    const selectedDifficulty = validDifficulties.includes(difficulty) ? difficulty : "Beginner";
-
-    const universeConstants = {
-      H0_km_s_Mpc: 67.4,
-      speedOfLight: 2.99792458e8,
-      gravitationalConstant: 6.6743e-11,
-      darkMatterDensity: 0.26,
-      darkEnergyDensity: 0.69,
-      matterDensity: 0.05,
-      observableGalaxies: 2e11,
-      averageStarsPerGalaxy: 1e10,
-      planckTemperature: 1.417e32,
-      ...constants
-    };
+    const { name, seed, difficulty: selectedDifficulty, constants, initialConditions } = req.body;
 
     const uni = new Universe({
       userId: req.user.id,
       name: name || `Universe-${Date.now()}`,
       seed: seed || Math.random().toString(36).slice(2),
       difficulty: selectedDifficulty,
-      constants: universeConstants,
-      initialConditions: {
+      // The galaxy-formation genesis (utils/genesis.js)
+      ...genesisFields({
+        constants,
         initialTemperature: initialConditions?.initialTemperature ?? 2.725
-      }
+      })
     });
 
-    // Hybrid Genesis (Coherent Cosmos): a new universe begins ~1.2 Gyr after
-    // the Big Bang - the galaxy-formation era - rather than an empty dark-ages
-    // void. This makes the very first frame coherent with the render (which is
-    // now driven by these numbers) and always explorable: proto-galaxies are
-    // condensing and the first stars are alight, with counts the physics engine
-    // then grows forward from. Metallicity is authentically low this early.
-    uni.currentState = {
-      age: 1.2e9,
-      _scaleFactor: 1.0,
-      expansionRate: universeConstants.H0_km_s_Mpc,
-      temperature: initialConditions?.initialTemperature ?? 2.725,
-      entropy: 0,
-      stabilityIndex: 1.0,
-      cosmicPhase: "galaxy_formation",
-      galaxyCount: 1.0e6,
-      starCount: 1.0e10,
-      blackHoleCount: 5.0e3,
-      metallicity: 0.04,
-      habitableSystemsCount: 0,
-      lifeBearingPlanetsCount: 0,
-      civilizationCount: 0
-    };
-
-    uni.metrics = {
-      playerInterventions: 0,
-      anomalyResolutionRate: 0,
-      stabilityScore: 1.0,
-      complexityIndex: 0,
-      lifePotentialIndex: 0
-    };
-
     uni.lastModified = new Date();
 
     // Every universe starts with a full objective board
     ensureMissions(uni);
 
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(genesisEntry(uni));
 
     console.log(`✅ Created universe: ${uni.name} [${selectedDifficulty}]`);
     
@@ -142,31 +209,229 @@ router.post("/", async (req, res) => {
   }
 });
 
+// Import a save file (the request body IS the file, as produced by
+// GET /:id/export) as a new universe owned by the caller. The body parser
+// for this path allows a larger payload - see api/index.js.
+router.post("/import", async (req, res) => {
+  try {
+    const ownedCount = await Universe.countDocuments({ userId: req.user.id });
+    const result = importSave(req.body, { secret: saveSecret(), userId: req.user.id, ownedCount });
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.reason });
+    }
+
+    const uni = new Universe(result.universe);
+    await saveUniverse(STORE, uni);
+    // As with forks: the count above can't see imports saved alongside
+    const confirmed = await confirmFork(Universe, req.user.id, { verb: "import" });
+    if (!confirmed.ok) {
+      await purgeUniverses({ ...STORE, Snapshot, JournalEntry }, [uni._id]);
+      return res.status(400).json({ ok: false, error: confirmed.reason });
+    }
+    await keepJournal(genesisEntry(uni));
+
+    console.log(`📥 Imported universe: ${uni.name}`);
+
+    return res.status(201).json({ ok: true, universe: uni });
+  } catch (err) {
+    console.error("Import universe error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to import universe" });
+  }
+});
+
+// Export an owned universe as a signed, versioned save file download
+router.get("/:id/export", async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res, { lean: true });
+    if (!uni) return;
+
+    const save = exportSave(uni, saveSecret());
+    const filename = `${uni.name.replace(/[^a-z0-9_-]+/gi, "_") || "universe"}.eternaverse.json`;
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+
+    return res.json(save);
+  } catch (err) {
+    console.error("Export universe error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to export universe" });
+  }
+});
+
+// Fork an owned universe into a new, independent branch (new seed, same
+// history). Capped per account - see utils/universeFork.js.
+router.post("/:id/fork", validate({ body: { name: UNIVERSE_NAME } }), async (req, res) => {
+  try {
+    const source = await findOwnedUniverse(req, res, { lean: true });
+    if (!source) return;
+
+    const ownedCount = await Universe.countDocuments({ userId: req.user.id });
+    const result = buildFork(source, { name: req.body.name, ownedCount });
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.reason });
+    }
+
+    const fork = new Universe(result.fork);
+    await saveUniverse(STORE, fork);
+    // The count above can't see forks saved alongside this one
+    const confirmed = await confirmFork(Universe, req.user.id);
+    if (!confirmed.ok) {
+      await purgeUniverses({ ...STORE, Snapshot, JournalEntry }, [fork._id]);
+      return res.status(400).json({ ok: false, error: confirmed.reason });
+    }
+    await keepJournal(genesisEntry(fork));
+
+    console.log(`🌿 Forked ${source.name} at step ${fork.forkedAtStep} -> ${fork.name}`);
+
+    return res.status(201).json({ ok: true, universe: fork });
+  } catch (err) {
+    console.error("Fork universe error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to fork universe" });
+  }
+});
+
 // Get universe by ID
 router.get("/:id", async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res, { lean: true });
     if (!uni) return;
 
-    // "While you were away": hand back the PREVIOUS visit anchors for the
-    // client's digest, then stamp this visit. Fire-and-forget - the stamp
-    // must never delay or fail the load.
+    // "While you were away": hand back the PREVIOUS visit anchors (the
+    // digest itself is GET /:id/digest, fetched before this), then stamp this
+    // visit. Fire-and-forget - the stamp must never delay or fail the load.
     const previousVisit = {
       at: uni.lastVisitedAt || null,
       age: uni.lastVisitAge ?? null,
+      stability: uni.lastVisitStability ?? null,
     };
-    Universe.updateOne(
+    // An atomic update rather than a save, and not journaled: a read changes
+    // nothing a replay reproduces (the anchors are out of its diff). Awaited,
+    // since a serverless instance can be frozen as soon as it has answered.
+    await Universe.updateOne(
       { _id: uni._id },
-      { lastVisitedAt: new Date(), lastVisitAge: uni.currentState?.age || 0 }
+      {
+        lastVisitedAt: new Date(),
+        lastVisitAge: uni.currentState?.age || 0,
+        lastVisitStability: uni.currentState?.stabilityIndex ?? null
+      }
     ).catch((err) => console.error("Visit stamp failed:", err.message));
 
-    return res.json({ ok: true, universe: uni, previousVisit });
+    return res.json({ ok: true, ...universeBody(req, uni), previousVisit });
   } catch (err) {
     console.error("Get universe error:", err);
     return res.status(500).json({ ok: false, error: "Server error" });
   }
 });
 
+// "While you were away" digest (utils/awayDigest.js): what happened since
+// the visit anchors were last stamped, aggregated and ranked so every client
+// shows the same summary. Read-only - fetch it BEFORE GET /:id, which stamps
+// the new visit. `digest` is null when there is no previous visit.
+router.get("/:id/digest", async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res, { lean: true });
+    if (!uni) return;
+
+    return res.json({ ok: true, digest: buildDigest(uni) });
+  } catch (err) {
+    console.error("Digest error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to build digest" });
+  }
+});
+
+// The universe's whole history, oldest first, including events long evicted
+// from significantEvents (utils/chronicle.js). Filters: ?type= (comma list),
+// ?civ= (civilization id), ?from= / ?to= (age in Gyr); page with ?cursor=
+// set to the previous page's nextCursor, and ?limit=.
+router.get("/:id/chronicle", validate({
+  query: {
+    type: { type: "string", maxLength: 500 },
+    civ: { type: "string", maxLength: 128 },
+    from: { type: "number", min: 0 },
+    to: { type: "number", min: 0 },
+    cursor: { type: "integer", min: 0 },
+    limit: { type: "integer", min: 1, max: MAX_PAGE_SIZE }
+  }
+}), async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res, { lean: true, select: "userId" });
+    if (!uni) return;
+
+    const page = await readChronicle(STORE, uni._id, req.query);
+    if (!page.ok) return res.status(400).json({ ok: false, error: page.reason });
+
+    return res.json({ ok: true, events: page.events, nextCursor: page.nextCursor });
+  } catch (err) {
+    console.error("Chronicle error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to load chronicle" });
+  }
+});
+
+// The universe's story as a keepsake document (utils/chronicleExport.js):
+// ?format=md (default), html (self-contained, for offline sharing) or json.
+// Covers the whole history, archived events included.
+router.get("/:id/chronicle/export", validate({
+  query: { format: { type: "string", enum: Object.keys(FORMATS), default: "md" } }
+}), async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res, { lean: true });
+    if (!uni) return;
+
+    const archived = await ArchivedEvent.find({ universeId: uni._id }).sort({ seq: 1 })
+      .select("-_id -__v -universeId -archivedAt").lean();
+    const result = exportChronicle(uni, [...archived, ...uni.significantEvents], req.query.format);
+    if (!result.ok) return res.status(400).json({ ok: false, error: result.reason });
+
+    res.set("Content-Type", result.contentType);
+    res.set("Content-Disposition", `attachment; filename="${result.filename}"`);
+    return res.send(result.body);
+  } catch (err) {
+    console.error("Chronicle export error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to export chronicle" });
+  }
+});
+
+// Comment line keeping idle SSE connections (and the proxies between) open
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Live updates over Server-Sent Events: anomalies, wars, petitions,
+// end-condition warnings, achievements - whatever the simulation, the cron
+// sweep or an action route publishes for this universe (utils/eventBus.js),
+// as it happens. Frames are `event: <kind>` with the JSON payload as data.
+// Authenticated like every other route here (Authorization header), so
+// clients need a fetch-based EventSource rather than the browser built-in.
+router.get("/:id/stream", async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res, { lean: true, select: "userId status simStep" });
+    if (!uni) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // Don't let a buffering proxy (nginx) hold frames back
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+    res.write(sseFrame("ready", { universeId: uni._id, status: uni.status, simStep: uni.simStep || 0 }));
+
+    const unsubscribe = subscribe(uni._id, ({ kind, data }) => {
+      res.write(sseFrame(kind, data));
+    });
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (err) {
+    console.error("Stream error:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ ok: false, error: "Failed to open stream" });
+    }
+    res.end();
+  }
+});
+
 // Advance the universe by however much wall-clock time has elapsed. The
 // pipeline itself lives in utils/simulationRunner.js, shared with the cron
 // sweep so offline and online simulation are bit-identical.
@@ -184,20 +449,31 @@ router.post("/:id/simulate", async (req, res) => {
       });
     }
 
-    // Player position drives where anomalies spawn - persist whatever the
-    // client last reported, and fall back to that if this call doesn't send
-    // one (e.g. the cron sweep, or a tick without a fresh position).
-    const incomingPosition = req.body.playerPosition;
-    if (
-      incomingPosition &&
-      typeof incomingPosition.x === "number" &&
-      typeof incomingPosition.y === "number"
-    ) {
-      uni.lastPlayerPosition = { x: incomingPosition.x, y: incomingPosition.y };
+    // Frozen for vacation - hand back the state as-is, no steps owed.
+    if (uni.status === "paused") {
+      return res.json({
+        ok: true,
+        steps: 0,
+        skipped: true,
+        paused: true,
+        pausedAt: uni.pausedAt,
+        createdAnomalies: [],
+        hasEnded: false,
+        ...universeBody(req, uni)
+      });
     }
 
-    const now = new Date();
-    const result = advanceUniverse(uni, now);
+    // Player position drives where anomalies spawn; a tick without a fresh
+    // one (or with junk) keeps the last reported position.
+    const pos = req.body.playerPosition;
+    const playerPosition = pos && typeof pos.x === "number" && typeof pos.y === "number"
+      ? { x: pos.x, y: pos.y }
+      : null;
+
+    // Catch up on wall-clock time, plus what only a present player
+    // triggers (objectives, the scripted first siege, visit anchors) -
+    // see the tick action in utils/universeActions.js.
+    const { result, entry } = performAction(uni, "tick", { playerPosition });
 
     if (result.steps === 0) {
       // Not enough real time has passed for a full step yet - avoid
@@ -212,65 +488,16 @@ router.post("/:id/simulate", async (req, res) => {
         hasEnded: uni.status === "ended",
         endCondition: uni.endCondition,
         endReason: uni.endReason,
-        universe: uni
+        ...universeBody(req, uni)
       });
     }
 
-    // Top up the objective board (covers universes created before missions
-    // existed, and templates that only became eligible as the sim evolved)
-    if (ensureMissions(uni) > 0) {
-      uni.markModified("missions");
-    }
-
-    // The scripted first siege: a star-faring power falls on a young world
-    // near the player, once, after they've met their first civilization. The
-    // simulation wouldn't produce a Type II for ~200 more steps, so without
-    // this a first session never sees fleet combat at all. Only on a LIVE tick -
-    // the cron sweep must never stage drama nobody is present for.
-    if (shouldStageOpeningSiege(uni)) {
-      const siegeEngine = new PhysicsEngine(uni, {
-        seed: `${uni.seed}:opening-siege`,
-        playerPosition: uni.lastPlayerPosition,
-        // Next door, so the Locator's guidance is a short trip
-        civSpawnRange: { min: 1, max: 2 },
-      });
-      // Take only civs this call actually created - promoting a pre-existing
-      // one would rewrite a people the player has already met.
-      const before = uni.civilizations.length;
-      siegeEngine._spawnCivilizations(2, (uni.currentState?.age || 0) / 1e9);
-      const staged = stageOpeningSiege(uni, uni.civilizations.slice(before), now);
-
-      if (staged) {
-        uni.currentState.civilizationCount = (uni.currentState.civilizationCount || 0) + 2;
-        uni.currentState.civilizationsCreated = (uni.currentState.civilizationsCreated || 0) + 2;
-        recordEvent(uni, {
-          type: "war",
-          description: staged.message,
-          effects: {
-            outcome: "outbreak",
-            a: staged.defender.id,
-            b: staged.attacker.id,
-            scripted: true,
-          },
-        });
-        uni.markModified("civilizations");
-        uni.markModified("currentState");
-        uni.markModified("activeWars");
-      }
-    }
-
-    // Live tick = the player is HERE: keep the visit anchors fresh so the
-    // away-digest window starts when they actually leave. The cron sweep
-    // deliberately never touches these.
-    uni.lastVisitedAt = now;
-    uni.lastVisitAge = uni.currentState?.age || 0;
-
     // ML predictions (after simulation)
     const predictions = new MLPredictor(uni).generatePredictions();
 
     // Save with error handling
     try {
-      await uni.save();
+      await saveUniverse(STORE, uni);
     } catch (saveErr) {
       // Concurrent-writer conflict: the cron sweep (or another request)
       // advanced this universe between our load and save, so Mongoose's
@@ -284,6 +511,7 @@ router.post("/:id/simulate", async (req, res) => {
       if (isVersionConflict) {
         const fresh = await Universe.findById(uni._id).lean();
         if (fresh && fresh.userId?.toString() === req.user.id) {
+          await attachRecords(STORE, fresh);
           console.log(`↩️ Simulate save superseded by concurrent writer for ${fresh.name} - returning fresh state`);
           const Physics = new PhysicsEngine(fresh, { seed: simulationSeed(fresh) });
           return res.json({
@@ -296,7 +524,7 @@ router.post("/:id/simulate", async (req, res) => {
             hasEnded: fresh.status === "ended",
             endCondition: fresh.endCondition,
             endReason: fresh.endReason,
-            universe: fresh
+            ...universeBody(req, fresh)
           });
         }
       }
@@ -308,6 +536,8 @@ router.post("/:id/simulate", async (req, res) => {
         details: saveErr.message
       });
     }
+    await keepSnapshot(uni, result);
+    await keepJournal(entry);
 
     const stats = result.Physics.getStatistics();
     const anomalyStats = result.AnomalyGen.getAnomalyStats();
@@ -340,28 +570,20 @@ router.post("/:id/simulate", async (req, res) => {
       endCondition: uni.endCondition,
       endReason: uni.endReason,
       newAchievements,
-      universe: uni
+      ...universeBody(req, uni)
     });
   } catch (err) {
     console.error("Simulate error:", err);
     return res.status(500).json({
       ok: false,
-      error: err.message || "Simulation error"
+      error: "Simulation error"
     });
   }
 });
 
-// Vessel lost: the death penalty (the game's fail state). Losing your ship is
-// no longer free - the universe DRIFTS while you recover: a direct stability
-// hit plus a forced time-skip that runs real physics (civs age, anomalies may
-// spawn, the reservoir drains). Death now means losing ground in the collapse
-// you're fighting, and enough deaths in a crisis can tip the universe over.
-const DEATH_PENALTY = {
-  Beginner:     { stability: 0.04, steps: 1 },
-  Intermediate: { stability: 0.06, steps: 2 },
-  Advanced:     { stability: 0.09, steps: 3 },
-};
-
+// Vessel lost: the death penalty (the game's fail state) - a direct stability
+// hit plus a forced time-skip. The numbers live with the action in
+// utils/universeActions.js (DEATH_PENALTY).
 router.post("/:id/vessel-lost", async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res);
@@ -369,45 +591,22 @@ router.post("/:id/vessel-lost", async (req, res) => {
     if (uni.status === "ended") {
       return res.status(400).json({ ok: false, error: "Universe already ended" });
     }
-
-    const difficulty = uni.difficulty || "Intermediate";
-    const pen = DEATH_PENALTY[difficulty] || DEATH_PENALTY.Intermediate;
-
-    if (!uni.currentState) uni.currentState = {};
-    const before = uni.currentState.stabilityIndex ?? 1;
-    // Direct hit first, so the forced steps run from the weakened state and can
-    // actually push a fragile universe past collapse.
-    uni.currentState.stabilityIndex = Math.max(0, before - pen.stability);
-    // Erode the recovery reservoir's ceiling too, so it can't instantly heal
-    // the wound back (mirrors how sustained damage caps regen).
-    if (typeof uni.currentState.stabilityCeiling === "number") {
-      uni.currentState.stabilityCeiling = Math.max(0, uni.currentState.stabilityCeiling - pen.stability);
+    if (uni.status === "paused") {
+      return res.status(400).json({ ok: false, error: "Universe is paused" });
     }
 
-    const ageBefore = uni.currentState.age || 0;
-    const now = new Date();
-    const result = advanceUniverse(uni, now, { forceSteps: pen.steps });
-    const yearsSkipped = (uni.currentState.age || 0) - ageBefore;
-    const stabilityDelta = (uni.currentState.stabilityIndex ?? 0) - before;
-
-    uni.metrics = uni.metrics || {};
-    uni.metrics.deaths = (uni.metrics.deaths || 0) + 1;
-    uni.markModified("metrics");
-
-    recordEvent(uni, {
-      type: "milestone",
-      description: `Vessel lost. The universe drifted ${(yearsSkipped / 1e6).toFixed(0)} Myr while you recovered — stability ${(stabilityDelta * 100).toFixed(1)}%.`,
-      effects: { death: true, stabilityDelta, yearsSkipped },
-    });
+    const { result, entry } = performAction(uni, "vessel-lost");
 
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepSnapshot(uni, result.result);
+    await keepJournal(entry);
 
     return res.json({
       ok: true,
-      universe: uni,
+      ...universeBody(req, uni),
       penalty: {
-        stabilityDelta,
-        yearsSkipped,
+        stabilityDelta: result.stabilityDelta,
+        yearsSkipped: result.yearsSkipped,
         deaths: uni.metrics.deaths,
         hasEnded: uni.status === "ended",
         endReason: uni.endReason,
@@ -415,17 +614,61 @@ router.post("/:id/vessel-lost", async (req, res) => {
     });
   } catch (err) {
     console.error("Vessel-lost error:", err);
-    return res.status(500).json({ ok: false, error: err.message || "Death penalty error" });
+    return res.status(500).json({ ok: false, error: "Death penalty error" });
+  }
+});
+
+// Vacation mode: freeze the universe. The cron sweep only selects running
+// universes and /simulate returns a paused payload, so nothing advances.
+router.post("/:id/pause", async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res);
+    if (!uni) return;
+
+    const { result, entry } = performAction(uni, "pause");
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.reason });
+    }
+
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
+    console.log(`⏸️ Universe ${uni._id} paused`);
+    return res.json({ ok: true, ...universeBody(req, uni) });
+  } catch (err) {
+    console.error("Pause error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to pause universe" });
+  }
+});
+
+// Resume a paused universe. The simulation clock is re-anchored so the
+// paused period owes no catch-up steps.
+router.post("/:id/resume", async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res);
+    if (!uni) return;
+
+    const { result, entry } = performAction(uni, "resume");
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.reason });
+    }
+
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
+    console.log(`▶️ Universe ${uni._id} resumed after ${Math.round(result.pausedMs / 1000)}s`);
+    return res.json({ ok: true, ...universeBody(req, uni), pausedMs: result.pausedMs });
+  } catch (err) {
+    console.error("Resume error:", err);
+    return res.status(500).json({ ok: false, error: "Failed to resume universe" });
   }
 });
 
 // Delete a universe
 router.delete("/:id", async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await findOwnedUniverse(req, res, { lean: true, select: "userId name" });
     if (!uni) return;
 
-    await uni.deleteOne();
+    await purgeUniverses({ ...STORE, Snapshot, JournalEntry }, [uni._id]);
 
     console.log(`🗑️ Deleted universe: ${uni.name}`);
 
@@ -437,14 +680,12 @@ router.delete("/:id", async (req, res) => {
 });
 
 // Resolve anomaly with modular architecture
-router.post("/:id/resolve-anomaly", async (req, res) => {
+router.post("/:id/resolve-anomaly", validate({
+  body: { anomalyId: SIM_ID, accuracy: { type: "number" } }
+}), async (req, res) => {
   try {
     const { anomalyId, accuracy } = req.body;
 
-    if (!anomalyId) {
-      return res.status(400).json({ ok: false, error: "anomalyId required" });
-    }
-
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
 
@@ -455,53 +696,22 @@ router.post("/:id/resolve-anomaly", async (req, res) => {
       });
     }
 
-    // Create anomaly generator to resolve
-    const AnomalyGen = new AnomalyGenerator(uni, { seed: uni.seed });
-
-    // Resolve anomaly - accuracy (0-100, from the minigame's performance grade)
-    // scales the reward; resolveAnomaly() clamps/validates it internally.
-    // The Containment Rig upgrade adds a server-side reward bonus computed
-    // from the universe's persisted upgrade level, never from client input.
-    // The chosen doctrine (build identity) scales it further - a Warden is
-    // rewarded for containment, a Surveyor/Voidrunner is penalized.
-    const containmentMultiplier =
-      (1 + (uni.upgrades?.containment || 0) * CONTAINMENT_BONUS_PER_LEVEL) *
-      doctrineModifiers(uni.doctrine).containment;
-    const result = AnomalyGen.resolveAnomaly(anomalyId, accuracy, containmentMultiplier);
-
-    if (!result.success) {
+    // Accuracy, the Containment Rig and doctrine bonuses are all applied
+    // server-side by the action - see utils/universeActions.js.
+    const { result, entry } = performAction(uni, "resolve-anomaly", {
+      anomalyId,
+      accuracy: typeof accuracy === "number" ? accuracy : null
+    });
+
+    if (!result.ok) {
       return res.status(400).json({
         ok: false,
         error: result.reason
       });
     }
 
-
-    // Record event
-    const precisionNote = result.accuracy !== null ? ` at ${result.accuracy.toFixed(0)}% precision` : "";
-    recordEvent(uni, {
-      type: "anomaly_resolved",
-      description: `Resolved ${result.anomaly.type} anomaly (severity ${result.anomaly.severity})${precisionNote}`,
-      effects: {
-        anomalyId,
-        category: result.anomaly.category,
-        severityResolved: result.anomaly.severity,
-        stabilityBoost: result.stabilityBoost,
-        entropyReduction: result.entropyReduction,
-        performanceMultiplier: result.performanceMultiplier,
-        accuracy: result.accuracy
-      }
-    });
-
-    // Mark arrays as modified
-    uni.markModified('anomalies');
-    uni.markModified('currentState');
-    uni.markModified('metrics');
-    uni.markModified('significantEvents');
-    
-    uni.lastModified = new Date();
-    
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     // Get updated stats
     const Physics = new PhysicsEngine(uni, { seed: uni.seed });
@@ -516,7 +726,7 @@ router.post("/:id/resolve-anomaly", async (req, res) => {
       entropyReduction: result.entropyReduction,
       performanceMultiplier: result.performanceMultiplier,
       accuracy: result.accuracy,
-      universe: uni,
+      ...universeBody(req, uni),
       stats
     });
   } catch (err) {
@@ -533,54 +743,22 @@ router.post("/:id/resolve-anomaly", async (req, res) => {
 // Research value is computed server-side (utils/researchValues.js) - the
 // client only reports WHAT was scanned, never what it is worth.
 const MAX_DISCOVERIES_PER_BATCH = 20;
-const MAX_DISCOVERIES_STORED = 1000;
 
-router.post("/:id/discoveries", async (req, res) => {
+router.post("/:id/discoveries", rateLimit("discoveries"), validate({
+  body: { discoveries: { type: "array", default: [] } }
+}), async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
 
-    const raw = Array.isArray(req.body.discoveries)
-      ? req.body.discoveries.slice(0, MAX_DISCOVERIES_PER_BATCH)
-      : [];
+    const raw = req.body.discoveries.slice(0, MAX_DISCOVERIES_PER_BATCH);
 
-    const { accepted, duplicates, rejected } = prepareDiscoveries(uni, raw);
+    const { result, entry } = performAction(uni, "discoveries", { discoveries: raw });
+    const { accepted, duplicates, rejected, earned } = result;
 
     if (accepted.length > 0) {
-      uni.discoveries.push(...accepted);
-      // Evict oldest past the cap; counters below survive eviction.
-      if (uni.discoveries.length > MAX_DISCOVERIES_STORED) {
-        uni.discoveries.splice(0, uni.discoveries.length - MAX_DISCOVERIES_STORED);
-      }
-
-      // Survey-streak bonus: the client reports its scan-chain multiplier; the
-      // server clamps it to the legitimate ceiling (+60%) so a tampered payload
-      // can never do better than a perfect streak would.
-      const streakMult = Math.min(1.6, Math.max(1, ...raw.map((r) => Number(r?.surveyMult) || 1)));
-      const base = accepted.reduce((sum, d) => sum + d.researchValue, 0);
-      const earned = Math.round(base * streakMult);
-      if (!uni.research) uni.research = {};
-      uni.research.points = (uni.research.points || 0) + earned;
-      uni.research.totalEarned = (uni.research.totalEarned || 0) + earned;
-      uni.research.discoveryCount = (uni.research.discoveryCount || 0) + accepted.length;
-      for (const d of accepted) {
-        if (!uni.research.classesDiscovered.includes(d.objectClass)) {
-          uni.research.classesDiscovered.push(d.objectClass);
-        }
-      }
-
-      for (const d of accepted.filter((a) => a.rarity === "rare" || a.rarity === "exceptional")) {
-        recordEvent(uni, {
-          type: "discovery",
-          description: `Cataloged ${d.name} (${d.objectClass})`,
-          effects: { discoveryId: d.id, rarity: d.rarity, researchValue: d.researchValue }
-        });
-      }
-
-      uni.markModified("discoveries");
-      uni.markModified("research");
-      uni.lastModified = new Date();
-      await uni.save();
+      await saveUniverse(STORE, uni);
+      await keepJournal(entry);
 
       console.log(`🔭 ${accepted.length} discoveries (+${earned} RP) in ${uni.name}`);
     }
@@ -605,7 +783,9 @@ router.post("/:id/discoveries", async (req, res) => {
 // its deterministic id; the server validates the id shape, dedups against
 // persistent history, and computes the (modest) real rewards - including
 // metrics.anomaliesResolved, so minors count toward containment missions.
-router.post("/:id/resolve-minor", async (req, res) => {
+router.post("/:id/resolve-minor", validate({
+  body: { anomalyId: SIM_ID, severity: { type: "number" }, accuracy: { type: "number" } }
+}), async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -614,22 +794,18 @@ router.post("/:id/resolve-minor", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Universe already ended" });
     }
 
-    const result = applyMinorResolution(uni, {
+    const { result, entry } = performAction(uni, "resolve-minor", {
       anomalyId: req.body.anomalyId,
       severity: req.body.severity,
       accuracy: req.body.accuracy
-    }, CONTAINMENT_BONUS_PER_LEVEL);
+    });
 
     if (!result.ok) {
       return res.status(400).json({ ok: false, error: result.reason, duplicate: !!result.duplicate });
     }
 
-    uni.markModified("currentState");
-    uni.markModified("research");
-    uni.markModified("metrics");
-    uni.markModified("resolvedMinorAnomalies");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     const newAchievements = await awardAchievements(User, req.user.id, uni);
 
@@ -638,7 +814,7 @@ router.post("/:id/resolve-minor", async (req, res) => {
       reward: result.reward,
       stabilityBoost: result.stabilityBoost,
       newAchievements,
-      universe: uni
+      ...universeBody(req, uni)
     });
   } catch (err) {
     console.error("Resolve minor anomaly error:", err);
@@ -649,7 +825,9 @@ router.post("/:id/resolve-minor", async (req, res) => {
 // Claim a live cosmic event reward (supernova capture / comet sample /
 // derelict salvage). Rate-limited per event kind server-side - see
 // utils/eventRewards.js for why this is cooldown-trust rather than proof.
-router.post("/:id/event-reward", async (req, res) => {
+router.post("/:id/event-reward", rateLimit("eventReward"), validate({
+  body: { kind: { type: "string", required: true, maxLength: 64 } }
+}), async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -658,24 +836,15 @@ router.post("/:id/event-reward", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Universe already ended" });
     }
 
-    const result = claimEventReward(uni, req.body.kind);
+    const { result, entry } = performAction(uni, "event-reward", { kind: req.body.kind });
     if (!result.ok) {
       return res.status(400).json({ ok: false, error: result.reason, cooldown: !!result.cooldown });
     }
 
-    recordEvent(uni, {
-      type: "cosmic_event",
-      description: result.title,
-      effects: { kind: req.body.kind, reward: result.reward }
-    });
-
-    uni.markModified("research");
-    uni.markModified("eventRewards");
-    uni.markModified("significantEvents");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
-    return res.json({ ok: true, reward: result.reward, title: result.title, universe: uni });
+    return res.json({ ok: true, reward: result.reward, title: result.title, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Event reward error:", err);
     return res.status(500).json({ ok: false, error: "Claim failed" });
@@ -685,12 +854,9 @@ router.post("/:id/event-reward", async (req, res) => {
 // Claim a completed mission. Completion is validated server-side against
 // live universe state; the reward flows through the research economy and a
 // replacement objective is issued automatically.
-router.post("/:id/claim-mission", async (req, res) => {
+router.post("/:id/claim-mission", validate({ body: { missionId: SIM_ID } }), async (req, res) => {
   try {
     const { missionId } = req.body;
-    if (!missionId) {
-      return res.status(400).json({ ok: false, error: "missionId required" });
-    }
 
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -699,28 +865,19 @@ router.post("/:id/claim-mission", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Cannot claim missions in an ended universe" });
     }
 
-    const result = claimMission(uni, missionId);
+    const { result, entry } = performAction(uni, "claim-mission", { missionId });
     if (!result.ok) {
       return res.status(400).json({ ok: false, error: result.reason });
     }
 
-    recordEvent(uni, {
-      type: "mission",
-      description: `Objective complete: ${result.mission.title} (+${result.reward} RP)`,
-      effects: { missionId, templateId: result.mission.templateId, reward: result.reward }
-    });
-
-    uni.markModified("missions");
-    uni.markModified("research");
-    uni.markModified("significantEvents");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     console.log(`🎯 Mission claimed in ${uni.name}: ${result.mission.title} (+${result.reward} RP)`);
 
     const newAchievements = await awardAchievements(User, req.user.id, uni);
 
-    return res.json({ ok: true, reward: result.reward, title: result.mission.title, newAchievements, universe: uni });
+    return res.json({ ok: true, reward: result.reward, title: result.mission.title, newAchievements, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Claim mission error:", err);
     return res.status(500).json({ ok: false, error: "Claim failed" });
@@ -730,12 +887,11 @@ router.post("/:id/claim-mission", async (req, res) => {
 // First Contact: interact with a civilization (observe / uplift / pacify).
 // All effects, costs, and the uplift backfire roll are server-side
 // (utils/contactSystem.js) - the client only names the civ and the action.
-router.post("/:id/contact-civilization", async (req, res) => {
+router.post("/:id/contact-civilization", validate({
+  body: { civId: SIM_ID, action: { type: "string", required: true, maxLength: 32 } }
+}), async (req, res) => {
   try {
     const { civId, action } = req.body;
-    if (!civId || !action) {
-      return res.status(400).json({ ok: false, error: "civId and action required" });
-    }
 
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -744,24 +900,13 @@ router.post("/:id/contact-civilization", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Cannot contact civilizations in an ended universe" });
     }
 
-    const result = applyContact(uni, civId, action);
+    const { result, entry } = performAction(uni, "contact-civilization", { civId, action });
     if (!result.ok) {
       return res.status(400).json({ ok: false, error: result.reason });
     }
 
-    recordEvent(uni, {
-      type: "contact",
-      description: result.message,
-      effects: { civId, action, outcome: result.outcome, cost: result.cost ?? 0, reward: result.reward ?? 0 }
-    });
-
-    uni.markModified("civilizations");
-    uni.markModified("research");
-    uni.markModified("significantEvents");
-    uni.markModified("activeWars"); // arm mutates scores; broker removes entries
-    uni.markModified("metrics");    // broker increments warsBrokered
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     console.log(`🛸 Contact [${action}/${result.outcome}] with ${civDesignation(civId)} in ${uni.name}`);
 
@@ -774,7 +919,7 @@ router.post("/:id/contact-civilization", async (req, res) => {
       cost: result.cost ?? 0,
       reward: result.reward ?? 0,
       newAchievements,
-      universe: uni
+      ...universeBody(req, uni)
     });
   } catch (err) {
     console.error("Contact error:", err);
@@ -785,12 +930,11 @@ router.post("/:id/contact-civilization", async (req, res) => {
 // Answer a civilization's petition (utils/petitionSystem.js). Body:
 // { civId, petitionId, optionId }. Server validates the petition is still the
 // live one and applies the chosen outcome.
-router.post("/:id/respond-petition", async (req, res) => {
+router.post("/:id/respond-petition", validate({
+  body: { civId: SIM_ID, petitionId: SIM_ID, optionId: SIM_ID }
+}), async (req, res) => {
   try {
     const { civId, petitionId, optionId } = req.body;
-    if (!civId || !petitionId || !optionId) {
-      return res.status(400).json({ ok: false, error: "civId, petitionId and optionId required" });
-    }
 
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -798,29 +942,18 @@ router.post("/:id/respond-petition", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Cannot respond in an ended universe" });
     }
 
-    const result = respondToPetition(uni, civId, petitionId, optionId);
+    const { result, entry } = performAction(uni, "respond-petition", { civId, petitionId, optionId });
     if (!result.ok) {
       return res.status(400).json({ ok: false, error: result.reason });
     }
 
-    recordEvent(uni, {
-      type: "contact",
-      description: result.message,
-      effects: { civId, petition: result.kind, optionId }
-    });
-
-    uni.markModified("civilizations");
-    uni.markModified("research");
-    uni.markModified("significantEvents");
-    uni.markModified("activeWars"); // arm/broker options mutate wars
-    uni.markModified("metrics");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     console.log(`📜 Petition [${result.kind}/${optionId}] answered for ${civDesignation(civId)} in ${uni.name}`);
 
     const newAchievements = await awardAchievements(User, req.user.id, uni);
-    return res.json({ ok: true, kind: result.kind, optionId, message: result.message, newAchievements, universe: uni });
+    return res.json({ ok: true, kind: result.kind, optionId, message: result.message, newAchievements, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Petition response error:", err);
     return res.status(500).json({ ok: false, error: "Petition response failed" });
@@ -830,7 +963,9 @@ router.post("/:id/respond-petition", async (req, res) => {
 // Purchase a ship upgrade with research points. Costs and level caps live in
 // utils/upgradeCatalog.js (server-authoritative); the client only names the
 // track it wants.
-router.post("/:id/upgrade", async (req, res) => {
+router.post("/:id/upgrade", validate({
+  body: { track: { type: "string", required: true, maxLength: 32 } }
+}), async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -839,24 +974,13 @@ router.post("/:id/upgrade", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Cannot outfit a ship in an ended universe" });
     }
 
-    const check = validatePurchase(uni, req.body.track);
+    const { result: check, entry } = performAction(uni, "upgrade", { track: req.body.track });
     if (!check.ok) {
       return res.status(400).json({ ok: false, error: check.reason });
     }
 
-    uni.research.points -= check.cost;
-    uni.upgrades[req.body.track] = check.nextLevel;
-
-    recordEvent(uni, {
-      type: "upgrade",
-      description: `Installed ${check.label} Mk ${check.nextLevel}`,
-      effects: { track: req.body.track, level: check.nextLevel, cost: check.cost }
-    });
-
-    uni.markModified("upgrades");
-    uni.markModified("research");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     console.log(`🔧 ${check.label} Mk ${check.nextLevel} installed (-${check.cost} RP) in ${uni.name}`);
 
@@ -878,7 +1002,9 @@ router.post("/:id/upgrade", async (req, res) => {
 // switching is free, because the identity lives in the tradeoff you're playing
 // with, not in punishing lock-in. Server-authoritative so its reward effects
 // (containment) can't be spoofed.
-router.post("/:id/doctrine", async (req, res) => {
+router.post("/:id/doctrine", validate({
+  body: { doctrine: { type: "string", maxLength: 32 } }
+}), async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -888,18 +1014,14 @@ router.post("/:id/doctrine", async (req, res) => {
 
     let { doctrine } = req.body;
     if (doctrine === "none") doctrine = null;
-    if (!isValidDoctrine(doctrine)) {
-      return res.status(400).json({ ok: false, error: "Unknown doctrine" });
+
+    const { result, entry } = performAction(uni, "doctrine", { doctrine });
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.reason });
     }
 
-    uni.doctrine = doctrine;
-    recordEvent(uni, {
-      type: "upgrade",
-      description: doctrine ? `Adopted the ${doctrine} doctrine` : "Reverted to a stock configuration",
-      effects: { doctrine },
-    });
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     return res.json({ ok: true, doctrine: uni.doctrine });
   } catch (err) {
@@ -912,10 +1034,11 @@ router.post("/:id/doctrine", async (req, res) => {
 // server owns every lasting consequence (regard, militarization, war score).
 // Kill counts are clamped and the war is verified server-side, so a tampered
 // client can shift a war by at most one clamped strike per request.
-router.post("/:id/war-strike", async (req, res) => {
+router.post("/:id/war-strike", validate({
+  body: { civId: SIM_ID, kills: { type: "number" }, defendingCivId: { ...SIM_ID, required: false } }
+}), async (req, res) => {
   try {
     const { civId, kills, defendingCivId } = req.body;
-    if (!civId) return res.status(400).json({ ok: false, error: "civId required" });
 
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -924,25 +1047,21 @@ router.post("/:id/war-strike", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Universe has ended" });
     }
 
-    const result = applyWarStrike(uni, civId, kills, { defendingCivId });
-    if (!result.ok) return res.status(400).json({ ok: false, error: result.reason });
-
-    recordEvent(uni, {
-      type: result.brokeSiege ? "war" : "civilization",
-      description: result.message,
-      effects: result.effects,
+    const { result, entry } = performAction(uni, "war-strike", {
+      civId,
+      kills,
+      defendingCivId: defendingCivId ?? null
     });
+    if (!result.ok) return res.status(400).json({ ok: false, error: result.reason });
 
-    uni.markModified("civilizations");
-    uni.markModified("activeWars");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     return res.json({
       ok: true,
       message: result.message,
       brokeSiege: result.brokeSiege,
-      universe: uni,
+      ...universeBody(req, uni),
     });
   } catch (err) {
     console.error("War strike error:", err);
@@ -955,12 +1074,11 @@ router.post("/:id/war-strike", async (req, res) => {
  * `runs` bombardment runs against it. The client batches these; the server
  * decides what they cost, up to and including the end of a species.
  */
-router.post("/:id/bombard", async (req, res) => {
+router.post("/:id/bombard", validate({
+  body: { civId: SIM_ID, runs: { type: "number" }, attackerCivId: SIM_ID }
+}), async (req, res) => {
   try {
     const { civId, runs, attackerCivId } = req.body;
-    if (!civId || !attackerCivId) {
-      return res.status(400).json({ ok: false, error: "civId and attackerCivId required" });
-    }
 
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
@@ -969,26 +1087,17 @@ router.post("/:id/bombard", async (req, res) => {
       return res.status(400).json({ ok: false, error: "Universe has ended" });
     }
 
-    const result = applyBombardment(uni, civId, runs, { attackerCivId });
+    const { result, entry } = performAction(uni, "bombard", { civId, runs, attackerCivId });
     if (!result.ok) return res.status(400).json({ ok: false, error: result.reason });
 
-    recordEvent(uni, {
-      type: result.extinct ? "extinction" : "war",
-      description: result.message,
-      effects: result.effects,
-    });
-
-    uni.markModified("civilizations");
-    uni.markModified("activeWars");
-    uni.markModified("currentState");
-    uni.lastModified = new Date();
-    await uni.save();
+    await saveUniverse(STORE, uni);
+    await keepJournal(entry);
 
     return res.json({
       ok: true,
       message: result.message,
       extinct: result.extinct,
-      universe: uni,
+      ...universeBody(req, uni),
     });
   } catch (err) {
     console.error("Bombardment error:", err);
@@ -1039,12 +1148,30 @@ router.get("/:id/anomalies", async (req, res) => {
   }
 });
 
-// Get ML predictions
-router.get("/:id/predictions", async (req, res) => {
+// Latest Monte Carlo forecast per universe (utils/monteCarloForecast.js)
+const forecasts = createForecastCache();
+
+// Get ML predictions. ?mode=forecast instead simulates the universe forward
+// on throwaway copies - ?steps= ahead (default: the crisis window) over ?runs=
+// seeds - and returns the spread of outcomes, reused until the next step.
+router.get("/:id/predictions", validate({
+  query: {
+    mode: { type: "string", enum: ["model", "forecast"], default: "model" },
+    steps: { type: "integer", min: 1, max: MAX_FORECAST_STEPS },
+    runs: { type: "integer", min: 1, max: MAX_FORECAST_RUNS }
+  }
+}), async (req, res) => {
   try {
     const uni = await findOwnedUniverse(req, res, { lean: true });
     if (!uni) return;
 
+    if (req.query.mode === "forecast") {
+      const options = { steps: req.query.steps, runs: req.query.runs };
+      const { result, cached } = forecasts.fetch(uni, options, () => forecastUniverse(uni, options));
+      if (!result.ok) return res.status(400).json({ ok: false, error: result.reason });
+      return res.json({ ok: true, forecast: result.forecast, cached });
+    }
+
     const Predictor = new MLPredictor(uni);
     const predictions = Predictor.generatePredictions();
     
@@ -1077,27 +1204,24 @@ router.get("/:id/end-conditions", async (req, res) => {
 });
 
 // Bulk cleanup resolved anomalies
-router.post("/:id/cleanup-anomalies", async (req, res) => {
+router.post("/:id/cleanup-anomalies", validate({
+  body: { keepRecentMinutes: { type: "number", min: 0, max: 365 * 24 * 60, default: 60 } }
+}), async (req, res) => {
   try {
-    const { keepRecentMinutes = 60 } = req.body;
+    const { keepRecentMinutes } = req.body;
 
     const uni = await findOwnedUniverse(req, res);
     if (!uni) return;
 
-    const cutoffTime = Date.now() - keepRecentMinutes * 60 * 1000;
-    const before = uni.anomalies.length;
-    
-    uni.anomalies = uni.anomalies.filter(a => 
-      !a.resolved || new Date(a.resolvedAt || a.timestamp).getTime() > cutoffTime
-    );
-    
-    const removed = before - uni.anomalies.length;
-    
+    const { result, entry } = performAction(uni, "cleanup-anomalies", {
+      keepRecentMinutes
+    });
+    const { removed } = result;
+
     if (removed > 0) {
-      uni.markModified('anomalies');
-      uni.lastModified = new Date();
-      await uni.save();
-      
+      await saveUniverse(STORE, uni);
+      await keepJournal(entry);
+
       console.log(`🧹 Cleaned ${removed} old resolved anomalies from ${uni.name}`);
     }
 
@@ -1112,19 +1236,119 @@ router.post("/:id/cleanup-anomalies", async (req, res) => {
   }
 });
 
+// List the rewind points for a universe, newest first. The captured state
+// itself stays server-side; each entry carries what a rewind to it would
+// cost right now (0 where only an admin may restore anyway).
+router.get("/:id/snapshots", async (req, res) => {
+  try {
+    const uni = await findOwnedUniverse(req, res, { lean: true, select: "userId simStep status" });
+    if (!uni) return;
+
+    const snapshots = await Snapshot.find({ universeId: uni._id })
+      .select("-state")
+      .sort({ takenAt: -1 })
+      .lean();
+
+    return res.json({
+      ok: true,
+      snapshots: snapshots.map((s) => ({
+        ...s,
+        restoreCost: uni.status === "ended" ? 0 : restoreCost(uni, s)
+      }))
+    });
+  } catch (err) {
+    console.error("List snapshots error:", err);
+    return res.status(500).json({ ok: false, error: "Server error" });
+  }
+});
+
+/**
+ * Rewind a universe to one of its snapshots. An ENDED universe (a collapse
+ * we want to undo after a bug or bad balance change) can only be restored by
+ * an admin, for free. A running universe can be rewound by its owner for a
+ * research cost. Either way the state just before the rewind is kept as a
+ * snapshot of its own, so a rewind can itself be undone.
+ *
+ * Given a loader, the handler is the admin console's (routes/admin.js): any
+ * player's universe, ended ones only, with the permission checked by the
+ * console's own middleware.
+ */
+function snapshotRestore(findAnyUniverse = null) {
+  return async (req, res) => {
+    try {
+      const uni = await (findAnyUniverse || findOwnedUniverse)(req, res);
+      if (!uni) return;
+
+      const snapshot = await Snapshot.findOne({ _id: req.params.snapshotId, universeId: uni._id }).lean();
+      if (!snapshot) {
+        return res.status(404).json({ ok: false, error: "Snapshot not found" });
+      }
+
+      let cost = 0;
+      if (findAnyUniverse) {
+        if (uni.status !== "ended") {
+          return res.status(400).json({ ok: false, error: "Only an ended universe can be restored from the console - its owner rewinds a running one" });
+        }
+      } else if (uni.status === "ended") {
+        // Same source of truth as permissionMiddleware: the DB role, never a claim
+        const user = await User.findById(req.user.id).select("role isAdmin").lean();
+        if (!user || !hasPermission(user, "universes.restoreEnded")) {
+          return res.status(403).json({ ok: false, error: "Only an administrator can restore an ended universe" });
+        }
+      } else {
+        cost = restoreCost(uni, snapshot);
+      }
+
+      const undoPoint = captureSnapshot(uni);
+      const { result, entry } = performAction(uni, "rewind", {
+        snapshotId: snapshot._id.toString(),
+        snapshot: { simStep: snapshot.simStep, state: snapshot.state },
+        cost
+      });
+      if (!result.ok) {
+        return res.status(400).json({ ok: false, error: result.reason });
+      }
+
+      await saveUniverse(STORE, uni);
+      await persistSnapshot(Snapshot, uni, undoPoint, "pre-restore");
+      await keepJournal(entry);
+
+      console.log(`⏪ Rewound ${uni.name} ${result.stepsRewound} steps to step ${snapshot.simStep} (-${cost} RP)` +
+        (findAnyUniverse ? ` by ${req.user.id}` : ""));
+
+      return res.json({ ok: true, stepsRewound: result.stepsRewound, cost, ...universeBody(req, uni) });
+    } catch (err) {
+      console.error("Restore snapshot error:", err);
+      return res.status(500).json({ ok: false, error: "Restore failed" });
+    }
+  };
+}
+
+router.post("/:id/snapshots/:snapshotId/restore", snapshotRestore());
+
 // ============================================================
-// DEV / TEST ENDPOINTS (admin only)
+// DEV / TEST ENDPOINTS (testers and admins)
 //
-// Every route below runs requireAdmin, which re-checks isAdmin against the
-// DB per request - the flag itself is only settable by editing the user
+// Every route below runs requirePermission for its own dev.* permission,
+// re-checked against the caller's role in the DB per request
+// (utils/permissions.js) - roles are only settable by editing the user
 // document in MongoDB directly, so regular players cannot reach these even
-// by calling the API by hand. All input amounts are clamped server-side.
+// by calling the API by hand. Here they only ever load the caller's OWN
+// universes; they live on a router of their own so the admin console
+// (routes/admin.js) can mount them over any player's universe, by setting
+// req.loadUniverse to its own loader. All input amounts are clamped
+// server-side.
 // ============================================================
 
+const devTools = express.Router({ mergeParams: true });
+const loadUniverse = (req, res, options) => (req.loadUniverse || findOwnedUniverse)(req, res, options);
+
 // Fast-forward the simulation by N steps regardless of wall-clock time
-router.post("/:id/dev/fast-forward", requireAdmin, async (req, res) => {
+devTools.post("/fast-forward", requirePermission("dev.fastForward"), validate({
+  body: { steps: { type: "number" } }
+}), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
     if (uni.status === "ended") {
       return res.status(400).json({ ok: false, error: "Universe already ended" });
@@ -1135,8 +1359,10 @@ router.post("/:id/dev/fast-forward", requireAdmin, async (req, res) => {
     // exact stability trajectory a jump produced (the whole point of the tool
     // is watching drain / escalation / crisis build across a fast-forward).
     const stabilityBefore = uni.currentState.stabilityIndex;
-    const result = advanceUniverse(uni, new Date(), { forceSteps: steps });
-    await uni.save();
+    const { result, entry } = performAction(uni, "fast-forward", { steps });
+    await saveUniverse(STORE, uni);
+    await keepSnapshot(uni, result);
+    await keepJournal(entry);
 
     const cs = uni.currentState;
     console.log(`🛠️ [DEV] Fast-forwarded ${uni.name} by ${result.steps} steps`);
@@ -1154,7 +1380,7 @@ router.post("/:id/dev/fast-forward", requireAdmin, async (req, res) => {
       ended: uni.status === "ended",
       endCondition: uni.endCondition || null,
       stats: result.Physics.getStatistics(),
-      universe: uni,
+      ...universeBody(req, uni),
     });
   } catch (err) {
     console.error("Dev fast-forward error:", err);
@@ -1162,20 +1388,75 @@ router.post("/:id/dev/fast-forward", requireAdmin, async (req, res) => {
   }
 });
 
+// Rebuild the universe from its action journal and diff the rebuild against
+// the stored document (utils/actionJournal.js). An empty diff means the
+// journal fully explains how the universe got here. The journal is read
+// through a cursor and replayed as it arrives, so however long a universe
+// has been played, only the current page and the entries the report names
+// are held.
+const REPLAY_BATCH_SIZE = 200;
+
+devTools.get("/replay", requirePermission("dev.replay"), async (req, res) => {
+  try {
+    const uni = await loadUniverse(req, res, { lean: true });
+    if (!uni) return;
+
+    const replay = createReplay({ Universe });
+    const named = new Map();
+    let entries = 0;
+    const journal = JournalEntry.find({ universeId: uni._id })
+      .sort({ at: 1, _id: 1 })
+      .lean()
+      .cursor({ batchSize: REPLAY_BATCH_SIZE });
+    for await (const entry of journal) {
+      const marks = replay.apply(entry);
+      if (marks.diverged || marks.unreplayable) {
+        named.set(marks.index, { index: marks.index, action: entry.action, simStep: entry.simStep, at: entry.at });
+      }
+      entries++;
+    }
+
+    const result = replay.finish();
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.reason, entries });
+    }
+
+    const diffs = diffUniverse(result.universe, uni);
+    const at = (i) => (i === null ? null : named.get(i));
+
+    console.log(`🛠️ [DEV] Replayed ${entries} journal entries for ${uni.name}: ${diffs.length ? `${diffs.length} differences` : "identical"}`);
+    return res.json({
+      ok: true,
+      entries,
+      applied: result.applied,
+      unreplayable: result.unreplayable.map(at),
+      divergedAt: at(result.divergedAt),
+      identical: diffs.length === 0,
+      diffs
+    });
+  } catch (err) {
+    console.error("Dev replay error:", err);
+    return res.status(500).json({ ok: false, error: "Replay failed" });
+  }
+});
+
 // Grant research points
-router.post("/:id/dev/grant-research", requireAdmin, async (req, res) => {
+devTools.post("/grant-research", requirePermission("dev.grantResearch"), validate({
+  body: { points: { type: "number" } }
+}), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     const points = Math.max(1, Math.min(100000, Math.floor(Number(req.body.points) || 0)));
     if (!uni.research) uni.research = {};
     uni.research.points = (uni.research.points || 0) + points;
     uni.markModified("research");
-    await uni.save();
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "grant-research", points }));
     console.log(`🛠️ [DEV] Granted ${points} RP in ${uni.name}`);
-    return res.json({ ok: true, granted: points, universe: uni });
+    return res.json({ ok: true, granted: points, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev grant-research error:", err);
     return res.status(500).json({ ok: false, error: "Grant failed" });
@@ -1184,9 +1465,11 @@ router.post("/:id/dev/grant-research", requireAdmin, async (req, res) => {
 
 // Force-spawn anomalies near the player (no probability gates, no effects
 // applied to universe state - just interactable test targets)
-router.post("/:id/dev/spawn-anomalies", requireAdmin, async (req, res) => {
+devTools.post("/spawn-anomalies", requirePermission("dev.spawnAnomalies"), validate({
+  body: { count: { type: "number" } }
+}), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     const count = Math.max(1, Math.min(10, Math.floor(Number(req.body.count) || 1)));
@@ -1198,10 +1481,11 @@ router.post("/:id/dev/spawn-anomalies", requireAdmin, async (req, res) => {
     const created = AnomalyGen.forceSpawn(count);
 
     uni.markModified("anomalies");
-    await uni.save();
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "spawn-anomalies", count }));
     console.log(`🛠️ [DEV] Spawned ${created.length} anomalies in ${uni.name}`);
-    return res.json({ ok: true, created, universe: uni });
+    return res.json({ ok: true, created, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev spawn-anomalies error:", err);
     return res.status(500).json({ ok: false, error: "Spawn failed" });
@@ -1209,9 +1493,9 @@ router.post("/:id/dev/spawn-anomalies", requireAdmin, async (req, res) => {
 });
 
 // Force-start a war between the two most recently spawned living civs
-router.post("/:id/dev/start-war", requireAdmin, async (req, res) => {
+devTools.post("/start-war", requirePermission("dev.startWar"), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     const alive = (uni.civilizations || []).filter((c) => !c.extinct);
@@ -1233,10 +1517,11 @@ router.post("/:id/dev/start-war", requireAdmin, async (req, res) => {
 
     uni.markModified("activeWars");
     uni.markModified("significantEvents");
-    await uni.save();
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "start-war" }));
     console.log(`🛠️ [DEV] War started in ${uni.name}`);
-    return res.json({ ok: true, universe: uni });
+    return res.json({ ok: true, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev start-war error:", err);
     return res.status(500).json({ ok: false, error: "War failed to start (ironic)" });
@@ -1248,9 +1533,9 @@ router.post("/:id/dev/start-war", requireAdmin, async (req, res) => {
  * war, so the whole fleet-combat loop (raid waves, escorts, bombardment,
  * extinction) is one button away instead of four setup steps.
  */
-router.post("/:id/dev/stage-siege", requireAdmin, async (req, res) => {
+devTools.post("/stage-siege", requirePermission("dev.stageSiege"), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     const engine = new PhysicsEngine(uni, {
@@ -1286,10 +1571,11 @@ router.post("/:id/dev/stage-siege", requireAdmin, async (req, res) => {
     uni.markModified("currentState");
     uni.markModified("activeWars");
     uni.markModified("significantEvents");
-    await uni.save();
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "stage-siege" }));
     console.log(`🛠️ [DEV] Siege staged in ${uni.name}`);
-    return res.json({ ok: true, universe: uni });
+    return res.json({ ok: true, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev stage-siege error:", err);
     return res.status(500).json({ ok: false, error: "Failed to stage siege" });
@@ -1302,9 +1588,9 @@ router.post("/:id/dev/stage-siege", requireAdmin, async (req, res) => {
  * staged with), leaving a natural universe behind. The next live tick with an
  * observed civ and no Type II will stage a fresh one.
  */
-router.post("/:id/dev/reset-opening-siege", requireAdmin, async (req, res) => {
+devTools.post("/reset-opening-siege", requirePermission("dev.resetOpeningSiege"), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     const scripted = (uni.activeWars || []).filter((w) => w.scripted);
@@ -1320,10 +1606,11 @@ router.post("/:id/dev/reset-opening-siege", requireAdmin, async (req, res) => {
     uni.markModified("civilizations");
     uni.markModified("currentState");
     uni.markModified("activeWars");
-    await uni.save();
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "reset-opening-siege" }));
     console.log(`🛠️ [DEV] Opening siege re-armed for ${uni.name}`);
-    return res.json({ ok: true, removed: stagedIds.size, universe: uni });
+    return res.json({ ok: true, removed: stagedIds.size, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev reset-opening-siege error:", err);
     return res.status(500).json({ ok: false, error: "Failed to reset opening siege" });
@@ -1333,17 +1620,19 @@ router.post("/:id/dev/reset-opening-siege", requireAdmin, async (req, res) => {
 // Rewind the visit anchors so the NEXT entry into this universe shows the
 // "while you were away" digest (pair with fast-forward to generate events
 // inside the window)
-router.post("/:id/dev/rewind-visit", requireAdmin, async (req, res) => {
+devTools.post("/rewind-visit", requirePermission("dev.rewindVisit"), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     uni.lastVisitedAt = new Date(Date.now() - 2 * 3600 * 1000); // "2 hours ago"
     uni.lastVisitAge = Math.max(0, (uni.currentState?.age || 0) - 0.5e9);
-    await uni.save();
+    uni.lastVisitStability = uni.currentState?.stabilityIndex ?? null;
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "rewind-visit" }));
     console.log(`🛠️ [DEV] Visit anchors rewound for ${uni.name}`);
-    return res.json({ ok: true, universe: uni });
+    return res.json({ ok: true, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev rewind-visit error:", err);
     return res.status(500).json({ ok: false, error: "Rewind failed" });
@@ -1351,9 +1640,15 @@ router.post("/:id/dev/rewind-visit", requireAdmin, async (req, res) => {
 });
 
 // Force-spawn civilizations near the player
-router.post("/:id/dev/spawn-civilizations", requireAdmin, async (req, res) => {
+devTools.post("/spawn-civilizations", requirePermission("dev.spawnCivilizations"), validate({
+  body: {
+    count: { type: "number" },
+    disposition: { type: "string", enum: ["worship", "hostile"] },
+    civType: { type: "string", enum: ["Type0", "Type1", "Type2", "Type3"] }
+  }
+}), async (req, res) => {
   try {
-    const uni = await findOwnedUniverse(req, res);
+    const uni = await loadUniverse(req, res);
     if (!uni) return;
 
     const count = Math.max(1, Math.min(10, Math.floor(Number(req.body.count) || 1)));
@@ -1400,14 +1695,19 @@ router.post("/:id/dev/spawn-civilizations", requireAdmin, async (req, res) => {
 
     uni.markModified("civilizations");
     uni.markModified("currentState");
-    await uni.save();
+    await saveUniverse(STORE, uni);
 
+    await keepJournal(journalEntry(uni, DEV, { tool: "spawn-civilizations", count, disposition: disposition ?? null, civType: civType ?? null }));
     console.log(`🛠️ [DEV] Spawned ${count} civilizations in ${uni.name}`);
-    return res.json({ ok: true, spawned: count, universe: uni });
+    return res.json({ ok: true, spawned: count, ...universeBody(req, uni) });
   } catch (err) {
     console.error("Dev spawn-civilizations error:", err);
     return res.status(500).json({ ok: false, error: "Spawn failed" });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+router.use("/:id/dev", devTools);
+
+module.exports = router;
+module.exports.devTools = devTools;
+module.exports.snapshotRestore = snapshotRestore;
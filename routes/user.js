@@ -1,16 +1,47 @@
 const express = require("express");
+const bcrypt = require("bcryptjs");
 const verifyToken = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validate");
 const User = require("../models/User");
-const { unlockedHullIds, validateLoadout } = require("../utils/hullCatalog");
+const Session = require("../models/Session");
+const Universe = require("../models/Universe");
+const UniverseEvent = require("../models/UniverseEvent");
+const Discovery = require("../models/Discovery");
+const ExtinctCivilization = require("../models/ExtinctCivilization");
+const ArchivedEvent = require("../models/ArchivedEvent");
+const Snapshot = require("../models/Snapshot");
+const JournalEntry = require("../models/JournalEntry");
+const { HULL_MAP, COLOR_PALETTE, unlockedHullIds, validateLoadout } = require("../utils/hullCatalog");
+const { guestExpiry } = require("../utils/guestRetention");
+const { effectiveRole, permissionsFor } = require("../utils/permissions");
+const { buildAccountExport } = require("../utils/accountExport");
+const { purgeAccount } = require("../utils/accountPurge");
+const { lockoutRemaining, recordLoginFailure } = require("../utils/loginLockout");
 
 const router = express.Router();
 
+// Everything stored under an account (utils/accountExport.js,
+// utils/accountPurge.js)
+const ACCOUNT = {
+  User, Session, Universe, UniverseEvent, Discovery, ExtinctCivilization, ArchivedEvent, Snapshot, JournalEntry
+};
+
 router.get("/profile", verifyToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select("-password");
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    res.json(user);
+    // Registered accounts that haven't confirmed their address get flagged
+    // (guests have no real address to confirm until they claim); guests are
+    // told when idleness will cost them the account. role and permissions
+    // are UI hints; every privileged route re-checks them.
+    res.json({
+      ...user.toJSON(),
+      role: effectiveRole(user),
+      permissions: permissionsFor(user),
+      needsEmailVerification: !user.isGuest && !user.emailVerified,
+      guestExpiry: guestExpiry(user),
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -48,7 +79,12 @@ router.get("/loadout", verifyToken, async (req, res) => {
 // Change hull/color. Re-validated against the user's actual achievements on
 // every write - the client's unlocked-hull list is a display hint, never
 // the authorization.
-router.put("/loadout", verifyToken, async (req, res) => {
+router.put("/loadout", verifyToken, validate({
+  body: {
+    hull: { type: "string", required: true, enum: Object.keys(HULL_MAP) },
+    shipColor: { type: "string", required: true, enum: COLOR_PALETTE }
+  }
+}), async (req, res) => {
   try {
     const { hull, shipColor } = req.body;
     const user = await User.findById(req.user.id).select("hull shipColor achievements");
@@ -67,4 +103,55 @@ router.put("/loadout", verifyToken, async (req, res) => {
   }
 });
 
+// Download everything stored about the account as one JSON file
+router.get("/export", verifyToken, async (req, res) => {
+  try {
+    const bundle = await buildAccountExport(ACCOUNT, req.user.id);
+    if (!bundle) return res.status(404).json({ ok: false, error: "User not found" });
+
+    const name = bundle.account.username.replace(/[^a-z0-9_-]+/gi, "_") || "account";
+    res.set("Content-Disposition", `attachment; filename="eternaverse-${name}.json"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error("Account export error:", err);
+    res.status(500).json({ ok: false, error: "Failed to export account" });
+  }
+});
+
+// Delete the account and everything it owns - universes with their records,
+// snapshots and journals, and every sign-in session. Registered accounts
+// re-enter their password first, and wrong guesses here count toward the
+// same lockout as at login; a guest has no password to give, so its own
+// token is the confirmation.
+router.delete("/", verifyToken, validate({
+  body: { password: { type: "string" } }
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("password isGuest +loginLockout");
+    if (!user) return res.status(404).json({ ok: false, error: "User not found" });
+
+    if (!user.isGuest) {
+      const locked = lockoutRemaining(user);
+      if (locked > 0) {
+        res.set("Retry-After", String(locked));
+        return res.status(429).json({ ok: false, error: "Too many failed password attempts", retryAfter: locked });
+      }
+      if (!req.body.password) {
+        return res.status(400).json({ ok: false, error: "Password confirmation required", fields: { password: "password is required" } });
+      }
+      if (!(await bcrypt.compare(req.body.password, user.password))) {
+        await recordLoginFailure(User, user._id);
+        return res.status(400).json({ ok: false, error: "Invalid password" });
+      }
+    }
+
+    const { universes } = await purgeAccount(ACCOUNT, user._id);
+    console.log(`🗑️ Deleted account ${user._id} with ${universes} universes`);
+    res.json({ ok: true, universesDeleted: universes });
+  } catch (err) {
+    console.error("Account deletion error:", err);
+    res.status(500).json({ ok: false, error: "Failed to delete account" });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,94 @@
+// tests/accountExport.test.js
+//
+// The personal data export carries the whole account - every universe with
+// its full history - and none of its secrets. Runs against in-memory
+// collections that honour exclusion projections.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildAccountExport, EXPORT_FORMAT } = require("../utils/accountExport");
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+function collection(rows) {
+  const project = (row, spec) => {
+    const out = clone(row);
+    for (const field of spec.split(/\s+/)) if (field.startsWith("-")) delete out[field.slice(1)];
+    return out;
+  };
+  const query = (found) => {
+    let spec = "";
+    let out = found;
+    const chain = {
+      sort(order) {
+        const [[field, dir]] = Object.entries(order);
+        out = [...out].sort((a, b) => (a[field] > b[field] ? 1 : -1) * dir);
+        return chain;
+      },
+      limit(n) { out = out.slice(0, n); return chain; },
+      select(s) { spec = s; return chain; },
+      lean: async () => out.map((r) => project(r, spec))
+    };
+    return chain;
+  };
+  const matches = (row, filter) => Object.entries(filter).every(([k, v]) => String(row[k]) === String(v));
+  return {
+    find: (filter) => query(rows.filter((r) => matches(r, filter))),
+    findById(id) {
+      const chain = query(rows.filter((r) => String(r._id) === String(id)));
+      const lean = chain.lean;
+      chain.lean = async () => (await lean())[0] || null;
+      return chain;
+    }
+  };
+}
+
+function world() {
+  return {
+    User: collection([{
+      _id: "u1", username: "nova", email: "nova@example.com", password: "$2a$10$hash",
+      passwordReset: { tokenHash: "abc" }, loginLockout: { failures: 2 }, __v: 0,
+      achievements: [{ id: "first_light" }], hull: "interceptor", shipColor: "#dfa73f"
+    }]),
+    Session: collection([
+      { _id: "s1", userId: "u1", tokenHash: "h1", previousTokenHash: "h0", userAgent: "Firefox", createdAt: 1 }
+    ]),
+    Universe: collection([
+      { _id: "x1", userId: "u1", name: "Home", createdAt: 1, revisionLog: [{ r: 1 }], significantEvents: [], discoveries: [], civilizations: [] },
+      { _id: "x2", userId: "someone-else", name: "Theirs", createdAt: 2 }
+    ]),
+    UniverseEvent: collection([{ universeId: "x1", seq: 3, type: "war" }]),
+    ArchivedEvent: collection([
+      { universeId: "x1", seq: 2, type: "milestone", archivedAt: 5 },
+      { universeId: "x1", seq: 1, type: "genesis", archivedAt: 5 }
+    ]),
+    Discovery: collection([{ universeId: "x1", id: "d1", discoveredAt: 1 }]),
+    ExtinctCivilization: collection([])
+  };
+}
+
+test("the export holds the account, loadout, devices and owned universes", async () => {
+  const now = new Date("2026-06-01T00:00:00Z");
+  const bundle = await buildAccountExport(world(), "u1", { now });
+
+  assert.equal(bundle.format, EXPORT_FORMAT);
+  assert.equal(bundle.exportedAt, now);
+  assert.equal(bundle.account.email, "nova@example.com");
+  assert.deepEqual(bundle.achievements, [{ id: "first_light" }]);
+  assert.deepEqual(bundle.loadout, { hull: "interceptor", shipColor: "#dfa73f" });
+  assert.deepEqual(bundle.sessions.map((s) => s.userAgent), ["Firefox"]);
+
+  assert.deepEqual(bundle.universes.map((u) => u.name), ["Home"]);
+  const [home] = bundle.universes;
+  assert.deepEqual(home.significantEvents.map((e) => e.seq), [1, 2, 3], "archived history first");
+  assert.deepEqual(home.discoveries.map((d) => d.id), ["d1"]);
+  assert.equal(home.revisionLog, undefined);
+});
+
+test("no secrets leave the server", async () => {
+  const bundle = await buildAccountExport(world(), "u1");
+  const text = JSON.stringify(bundle);
+  for (const secret of ["$2a$10$hash", "passwordReset", "loginLockout", "tokenHash", "h1"]) {
+    assert.ok(!text.includes(secret), secret);
+  }
+  assert.equal(await buildAccountExport(world(), "ghost"), null);
+});
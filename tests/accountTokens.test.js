@@ -0,0 +1,52 @@
+// tests/accountTokens.test.js
+//
+// Mailed account tokens are stored only as hashes, expire, and are burned by
+// the same update that redeems them.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  TOKEN_KINDS, hashToken, isValidEmail, issueAccountToken, redeemFilter, redeemUpdate,
+  passwordResetEmail, verificationEmail
+} = require("../utils/accountTokens");
+
+test("a token is mailed in the clear and stored as its hash", () => {
+  const now = new Date("2026-05-01T00:00:00Z");
+  const { token, record } = issueAccountToken("passwordReset", now);
+  assert.equal(record.tokenHash, hashToken(token));
+  assert.notEqual(record.tokenHash, token);
+  assert.equal(record.expiresAt - now, TOKEN_KINDS.passwordReset.ttlMs);
+  assert.notEqual(issueAccountToken("passwordReset", now).token, token);
+  assert.throws(() => issueAccountToken("magic"), /Unknown account token kind/);
+});
+
+test("redeeming matches the hash while unexpired and clears the token", () => {
+  const now = new Date("2026-05-01T00:00:00Z");
+  const { token } = issueAccountToken("emailVerification", now);
+  assert.deepEqual(redeemFilter("emailVerification", token, now), {
+    "emailVerification.tokenHash": hashToken(token),
+    "emailVerification.expiresAt": { $gt: now }
+  });
+  assert.equal(redeemFilter("emailVerification", "", now), null);
+  assert.equal(redeemFilter("emailVerification", { $ne: null }, now), null, "no query injection through the body");
+  assert.deepEqual(redeemUpdate("emailVerification", { emailVerified: true }), {
+    $set: { emailVerified: true },
+    $unset: { emailVerification: 1 }
+  });
+});
+
+test("emails carry a link to the app with the token", () => {
+  process.env.APP_URL = "https://play.example.com/";
+  const user = { username: "nova", email: "nova@example.com" };
+  const reset = passwordResetEmail(user, "abc/def");
+  assert.equal(reset.to, "nova@example.com");
+  assert.ok(reset.text.includes("https://play.example.com/reset-password?token=abc%2Fdef"));
+  assert.ok(verificationEmail(user, "xyz").text.includes("https://play.example.com/verify-email?token=xyz"));
+  delete process.env.APP_URL;
+});
+
+test("email addresses get a sanity check", () => {
+  assert.equal(isValidEmail("nova@example.com"), true);
+  for (const bad of ["", "nova", "nova@", "@example.com", "a b@example.com", undefined, { $gt: "" }]) {
+    assert.equal(isValidEmail(bad), false, JSON.stringify(bad));
+  }
+});
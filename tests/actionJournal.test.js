@@ -0,0 +1,155 @@
+// tests/actionJournal.test.js
+//
+// The promise of the journal: genesis + every journaled action, replayed,
+// lands on the same document the live calls produced. Drives the real
+// actions and simulation, the same way the routes do.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { actionContext, applyAction } = require("../utils/universeActions");
+const { DEV, journalEntry, genesisEntry, createReplay, replayUniverse, diffUniverse } = require("../utils/actionJournal");
+const { SECONDS_PER_STEP } = require("../utils/simulationRunner");
+
+const T0 = new Date("2026-05-01T09:00:00Z");
+const at = (steps) => new Date(T0.getTime() + steps * SECONDS_PER_STEP * 1000);
+
+function makeUniverse() {
+  return {
+    _id: "u-journal",
+    userId: "user-1",
+    name: "Journal",
+    seed: "journal-seed",
+    difficulty: "Beginner",
+    status: "running",
+    constants: {},
+    initialConditions: { initialTemperature: 2.725 },
+    currentState: { age: 1.2e9, stabilityIndex: 1, stabilityCeiling: 1, cosmicPhase: "galaxy_formation" },
+    metrics: {}, anomalies: [], civilizations: [], significantEvents: [],
+    activeWars: [], milestones: {}, legacies: [], discoveries: [], missions: [],
+    research: { points: 0, totalEarned: 0, discoveryCount: 0, classesDiscovered: [] },
+    upgrades: {},
+    doctrine: null,
+    simStep: 0,
+    lastSimulatedAt: T0,
+    markModified() {},
+  };
+}
+
+/** What a route does: journal the entry only if the action went through. */
+function perform(uni, journal, action, input, now) {
+  const entry = journalEntry(uni, action, input, now);
+  const result = applyAction(uni, action, input, actionContext(uni, action, now));
+  if (result.ok !== false) journal.push(entry);
+  return result;
+}
+
+/** A short session: live ticks, containment, a doctrine, a death, a break. */
+function playSession() {
+  const uni = makeUniverse();
+  const journal = [genesisEntry(uni, T0)];
+
+  let clock = 0;
+  for (let i = 0; i < 60; i++) {
+    clock += 1;
+    perform(uni, journal, "tick", { playerPosition: { x: i * 10, y: 0 } }, at(clock));
+    for (const a of uni.anomalies.filter((x) => !x.resolved).slice(0, 2)) {
+      perform(uni, journal, "resolve-anomaly", { anomalyId: a.id, accuracy: 90 }, at(clock));
+    }
+    if (i === 10) perform(uni, journal, "doctrine", { doctrine: "surveyor" }, at(clock));
+    if (i === 20) perform(uni, journal, "vessel-lost", {}, at(clock));
+    if (i === 30) perform(uni, journal, "upgrade", { track: "no-such-track" }, at(clock)); // refused
+    if (i === 40) {
+      perform(uni, journal, "pause", {}, at(clock));
+      clock += 500; // a long break costs nothing
+      perform(uni, journal, "resume", {}, at(clock));
+    }
+  }
+  perform(uni, journal, "visit", {}, at(clock));
+  return { uni, journal };
+}
+
+test("replaying the journal rebuilds the live universe exactly", () => {
+  const { uni, journal } = playSession();
+  assert.ok(uni.simStep >= 60, "the session actually simulated");
+  assert.ok(journal.some((e) => e.action === "resolve-anomaly"), "the session actually resolved anomalies");
+  assert.equal(journal.some((e) => e.action === "upgrade"), false, "refused calls are not journaled");
+
+  const replay = replayUniverse(journal);
+  assert.equal(replay.ok, true);
+  assert.equal(replay.divergedAt, null);
+  assert.equal(replay.applied, journal.length - 1);
+  assert.deepEqual(diffUniverse(replay.universe, uni), []);
+});
+
+test("a missing entry shows up as a divergence and a diff", () => {
+  const { uni, journal } = playSession();
+  const i = journal.findIndex((e) => e.action === "vessel-lost");
+  const gapped = [...journal.slice(0, i), ...journal.slice(i + 1)];
+
+  const replay = replayUniverse(gapped);
+  assert.equal(replay.ok, true);
+  assert.equal(replay.divergedAt, i, "the entry after the gap finds the wrong simStep");
+  const diffs = diffUniverse(replay.universe, uni);
+  assert.ok(diffs.some((d) => d.path === "metrics.deaths"));
+});
+
+test("dev entries are reported, not guessed at", () => {
+  const { journal } = playSession();
+  journal.splice(5, 0, { ...journal[4], action: DEV, input: { tool: "grant-research", points: 500 } });
+  const replay = replayUniverse(journal);
+  assert.deepEqual(replay.unreplayable, [5]);
+});
+
+test("a journal must open with genesis", () => {
+  const { journal } = playSession();
+  assert.equal(replayUniverse(journal.slice(1)).ok, false);
+  assert.equal(replayUniverse([]).ok, false);
+});
+
+test("an entry at a time, the replay lands where the whole journal does and marks what it reports", () => {
+  const { uni, journal } = playSession();
+  // A dev entry at the simStep the next entry expects, then a gap
+  journal.splice(5, 0, { ...journal[5], action: DEV, input: { tool: "grant-research", points: 500 } });
+  const i = journal.findIndex((e) => e.action === "vessel-lost");
+  journal.splice(i, 1);
+
+  const replay = createReplay();
+  const marked = journal.map((entry) => replay.apply(entry)).filter((m) => m.diverged || m.unreplayable);
+  const result = replay.finish();
+
+  assert.deepEqual(marked.map((m) => m.index), [5, i]);
+  assert.equal(result.divergedAt, i);
+  assert.deepEqual(result.unreplayable, [5]);
+  assert.deepEqual(diffUniverse(result.universe, uni), diffUniverse(replayUniverse(journal).universe, uni));
+});
+
+test("opening a universe between entries leaves no diff behind", () => {
+  const { uni, journal } = playSession();
+  // What GET /:id stamps, unjournaled
+  Object.assign(uni, { lastVisitedAt: at(999), lastVisitAge: 1, lastVisitStability: 0.1 });
+  assert.deepEqual(diffUniverse(replayUniverse(journal).universe, uni), []);
+});
+
+test("diffs ignore Mongo ids and report leaf paths", () => {
+  const diffs = diffUniverse(
+    { _id: "a", civilizations: [{ _id: "x", id: "civ_1", technology: 3 }] },
+    { _id: "b", civilizations: [{ _id: "y", id: "civ_1", technology: 4 }] }
+  );
+  assert.deepEqual(diffs, [{ path: "civilizations.0.technology", replayed: 3, stored: 4 }]);
+});
+
+test("cleanup-anomalies keeps the criterion the route had: resolved ones aged by resolvedAt, else timestamp", () => {
+  const uni = makeUniverse();
+  const minutesAgo = (n) => new Date(T0.getTime() - n * 60 * 1000).toISOString();
+  uni.anomalies = [
+    { id: "open", resolved: false, timestamp: minutesAgo(600) },
+    { id: "resolved-late", resolved: true, timestamp: minutesAgo(600), resolvedAt: minutesAgo(10) },
+    { id: "resolved-early", resolved: true, timestamp: minutesAgo(600), resolvedAt: minutesAgo(120) },
+    { id: "no-resolvedAt-recent", resolved: true, timestamp: minutesAgo(30) },
+    { id: "no-resolvedAt-old", resolved: true, timestamp: minutesAgo(90) }
+  ];
+
+  const result = applyAction(uni, "cleanup-anomalies", { keepRecentMinutes: 60 }, actionContext(uni, "cleanup-anomalies", T0));
+
+  assert.equal(result.removed, 2);
+  assert.deepEqual(uni.anomalies.map((a) => a.id), ["open", "resolved-late", "no-resolvedAt-recent"]);
+});
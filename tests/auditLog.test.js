@@ -0,0 +1,66 @@
+// tests/auditLog.test.js
+//
+// Admin console entries name the actor, target and input - never a secret -
+// and read back newest first, page by page.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { redact, auditEntry, readAuditLog } = require("../utils/auditLog");
+
+test("an entry records actor, role, target and the redacted input", () => {
+  const at = new Date("2026-06-01T00:00:00Z");
+  const req = {
+    user: { id: "mod1" },
+    role: "moderator",
+    ip: "203.0.113.7",
+    params: { userId: "u1" },
+    query: {},
+    body: { reason: "spam", password: "hunter22", nested: { refreshToken: "abc", keep: 1 } }
+  };
+  assert.deepEqual(auditEntry(req, "users.ban", { kind: "user", id: "u1" }, at), {
+    actorId: "mod1",
+    actorRole: "moderator",
+    action: "users.ban",
+    target: { kind: "user", id: "u1" },
+    payload: {
+      params: { userId: "u1" },
+      query: {},
+      body: { reason: "spam", password: "[redacted]", nested: { refreshToken: "[redacted]", keep: 1 } }
+    },
+    ip: "203.0.113.7",
+    at
+  });
+  assert.deepEqual(redact([{ token: 1 }, 2, null]), [{ token: "[redacted]" }, 2, null]);
+});
+
+test("the log reads newest first with filters and a cursor", async () => {
+  const rows = [1, 2, 3, 4, 5].map((n) => ({
+    actorId: n % 2 ? "a1" : "a2",
+    action: "users.read",
+    target: { kind: "user", id: `u${n}` },
+    at: new Date(Date.UTC(2026, 5, n))
+  }));
+  let seen;
+  const AuditLog = {
+    find(filter) {
+      seen = filter;
+      let out = rows.filter((r) =>
+        (!filter.actorId || r.actorId === filter.actorId) &&
+        (!filter.at || r.at < filter.at.$lt));
+      const chain = {
+        sort: () => { out = [...out].sort((a, b) => b.at - a.at); return chain; },
+        limit: (n) => { out = out.slice(0, n); return chain; },
+        lean: async () => out
+      };
+      return chain;
+    }
+  };
+
+  const first = await readAuditLog(AuditLog, { limit: 2 });
+  assert.deepEqual(first.entries.map((e) => e.target.id), ["u5", "u4"]);
+  const second = await readAuditLog(AuditLog, { limit: 2, before: first.nextBefore });
+  assert.deepEqual(second.entries.map((e) => e.target.id), ["u3", "u2"]);
+
+  const mine = await readAuditLog(AuditLog, { actor: "a1", target: "u3", action: "users.read" });
+  assert.deepEqual(seen, { actorId: "a1", "target.id": "u3", action: "users.read" });
+  assert.equal(mine.nextBefore, null, "a short page is the last");
+});
@@ -0,0 +1,45 @@
+// tests/authMiddleware.test.js
+//
+// verifyToken lets a live session's token through and shuts out a banned
+// account's, even while its token and session are still good. The Session
+// and User lookups are stubbed - no database.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "auth-test-secret";
+
+const Session = require("../models/Session");
+const User = require("../models/User");
+const verifyToken = require("../middleware/authMiddleware");
+const { signAccessToken } = require("../utils/sessions");
+
+const lookup = (doc) => () => ({ select: () => ({ lean: async () => doc }) });
+
+async function call(token) {
+  const req = { header: (name) => (name === "Authorization" ? `Bearer ${token}` : undefined) };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  await verifyToken(req, res, () => { passed = true; });
+  return { passed, status: res.statusCode, body: res.body, user: req.user };
+}
+
+test("a banned account's token is refused with 403", async (t) => {
+  const live = { revokedAt: null, expiresAt: new Date(Date.now() + 3600e3), lastUsedAt: new Date() };
+  t.mock.method(Session, "findById", lookup(live));
+  const token = signAccessToken("507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012");
+
+  t.mock.method(User, "findById", lookup({ bannedAt: null }));
+  const allowed = await call(token);
+  assert.equal(allowed.passed, true);
+  assert.equal(allowed.user.id, "507f1f77bcf86cd799439011");
+
+  t.mock.method(User, "findById", lookup({ bannedAt: new Date() }));
+  const banned = await call(token);
+  assert.equal(banned.passed, false);
+  assert.equal(banned.status, 403);
+  assert.match(banned.body.message, /suspended/);
+});
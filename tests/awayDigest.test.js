@@ -0,0 +1,111 @@
+// tests/awayDigest.test.js
+//
+// The away digest covers exactly the steps simulated since the last visit and
+// ranks what matters most first - wars ending and Great Filter losses included.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildDigest, TOP_ITEMS } = require("../utils/awayDigest");
+const { civDesignation } = require("../utils/contactSystem");
+
+const LEFT_AT = new Date("2026-01-01T00:00:00Z");
+const event = (seq, ageGyr, type, effects = {}, description = type) =>
+  ({ seq, age: ageGyr * 1e9, type, description, effects });
+
+function awayUniverse() {
+  return {
+    simStep: 100,
+    chosenCivId: "civ_chosen",
+    lastVisitedAt: LEFT_AT,
+    lastVisitAge: 5e9,
+    lastVisitStability: 0.8,
+    currentState: { age: 5.6e9, stabilityIndex: 0.62 },
+    eventsRecorded: 9,
+    anomalies: [
+      { id: "old", timestamp: new Date("2025-12-31T00:00:00Z"), resolved: false },
+      { id: "new1", timestamp: new Date("2026-01-01T01:00:00Z"), resolved: false },
+      { id: "new2", timestamp: new Date("2026-01-01T02:00:00Z"), resolved: true }
+    ],
+    civilizations: [
+      { id: "civ_chosen", petition: { kind: "crisis", createdStep: 80, deadline: 24 } },
+      { id: "civ_far", petition: { kind: "tribute", createdStep: 95, deadline: 24 } }
+    ],
+    significantEvents: [
+      event(1, 4.9, "war", { outcome: "outbreak", a: "civ_x", b: "civ_y" }),
+      event(2, 5.0, "contact", { civId: "civ_x" }),
+      event(3, 5.1, "anomaly_escalated", { anomalyId: "old", severity: 3 }),
+      event(4, 5.2, "war", { outcome: "outbreak", a: "civ_chosen", b: "civ_y" }),
+      event(5, 5.3, "civilization", { civilizationId: "civ_x", ascension: "stellar" }),
+      event(6, 5.3, "civilization", { civilizationId: "civ_w", tribute: 7 }),
+      event(7, 5.4, "extinction", { civilizationId: "civ_y", cause: "Nuclear War" }),
+      event(8, 5.5, "civilization", { civilizationId: "civ_z", petition: "expired" }, "CD-200's petition went unanswered."),
+      event(9, 5.5, "civilization", { civilizationId: "civ_w", dividend: 4 })
+    ]
+  };
+}
+
+test("no previous visit, no digest", () => {
+  assert.equal(buildDigest({ ...awayUniverse(), lastVisitedAt: null }), null);
+});
+
+test("aggregates only what happened after the last visit", () => {
+  const digest = buildDigest(awayUniverse());
+  assert.equal(digest.eventsCovered, 7);
+  assert.equal(digest.elapsedGyr, 0.6);
+  assert.deepEqual(digest.stability, { before: 0.8, now: 0.62, delta: -0.18 });
+  assert.deepEqual(digest.anomalies, { spawned: 2, stillOpen: 1, escalated: 1, spread: 0 });
+  assert.deepEqual(digest.wars, { started: 1, ended: 0 });
+  assert.equal(digest.extinctions, 1);
+  assert.deepEqual(digest.research, { tribute: 7, dividends: 4, total: 11 });
+  assert.deepEqual(digest.promotions, [{ civId: "civ_x", designation: civDesignation("civ_x"), tier: "Type2" }]);
+  assert.equal(digest.petitions.expired, 1);
+  assert.deepEqual(digest.petitions.open.map((p) => [p.civId, p.stepsLeft]), [["civ_chosen", 4], ["civ_far", 19]]);
+  assert.equal(digest.complete, true);
+});
+
+test("highlights are ranked by importance and capped", () => {
+  const digest = buildDigest(awayUniverse());
+  assert.equal(digest.highlights.length, TOP_ITEMS);
+  const importances = digest.highlights.map((h) => h.importance);
+  assert.deepEqual(importances, [...importances].sort((a, b) => b - a));
+  // The chosen people's urgent petition and their war outrank a stranger's extinction
+  assert.deepEqual(digest.highlights.slice(0, 2).map((h) => h.kind).sort(), ["petition_open", "war_started"]);
+  assert.equal(digest.highlights[0].importance, 75);
+
+  const withEnd = awayUniverse();
+  withEnd.significantEvents.push(event(10, 5.6, "universe_end", {}, "Heat death"));
+  assert.equal(buildDigest(withEnd).highlights[0].kind, "end");
+});
+
+test("an overflowed log marks the digest incomplete", () => {
+  const uni = awayUniverse();
+  uni.significantEvents = uni.significantEvents.slice(3);
+  uni.eventsRecorded = 5000;
+  assert.equal(buildDigest(uni).complete, false);
+});
+
+test("only the war system's endings count as wars ended", () => {
+  const uni = awayUniverse();
+  uni.significantEvents.push(
+    event(10, 5.55, "war", { warId: "w1", outcome: "victory", winner: "civ_x", loser: "civ_y" }),
+    event(11, 5.55, "war", { warId: "w2", outcome: "annihilation", survivor: "civ_x" }),
+    // A bombardment run that left the target standing: the war goes on
+    event(12, 5.56, "war", { civId: "civ_z", attackerCivId: "civ_x", runs: 2, warId: "w3" }),
+    event(13, 5.56, "war", {})
+  );
+  const digest = buildDigest(uni);
+  assert.deepEqual(digest.wars, { started: 1, ended: 2 });
+  assert.equal(digest.highlights.length, TOP_ITEMS);
+  assert.equal(buildDigest(uni, { limit: 99 }).highlights.filter((h) => h.kind === "war_ended").length, 2);
+});
+
+test("a Great Filter counts every civilization it destroyed", () => {
+  const uni = awayUniverse();
+  uni.significantEvents.push(event(10, 5.55, "catastrophe", {
+    civilizationsDestroyed: 14,
+    description: "A universe-wide catastrophic event has caused mass extinction"
+  }, "Great Filter Event"));
+  const digest = buildDigest(uni);
+  assert.equal(digest.extinctions, 15);
+  assert.equal(digest.highlights[0].kind, "great_filter");
+  assert.equal(digest.highlights[0].count, 14);
+});
@@ -0,0 +1,75 @@
+// tests/chronicle.test.js
+//
+// The chronicle pages through archived and live events as one history, and
+// turns query-string filters into a Mongo filter (or a 400 reason).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { chronicleQuery, readChronicle, MAX_PAGE_SIZE } = require("../utils/chronicle");
+
+test("filters translate to a Mongo filter", () => {
+  const q = chronicleQuery("u1", { type: "war,civilization", civ: "civ_1_x", from: "1.5", to: "3", cursor: "40", limit: "10" });
+  assert.equal(q.ok, true);
+  assert.equal(q.limit, 10);
+  assert.deepEqual(q.filter.type, { $in: ["war", "civilization"] });
+  assert.deepEqual(q.filter.age, { $gte: 1.5e9, $lte: 3e9 });
+  assert.deepEqual(q.filter.seq, { $gt: 40 });
+  assert.ok(q.filter.$or.some((clause) => clause["effects.winner"] === "civ_1_x"));
+  assert.ok(q.filter.$or.some((clause) => clause["effects.civilizationId"] === "civ_1_x"));
+
+  const bare = chronicleQuery("u1", {});
+  assert.deepEqual(bare.filter, { universeId: "u1" });
+  assert.equal(chronicleQuery("u1", { type: "war" }).filter.type, "war");
+});
+
+test("bad parameters are refused", () => {
+  for (const params of [
+    { from: "abc" },
+    { to: "-1" },
+    { from: "3", to: "1" },
+    { cursor: "1.5" },
+    { limit: "0" },
+    { limit: String(MAX_PAGE_SIZE + 1) },
+    { type: " , " }
+  ]) {
+    const q = chronicleQuery("u1", params);
+    assert.equal(q.ok, false, JSON.stringify(params));
+    assert.ok(q.reason);
+  }
+});
+
+// Just enough of a model for readChronicle: the seq cursor, ascending order
+// and a limit.
+function fakeEvents(seqs) {
+  return {
+    find(filter) {
+      let out = seqs.filter((seq) => seq > (filter.seq?.$gt ?? -Infinity));
+      const chain = {
+        sort() { out = [...out].sort((a, b) => a - b); return chain; },
+        limit(n) { out = out.slice(0, n); return chain; },
+        select() { return chain; },
+        lean: async () => out.map((seq) => ({ seq, type: "milestone" }))
+      };
+      return chain;
+    }
+  };
+}
+
+test("pages run through the archive, then the live log", async () => {
+  const models = { ArchivedEvent: fakeEvents([1, 2, 3]), UniverseEvent: fakeEvents([4, 5, 6, 7]) };
+
+  const seen = [];
+  let cursor;
+  for (let i = 0; i < 10; i++) {
+    const page = await readChronicle(models, "u1", { limit: "3", cursor });
+    assert.equal(page.ok, true);
+    seen.push(page.events.map((e) => e.seq));
+    cursor = page.nextCursor;
+    if (cursor === null) break;
+  }
+  assert.deepEqual(seen, [[1, 2, 3], [4, 5, 6], [7]]);
+});
+
+test("bad parameters never reach the database", async () => {
+  const page = await readChronicle({}, "u1", { limit: "nope" });
+  assert.equal(page.ok, false);
+});
@@ -0,0 +1,92 @@
+// tests/chronicleExport.test.js
+//
+// The exported chronicle groups history by cosmic era, names civilizations by
+// designation, singles out the chosen species, and renders to documents that
+// stand on their own.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildChronicle, exportChronicle } = require("../utils/chronicleExport");
+const { civDesignation } = require("../utils/contactSystem");
+const { cosmicPhaseAt } = require("../utils/cosmologyConfig");
+
+const event = (seq, ageGyr, type, description, effects = {}) =>
+  ({ seq, age: ageGyr * 1e9, type, description, effects });
+
+function endedUniverse() {
+  return {
+    name: "Tale <of> *Stars*",
+    difficulty: "Beginner",
+    seed: "story-seed",
+    status: "ended",
+    currentState: { age: 14e9, cosmicPhase: "gradual_decline" },
+    milestones: { firstGalaxy: true, firstStar: true, transcendence: false },
+    chosenCivId: "civ_9_b",
+    legacies: [{ civId: "civ_5_a", designation: civDesignation("civ_5_a"), ageGyr: "12.50", uplifts: 3, rescues: 1, pacifies: 2 }],
+    endCondition: "heat-death",
+    endReason: "Universe reached 14.0 Gyr with energy exhausted",
+    significantEvents: [
+      event(1, 0.05, "milestone", "MILESTONE: First Galaxy Formation", { milestoneKey: "firstGalaxy" }),
+      event(2, 0.5, "milestone", "MILESTONE: First Star Ignition", { milestoneKey: "firstStar" }),
+      event(3, 6, "war", "War erupts", { outcome: "outbreak", a: "civ_5_a", b: "civ_7_c" }),
+      event(4, 12.5, "chosen", "Your chosen people ascend", { civilizationId: "civ_5_a", chosen: true }),
+      event(5, 14, "universe_end", "Universe reached 14.0 Gyr with energy exhausted")
+    ]
+  };
+}
+
+test("events are grouped by cosmic era, oldest first", () => {
+  const chronicle = buildChronicle(endedUniverse());
+  assert.deepEqual(chronicle.eras.map((e) => e.phase), ["dark_ages", "reionization", "stellar_peak", "gradual_decline"]);
+  assert.deepEqual(chronicle.eras.flatMap((e) => e.events.map((ev) => ev.seq)), [1, 2, 3, 4, 5]);
+  assert.ok(chronicle.eras.every((era) => era.events.every((ev) => cosmicPhaseAt(ev.ageGyr) === era.phase)));
+});
+
+test("civilizations carry designations and the chosen species is highlighted", () => {
+  const chronicle = buildChronicle(endedUniverse());
+  const war = chronicle.eras[2].events[0];
+  assert.deepEqual(war.civilizations.map((c) => c.designation), [civDesignation("civ_5_a"), civDesignation("civ_7_c")]);
+  assert.equal(war.chosen, true, "a war involving an ascended chosen people is part of their story");
+
+  assert.equal(chronicle.legacies[0].designation, civDesignation("civ_5_a"));
+  assert.equal(chronicle.chosen.designation, civDesignation("civ_9_b"));
+  assert.deepEqual(chronicle.milestones.map((m) => [m.key, m.ageGyr]), [["firstGalaxy", 0.05], ["firstStar", 0.5]]);
+  assert.deepEqual(chronicle.end, { condition: "heat-death", reason: "Universe reached 14.0 Gyr with energy exhausted" });
+});
+
+test("archived events passed in front extend the story", () => {
+  const uni = endedUniverse();
+  const archived = [event(0, 0.01, "anomaly", "An early tremor")];
+  const chronicle = buildChronicle(uni, [...archived, ...uni.significantEvents]);
+  assert.equal(chronicle.eventCount, 6);
+  assert.equal(chronicle.eras[0].events[0].description, "An early tremor");
+});
+
+test("markdown escapes player text and lists every section", () => {
+  const result = exportChronicle(endedUniverse(), undefined, "md");
+  assert.equal(result.ok, true);
+  assert.match(result.contentType, /^text\/markdown/);
+  assert.equal(result.filename, "Tale_of_Stars_.chronicle.md");
+  assert.match(result.body, /^# The Chronicle of Tale \\<of\\> \\\*Stars\\\*/);
+  for (const heading of ["## The End", "## Milestones", "## Chosen Species", "## The Dark Ages", "## The Long Decline"]) {
+    assert.ok(result.body.includes(heading), heading);
+  }
+  assert.ok(result.body.includes(`★ **12.5 Gyr**`));
+});
+
+test("html is self-contained and escaped", () => {
+  const result = exportChronicle(endedUniverse(), undefined, "html");
+  assert.equal(result.ok, true);
+  assert.match(result.body, /^<!DOCTYPE html>/);
+  assert.ok(result.body.includes("<style>"));
+  assert.ok(result.body.includes("Tale &lt;of&gt; *Stars*"));
+  assert.doesNotMatch(result.body, /<script|<link|src=|https?:\/\//);
+});
+
+test("json is the chronicle itself; unknown formats are refused", () => {
+  const result = exportChronicle(endedUniverse(), undefined, "json");
+  assert.deepEqual(JSON.parse(result.body), JSON.parse(JSON.stringify(buildChronicle(endedUniverse()))));
+
+  const bad = exportChronicle(endedUniverse(), undefined, "pdf");
+  assert.equal(bad.ok, false);
+  assert.match(bad.reason, /md, html, json/);
+});
@@ -0,0 +1,204 @@
+// tests/cronSweep.test.js
+//
+// The cron sweep claims universes under a lease, so sweeps running side by
+// side - whole-keyspace or sharded - never advance the same universe twice;
+// it works a bounded number at once, releases what it claimed, and stops
+// claiming when its time budget is spent. Runs against an in-memory
+// collection, with the simulation itself stubbed out.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseShard,
+  sweepUniverses,
+  SWEEP_SHARD_SLOTS,
+  SWEEP_LEASE_MS
+} = require("../utils/cronSweep");
+
+const NOW = new Date("2026-06-01T00:00:00Z");
+const minutesAgo = (n) => new Date(NOW.getTime() - n * 60 * 1000);
+
+// Enough of Mongo's query language for the claim query
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(row, f));
+    if (key === "$and") return cond.every((f) => matches(row, f));
+    const value = row[key];
+    if (cond === null) return value == null;
+    if (cond && typeof cond === "object" && !(cond instanceof Date)) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === "$lte") return value != null && value <= arg;
+        if (op === "$nin") return !arg.map(String).includes(String(value));
+        if (op === "$mod") return value != null && value % arg[0] === arg[1];
+        throw new Error(`unsupported ${op}`);
+      });
+    }
+    return String(value) === String(cond);
+  });
+}
+
+// Each call yields first, so sweeps run together really interleave
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+function universes(rows) {
+  return {
+    rows,
+    async findOneAndUpdate(filter, { $set }, { sort }) {
+      await tick();
+      const [[field]] = Object.entries(sort);
+      const row = rows.filter((r) => matches(r, filter)).sort((a, b) => a[field] - b[field])[0];
+      if (!row) return null;
+      Object.assign(row, $set);
+      return { ...row };
+    },
+    async updateOne(filter, { $set }) {
+      await tick();
+      const row = rows.find((r) => matches(r, filter));
+      if (row) Object.assign(row, $set);
+      return { modifiedCount: row ? 1 : 0 };
+    }
+  };
+}
+
+function world(n = 12) {
+  return universes(Array.from({ length: n }, (_, i) => ({
+    _id: `u${i}`,
+    status: "running",
+    sweepShard: i,
+    lastSimulatedAt: minutesAgo(10 + i),
+    sweepLeaseId: null,
+    sweepLeaseUntil: null
+  })));
+}
+
+// Stands in for the simulation: counts who advanced what, and how many at
+// once, and brings each universe up to date as its save would
+function recorder(Universe) {
+  const log = { advanced: [], inFlight: 0, maxInFlight: 0 };
+  log.advance = async (models, uni) => {
+    log.inFlight++;
+    log.maxInFlight = Math.max(log.maxInFlight, log.inFlight);
+    await tick();
+    await tick();
+    log.advanced.push(uni._id);
+    const row = Universe?.rows.find((r) => r._id === uni._id);
+    if (row) row.lastSimulatedAt = NOW;
+    log.inFlight--;
+    return 3;
+  };
+  return log;
+}
+
+test("a sweep advances every owed universe once, most starved first, and releases its leases", async () => {
+  const Universe = world(6);
+  Universe.rows.push({ _id: "fresh", status: "running", sweepShard: 0, lastSimulatedAt: NOW });
+  Universe.rows.push({ _id: "paused", status: "paused", sweepShard: 0, lastSimulatedAt: minutesAgo(99) });
+  const log = recorder();
+
+  const report = await sweepUniverses({ Universe }, { now: NOW, concurrency: 1, advance: log.advance });
+
+  assert.deepEqual(log.advanced, ["u5", "u4", "u3", "u2", "u1", "u0"]);
+  assert.equal(report.scanned, 6);
+  assert.equal(report.advanced, 6);
+  assert.equal(report.totalSteps, 18);
+  assert.equal(report.outOfTime, false);
+  assert.ok(Universe.rows.every((r) => r.sweepLeaseId == null && r.sweepLeaseUntil == null));
+});
+
+test("work is bounded by the concurrency and the per-sweep limit", async () => {
+  const Universe = world(12);
+  const log = recorder();
+
+  const report = await sweepUniverses({ Universe }, { now: NOW, concurrency: 3, limit: 8, advance: log.advance });
+
+  assert.equal(log.maxInFlight, 3);
+  assert.equal(report.scanned, 8);
+  assert.equal(new Set(log.advanced).size, 8);
+});
+
+test("sweeps running side by side never advance the same universe twice", async () => {
+  const Universe = world(12);
+  const log = recorder(Universe);
+
+  const reports = await Promise.all([1, 2, 3].map(() =>
+    sweepUniverses({ Universe }, { now: NOW, concurrency: 2, advance: log.advance })));
+
+  assert.equal(log.advanced.length, 12);
+  assert.equal(new Set(log.advanced).size, 12);
+  assert.equal(reports.reduce((sum, r) => sum + r.scanned, 0), 12);
+});
+
+test("shards split the universes between them, and shard 0 takes the unassigned", async () => {
+  const Universe = world(12);
+  Universe.rows.push({ _id: "legacy", status: "running", lastSimulatedAt: minutesAgo(5) });
+  const advanced = [];
+
+  for (let index = 0; index < 3; index++) {
+    const log = recorder();
+    await sweepUniverses({ Universe }, { now: NOW, shard: { index, of: 3 }, advance: log.advance });
+    advanced.push(log.advanced);
+  }
+
+  assert.ok(advanced[0].includes("legacy"));
+  assert.ok(advanced[1].every((id) => Number(id.slice(1)) % 3 === 1));
+  assert.equal(new Set(advanced.flat()).size, 13);
+  assert.equal(advanced.flat().length, 13);
+});
+
+test("a live lease is passed over; an expired one is taken over", async () => {
+  const Universe = world(2);
+  Object.assign(Universe.rows[0], { sweepLeaseId: "other", sweepLeaseUntil: new Date(NOW.getTime() + SWEEP_LEASE_MS) });
+  Object.assign(Universe.rows[1], { sweepLeaseId: "dead", sweepLeaseUntil: minutesAgo(1) });
+  const log = recorder();
+
+  await sweepUniverses({ Universe }, { now: NOW, advance: log.advance });
+
+  assert.deepEqual(log.advanced, ["u1"]);
+  assert.equal(Universe.rows[0].sweepLeaseId, "other");
+  assert.equal(Universe.rows[1].sweepLeaseId, null);
+});
+
+test("claiming stops when the time budget is spent", async () => {
+  const Universe = world(12);
+  const log = recorder();
+  let ms = 0;
+  const clock = () => (ms += 400);
+
+  const report = await sweepUniverses({ Universe }, { now: NOW, concurrency: 1, budgetMs: 2000, clock, advance: log.advance });
+
+  assert.equal(report.outOfTime, true);
+  assert.ok(report.scanned > 0 && report.scanned < 12);
+  assert.ok(Universe.rows.every((r) => r.sweepLeaseId == null));
+});
+
+test("a broken universe is reported, a superseded one isn't, and both are released", async () => {
+  const Universe = world(3);
+  const advance = async (models, uni) => {
+    if (uni._id === "u2") throw new Error("boom");
+    if (uni._id === "u1") throw Object.assign(new Error("stale"), { name: "VersionError" });
+    return 1;
+  };
+
+  // Both are logged - keep it out of the test output
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  let report;
+  try {
+    report = await sweepUniverses({ Universe }, { now: NOW, advance });
+  } finally {
+    Object.assign(console, { log, error });
+  }
+
+  assert.deepEqual(report.failures, ["u2"]);
+  assert.equal(report.superseded, 1);
+  assert.equal(report.advanced, 1);
+  assert.ok(Universe.rows.every((r) => r.sweepLeaseId == null));
+});
+
+test("shard parameters are validated", () => {
+  assert.deepEqual(parseShard({}).shard, { index: 0, of: 1 });
+  assert.deepEqual(parseShard({ shard: "2", of: "4" }).shard, { index: 2, of: 4 });
+  assert.equal(parseShard({ shard: "4", of: "4" }).ok, false);
+  assert.equal(parseShard({ shard: "1" }).ok, false);
+  assert.equal(parseShard({ shard: "0", of: String(SWEEP_SHARD_SLOTS + 1) }).ok, false);
+  assert.equal(parseShard({ shard: "x", of: "2" }).ok, false);
+});
@@ -0,0 +1,78 @@
+// tests/determinism.test.js
+//
+// The simulation must be a pure function of (document, step count, now):
+// reproducing a player's bug report means replaying their universe from a
+// snapshot and getting the same bytes out, ids and timestamps included.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { advanceUniverse } = require("../utils/simulationRunner");
+const AnomalyGenerator = require("../utils/anomalyGenerator");
+const { tickWars } = require("../utils/warSystem");
+
+function makeUniverse() {
+  return {
+    _id: { toString: () => "u-det" },
+    seed: "determinism-seed",
+    difficulty: "Beginner",
+    constants: {},
+    initialConditions: { initialTemperature: 2.725 },
+    currentState: {
+      age: 0, _scaleFactor: 1, expansionRate: 67.4, temperature: 2.725,
+      entropy: 0, stabilityIndex: 1, stabilityCeiling: 1, criticalSteps: 0,
+      galaxyCount: 0, starCount: 0, blackHoleCount: 0,
+      habitableSystemsCount: 0, lifeBearingPlanetsCount: 0,
+      civilizationCount: 0, metallicity: 0, energyBudget: 1,
+      cosmicPhase: "dark_ages", stellarGenerations: 0,
+    },
+    metrics: {}, anomalies: [], civilizations: [], significantEvents: [],
+    activeWars: [], milestones: {}, legacies: [], discoveries: [],
+    research: { points: 0, totalEarned: 0 },
+    simStep: 0,
+    markModified() {},
+  };
+}
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+
+/** Play attentively, one live tick at a time, far enough for civs to emerge. */
+function play(uni, steps) {
+  for (let i = 0; i < steps && uni.status !== "ended"; i++) {
+    advanceUniverse(uni, NOW, { forceSteps: 1 });
+    const gen = new AnomalyGenerator(uni, { seed: uni.seed, now: NOW });
+    for (const a of uni.anomalies.filter((x) => !x.resolved)) gen.resolveAnomaly(a.id, 85, 1);
+  }
+  return JSON.stringify(uni);
+}
+
+test("the same document and step count produce byte-identical results", () => {
+  const a = play(makeUniverse(), 450);
+  const b = play(makeUniverse(), 450);
+  assert.equal(a, b);
+
+  const uni = JSON.parse(a);
+  assert.ok(uni.anomalies.length > 0, "exercised anomaly generation");
+  assert.ok(uni.civilizations.length > 0, "exercised civilization spawning");
+});
+
+test("a step draws the same numbers in a burst or one tick at a time", () => {
+  const burst = makeUniverse();
+  advanceUniverse(burst, NOW, { forceSteps: 2 });
+  const ticks = makeUniverse();
+  advanceUniverse(ticks, NOW, { forceSteps: 1 });
+  advanceUniverse(ticks, NOW, { forceSteps: 1 });
+  assert.equal(JSON.stringify(ticks.currentState), JSON.stringify(burst.currentState));
+  assert.deepEqual(ticks.anomalies.map((a) => a.id), burst.anomalies.map((a) => a.id));
+});
+
+test("generated ids come from the step, not the wall clock", () => {
+  const uni = makeUniverse();
+  play(uni, 450);
+  assert.ok(uni.civilizations.length > 0);
+  for (const a of uni.anomalies) assert.match(a.id, /^u-det_\d+_\d+$/);
+  for (const c of uni.civilizations) assert.match(c.id, /^civ_\d+_[0-9a-z]+$/);
+
+  const wars = { simStep: 42, civilizations: [{ id: "civ_a", warlikeness: 1 }, { id: "civ_b", warlikeness: 1 }], activeWars: [] };
+  tickWars(wars, () => 0.0001, NOW);
+  assert.equal(wars.activeWars[0].id, "war_42_10");
+  assert.deepEqual(wars.activeWars[0].startedAt, NOW);
+});
@@ -0,0 +1,139 @@
+// tests/eventBus.test.js
+//
+// The live stream only works if every producer reaches it: logged events,
+// the simulation's warnings, and nothing at all from a journal replay - and,
+// through the shared store, producers on other instances too.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { useStore, publish, flush, subscribe, subscriberCount, muted, sseFrame } = require("../utils/eventBus");
+const { recordEvent } = require("../utils/eventLog");
+
+const collect = (universeId) => {
+  const seen = [];
+  const unsubscribe = subscribe(universeId, (msg) => seen.push(msg));
+  return { seen, unsubscribe };
+};
+
+test("subscribers only hear their own universe", () => {
+  const a = collect("u-a");
+  const b = collect("u-b");
+  publish("u-a", "war", { id: "war_1" });
+  assert.deepEqual(a.seen, [{ kind: "war", data: { id: "war_1" } }]);
+  assert.deepEqual(b.seen, []);
+  a.unsubscribe();
+  b.unsubscribe();
+  assert.equal(subscriberCount("u-a"), 0);
+});
+
+test("recordEvent publishes what it logs, typed by kind", () => {
+  const uni = { _id: "u-log", significantEvents: [], currentState: { age: 2e9 } };
+  const { seen, unsubscribe } = collect("u-log");
+
+  recordEvent(uni, { type: "war", description: "War breaks out" });
+  recordEvent(uni, { type: "anomaly_spread", description: "Spread" });
+  recordEvent(uni, { type: "milestone", description: "First star" });
+  recordEvent(uni, { type: "civilization", description: "A petition", kind: "petition" });
+  unsubscribe();
+
+  assert.deepEqual(seen.map((m) => m.kind), ["war", "anomaly", "event", "petition"]);
+  assert.equal(seen[0].data, uni.significantEvents[0], "the stream carries the logged event itself");
+  assert.equal("kind" in uni.significantEvents[3], false, "the stream label is not stored");
+});
+
+test("muted work publishes nothing", () => {
+  const uni = { _id: "u-muted", significantEvents: [] };
+  const { seen, unsubscribe } = collect("u-muted");
+  const out = muted(() => {
+    recordEvent(uni, { type: "war", description: "Replayed war" });
+    return 7;
+  });
+  recordEvent(uni, { type: "war", description: "Live war" });
+  unsubscribe();
+  assert.equal(out, 7);
+  assert.deepEqual(seen.map((m) => m.data.description), ["Live war"]);
+});
+
+test("a throwing muted block does not leave publishing muted", () => {
+  assert.throws(() => muted(() => { throw new Error("boom"); }));
+  const { seen, unsubscribe } = collect("u-after");
+  publish("u-after", "event", {});
+  unsubscribe();
+  assert.equal(seen.length, 1);
+});
+
+test("SSE frames name the kind and carry JSON data", () => {
+  assert.equal(sseFrame("achievement", { id: "genesis" }), 'event: achievement\ndata: {"id":"genesis"}\n\n');
+});
+
+// The StreamEvent collection, as far as the bus uses it
+function streamStore() {
+  const rows = [];
+  let nextId = 0;
+  return {
+    rows,
+    async create(doc) {
+      rows.push({ _id: ++nextId, ...doc });
+    },
+    find({ universeId }) {
+      let out = rows.filter((r) => r.universeId === universeId);
+      const chain = {
+        sort: () => { out = [...out].reverse(); return chain; },
+        limit: (n) => { out = out.slice(0, n); return chain; },
+        lean: async () => out.map((r) => ({ ...r }))
+      };
+      return chain;
+    }
+  };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("with a store, events reach streams through it - not through this process", async () => {
+  const store = streamStore();
+  store.rows.push({ _id: 0, universeId: "u-shared", kind: "war", data: { old: true } });
+  useStore(store, { pollMs: 5 });
+  try {
+    const { seen, unsubscribe } = collect("u-shared");
+    await wait(20);
+
+    // As the cron sweep would on another instance: straight into the store
+    await store.create({ universeId: "u-shared", kind: "war", data: { id: "war_2" } });
+    const event = { description: "Petition" };
+    publish("u-shared", "petition", event);
+    event.description = "changed after publishing";
+    assert.deepEqual(seen, [], "nothing is delivered in-process");
+    await flush();
+    await wait(20);
+    unsubscribe();
+
+    assert.deepEqual(seen, [
+      { kind: "war", data: { id: "war_2" } },
+      { kind: "petition", data: { description: "Petition" } }
+    ], "only what came after the stream opened, oldest first");
+    assert.equal(subscriberCount("u-shared"), 0);
+  } finally {
+    useStore(null);
+  }
+});
+
+test("flush waits for the writes already in flight, not the ones after it", async () => {
+  const gates = [];
+  useStore({ create: () => new Promise((resolve) => gates.push(resolve)) });
+  try {
+    publish("u-busy", "tick", { n: 1 });
+    let flushed = false;
+    const flushing = flush().then(() => { flushed = true; });
+    await wait(0);
+    publish("u-busy", "tick", { n: 2 });
+    await wait(0);
+    assert.equal(gates.length, 2);
+
+    gates[0]();
+    await flushing;
+    assert.equal(flushed, true, "the later write is still open");
+  } finally {
+    gates.forEach((open) => open());
+    await flush();
+    useStore(null);
+  }
+});
@@ -0,0 +1,44 @@
+// tests/genesis.test.js
+//
+// Players' universes and the predictor tooling's fresh ones start from the
+// same genesis; a creator's overrides land on top of it, and a quiet run
+// keeps the engines off the console.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_CONSTANTS, genesisFields, freshUniverse } = require("../utils/genesis");
+const { advanceUniverse } = require("../utils/simulationRunner");
+const { muted } = require("../utils/eventBus");
+
+test("a creator's constants and temperature go over the defaults", () => {
+  const fields = genesisFields({ constants: { H0_km_s_Mpc: 70 }, initialTemperature: 3 });
+  assert.deepEqual(fields.constants, { ...DEFAULT_CONSTANTS, H0_km_s_Mpc: 70 });
+  assert.equal(fields.currentState.expansionRate, 70);
+  assert.equal(fields.currentState.temperature, 3);
+  assert.deepEqual(fields.initialConditions, { initialTemperature: 3 });
+});
+
+test("a fresh universe is the genesis as a plain document, each its own copy", () => {
+  const a = freshUniverse("same");
+  const b = freshUniverse("same");
+  assert.deepEqual(a.currentState, genesisFields().currentState);
+  assert.equal(a.currentState.cosmicPhase, "galaxy_formation");
+  a.currentState.age = 0;
+  assert.equal(b.currentState.age, 1.2e9);
+});
+
+test("a quiet run keeps the engines off the console", () => {
+  const run = (quiet) => {
+    const uni = { ...freshUniverse("quiet"), markModified() {} };
+    const lines = [];
+    const log = console.log;
+    console.log = (...args) => lines.push(args.join(" "));
+    try {
+      muted(() => advanceUniverse(uni, new Date("2026-01-01T00:00:00Z"), { forceSteps: 200, quiet }));
+    } finally {
+      console.log = log;
+    }
+    return lines;
+  };
+  assert.ok(run(false).length > 0, "the engines do have something to say");
+  assert.deepEqual(run(true), []);
+});
@@ -0,0 +1,141 @@
+// tests/guestRetention.test.js
+//
+// Idle guests are warned, then deleted with everything they own; guests that
+// come back are reprieved and registered accounts are never touched. Runs
+// against in-memory collections.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { reapGuests, guestExpiry, GUEST_RETENTION_DAYS, GUEST_WARNING_DAYS } = require("../utils/guestRetention");
+
+const DAY = 24 * 3600 * 1000;
+const NOW = new Date("2026-06-01T00:00:00Z");
+const daysAgo = (n) => new Date(NOW.getTime() - n * DAY);
+
+// Enough of Mongo's query language for the retention queries
+function matches(row, filter) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === "$or") return cond.some((f) => matches(row, f));
+    if (key === "$nor") return !cond.some((f) => matches(row, f));
+    const value = row[key];
+    if (cond === null) return value == null;
+    if (cond instanceof Date) return value?.getTime() === cond.getTime();
+    if (cond && typeof cond === "object" && !cond._bsontype) {
+      return Object.entries(cond).every(([op, arg]) => {
+        if (op === "$lt") return value != null && value < arg;
+        if (op === "$lte") return value != null && value <= arg;
+        if (op === "$ne") return arg === null ? value != null : value !== arg;
+        if (op === "$in") return arg.map(String).includes(String(value));
+        throw new Error(`unsupported ${op}`);
+      });
+    }
+    return String(value) === String(cond);
+  });
+}
+
+function collection(rows = []) {
+  const api = {
+    rows,
+    find(filter) {
+      let out = rows.filter((r) => matches(r, filter));
+      const chain = {
+        select: () => chain,
+        limit: (n) => { out = out.slice(0, n); return chain; },
+        lean: async () => out.map((r) => ({ ...r }))
+      };
+      return chain;
+    },
+    async updateMany(filter, { $set }) {
+      const hit = rows.filter((r) => matches(r, filter));
+      hit.forEach((r) => Object.assign(r, $set));
+      return { modifiedCount: hit.length };
+    },
+    async deleteMany(filter) {
+      const before = rows.length;
+      for (let i = rows.length - 1; i >= 0; i--) if (matches(rows[i], filter)) rows.splice(i, 1);
+      return { deletedCount: before - rows.length };
+    },
+    async deleteOne(filter) {
+      const i = rows.findIndex((r) => matches(r, filter));
+      if (i >= 0) rows.splice(i, 1);
+      return { deletedCount: i >= 0 ? 1 : 0 };
+    }
+  };
+  return api;
+}
+
+function world() {
+  const users = [
+    { _id: "idle", isGuest: true, lastActiveAt: daysAgo(40), guestDeletionAt: daysAgo(1) },
+    { _id: "fading", isGuest: true, lastActiveAt: daysAgo(GUEST_RETENTION_DAYS - 3), guestDeletionAt: null },
+    { _id: "legacy", isGuest: true, lastActiveAt: null, updatedAt: daysAgo(45), guestDeletionAt: null },
+    { _id: "back", isGuest: true, lastActiveAt: daysAgo(1), guestDeletionAt: daysAgo(2) },
+    { _id: "fresh", isGuest: true, lastActiveAt: daysAgo(2), guestDeletionAt: null },
+    { _id: "member", isGuest: false, lastActiveAt: daysAgo(400), guestDeletionAt: null }
+  ];
+  const universes = [
+    { _id: "u1", userId: "idle" }, { _id: "u2", userId: "idle" }, { _id: "u3", userId: "member" }
+  ];
+  const perUniverse = () => collection([
+    { universeId: "u1" }, { universeId: "u2" }, { universeId: "u3" }
+  ]);
+  return {
+    User: collection(users),
+    Universe: collection(universes),
+    Session: collection([{ userId: "idle" }, { userId: "member" }]),
+    Snapshot: perUniverse(),
+    JournalEntry: perUniverse(),
+    UniverseEvent: perUniverse(),
+    ArchivedEvent: perUniverse(),
+    Discovery: perUniverse(),
+    ExtinctCivilization: perUniverse()
+  };
+}
+
+test("a sweep warns, reprieves and reaps the right accounts", async () => {
+  const models = world();
+  const result = await reapGuests(models, { now: NOW });
+
+  assert.deepEqual(result, { reprieved: 1, warned: 2, reaped: 1, universesDeleted: 2, failures: [] });
+  const byId = Object.fromEntries(models.User.rows.map((u) => [u._id, u]));
+  assert.equal(byId.idle, undefined);
+  assert.equal(byId.back.guestDeletionAt, null, "played again since the warning");
+  assert.equal(byId.fading.guestDeletionAt.getTime(), NOW.getTime() + GUEST_WARNING_DAYS * DAY);
+  assert.ok(byId.legacy.guestDeletionAt, "accounts without lastActiveAt fall back to updatedAt");
+  assert.equal(byId.fresh.guestDeletionAt, null);
+  assert.equal(byId.member.guestDeletionAt, null, "registered accounts are never touched");
+});
+
+test("everything the reaped guest owned goes with it", async () => {
+  const models = world();
+  await reapGuests(models, { now: NOW });
+
+  assert.deepEqual(models.Universe.rows.map((u) => u._id), ["u3"]);
+  for (const name of ["Snapshot", "JournalEntry", "UniverseEvent", "ArchivedEvent", "Discovery", "ExtinctCivilization"]) {
+    assert.deepEqual(models[name].rows.map((r) => r.universeId), ["u3"], name);
+  }
+  assert.deepEqual(models.Session.rows.map((s) => s.userId), ["member"]);
+});
+
+test("a newly warned guest is not deleted before its warning runs out", async () => {
+  const models = world();
+  await reapGuests(models, { now: NOW });
+  // "legacy" is past retention but was only just warned
+  assert.ok(models.User.rows.some((u) => u._id === "legacy"));
+
+  const later = new Date(NOW.getTime() + (GUEST_WARNING_DAYS + 1) * DAY);
+  const result = await reapGuests(models, { now: later });
+  assert.ok(!models.User.rows.some((u) => u._id === "legacy"));
+  assert.ok(result.reaped >= 1);
+});
+
+test("the profile tells a guest where it stands", () => {
+  const safe = guestExpiry({ isGuest: true, lastActiveAt: daysAgo(1), guestDeletionAt: null }, { now: NOW });
+  assert.equal(safe.daysLeft, GUEST_RETENTION_DAYS - 1);
+  assert.equal(safe.warning, false);
+
+  const warned = guestExpiry({ isGuest: true, lastActiveAt: daysAgo(1), guestDeletionAt: daysAgo(3) }, { now: NOW });
+  assert.equal(warned.warning, true, "a warning from the sweep shows even after the guest returns");
+  assert.match(warned.message, /Claim it/);
+
+  assert.equal(guestExpiry({ isGuest: false }, { now: NOW }), null);
+});
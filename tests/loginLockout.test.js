@@ -0,0 +1,70 @@
+// tests/loginLockout.test.js
+//
+// Wrong passwords lock an account for progressively longer; a day without
+// failures starts the count over. Runs against an in-memory user.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  LOCKOUT_THRESHOLD, LOCKOUT_BASE_MS, LOCKOUT_MAX_MS, FAILURE_MEMORY_MS,
+  lockoutUntil, lockoutRemaining, recordLoginFailure, clearLoginFailures
+} = require("../utils/loginLockout");
+
+const NOW = new Date("2026-06-01T12:00:00Z");
+
+// One user document and the updates recordLoginFailure makes to it
+function fakeUser() {
+  const user = { _id: "u1" };
+  return {
+    user,
+    findOneAndUpdate(filter, { $inc, $set }) {
+      const since = filter["loginLockout.lastFailureAt"].$gte;
+      const hit = user.loginLockout?.lastFailureAt >= since;
+      if (hit) {
+        user.loginLockout.failures += $inc["loginLockout.failures"];
+        user.loginLockout.lastFailureAt = $set["loginLockout.lastFailureAt"];
+      }
+      const chain = { select: () => chain, lean: async () => (hit ? structuredClone(user) : null) };
+      return chain;
+    },
+    async updateOne(filter, { $set = {}, $unset = {} }) {
+      for (const [path, value] of Object.entries($set)) {
+        if (path === "loginLockout") user.loginLockout = { ...value };
+        else user.loginLockout[path.split(".")[1]] = value;
+      }
+      if ($unset.loginLockout) delete user.loginLockout;
+    }
+  };
+}
+
+test("lockouts start at the threshold and double up to the cap", () => {
+  assert.equal(lockoutUntil(LOCKOUT_THRESHOLD - 1, NOW), null);
+  assert.equal(lockoutUntil(LOCKOUT_THRESHOLD, NOW) - NOW, LOCKOUT_BASE_MS);
+  assert.equal(lockoutUntil(LOCKOUT_THRESHOLD + 2, NOW) - NOW, 4 * LOCKOUT_BASE_MS);
+  assert.equal(lockoutUntil(LOCKOUT_THRESHOLD + 30, NOW) - NOW, LOCKOUT_MAX_MS);
+});
+
+test("repeated wrong passwords lock the account, a sign-in clears it", async () => {
+  const User = fakeUser();
+  let result;
+  for (let i = 1; i <= LOCKOUT_THRESHOLD; i++) {
+    result = await recordLoginFailure(User, "u1", NOW);
+    assert.equal(result.failures, i);
+  }
+  assert.equal(result.retryAfter, LOCKOUT_BASE_MS / 1000);
+  assert.equal(lockoutRemaining(User.user, NOW), LOCKOUT_BASE_MS / 1000);
+  assert.equal(lockoutRemaining(User.user, new Date(NOW.getTime() + LOCKOUT_BASE_MS)), 0);
+
+  await clearLoginFailures(User, "u1");
+  assert.equal(User.user.loginLockout, undefined);
+  assert.equal(lockoutRemaining(User.user, NOW), 0);
+});
+
+test("failures a day apart don't add up", async () => {
+  const User = fakeUser();
+  for (let i = 0; i < LOCKOUT_THRESHOLD - 1; i++) await recordLoginFailure(User, "u1", NOW);
+  const nextDay = new Date(NOW.getTime() + FAILURE_MEMORY_MS + 1);
+  const result = await recordLoginFailure(User, "u1", nextDay);
+  assert.equal(result.failures, 1);
+  assert.equal(result.lockedUntil, null);
+  assert.equal(result.retryAfter, 0);
+});
@@ -0,0 +1,58 @@
+// tests/mailer.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { createMailer, registerTransport, DEFAULT_FROM } = require("../utils/mailer");
+
+const message = { to: "player@example.com", subject: "Hello", text: "Body" };
+
+test("the file transport writes each message as JSON", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mailer-test-"));
+  try {
+    const receipt = await createMailer({ transport: "file", dir }).send(message);
+    const written = JSON.parse(await fs.readFile(receipt.file, "utf8"));
+    assert.deepEqual(written, { from: DEFAULT_FROM, ...message });
+    assert.equal(path.dirname(receipt.file), dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("registered transports receive the full message", async () => {
+  const sent = [];
+  registerTransport("memory", ({ box }) => async (m) => { box.push(m); return { id: "m1" }; });
+  const mailer = createMailer({ transport: "memory", from: "Ops <ops@example.com>", box: sent });
+
+  assert.deepEqual(await mailer.send({ ...message, html: "<p>Body</p>" }), { id: "m1" });
+  assert.deepEqual(sent, [{ from: "Ops <ops@example.com>", ...message, html: "<p>Body</p>" }]);
+});
+
+test("unknown transports and incomplete messages are refused", async () => {
+  assert.throws(() => createMailer({ transport: "carrier-pigeon" }), /Unknown mail transport/);
+  assert.throws(() => createMailer({ transport: "webhook", url: "" }), /MAIL_WEBHOOK_URL/);
+  await assert.rejects(createMailer({ transport: "console" }).send({ to: "x@example.com" }), /needs to, subject and text/);
+});
+
+test("production never falls back to printing mail to the logs", () => {
+  const { NODE_ENV, MAIL_TRANSPORT, VERCEL } = process.env;
+  try {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.VERCEL;
+    process.env.NODE_ENV = "production";
+    assert.throws(() => createMailer(), /set MAIL_TRANSPORT/);
+    assert.throws(() => createMailer({ transport: "console" }), /would log account tokens/);
+    assert.equal(createMailer({ transport: "file" }).transport, "file");
+
+    process.env.NODE_ENV = "development";
+    assert.equal(createMailer().transport, "console");
+    process.env.VERCEL = "1";
+    assert.throws(() => createMailer(), /set MAIL_TRANSPORT/);
+  } finally {
+    for (const [key, value] of Object.entries({ NODE_ENV, MAIL_TRANSPORT, VERCEL })) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
@@ -0,0 +1,137 @@
+// tests/mlPredictor.test.js
+//
+// The trained predictor: ridge regression fit to dataset samples, saved to a
+// versioned weights file, and used by MLPredictor with a confidence that
+// comes from the model's held-out error - falling back to the heuristics
+// when there's no model.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const seedrandom = require("seedrandom");
+const MLPredictor = require("../utils/mlPredictor");
+const { trainModel, checkModel, MODEL_VERSION } = require("../utils/predictorModel");
+const {
+  FEATURE_SCHEMA_VERSION,
+  FEATURE_SCHEMA,
+  TARGET_SCHEMA,
+  normalizeValue,
+  denormalizeValue
+} = require("../utils/predictorFeatures");
+
+const SCHEMAS = { featureSchema: FEATURE_SCHEMA, targetSchema: TARGET_SCHEMA, schemaVersion: FEATURE_SCHEMA_VERSION };
+const STABILITY = FEATURE_SCHEMA.indexOf("stabilityIndex");
+const ENTROPY = FEATURE_SCHEMA.indexOf("entropy");
+
+// Samples from a known law: stability falls with entropy, everything else
+// holds, plus `noise`
+function samples(n, noise = 0, seed = "ml") {
+  const rng = seedrandom(seed);
+  return Array.from({ length: n }, () => {
+    const features = FEATURE_SCHEMA.map(() => rng());
+    const targets = TARGET_SCHEMA.map((key) => features[FEATURE_SCHEMA.indexOf(key)]);
+    targets[TARGET_SCHEMA.indexOf("stabilityIndex")] =
+      features[STABILITY] - 0.02 * features[ENTROPY] + noise * (rng() - 0.5);
+    return { features, targets };
+  });
+}
+
+function makeUniverse() {
+  return {
+    difficulty: "Intermediate",
+    constants: {},
+    initialConditions: {},
+    currentState: {
+      age: 5e9, _scaleFactor: 2, expansionRate: 67.4, temperature: 5,
+      entropy: 1e12, stabilityIndex: 0.6, galaxyCount: 1e9, starCount: 1e18,
+      blackHoleCount: 1e6, habitableSystemsCount: 1e8, lifeBearingPlanetsCount: 1e4,
+      civilizationCount: 10, metallicity: 0.2, energyBudget: 0.8, stellarGenerations: 2
+    },
+    anomalies: []
+  };
+}
+
+test("ridge regression recovers the law behind its samples", () => {
+  const model = trainModel(samples(500), SCHEMAS);
+  const stability = model.weights[TARGET_SCHEMA.indexOf("stabilityIndex")];
+
+  assert.ok(Math.abs(stability[1 + ENTROPY] + 0.02) < 1e-3);
+  assert.ok(Math.abs(stability[0]) < 1e-3);
+  assert.equal(model.samples.holdout, 50);
+  assert.ok(model.rmse.stabilityIndex < 1e-3);
+  assert.equal(checkModel(model, SCHEMAS).ok, true);
+});
+
+test("too few samples to fit is an error, not a model", async () => {
+  assert.throws(() => trainModel(samples(10), SCHEMAS), new RegExp(`at least ${FEATURE_SCHEMA.length + 1} training samples`));
+  const result = await new MLPredictor(makeUniverse(), { model: null }).trainModel(samples(10));
+  assert.equal(result.success, false);
+});
+
+test("a weights file round-trips, and a stale one is refused", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ml-"));
+  try {
+    const file = path.join(dir, "model.json");
+    fs.writeFileSync(file, JSON.stringify(trainModel(samples(300), SCHEMAS)));
+
+    const predictor = new MLPredictor(makeUniverse(), { model: null });
+    assert.equal((await predictor.loadModel(file)).success, true);
+    assert.equal(predictor.predictStability().source, "model");
+
+    const stale = { ...JSON.parse(fs.readFileSync(file, "utf8")), version: MODEL_VERSION + 1 };
+    fs.writeFileSync(file, JSON.stringify(stale));
+    assert.match((await predictor.loadModel(file)).reason, /Unsupported model version/);
+
+    const older = { ...stale, version: MODEL_VERSION, schemaVersion: FEATURE_SCHEMA_VERSION - 1 };
+    fs.writeFileSync(file, JSON.stringify(older));
+    assert.match((await predictor.loadModel(file)).reason, /feature schema v1/);
+
+    const reordered = { ...older, schemaVersion: FEATURE_SCHEMA_VERSION, featureSchema: [...FEATURE_SCHEMA].reverse() };
+    fs.writeFileSync(file, JSON.stringify(reordered));
+    assert.match((await predictor.loadModel(file)).reason, /different feature schema/);
+
+    assert.match((await predictor.loadModel(path.join(dir, "missing.json"))).reason, /No model file/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("without a model the heuristics answer, and say so", () => {
+  const predictions = new MLPredictor(makeUniverse(), { model: null }).generatePredictions();
+  assert.equal(predictions.predictions.stability.source, "heuristic");
+  assert.equal(predictions.predictions.stability.confidence, 0.75);
+  assert.equal(predictions.predictions.endConditions.source, "heuristic");
+  assert.equal(predictions.overallRisk.confidence, 0.7);
+});
+
+test("confidence falls as the model's error and the horizon grow", () => {
+  const sharp = trainModel(samples(500, 0.02), SCHEMAS);
+  const noisy = trainModel(samples(500, 0.3), SCHEMAS);
+  const confidence = (model, predictionHorizon = 5) =>
+    new MLPredictor(makeUniverse(), { model, predictionHorizon }).predictStability().confidence;
+
+  assert.ok(noisy.rmse.stabilityIndex > sharp.rmse.stabilityIndex);
+  assert.ok(confidence(sharp) > confidence(noisy));
+  assert.ok(confidence(sharp, 1) > confidence(sharp, 20));
+  assert.ok(confidence(noisy) > 0 && confidence(sharp) < 1);
+});
+
+test("model forecasts follow the learned trend", () => {
+  const predictions = new MLPredictor(makeUniverse(), { model: trainModel(samples(500), SCHEMAS) }).generatePredictions();
+  const { stability, endConditions, life } = predictions.predictions;
+
+  assert.equal(stability.source, "model");
+  assert.ok(stability.predicted < stability.current);
+  assert.ok("entropy" in stability.factors);
+  assert.equal(endConditions.source, "model");
+  assert.ok(endConditions.risks.instabilityCollapse.risk >= 0 && endConditions.risks.instabilityCollapse.risk <= 1);
+  assert.ok(Math.abs(life.civilizations.predictedGrowth) < 0.05);
+});
+
+test("denormalizing undoes normalizing", () => {
+  for (const [key, value] of [["entropy", 1e12], ["stabilityIndex", 0.42], ["civilizationCount", 250]]) {
+    const back = denormalizeValue(normalizeValue(value, key), key);
+    assert.ok(Math.abs(back - value) / value < 1e-9, key);
+  }
+});
@@ -0,0 +1,137 @@
+// tests/monteCarloForecast.test.js
+//
+// The Monte Carlo forecast runs the real engine on copies of a universe: the
+// universe itself must come out untouched and its live stream silent, the
+// same state must always give the same forecast, and the cache must answer
+// repeat calls until the universe moves on.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { advanceUniverse } = require("../utils/simulationRunner");
+const { subscribe } = require("../utils/eventBus");
+const { forecastUniverse, createForecastCache } = require("../utils/monteCarloForecast");
+
+const NOW = new Date("2026-01-01T00:00:00Z");
+
+function makeUniverse() {
+  return {
+    _id: { toString: () => "u-forecast" },
+    seed: "forecast-seed",
+    difficulty: "Intermediate",
+    constants: {},
+    initialConditions: { initialTemperature: 2.725 },
+    currentState: {
+      age: 0, _scaleFactor: 1, expansionRate: 67.4, temperature: 2.725,
+      entropy: 0, stabilityIndex: 1, stabilityCeiling: 1, criticalSteps: 0,
+      galaxyCount: 0, starCount: 0, blackHoleCount: 0,
+      habitableSystemsCount: 0, lifeBearingPlanetsCount: 0,
+      civilizationCount: 0, metallicity: 0, energyBudget: 1,
+      cosmicPhase: "dark_ages", stellarGenerations: 0,
+    },
+    metrics: {}, anomalies: [], civilizations: [], significantEvents: [],
+    activeWars: [], milestones: {}, legacies: [], discoveries: [],
+    research: { points: 0, totalEarned: 0 },
+    simStep: 0,
+    markModified() {},
+  };
+}
+
+// A universe well into the civilization era, tended so it survives getting there
+let grown = null;
+function grownUniverse() {
+  if (!grown) {
+    const uni = makeUniverse();
+    const log = console.log;
+    console.log = () => {};
+    try {
+      for (let i = 0; i < 250; i++) {
+        advanceUniverse(uni, NOW, { forceSteps: 1 });
+        for (const a of uni.anomalies) a.resolved = true;
+      }
+    } finally {
+      console.log = log;
+    }
+    grown = JSON.stringify(uni);
+  }
+  return { ...JSON.parse(grown), _id: { toString: () => "u-forecast" }, markModified() {} };
+}
+
+const quietly = (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); } finally { console.log = log; }
+};
+
+test("forecasting leaves the universe untouched and its stream silent", () => {
+  const uni = grownUniverse();
+  const before = JSON.stringify(uni);
+  const heard = [];
+  const unsubscribe = subscribe("u-forecast", (msg) => heard.push(msg));
+  try {
+    const result = quietly(() => forecastUniverse(uni, { runs: 4, now: NOW }));
+    assert.equal(result.ok, true);
+  } finally {
+    unsubscribe();
+  }
+  assert.equal(JSON.stringify(uni), before);
+  assert.deepEqual(heard, []);
+});
+
+test("the same state gives the same forecast, covering every living civ and war", () => {
+  const uni = grownUniverse();
+  const living = uni.civilizations.filter((c) => !c.extinct);
+  assert.ok(living.length >= 2);
+  uni.activeWars = [{ id: "war_test", a: living[0].id, b: living[1].id, scoreA: 0, scoreB: 0 }];
+
+  const first = quietly(() => forecastUniverse(uni, { steps: 20, runs: 6, now: NOW }));
+  const second = quietly(() => forecastUniverse(uni, { steps: 20, runs: 6, now: NOW }));
+  assert.deepEqual(first, second);
+
+  const { forecast } = first;
+  assert.equal(forecast.steps, 20);
+  assert.equal(forecast.runs, 6);
+  assert.equal(forecast.collapse.crisisWindow, 12);
+  assert.deepEqual(forecast.civilizations.map((c) => c.id), living.map((c) => c.id));
+  for (const civ of forecast.civilizations) {
+    assert.ok(civ.extinction >= 0 && civ.extinction <= 1);
+    assert.ok(civ.promotion >= 0 && civ.promotion <= 1);
+  }
+  const [war] = forecast.wars;
+  assert.ok(Math.abs(war.aWins + war.bWins + war.ongoing - 1) < 0.01);
+  assert.ok(forecast.stability.final.p10 <= forecast.stability.final.median);
+  assert.ok(forecast.stability.final.median <= forecast.stability.final.p90);
+});
+
+test("a universe on the edge of its crisis window is forecast to collapse", () => {
+  const uni = grownUniverse();
+  uni.currentState.stabilityIndex = 0.01;
+  uni.currentState.criticalSteps = 11;
+  const result = quietly(() => forecastUniverse(uni, { runs: 4, now: NOW }));
+
+  assert.equal(result.forecast.collapse.probability, 1);
+  assert.equal(result.forecast.collapse.expectedSteps, 1);
+  assert.equal(result.forecast.endings["instability-collapse"], 1);
+});
+
+test("an ended universe has no future to forecast", () => {
+  const result = forecastUniverse({ ...makeUniverse(), status: "ended" });
+  assert.equal(result.ok, false);
+});
+
+test("the cache answers until the universe takes a step or changes", () => {
+  const cache = createForecastCache(2);
+  let computed = 0;
+  const compute = () => ++computed;
+  const uni = { _id: "a", simStep: 10, revision: 3 };
+
+  assert.deepEqual(cache.fetch(uni, {}, compute), { result: 1, cached: false });
+  assert.deepEqual(cache.fetch(uni, {}, compute), { result: 1, cached: true });
+  assert.equal(cache.fetch({ ...uni, revision: 4 }, {}, compute).cached, false);
+  assert.equal(cache.fetch({ ...uni, revision: 4, simStep: 11 }, {}, compute).cached, false);
+  assert.equal(cache.fetch({ ...uni, revision: 4, simStep: 11 }, { runs: 4 }, compute).cached, false);
+  assert.equal(computed, 4);
+
+  cache.fetch({ _id: "b" }, {}, compute);
+  cache.fetch({ _id: "c" }, {}, compute);
+  assert.equal(cache.size(), 2);
+  assert.equal(cache.fetch({ _id: "b" }, {}, compute).cached, true);
+});
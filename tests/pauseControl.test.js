@@ -0,0 +1,41 @@
+// tests/pauseControl.test.js
+//
+// A vacation must cost nothing: resuming after a week owes no catch-up steps,
+// but the time that was already owed when the player paused is still owed.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { pauseUniverse, resumeUniverse } = require("../utils/pauseControl");
+
+const t0 = new Date("2026-01-01T00:00:00Z");
+const at = (seconds) => new Date(t0.getTime() + seconds * 1000);
+
+test("pausing freezes a running universe", () => {
+  const u = { status: "running", lastSimulatedAt: t0 };
+  assert.equal(pauseUniverse(u, at(10)).ok, true);
+  assert.equal(u.status, "paused");
+  assert.deepEqual(u.pausedAt, at(10));
+});
+
+test("resuming skips the paused period but keeps time owed before it", () => {
+  const u = { status: "running", lastSimulatedAt: t0 };
+  pauseUniverse(u, at(45));
+  const r = resumeUniverse(u, at(7 * 86400));
+  assert.equal(r.ok, true);
+  assert.equal(r.pausedMs, (7 * 86400 - 45) * 1000);
+  assert.equal(u.status, "running");
+  assert.equal(u.pausedAt, null);
+  assert.equal(at(7 * 86400) - u.lastSimulatedAt, 45 * 1000, "only the pre-pause 45s is owed");
+});
+
+test("a clock ahead of the pause owes nothing", () => {
+  const u = { status: "paused", pausedAt: t0, lastSimulatedAt: at(60) };
+  resumeUniverse(u, at(600));
+  assert.deepEqual(u.lastSimulatedAt, at(600));
+});
+
+test("invalid transitions are refused", () => {
+  assert.equal(pauseUniverse({ status: "ended" }).ok, false);
+  assert.equal(pauseUniverse({ status: "paused" }).ok, false);
+  assert.equal(resumeUniverse({ status: "running" }).ok, false);
+  assert.equal(resumeUniverse({ status: "ended" }).ok, false);
+});
@@ -0,0 +1,47 @@
+// tests/permissions.test.js
+//
+// Roles are tiers of named permissions: testers get the dev tools that only
+// touch their own universes, never free research or other players' data.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ROLES, PERMISSIONS, effectiveRole, hasPermission, permissionsFor, outranks } = require("../utils/permissions");
+const requirePermission = require("../middleware/permissionMiddleware");
+
+test("testers can fast-forward but not grant research or inspect other players", () => {
+  const tester = { role: "tester" };
+  assert.equal(hasPermission(tester, "dev.fastForward"), true);
+  assert.equal(hasPermission(tester, "dev.grantResearch"), false);
+  assert.equal(hasPermission(tester, "universes.inspectAny"), false);
+  assert.equal(hasPermission(tester, "users.ban"), false);
+});
+
+test("each role holds everything the role below it does", () => {
+  for (let i = 1; i < ROLES.length; i++) {
+    const lower = permissionsFor({ role: ROLES[i - 1] });
+    const higher = new Set(permissionsFor({ role: ROLES[i] }));
+    for (const name of lower) assert.ok(higher.has(name), `${ROLES[i]} lacks ${name}`);
+  }
+  assert.deepEqual(permissionsFor({ role: "admin" }), Object.keys(PERMISSIONS).sort());
+  assert.deepEqual(permissionsFor({ role: "player" }), []);
+  assert.equal(hasPermission({ role: "moderator" }, "users.ban"), true);
+  assert.equal(hasPermission({ role: "moderator" }, "dev.grantResearch"), false);
+});
+
+test("the legacy isAdmin flag is the admin role; unknown roles are players", () => {
+  assert.equal(effectiveRole({ role: "player", isAdmin: true }), "admin");
+  assert.equal(effectiveRole({ role: "overlord" }), "player");
+  assert.equal(effectiveRole(null), "player");
+  assert.equal(hasPermission({ isAdmin: true }, "dev.grantResearch"), true);
+});
+
+test("a misspelled permission fails loudly instead of denying everyone", () => {
+  assert.throws(() => hasPermission({ role: "admin" }, "dev.fastforward"), /Unknown permission/);
+  assert.throws(() => requirePermission("dev.grantRP"), /Unknown permission/);
+});
+
+test("only a higher role outranks an account", () => {
+  assert.equal(outranks("moderator", { role: "player" }), true);
+  assert.equal(outranks("moderator", { role: "moderator" }), false);
+  assert.equal(outranks("moderator", { isAdmin: true }), false);
+  assert.equal(outranks("admin", { role: "moderator" }), true);
+});
@@ -0,0 +1,150 @@
+// tests/predictorEvaluation.test.js
+//
+// The evaluation harness scores the heuristic and trained predictors on the
+// same simulated checkpoints, without touching the universes it copies, and
+// its calibration curves put each prediction in the right tenth. A queued
+// evaluation runs in chunks, under a lease, to the same report.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const seedrandom = require("seedrandom");
+const {
+  advanceEvaluations,
+  calibrationCurve,
+  continueEvaluation,
+  evaluatePredictor,
+  planEvaluation
+} = require("../utils/predictorEvaluation");
+const { freshUniverse } = require("../utils/genesis");
+const { trainModel } = require("../utils/predictorModel");
+const { FEATURE_SCHEMA_VERSION, FEATURE_SCHEMA, TARGET_SCHEMA } = require("../utils/predictorFeatures");
+
+const NOW = new Date("2026-01-01T00:00:00Z");
+
+const quietly = (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try { return fn(); } finally { console.log = log; }
+};
+const quietlyAsync = async (fn) => {
+  const log = console.log;
+  console.log = () => {};
+  try { return await fn(); } finally { console.log = log; }
+};
+
+// A model that has learned "nothing changes"
+function stillModel() {
+  const rng = seedrandom("still");
+  const samples = Array.from({ length: 100 }, () => {
+    const features = FEATURE_SCHEMA.map(() => rng());
+    return { features, targets: TARGET_SCHEMA.map((key) => features[FEATURE_SCHEMA.indexOf(key)]) };
+  });
+  return trainModel(samples, { featureSchema: FEATURE_SCHEMA, targetSchema: TARGET_SCHEMA, schemaVersion: FEATURE_SCHEMA_VERSION });
+}
+
+test("calibration bins predictions by tenth and reports how often they came true", () => {
+  const curve = calibrationCurve([
+    { predicted: 0.05, outcome: 0 },
+    { predicted: 0.08, outcome: 0 },
+    { predicted: 0.72, outcome: 1 },
+    { predicted: 0.78, outcome: 0 },
+    { predicted: 1, outcome: 1 }
+  ]);
+  assert.deepEqual(curve.map((b) => [b.from, b.count, b.observed]), [[0, 2, 0], [0.7, 2, 0.5], [0.9, 1, 1]]);
+  assert.equal(curve[1].predicted, 0.75);
+});
+
+test("without a model only the heuristics are scored", () => {
+  const report = quietly(() => evaluatePredictor([], { fresh: 2, steps: 60, horizon: 5, model: null, now: NOW }));
+
+  assert.equal(report.model, null);
+  assert.equal(report.predictors.model, null);
+  assert.equal(report.universes.fresh, 2);
+  assert.equal(report.checkpoints, 24);
+
+  const { stability, anomalies, endConditions } = report.predictors.heuristic;
+  assert.equal(stability.count, 24);
+  assert.equal(stability.meanConfidence, 0.75);
+  assert.ok(anomalies.brier >= 0 && anomalies.brier <= 1);
+  assert.equal(endConditions.count, 24 * 4);
+  assert.deepEqual(Object.keys(endConditions.byCondition), ["instabilityCollapse", "heatDeath", "bigRip", "maximumEntropy"]);
+});
+
+test("the model is scored on the same checkpoints, and stored universes are copied, not run", () => {
+  const stored = { ...freshUniverse("stored"), _id: "u-stored" };
+  const before = JSON.stringify(stored);
+  const model = stillModel();
+  const run = () => quietly(() => evaluatePredictor([stored], { fresh: 1, steps: 30, model, now: NOW }));
+  const report = run();
+
+  assert.equal(JSON.stringify(stored), before);
+  assert.deepEqual(report.universes, { stored: 1, fresh: 1 });
+  assert.equal(report.predictors.model.source, "model");
+  assert.equal(report.predictors.heuristic.source, "heuristic");
+  assert.equal(report.predictors.model.stability.count, report.predictors.heuristic.stability.count);
+  assert.equal(report.model.samples.training, 90);
+  assert.deepEqual(run(), report);
+});
+
+test("ended universes are skipped", () => {
+  const report = evaluatePredictor([{ ...freshUniverse("over"), status: "ended" }], { model: null, now: NOW });
+  assert.equal(report.checkpoints, 0);
+  assert.equal(report.predictors.heuristic, null);
+});
+
+test("a queued evaluation runs a universe per chunk to the same report", async () => {
+  const stored = { ...freshUniverse("stored"), _id: "u-stored" };
+  const options = { fresh: 2, steps: 30, horizon: 5, model: null, now: NOW };
+  const expected = quietly(() => evaluatePredictor([stored], options));
+
+  const job = planEvaluation(["u-stored", "u-gone"], options);
+  const loadStored = async (id) => (id === "u-stored" ? stored : null);
+  let ms = 0;
+  const clock = () => (ms += 100);
+  const chunks = [];
+  let report = null;
+  while (!report) {
+    report = await quietlyAsync(() => continueEvaluation(job, { loadStored, model: null, now: NOW, budgetMs: 50, clock }));
+    chunks.push(job.pending.length);
+  }
+
+  // The stored universe that's gone is skipped, and nothing is run twice
+  assert.deepEqual(chunks, [3, 2, 1, 0]);
+  assert.deepEqual(report, expected);
+});
+
+test("a cron call claims the oldest waiting evaluation, saves its progress, and finishes it", async () => {
+  const rows = [
+    { _id: "e-done", status: "done", createdAt: 1, leaseUntil: null },
+    { _id: "e-leased", status: "running", createdAt: 2, leaseUntil: new Date(NOW.getTime() + 60000), job: planEvaluation([], { fresh: 1 }) },
+    { _id: "e-queued", status: "queued", createdAt: 3, leaseUntil: null, job: planEvaluation([], { fresh: 2, steps: 20 }) }
+  ];
+  const matches = (row, filter) =>
+    filter.status.$in.includes(row.status) && (row.leaseUntil == null || row.leaseUntil <= NOW);
+  const PredictorEvaluation = {
+    findOneAndUpdate(filter, { $set }) {
+      const row = rows.filter((r) => matches(r, filter)).sort((a, b) => a.createdAt - b.createdAt)[0];
+      if (row) Object.assign(row, $set);
+      return { lean: async () => row && JSON.parse(JSON.stringify(row)) };
+    },
+    async updateOne({ _id, leaseId }, { $set }) {
+      const row = rows.find((r) => r._id === _id && r.leaseId === leaseId);
+      if (row) Object.assign(row, $set);
+    }
+  };
+  const models = { PredictorEvaluation };
+  let ms = 0;
+  const clock = () => (ms += 100);
+  const advance = () => quietlyAsync(() => advanceEvaluations(models, { now: NOW, budgetMs: 50, clock, model: null }));
+
+  assert.deepEqual(await advance(), { id: "e-queued", status: "running", remaining: 1 });
+  assert.equal(rows[2].job.ran.fresh, 1);
+  assert.equal(rows[2].leaseId, null);
+
+  assert.deepEqual(await advance(), { id: "e-queued", status: "done", remaining: 0 });
+  assert.equal(rows[2].job, null);
+  assert.equal(rows[2].report.universes.fresh, 2);
+  assert.equal(rows[2].report.checkpoints, 8);
+  assert.equal(rows[1].status, "running");
+
+  assert.equal(await advance(), null);
+});
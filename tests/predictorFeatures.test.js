@@ -0,0 +1,69 @@
+// tests/predictorFeatures.test.js
+//
+// The predictor's features come from what a stored universe really has -
+// anomalies, the crisis counter, civilizations by Kardashev type, wars - and
+// read zeros as zeros.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  FEATURE_SCHEMA,
+  TARGET_SCHEMA,
+  NORMALIZATION_RANGES,
+  normalizeValue,
+  extractFeatures,
+  extractTargets
+} = require("../utils/predictorFeatures");
+
+function makeUniverse() {
+  return {
+    difficulty: "Advanced",
+    constants: { darkEnergyDensity: 0.7 },
+    currentState: { age: 5e9, stabilityIndex: 0, energyBudget: 0, criticalSteps: 4, stabilityCeiling: 0.8 },
+    anomalies: [{ severity: 2 }, { severity: 5 }, { severity: 4, resolved: true }],
+    civilizations: [
+      { id: "a", type: "Type0" }, { id: "b", type: "Type0" }, { id: "c", type: "Type2" },
+      { id: "d", type: "Type1", extinct: true }
+    ],
+    activeWars: [{ id: "war_1", a: "a", b: "c" }]
+  };
+}
+
+test("features cover anomalies, the crisis counter, civilizations by tier and wars", () => {
+  const { raw } = extractFeatures(makeUniverse());
+  assert.equal(raw.activeAnomalies, 2);
+  assert.equal(raw.anomalySeverity, 7);
+  assert.equal(raw.maxAnomalySeverity, 5);
+  assert.equal(raw.criticalSteps, 4);
+  assert.equal(raw.stabilityCeiling, 0.8);
+  assert.deepEqual(
+    [raw.type0Civilizations, raw.type1Civilizations, raw.type2Civilizations, raw.type3Civilizations],
+    [2, 0, 1, 0]
+  );
+  assert.equal(raw.activeWars, 1);
+  assert.equal(raw.difficultyModifier, 2);
+  assert.equal(raw.darkEnergyDensity, 0.7);
+});
+
+test("a drained universe reads as drained, not as the default", () => {
+  const { raw } = extractFeatures(makeUniverse());
+  assert.equal(raw.stabilityIndex, 0);
+  assert.equal(raw.energyBudget, 0);
+});
+
+test("nothing is read from initialConditions, and every feature has a range", () => {
+  for (const gone of ["cosmicInflationRate", "quantumFluctuations", "matterAntimatterRatio"]) {
+    assert.ok(!FEATURE_SCHEMA.includes(gone), gone);
+  }
+  for (const key of FEATURE_SCHEMA) assert.ok(NORMALIZATION_RANGES[key], key);
+  assert.throws(() => normalizeValue(1, "nonsense"), /No normalization range/);
+});
+
+test("targets are the changing part of the features, in schema order", () => {
+  assert.ok(TARGET_SCHEMA.every((key) => FEATURE_SCHEMA.includes(key)));
+  const features = extractFeatures(makeUniverse());
+  const targets = extractTargets(makeUniverse());
+  assert.equal(targets.normalized.length, TARGET_SCHEMA.length);
+  TARGET_SCHEMA.forEach((key, t) => {
+    assert.equal(targets.normalized[t], features.normalized[FEATURE_SCHEMA.indexOf(key)], key);
+  });
+});
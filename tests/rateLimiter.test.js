@@ -0,0 +1,116 @@
+// tests/rateLimiter.test.js
+//
+// Fixed-window counting per caller, over both stores, and the 429 the
+// middleware turns an exhausted window into.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { RATE_LIMITS, memoryStore, mongoStore, consume } = require("../utils/rateLimiter");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const NOW = new Date("2026-06-01T12:00:00Z");
+
+// Enough of a Mongo model for mongoStore: an upserting $inc on `key`
+function fakeRateLimitModel() {
+  const docs = new Map();
+  return {
+    docs,
+    findOneAndUpdate({ key }, { $inc, $setOnInsert }) {
+      return {
+        lean: async () => {
+          const doc = docs.get(key) || { key, count: 0, ...$setOnInsert };
+          doc.count += $inc.count;
+          docs.set(key, doc);
+          return { ...doc };
+        }
+      };
+    }
+  };
+}
+
+test("a caller is refused past the policy's max until the window rolls over", async () => {
+  const store = memoryStore();
+  const { max, windowMs } = RATE_LIMITS.guest;
+
+  for (let i = 1; i <= max; i++) {
+    const r = await consume(store, "guest", "203.0.113.7", NOW);
+    assert.equal(r.ok, true);
+    assert.equal(r.remaining, max - i);
+  }
+  const refused = await consume(store, "guest", "203.0.113.7", NOW);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.retryAfter, Math.ceil((refused.resetAt - NOW) / 1000));
+
+  assert.equal((await consume(store, "guest", "198.51.100.2", NOW)).ok, true, "other callers count alone");
+  assert.equal((await consume(store, "login", "203.0.113.7", NOW)).ok, true, "other policies count alone");
+  const later = new Date(refused.resetAt.getTime() + 1);
+  assert.equal((await consume(store, "guest", "203.0.113.7", later)).ok, true);
+  assert.ok(refused.resetAt - NOW <= windowMs);
+});
+
+test("the Mongo store shares one counter per caller and window", async () => {
+  const RateLimit = fakeRateLimitModel();
+  const a = mongoStore(RateLimit);
+  const b = mongoStore(RateLimit); // a second serverless instance
+  await consume(a, "eventReward", "user1", NOW);
+  const r = await consume(b, "eventReward", "user1", NOW);
+
+  assert.equal(r.remaining, RATE_LIMITS.eventReward.max - 2);
+  const [doc] = RateLimit.docs.values();
+  assert.equal(doc.count, 2);
+  assert.equal(doc.expiresAt.getTime(), r.resetAt.getTime(), "the TTL index drops the window when it ends");
+  await assert.rejects(consume(a, "nope", "user1", NOW), /Unknown rate limit policy/);
+});
+
+function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      if (typeof name === "object") Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  return middleware(req, res, () => { passed = true; }).then(() => ({ passed, res }));
+}
+
+test("the middleware sets rate limit headers and answers 429 with Retry-After", async () => {
+  const limit = rateLimit("guest", { store: memoryStore() });
+  const req = { ip: "203.0.113.7" };
+  const { max } = RATE_LIMITS.guest;
+
+  const first = await run(limit, req);
+  assert.equal(first.passed, true);
+  assert.equal(first.res.headers["RateLimit-Limit"], String(max));
+  assert.equal(first.res.headers["RateLimit-Remaining"], String(max - 1));
+
+  for (let i = 1; i < max; i++) await run(limit, req);
+  const { passed, res } = await run(limit, req);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers["RateLimit-Remaining"], "0");
+  assert.ok(Number(res.headers["Retry-After"]) > 0);
+  assert.equal(res.body.retryAfter, Number(res.headers["Retry-After"]));
+});
+
+test("account policies key on the signed-in user, and a broken store fails open", async () => {
+  const store = memoryStore();
+  const limit = rateLimit("discoveries", { store });
+  await run(limit, { ip: "203.0.113.7", user: { id: "u1" } });
+  await run(limit, { ip: "203.0.113.7", user: { id: "u2" } });
+  assert.equal(store.size(), 2);
+
+  const broken = rateLimit("login", { store: { hit: async () => { throw new Error("db down"); } } });
+  const original = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await run(broken, { ip: "203.0.113.7" })).passed, true);
+  } finally {
+    console.error = original;
+  }
+  assert.throws(() => rateLimit("nope"), /Unknown rate limit policy/);
+});
@@ -0,0 +1,135 @@
+// tests/saveFile.test.js
+//
+// The guarantee players can't break: hand-editing a save into 100k RP must
+// fail, whether they forget to touch the checksum or recompute a plain one.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const {
+  SAVE_FORMAT, SAVE_VERSION, canonicalJSON, exportSave, verifySave, sanitizeImport, importSave,
+} = require("../utils/saveFile");
+const { UPGRADE_TRACKS } = require("../utils/upgradeCatalog");
+const { MAX_UNIVERSES_PER_ACCOUNT, confirmFork } = require("../utils/universeFork");
+
+const SECRET = "test-secret";
+
+const universe = () => ({
+  _id: "u_1",
+  userId: "user_a",
+  name: "Home",
+  seed: "s1",
+  status: "running",
+  simStep: 90,
+  currentState: { age: 4e9, stabilityIndex: 0.6 },
+  research: { points: 120, totalEarned: 400, discoveryCount: 3, classesDiscovered: ["spiral"] },
+  upgrades: { thrusters: 2, scanner: 0 },
+  civilizations: [{ id: "civ_1", type: "Type1", technology: 30, stability: 0.5, relationship: 0.2 }],
+  createdAt: new Date(0),
+});
+
+test("an export verifies and imports for another account", () => {
+  const save = exportSave(universe(), SECRET);
+  assert.equal(save.format, SAVE_FORMAT);
+  assert.equal(save.version, SAVE_VERSION);
+  assert.equal(save.universe.userId, undefined, "ownership is not exported");
+
+  const r = importSave(JSON.parse(JSON.stringify(save)), { secret: SECRET, userId: "user_b" });
+  assert.equal(r.ok, true);
+  assert.equal(r.universe.userId, "user_b");
+  assert.equal(r.universe.research.points, 120);
+  assert.equal(r.universe.simStep, 90);
+});
+
+test("editing the research balance breaks the signature", () => {
+  const save = exportSave(universe(), SECRET);
+  save.universe.research.points = 100000;
+  save.universe.research.totalEarned = 100000;
+  const r = verifySave(save, SECRET);
+  assert.equal(r.ok, false);
+  assert.match(r.reason, /modified/);
+});
+
+test("recomputing a plain hash over the edit does not help", () => {
+  const save = exportSave(universe(), SECRET);
+  save.universe.research.points = 100000;
+  const { checksum, ...body } = save;
+  save.checksum = crypto.createHash("sha256").update(canonicalJSON(body)).digest("hex");
+  assert.equal(verifySave(save, SECRET).ok, false);
+});
+
+test("a save signed by a different environment is rejected", () => {
+  const save = exportSave(universe(), "other-secret");
+  assert.equal(verifySave(save, SECRET).ok, false);
+});
+
+test("foreign, unsigned and future-version files are rejected", () => {
+  assert.equal(verifySave({ hello: "world" }, SECRET).ok, false);
+  const save = exportSave(universe(), SECRET);
+  assert.equal(verifySave({ ...save, checksum: undefined }, SECRET).ok, false);
+  assert.match(verifySave({ ...save, version: 99 }, SECRET).reason, /version/);
+});
+
+test("canonical JSON ignores key order", () => {
+  assert.equal(canonicalJSON({ b: 1, a: { d: 2, c: [3] } }), canonicalJSON({ a: { c: [3], d: 2 }, b: 1 }));
+});
+
+test("imports are re-clamped even when correctly signed", () => {
+  const u = sanitizeImport({
+    currentState: { stabilityIndex: 7, criticalSteps: -3 },
+    research: { points: 100000, totalEarned: 50 },
+    upgrades: { thrusters: 99, warpDrive: 3 },
+    doctrine: "godmode",
+    civilizations: [{ id: "civ_1", type: "Type9", technology: 500, relationship: -4 }, { nope: true }],
+  });
+  assert.equal(u.research.points, 50, "never more than was ever earned");
+  assert.equal(u.upgrades.thrusters, UPGRADE_TRACKS.thrusters.costs.length);
+  assert.equal(u.upgrades.warpDrive, undefined);
+  assert.equal(u.doctrine, null);
+  assert.equal(u.currentState.stabilityIndex, 1);
+  assert.equal(u.currentState.criticalSteps, 0);
+  assert.equal(u.civilizations.length, 1);
+  assert.equal(u.civilizations[0].type, "Type0");
+  assert.equal(u.civilizations[0].technology, 100);
+  assert.equal(u.civilizations[0].relationship, -1);
+});
+
+test("imports respect the per-account universe cap", () => {
+  const save = exportSave(universe(), SECRET);
+  const r = importSave(save, { secret: SECRET, userId: "user_b", ownedCount: MAX_UNIVERSES_PER_ACCOUNT });
+  assert.equal(r.ok, false);
+  assert.match(r.reason, /limit/);
+});
+
+test("parallel imports of one save can't take the account past the cap", async () => {
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const rows = Array.from({ length: MAX_UNIVERSES_PER_ACCOUNT - 1 }, (_, i) => ({ _id: `u${i}`, userId: "user_b" }));
+  const Universe = {
+    async countDocuments({ userId }) {
+      await tick();
+      return rows.filter((r) => r.userId === userId).length;
+    }
+  };
+  const save = exportSave(universe(), SECRET);
+
+  // What POST /import does: count, verify, insert, confirm - or back out
+  const importOne = async (id) => {
+    const ownedCount = await Universe.countDocuments({ userId: "user_b" });
+    const r = importSave(JSON.parse(JSON.stringify(save)), { secret: SECRET, userId: "user_b", ownedCount });
+    if (!r.ok) return false;
+    await tick();
+    rows.push({ _id: id, userId: "user_b" });
+    const confirmed = await confirmFork(Universe, "user_b", { verb: "import" });
+    if (!confirmed.ok) {
+      assert.match(confirmed.reason, /delete one to import another/);
+      rows.splice(rows.findIndex((row) => row._id === id), 1);
+    }
+    return confirmed.ok;
+  };
+
+  const kept = await Promise.all(["i1", "i2", "i3", "i4"].map(importOne));
+  assert.ok(kept.filter(Boolean).length <= 1);
+  assert.ok(rows.length <= MAX_UNIVERSES_PER_ACCOUNT);
+  if (rows.length < MAX_UNIVERSES_PER_ACCOUNT) assert.equal(await importOne("i5"), true);
+  assert.equal(await importOne("i6"), false);
+  assert.equal(rows.length, MAX_UNIVERSES_PER_ACCOUNT);
+});
@@ -0,0 +1,162 @@
+// tests/sessions.test.js
+//
+// Refresh tokens rotate, a rotated-away token revokes its session, and a
+// revoked session shuts out its access tokens. Runs against an in-memory
+// stand-in for the Session collection.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "sessions-test-secret";
+
+const {
+  hashToken, openSession, rotateSession, checkSession, checkAccess, revokeSession, revokeAllSessions,
+  deviceLabel, listSessions, ACCESS_TOKEN_TTL_SECONDS
+} = require("../utils/sessions");
+
+// Just enough of the Session model: equality, null, $gt and $set.
+function fakeSessions() {
+  const rows = [];
+  let nextId = 1;
+  const matches = (row, filter) => Object.entries(filter).every(([k, v]) => {
+    if (v && typeof v === "object" && "$gt" in v) return row[k] > v.$gt;
+    if (v === null) return row[k] == null;
+    return String(row[k]) === String(v);
+  });
+  const query = (value) => {
+    const chain = {
+      sort(spec) {
+        const [[field, dir]] = Object.entries(spec);
+        value = [...value].sort((a, b) => (a[field] - b[field]) * dir);
+        return chain;
+      },
+      select() { return chain; },
+      lean: async () => (Array.isArray(value) ? value.map((r) => ({ ...r })) : value && { ...value })
+    };
+    return chain;
+  };
+  const apply = (row, update) => Object.assign(row, update.$set);
+  return {
+    rows,
+    async create(doc) {
+      const row = { _id: `s${nextId++}`, revokedAt: null, previousTokenHash: null, ...doc };
+      rows.push(row);
+      return { ...row };
+    },
+    findById: (id) => query(rows.find((r) => r._id === String(id)) || null),
+    findOne: (filter) => query(rows.find((r) => matches(r, filter)) || null),
+    find: (filter) => query(rows.filter((r) => matches(r, filter))),
+    findOneAndUpdate(filter, update) {
+      const row = rows.find((r) => matches(r, filter));
+      if (row) apply(row, update);
+      return query(row || null);
+    },
+    async updateOne(filter, update) {
+      const row = rows.find((r) => matches(r, filter));
+      if (row) apply(row, update);
+      return { modifiedCount: row ? 1 : 0 };
+    },
+    async updateMany(filter, update) {
+      const hit = rows.filter((r) => matches(r, filter));
+      hit.forEach((r) => apply(r, update));
+      return { modifiedCount: hit.length };
+    }
+  };
+}
+
+const CHROME_WINDOWS = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36";
+
+test("a session's access token carries its id and the refresh token is stored hashed", async () => {
+  const Session = fakeSessions();
+  const opened = await openSession(Session, "user-1", { userAgent: CHROME_WINDOWS });
+
+  const claims = jwt.verify(opened.token, process.env.JWT_SECRET);
+  assert.equal(claims.id, "user-1");
+  assert.equal(claims.sid, String(opened.session._id));
+  assert.equal(claims.exp - claims.iat, ACCESS_TOKEN_TTL_SECONDS);
+
+  assert.equal(Session.rows[0].tokenHash, hashToken(opened.refreshToken));
+  assert.ok(!JSON.stringify(Session.rows).includes(opened.refreshToken));
+});
+
+test("refreshing rotates the token; the old one no longer works", async () => {
+  const Session = fakeSessions();
+  const opened = await openSession(Session, "user-1");
+
+  const first = await rotateSession(Session, opened.refreshToken);
+  assert.equal(first.ok, true);
+  assert.notEqual(first.refreshToken, opened.refreshToken);
+  assert.equal(jwt.verify(first.token, process.env.JWT_SECRET).sid, String(opened.session._id));
+
+  const second = await rotateSession(Session, first.refreshToken);
+  assert.equal(second.ok, true);
+
+  assert.equal((await rotateSession(Session, "not-a-token")).ok, false);
+  assert.equal((await rotateSession(Session, undefined)).ok, false);
+});
+
+test("replaying a rotated-away refresh token revokes the session", async () => {
+  const Session = fakeSessions();
+  const opened = await openSession(Session, "user-1");
+  const rotated = await rotateSession(Session, opened.refreshToken);
+
+  const replay = await rotateSession(Session, opened.refreshToken);
+  assert.equal(replay.ok, false);
+  assert.match(replay.reason, /reused/);
+
+  // The legitimate holder is shut out too - the session itself is burned
+  assert.equal((await rotateSession(Session, rotated.refreshToken)).ok, false);
+  assert.equal((await checkSession(Session, opened.session._id)).ok, false);
+});
+
+test("revoked and expired sessions fail the access check", async () => {
+  const Session = fakeSessions();
+  const now = new Date("2026-03-01T00:00:00Z");
+  const a = await openSession(Session, "user-1", { now });
+  const b = await openSession(Session, "user-1", { now });
+  const other = await openSession(Session, "user-2", { now });
+
+  assert.equal((await checkSession(Session, a.session._id, { now })).ok, true);
+  assert.equal(await revokeSession(Session, "user-2", a.session._id), false, "only the owner can revoke");
+  assert.equal(await revokeSession(Session, "user-1", a.session._id), true);
+  assert.equal((await checkSession(Session, a.session._id, { now })).ok, false);
+
+  assert.equal(await revokeAllSessions(Session, "user-1"), 1);
+  assert.equal((await checkSession(Session, b.session._id, { now })).ok, false);
+  assert.equal((await checkSession(Session, other.session._id, { now })).ok, true);
+
+  const later = new Date(now.getTime() + 31 * 24 * 3600 * 1000);
+  assert.deepEqual(await checkSession(Session, other.session._id, { now: later }), { ok: false, reason: "Session expired" });
+});
+
+test("active sessions are listed with a device label, current one marked", async () => {
+  const Session = fakeSessions();
+  const t0 = new Date("2026-03-01T00:00:00Z");
+  const phone = await openSession(Session, "user-1", { userAgent: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1", now: t0 });
+  const desk = await openSession(Session, "user-1", { userAgent: CHROME_WINDOWS, now: new Date(t0.getTime() + 1000) });
+  const gone = await openSession(Session, "user-1", { now: t0 });
+  await revokeSession(Session, "user-1", gone.session._id);
+
+  const list = await listSessions(Session, "user-1", { currentSessionId: phone.session._id, now: t0 });
+  assert.deepEqual(list.map((s) => [s.device, s.current]), [["Chrome on Windows", false], ["Safari on iOS", true]]);
+  assert.equal(list[0].id, String(desk.session._id));
+
+  assert.equal(deviceLabel(""), "Unknown device");
+});
+
+// The User model, as far as the access check reads it
+const fakeUsers = (users) => ({
+  findById: (id) => ({ select: () => ({ lean: async () => users[id] || null }) })
+});
+
+test("an access token without a session is refused, not waved through", async () => {
+  const Session = fakeSessions();
+  const User = fakeUsers({ "user-1": { bannedAt: null } });
+  const opened = await openSession(Session, "user-1");
+  const claims = jwt.verify(opened.token, process.env.JWT_SECRET);
+
+  assert.deepEqual(await checkAccess({ Session, User }, claims), { ok: true });
+  const legacy = await checkAccess({ Session, User }, { id: "user-1" });
+  assert.equal(legacy.ok, false);
+  assert.equal(legacy.status, 401);
+});
@@ -0,0 +1,159 @@
+// tests/snapshotSystem.test.js
+//
+// Rewind safety: a snapshot must be a detached copy (later steps can't leak
+// into it), a restore must bring a collapsed universe back running, and a
+// paid rewind must never let RP from the abandoned timeline survive.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { advanceUniverse } = require("../utils/simulationRunner");
+const {
+  SNAPSHOT_INTERVAL_STEPS, RESTORE_BASE_COST, RESTORE_COST_PER_STEP,
+  isSnapshotStep, captureSnapshot, restoreCost, applySnapshot, stepKey,
+} = require("../utils/snapshotSystem");
+
+function makeUniverse() {
+  return {
+    _id: { toString: () => "u-snap" },
+    seed: "snap-seed",
+    difficulty: "Intermediate",
+    constants: {},
+    currentState: {
+      age: 5e9, stabilityIndex: 0.8, stabilityCeiling: 1, criticalSteps: 0,
+      cosmicPhase: "stellar_peak", galaxyCount: 2e11, starCount: 1e21, metallicity: 0.4,
+    },
+    metrics: {}, anomalies: [], civilizations: [], significantEvents: [],
+    activeWars: [], milestones: {}, missions: [],
+    research: { points: 500, totalEarned: 500 },
+    upgrades: { thrusters: 0, boostReactor: 0, scanner: 0, containment: 0 },
+    doctrine: null,
+    simStep: 0,
+    status: "running",
+    markModified() {},
+  };
+}
+
+test("snapshots are taken on interval boundaries only", () => {
+  assert.equal(isSnapshotStep(0), true);
+  assert.equal(isSnapshotStep(SNAPSHOT_INTERVAL_STEPS), true);
+  assert.equal(isSnapshotStep(SNAPSHOT_INTERVAL_STEPS + 1), false);
+});
+
+test("a snapshot is a detached copy of the simulation state", () => {
+  const uni = makeUniverse();
+  uni.civilizations.push({ id: "civ_1", technology: 10 });
+  const snap = captureSnapshot(uni);
+
+  uni.civilizations[0].technology = 90;
+  uni.currentState.stabilityIndex = 0.1;
+
+  assert.equal(snap.state.civilizations[0].technology, 10);
+  assert.equal(snap.state.currentState.stabilityIndex, 0.8);
+  assert.equal(snap.simStep, 0);
+});
+
+test("the sim loop hands back the latest boundary snapshot", () => {
+  const uni = makeUniverse();
+  const result = advanceUniverse(uni, new Date(), { forceSteps: SNAPSHOT_INTERVAL_STEPS + 3 });
+  assert.ok(result.snapshot, "a boundary was crossed");
+  assert.equal(result.snapshot.simStep, SNAPSHOT_INTERVAL_STEPS);
+
+  const none = advanceUniverse(uni, new Date(), { forceSteps: 1 });
+  assert.equal(none.snapshot, null, "no boundary, no snapshot");
+});
+
+test("restoring brings an ended universe back running", () => {
+  const uni = makeUniverse();
+  const snap = captureSnapshot(uni);
+
+  uni.simStep = 40;
+  uni.currentState.stabilityIndex = 0;
+  uni.currentState.criticalSteps = 12;
+  uni.status = "ended";
+  uni.endCondition = "instability-collapse";
+
+  const res = applySnapshot(uni, snap);
+  assert.equal(res.ok, true);
+  assert.equal(res.stepsRewound, 40);
+  assert.equal(uni.status, "running");
+  assert.equal(uni.endCondition, null);
+  assert.equal(uni.currentState.stabilityIndex, 0.8);
+  assert.equal(uni.currentState.criticalSteps, 0);
+  assert.equal(uni.simStep, 0);
+});
+
+test("restore cost scales with how far back the rewind goes", () => {
+  const uni = makeUniverse();
+  uni.simStep = 60;
+  assert.equal(restoreCost(uni, { simStep: 50 }), RESTORE_BASE_COST + 10 * RESTORE_COST_PER_STEP);
+  assert.equal(restoreCost(uni, { simStep: 80 }), RESTORE_BASE_COST, "a forward restore pays only the base fee");
+});
+
+test("a paid rewind charges the balance rewound TO, not the current one", () => {
+  const uni = makeUniverse();
+  const snap = captureSnapshot(uni); // 500 RP
+  uni.research.points = 5000;        // earned in the timeline being abandoned
+
+  const res = applySnapshot(uni, snap, { cost: 150 });
+  assert.equal(res.ok, true);
+  assert.equal(uni.research.points, 350);
+});
+
+test("an unaffordable rewind is refused and leaves the universe untouched", () => {
+  const uni = makeUniverse();
+  const snap = captureSnapshot(uni);
+  uni.simStep = 30;
+
+  const res = applySnapshot(uni, snap, { cost: 501 });
+  assert.equal(res.ok, false);
+  assert.match(res.reason, /Insufficient/);
+  assert.equal(uni.simStep, 30);
+});
+
+test("a corrupt snapshot is rejected", () => {
+  assert.equal(applySnapshot(makeUniverse(), { state: {} }).ok, false);
+  assert.equal(applySnapshot(makeUniverse(), null).ok, false);
+});
+
+test("rewinding takes back upgrades bought since, so spent RP isn't refunded twice", () => {
+  const uni = makeUniverse();
+  const snap = captureSnapshot(uni); // 500 RP, stock ship
+
+  uni.research.points = 100;          // 400 RP spent...
+  uni.upgrades.scanner = 2;           // ...on this
+  uni.doctrine = "warden";
+
+  assert.equal(applySnapshot(uni, snap, { cost: 150 }).ok, true);
+  assert.equal(uni.research.points, 350);
+  assert.equal(uni.upgrades.scanner, 0);
+  assert.equal(uni.doctrine, null);
+});
+
+test("a snapshot from before upgrades were captured can't be paid for", () => {
+  const uni = makeUniverse();
+  const snap = captureSnapshot(uni);
+  delete snap.state.upgrades;
+  delete snap.state.doctrine;
+  uni.upgrades.scanner = 2;
+
+  assert.match(applySnapshot(uni, snap, { cost: 150 }).reason, /predates upgrade tracking/);
+  assert.equal(applySnapshot(uni, snap).ok, true, "the free admin restore still works");
+  assert.equal(uni.upgrades.scanner, 2);
+});
+
+test("steps replayed after a rewind make new ids, not the abandoned timeline's", () => {
+  const uni = makeUniverse();
+  uni._id = "u-ids";
+  const snap = captureSnapshot(uni);
+  advanceUniverse(uni, new Date(), { forceSteps: 3 });
+  const before = stepKey(uni);
+
+  applySnapshot(uni, snap);
+  advanceUniverse(uni, new Date(), { forceSteps: 3 });
+  assert.equal(uni.rewinds, 1);
+  assert.equal(before, "3");
+  assert.equal(stepKey(uni), "3r1");
+
+  const { createdAnomalies } = advanceUniverse(uni, new Date(), { forceSteps: 60 });
+  assert.ok(createdAnomalies.length > 0);
+  assert.ok(createdAnomalies.every((a) => /^u-ids_\d+r1_\d+$/.test(a.id)));
+});
@@ -0,0 +1,121 @@
+// tests/universeDelta.test.js
+//
+// A delta applied to the client's copy must land on the server's document:
+// only what changed travels, removals and evicted events included, and a
+// client too far behind is told to take the full document instead.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { fingerprint, recordRevision, universeDelta, REVISION_LOG_SIZE } = require("../utils/universeDelta");
+const { recordEvent, MAX_EVENTS } = require("../utils/eventLog");
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+function makeUniverse() {
+  return {
+    name: "Delta",
+    status: "running",
+    currentState: { age: 1e9, stabilityIndex: 0.8 },
+    metrics: { deaths: 0 },
+    civilizations: [{ id: "c1", technology: 1 }, { id: "c2", technology: 2 }],
+    anomalies: [{ id: "a1", severity: 2, resolved: false }],
+    discoveries: [], missions: [], activeWars: [],
+    significantEvents: [],
+    eventsRecorded: 0,
+    revision: 0,
+    revisionLog: []
+  };
+}
+
+/** What the model's hooks do: fingerprint on load, record on every save. */
+function loaded(uni) {
+  let base = fingerprint(clone(uni));
+  return { save: () => { base = recordRevision(uni, base, clone(uni)); } };
+}
+
+/** The client side of the protocol. */
+function applyDelta(copy, delta) {
+  const next = { ...clone(copy), ...clone(delta.set), revision: delta.revision };
+  for (const [array, { upsert, remove }] of Object.entries(delta.items)) {
+    const byId = new Map(next[array].map((item) => [item.id, item]));
+    for (const id of remove) byId.delete(id);
+    for (const item of clone(upsert)) byId.set(item.id, item);
+    next[array] = [...byId.values()];
+  }
+  next.significantEvents = [...next.significantEvents, ...clone(delta.events)].slice(-MAX_EVENTS);
+  return next;
+}
+
+// The client never sees these; compare everything else, arrays by id
+const comparable = (uni) => {
+  const { revisionLog, eventsRecorded, ...rest } = clone(uni);
+  for (const array of ["civilizations", "anomalies"]) rest[array].sort((a, b) => a.id.localeCompare(b.id));
+  return rest;
+};
+
+test("a save with no changes does not bump the revision", () => {
+  const uni = makeUniverse();
+  loaded(uni).save();
+  assert.equal(uni.revision, 0);
+  assert.deepEqual(uni.revisionLog, []);
+});
+
+test("the delta carries only changed paths and items", () => {
+  const uni = makeUniverse();
+  const doc = loaded(uni);
+  uni.civilizations[1].technology = 3;
+  uni.currentState.stabilityIndex = 0.7;
+  recordEvent(uni, { type: "war", description: "War" });
+  doc.save();
+
+  const delta = universeDelta(uni, 0);
+  assert.equal(delta.revision, 1);
+  assert.deepEqual(Object.keys(delta.set), ["currentState"]);
+  assert.deepEqual(delta.items.civilizations.upsert.map((c) => c.id), ["c2"]);
+  assert.equal(delta.items.anomalies, undefined);
+  assert.equal(delta.events.length, 1);
+});
+
+test("deltas over several saves rebuild the server document", () => {
+  const uni = makeUniverse();
+  const client = clone(uni);
+  const doc = loaded(uni);
+
+  uni.anomalies.push({ id: "a2", severity: 1, resolved: false });
+  recordEvent(uni, { type: "anomaly_spread", description: "Spread" });
+  doc.save();
+  uni.anomalies = uni.anomalies.filter((a) => a.id !== "a1");
+  uni.civilizations.push({ id: "c3", technology: 0 });
+  uni.metrics.deaths = 1;
+  doc.save();
+  uni.status = "paused";
+  doc.save();
+
+  const delta = universeDelta(uni, 0);
+  assert.deepEqual(delta.items.anomalies.remove, ["a1"]);
+  assert.deepEqual(comparable(applyDelta(client, delta)), comparable(uni));
+  assert.deepEqual(universeDelta(uni, uni.revision), { since: 3, revision: 3, set: {}, items: {}, events: [] });
+});
+
+test("events evicted past the cap replace the client's log", () => {
+  const uni = makeUniverse();
+  const doc = loaded(uni);
+  for (let i = 0; i < MAX_EVENTS + 5; i++) recordEvent(uni, { type: "milestone", description: `e${i}` });
+  doc.save();
+  const delta = universeDelta(uni, 0);
+  assert.equal(delta.set.significantEvents.length, MAX_EVENTS);
+  assert.deepEqual(delta.events, []);
+});
+
+test("unknown, future and too-old revisions fall back to the full document", () => {
+  const uni = makeUniverse();
+  const doc = loaded(uni);
+  for (let i = 0; i < REVISION_LOG_SIZE + 2; i++) {
+    uni.metrics.deaths = i + 1;
+    doc.save();
+  }
+  assert.equal(uni.revisionLog.length, REVISION_LOG_SIZE);
+  assert.equal(universeDelta(uni, 1), null);
+  assert.equal(universeDelta(uni, uni.revision + 1), null);
+  assert.equal(universeDelta(uni, NaN), null);
+  assert.notEqual(universeDelta(uni, uni.revision - REVISION_LOG_SIZE), null);
+});
@@ -0,0 +1,111 @@
+// tests/universeFork.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_UNIVERSES_PER_ACCOUNT, forkSeed, buildFork, confirmFork, buildLineage } = require("../utils/universeFork");
+
+const source = (over = {}) => ({
+  _id: "u_main",
+  userId: "user_1",
+  name: "Main",
+  seed: "abc123",
+  status: "running",
+  simStep: 140,
+  currentState: { age: 6e9, stabilityIndex: 0.7 },
+  civilizations: [{ id: "civ_a", technology: 40 }],
+  activeWars: [{ id: "war_1", a: "civ_a", b: "civ_b" }],
+  missions: [{ id: "m1", status: "active" }],
+  legacies: [{ civId: "civ_old" }],
+  significantEvents: [{ type: "war", age: 5e9, description: "War erupts" }],
+  lastVisitedAt: new Date(0),
+  createdAt: new Date(0),
+  ...over,
+});
+
+test("a fork carries the simulation forward under a new seed", () => {
+  const r = buildFork(source(), { seed: "abc123-fork-x" });
+  assert.equal(r.ok, true);
+  const f = r.fork;
+  assert.equal(f.seed, "abc123-fork-x");
+  assert.equal(f.forkedFrom, "u_main");
+  assert.equal(f.forkedAtStep, 140);
+  assert.equal(f.simStep, 140);
+  assert.deepEqual(f.civilizations, [{ id: "civ_a", technology: 40 }]);
+  assert.equal(f.activeWars.length, 1);
+  assert.equal(f.legacies.length, 1);
+  assert.equal(f._id, undefined, "a fresh document, not an overwrite");
+  assert.equal(f.lastVisitedAt, null);
+});
+
+test("the fork's history records where it branched", () => {
+  const f = buildFork(source()).fork;
+  assert.equal(f.significantEvents.length, 2);
+  assert.equal(f.significantEvents.at(-1).type, "fork");
+});
+
+test("the fork is detached from its source", () => {
+  const src = source();
+  const f = buildFork(src).fork;
+  f.civilizations[0].technology = 99;
+  assert.equal(src.civilizations[0].technology, 40);
+  assert.equal(src.significantEvents.length, 1);
+});
+
+test("fork seeds descend from the original", () => {
+  assert.equal(forkSeed("abc", () => "ff00aa"), "abc-fork-ff00aa");
+  assert.notEqual(forkSeed("abc"), forkSeed("abc"));
+});
+
+test("default and custom names", () => {
+  assert.equal(buildFork(source()).fork.name, "Main (fork)");
+  assert.equal(buildFork(source(), { name: "  Peace timeline " }).fork.name, "Peace timeline");
+});
+
+test("ended universes and full accounts cannot fork", () => {
+  assert.equal(buildFork(source({ status: "ended" })).ok, false);
+  const full = buildFork(source(), { ownedCount: MAX_UNIVERSES_PER_ACCOUNT });
+  assert.equal(full.ok, false);
+  assert.match(full.reason, /limit/);
+});
+
+test("forks racing for the last slot never take the account past the limit", async () => {
+  const tick = () => new Promise((resolve) => setImmediate(resolve));
+  const rows = Array.from({ length: MAX_UNIVERSES_PER_ACCOUNT - 1 }, (_, i) => ({ _id: `u${i}`, userId: "user_1" }));
+  const Universe = {
+    async countDocuments({ userId }) {
+      await tick();
+      return rows.filter((r) => r.userId === userId).length;
+    }
+  };
+
+  // What POST /:id/fork does: count, build, insert, confirm - or back out
+  const fork = async (id) => {
+    const built = buildFork(source(), { ownedCount: await Universe.countDocuments({ userId: "user_1" }) });
+    if (!built.ok) return false;
+    await tick();
+    rows.push({ _id: id, userId: "user_1" });
+    const confirmed = await confirmFork(Universe, "user_1");
+    if (!confirmed.ok) rows.splice(rows.findIndex((r) => r._id === id), 1);
+    return confirmed.ok;
+  };
+
+  const kept = await Promise.all(["f1", "f2", "f3"].map(fork));
+  assert.ok(kept.filter(Boolean).length <= 1);
+  assert.ok(rows.length <= MAX_UNIVERSES_PER_ACCOUNT);
+
+  // With the race over, the slot is still there to take - once
+  if (rows.length < MAX_UNIVERSES_PER_ACCOUNT) assert.equal(await fork("f4"), true);
+  assert.equal(await fork("f5"), false);
+  assert.equal(rows.length, MAX_UNIVERSES_PER_ACCOUNT);
+});
+
+test("lineage walks ancestors root-first and lists direct forks", () => {
+  const lineage = buildLineage([
+    { _id: "root", forkedFrom: null },
+    { _id: "child", forkedFrom: "root" },
+    { _id: "grandchild", forkedFrom: "child" },
+    { _id: "orphan", forkedFrom: "deleted" },
+  ]);
+  assert.deepEqual(lineage.grandchild.ancestors, ["root", "child"]);
+  assert.deepEqual(lineage.root.forks, ["child"]);
+  assert.deepEqual(lineage.orphan.ancestors, [], "a deleted parent ends the chain");
+});
@@ -0,0 +1,227 @@
+// tests/universeStore.test.js
+//
+// The records split out of the Universe document must round-trip: the
+// simulation sees the same arrays as before, the document write carries none
+// of them, and each save stores only what is new. Runs real Universe
+// documents (no database) against in-memory collections.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Universe = require("../models/Universe");
+const { attachRecords, saveUniverse, deleteRecords } = require("../utils/universeStore");
+const { recordEvent, MAX_EVENTS } = require("../utils/eventLog");
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+// Just enough of a Mongoose model for the store: equality filters plus $in,
+// and a unique index on universe + `key`.
+function fakeCollection(key) {
+  let rows = [];
+  const matches = (row, filter) => Object.entries(filter).every(([k, v]) =>
+    v && v.$in ? v.$in.includes(row[k]) : String(row[k]) === String(v));
+  const writes = { inserted: 0, deleted: 0 };
+  return {
+    writes,
+    rows: () => rows,
+    find(filter) {
+      let out = rows.filter((r) => matches(r, filter));
+      const chain = {
+        sort(spec) {
+          const [[field, dir]] = Object.entries(spec);
+          const key = field === "_id" ? "_order" : field;
+          out = [...out].sort((a, b) => (a[key] - b[key]) * dir);
+          return chain;
+        },
+        limit(n) { out = out.slice(0, n); return chain; },
+        select() { return chain; },
+        lean() {
+          return Promise.resolve(out.map(({ _order, universeId, ...r }) => clone(r)));
+        }
+      };
+      return chain;
+    },
+    async insertMany(docs) {
+      const writeErrors = [];
+      docs.forEach((d, index) => {
+        if (rows.some((r) => String(r.universeId) === String(d.universeId) && r[key] === d[key])) {
+          writeErrors.push({ code: 11000, index });
+          return;
+        }
+        rows.push({ ...clone(d), universeId: d.universeId, _order: rows.length + writes.inserted });
+        writes.inserted++;
+      });
+      if (writeErrors.length > 0) throw Object.assign(new Error("E11000 duplicate key"), { code: 11000, writeErrors });
+    },
+    async deleteMany(filter) {
+      const before = rows.length;
+      rows = rows.filter((r) => !matches(r, filter));
+      writes.deleted += before - rows.length;
+    }
+  };
+}
+
+function fakeStore() {
+  return {
+    UniverseEvent: fakeCollection("seq"),
+    Discovery: fakeCollection("id"),
+    ExtinctCivilization: fakeCollection("id"),
+    ArchivedEvent: fakeCollection("seq")
+  };
+}
+
+// A stored Universe document as the database would hand it back, with save()
+// capturing what would be written instead of writing it.
+function loadDocument(stored) {
+  const doc = Universe.hydrate(clone(stored));
+  const writes = [];
+  doc.save = async function () {
+    writes.push(this.isNew ? this.toObject() : this.$__delta()?.[1] || null);
+    this.$__reset();
+    this.isNew = false;
+    return this;
+  };
+  return { doc, writes };
+}
+
+const userId = new mongoose.Types.ObjectId();
+
+function legacyDocument() {
+  return new Universe({
+    userId,
+    name: "Legacy",
+    civilizations: [{ id: "c1" }, { id: "c2", extinct: true }],
+    significantEvents: [{ age: 1, type: "milestone", description: "First star" }, { age: 2, type: "war", description: "War" }],
+    discoveries: [{ id: "d1", category: "galaxy", objectClass: "spiral" }]
+  }).toObject();
+}
+
+test("a document still embedding records moves them out on its next save", async () => {
+  const store = fakeStore();
+  const { doc, writes } = loadDocument(legacyDocument());
+  await attachRecords(store, doc);
+
+  assert.deepEqual(doc.significantEvents.map((e) => e.seq), [1, 2], "old events are numbered");
+  assert.equal(doc.eventsRecorded, 2);
+
+  await saveUniverse(store, doc);
+
+  const written = writes[0].$set;
+  assert.deepEqual(written.significantEvents, []);
+  assert.deepEqual(written.discoveries, []);
+  assert.deepEqual(written.civilizations.map((c) => c.id), ["c1"], "living civilizations stay embedded");
+  assert.equal(store.UniverseEvent.rows().length, 2);
+  assert.equal(store.Discovery.rows().length, 1);
+  assert.deepEqual(store.ExtinctCivilization.rows().map((c) => c.id), ["c2"]);
+
+  // In memory nothing moved
+  assert.equal(doc.significantEvents.length, 2);
+  assert.deepEqual(doc.civilizations.map((c) => c.id), ["c1", "c2"]);
+  assert.equal(doc.isModified("civilizations"), false);
+});
+
+test("a reload sees the same records and a save stores only what is new", async () => {
+  const store = fakeStore();
+  const first = loadDocument(legacyDocument());
+  await attachRecords(store, first.doc);
+  await saveUniverse(store, first.doc);
+  const storedDocument = { ...legacyDocument(), _id: first.doc._id, ...first.writes[0].$set, eventsRecorded: 2 };
+
+  const { doc, writes } = loadDocument(storedDocument);
+  await attachRecords(store, doc);
+  assert.deepEqual(clone(doc.significantEvents), clone(first.doc.significantEvents));
+  assert.deepEqual(doc.civilizations.map((c) => c.id), ["c1", "c2"]);
+
+  const inserted = store.UniverseEvent.writes.inserted;
+  recordEvent(doc, { type: "war", description: "Another war" });
+  doc.markModified("significantEvents");
+  await saveUniverse(store, doc);
+
+  assert.equal(store.UniverseEvent.writes.inserted - inserted, 1);
+  assert.deepEqual(store.UniverseEvent.rows().map((e) => e.seq), [1, 2, 3]);
+  assert.equal(writes[0].$set.eventsRecorded, 3);
+  assert.deepEqual(writes[0].$set.significantEvents, []);
+});
+
+test("records dropped in memory are deleted from their collection", async () => {
+  const store = fakeStore();
+  const { doc } = loadDocument(legacyDocument());
+  await attachRecords(store, doc);
+  await saveUniverse(store, doc);
+
+  // The simulation culls an ancient extinct civilization
+  doc.civilizations = doc.civilizations.filter((c) => c.id !== "c2");
+  await saveUniverse(store, doc);
+  assert.equal(store.ExtinctCivilization.rows().length, 0);
+});
+
+test("events evicted from the capped log move to the archive", async () => {
+  const store = fakeStore();
+  const { doc } = loadDocument(legacyDocument());
+  await attachRecords(store, doc);
+  await saveUniverse(store, doc);
+
+  for (let i = 0; i < MAX_EVENTS; i++) recordEvent(doc, { type: "milestone", description: `Event ${i}` });
+  // ...and one dropped from the middle (deduplicated) is simply gone
+  doc.significantEvents = doc.significantEvents.filter((e) => e.seq !== 100);
+  await saveUniverse(store, doc);
+
+  assert.deepEqual(store.ArchivedEvent.rows().map((e) => e.seq), [1, 2]);
+  assert.equal(store.ArchivedEvent.rows()[0].description, "First star");
+  assert.ok(store.ArchivedEvent.rows().every((e) => String(e.universeId) === String(doc._id)));
+  assert.equal(store.UniverseEvent.rows().length, MAX_EVENTS - 1);
+  assert.equal(store.UniverseEvent.rows().some((e) => e.seq <= 2 || e.seq === 100), false);
+
+  await deleteRecords(store, doc._id);
+  assert.equal(store.ArchivedEvent.rows().length, 0);
+});
+
+test("a save that touches no records writes none", async () => {
+  const store = fakeStore();
+  const { doc, writes } = loadDocument(legacyDocument());
+  await attachRecords(store, doc);
+  await saveUniverse(store, doc);
+  const counts = Object.values(store).map((c) => ({ ...c.writes }));
+
+  doc.doctrine = "surveyor";
+  await saveUniverse(store, doc);
+  assert.deepEqual(Object.values(store).map((c) => ({ ...c.writes })), counts);
+  assert.equal("significantEvents" in writes[1].$set, false);
+  assert.equal("civilizations" in writes[1].$set, false);
+  assert.equal(doc.revision, 1, "moving records out is not a revision; the doctrine change is");
+});
+
+test("a new universe stores its records under its own id", async () => {
+  const store = fakeStore();
+  const source = legacyDocument();
+  const fork = new Universe({ ...source, _id: undefined });
+  const writes = [];
+  fork.save = async function () { writes.push(this.toObject()); this.isNew = false; return this; };
+
+  await saveUniverse(store, fork);
+  assert.deepEqual(writes[0].significantEvents, []);
+  assert.deepEqual(writes[0].civilizations.map((c) => c.id), ["c1"]);
+  assert.ok(store.UniverseEvent.rows().every((e) => String(e.universeId) === String(fork._id)));
+  assert.deepEqual(store.UniverseEvent.rows().map((e) => e.seq), [1, 2], "unnumbered (imported) events get seqs");
+
+  await deleteRecords(store, fork._id);
+  assert.deepEqual(Object.values(store).map((c) => c.rows().length), [0, 0, 0, 0]);
+});
+
+test("a record another writer already stored is fine; a different one under its key is an error", async () => {
+  const store = fakeStore();
+  const { doc } = loadDocument(legacyDocument());
+  await attachRecords(store, doc);
+  const c2 = clone(doc.civilizations.find((c) => c.id === "c2"));
+
+  // The storage migration got there first, with the same civilization
+  await store.ExtinctCivilization.insertMany([{ ...c2, universeId: doc._id }]);
+  await saveUniverse(store, doc);
+  assert.equal(store.ExtinctCivilization.rows().length, 1);
+
+  // A civilization that isn't the stored one must not vanish quietly
+  const other = loadDocument(legacyDocument());
+  const civs = fakeStore();
+  await attachRecords(civs, other.doc);
+  await civs.ExtinctCivilization.insertMany([{ ...c2, name: "Someone else", universeId: other.doc._id }]);
+  await assert.rejects(saveUniverse(civs, other.doc), /c2 is already stored .* as a different record/);
+});
@@ -0,0 +1,96 @@
+// tests/validate.test.js
+//
+// Route schemas reject malformed requests with one uniform 400 and hand the
+// handler cleaned values (trimmed, coerced, defaulted).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, checkSchema } = require("../middleware/validate");
+
+function run(schemas, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  validate(schemas)(req, res, () => { passed = true; });
+  return { passed, res, req };
+}
+
+const REGISTER = {
+  username: { type: "string", required: true, trim: true, minLength: 3 },
+  email: { type: "string", required: true, trim: true, email: true },
+  password: { type: "string", required: true, minLength: 6 }
+};
+
+test("a malformed body gets a 400 naming every bad field", () => {
+  const { passed, res } = run({ body: REGISTER }, { body: { username: "  ", email: "nova", password: "abc" } });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    ok: false,
+    error: "username is required",
+    fields: {
+      username: "username is required",
+      email: "email must be a valid email address",
+      password: "password must be at least 6 characters"
+    }
+  });
+});
+
+test("a valid body reaches the handler cleaned, extra fields untouched", () => {
+  const { passed, req } = run({ body: REGISTER }, {
+    body: { username: " nova ", email: " nova@example.com", password: "hunter22", extra: 1 }
+  });
+  assert.equal(passed, true);
+  assert.deepEqual(req.body, { username: "nova", email: "nova@example.com", password: "hunter22", extra: 1 });
+});
+
+test("query strings are coerced and defaults filled in", () => {
+  const schema = {
+    limit: { type: "integer", min: 1, max: 200 },
+    keep: { type: "number", min: 0, default: 60 },
+    full: { type: "boolean" }
+  };
+  assert.deepEqual(checkSchema(schema, { limit: "20", full: "true" }), {
+    ok: true,
+    values: { limit: 20, keep: 60, full: true }
+  });
+  assert.deepEqual(checkSchema(schema, { limit: "2.5", keep: "-1" }).fields, {
+    limit: "limit must be a whole number",
+    keep: "keep must be at least 0"
+  });
+  assert.equal(checkSchema(schema, { full: "yes" }).fields.full, "full must be true or false");
+});
+
+test("no operator objects or arrays where a string belongs", () => {
+  const schema = { email: { type: "string", required: true }, civId: { type: "string" } };
+  const result = checkSchema(schema, { email: { $gt: "" }, civId: ["a", "b"] });
+  assert.equal(result.ok, false);
+  assert.deepEqual(Object.keys(result.fields), ["email", "civId"]);
+});
+
+test("enums, lengths and ids", () => {
+  const schema = {
+    difficulty: { type: "string", enum: ["Beginner", "Advanced"] },
+    name: { type: "string", maxLength: 5 },
+    id: { type: "objectId", required: true }
+  };
+  const result = checkSchema(schema, { difficulty: "Godlike", name: "Andromeda", id: "not-an-id" });
+  assert.deepEqual(result.fields, {
+    difficulty: "difficulty must be one of: Beginner, Advanced",
+    name: "name must be at most 5 characters",
+    id: "id must be a valid id"
+  });
+  assert.equal(checkSchema(schema, { id: "64b7f0c2a1b2c3d4e5f60718" }).ok, true);
+});
+
+test("params and query are checked in the same pass", () => {
+  const { res } = run(
+    { params: { id: { type: "objectId", required: true } }, query: { format: { enum: ["md", "html"] } } },
+    { params: { id: "nope" }, query: { format: "pdf" } }
+  );
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(Object.keys(res.body.fields), ["id", "format"]);
+});
@@ -0,0 +1,66 @@
+// utils/accountExport.js
+//
+// A player's personal data as one JSON document (GET /api/user/export): the
+// account itself, achievements, ship loadout, signed-in devices and every
+// universe they own with its full history - the records split out into
+// their own collections (utils/universeStore.js) attached, archived events
+// included. Secrets stay out: no password hash, no pending token hashes, no
+// refresh-token hashes.
+//
+// This is a data export, not a save file: nothing here can be imported back
+// (single universes travel as signed saves - utils/saveFile.js).
+//
+// `models` carries User, Session and the universeStore record models
+// (Universe, UniverseEvent, Discovery, ExtinctCivilization, ArchivedEvent).
+
+const { attachRecords } = require("./universeStore");
+
+const EXPORT_FORMAT = "eternaverse-account";
+const EXPORT_VERSION = 1;
+
+// Never leaves the server, even to the account's owner
+const SECRET_FIELDS = "-password -emailVerification -passwordReset -loginLockout";
+
+// Bookkeeping with no meaning outside the server
+const stripInternal = ({ __v, revisionLog, ...rest }) => rest;
+
+/** One owned universe, records and archived events attached. */
+async function exportUniverse(models, uni) {
+  await attachRecords(models, uni);
+  const archived = await models.ArchivedEvent.find({ universeId: uni._id })
+    .sort({ seq: 1 })
+    .select("-_id -__v -universeId -archivedAt")
+    .lean();
+  return stripInternal({ ...uni, significantEvents: [...archived, ...uni.significantEvents] });
+}
+
+/**
+ * Everything stored about `userId`, or null when there is no such account.
+ */
+async function buildAccountExport(models, userId, { now = new Date() } = {}) {
+  const user = await models.User.findById(userId).select(SECRET_FIELDS).lean();
+  if (!user) return null;
+
+  const sessions = await models.Session.find({ userId })
+    .select("-tokenHash -previousTokenHash -__v")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const owned = await models.Universe.find({ userId }).sort({ createdAt: 1 }).lean();
+  const universes = [];
+  for (const uni of owned) universes.push(await exportUniverse(models, uni));
+
+  const { achievements = [], hull, shipColor, ...account } = stripInternal(user);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now,
+    account,
+    achievements,
+    loadout: { hull, shipColor },
+    sessions,
+    universes
+  };
+}
+
+module.exports = { EXPORT_FORMAT, EXPORT_VERSION, buildAccountExport };
@@ -0,0 +1,39 @@
+// utils/accountPurge.js
+//
+// Deleting a universe means deleting everything stored under its id - the
+// document, its split-out records and archive (utils/universeStore.js), its
+// snapshots and its action journal. Deleting an account means that for every
+// universe it owns, plus its sign-in sessions and the user itself. One
+// cascade here, so no caller (a player deleting a universe or their account,
+// the guest reaper) leaves orphans behind.
+//
+// `models` carries the collections: Universe, Snapshot, JournalEntry and the
+// universeStore record models, plus Session and User for accounts.
+
+const { deleteRecords } = require("./universeStore");
+
+/** Delete universes and everything stored under them. Returns how many. */
+async function purgeUniverses(models, universeIds) {
+  for (const universeId of universeIds) {
+    await deleteRecords(models, universeId);
+    await models.Snapshot.deleteMany({ universeId });
+    await models.JournalEntry.deleteMany({ universeId });
+  }
+  if (universeIds.length === 0) return 0;
+  const result = await models.Universe.deleteMany({ _id: { $in: universeIds } });
+  return result.deletedCount ?? universeIds.length;
+}
+
+/**
+ * Delete an account: its universes (purgeUniverses), its sessions, then the
+ * user. Returns { universes } - how many universes went with it.
+ */
+async function purgeAccount(models, userId) {
+  const owned = await models.Universe.find({ userId }).select("_id").lean();
+  const universes = await purgeUniverses(models, owned.map((u) => u._id));
+  await models.Session.deleteMany({ userId });
+  await models.User.deleteOne({ _id: userId });
+  return { universes };
+}
+
+module.exports = { purgeUniverses, purgeAccount };
@@ -0,0 +1,82 @@
+// utils/accountTokens.js
+//
+// Single-use account tokens mailed to the player: password reset and email
+// verification. The token itself only ever exists in the email; the User
+// document keeps its sha256 and an expiry (passwordReset /
+// emailVerification), and redeeming it clears both in the same atomic
+// update that applies it - so a token works once, and not after it expires.
+
+const crypto = require("crypto");
+
+const TOKEN_KINDS = {
+  passwordReset: { ttlMs: 60 * 60 * 1000, path: "/reset-password" },
+  emailVerification: { ttlMs: 48 * 60 * 60 * 1000, path: "/verify-email" }
+};
+
+// Loose on purpose: the verification mail is the real check
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const isValidEmail = (email) => typeof email === "string" && email.length <= 254 && EMAIL_PATTERN.test(email.trim());
+
+/**
+ * A fresh token of `kind`. Returns { token, record } - mail the token, store
+ * the record on the user under `kind`.
+ */
+function issueAccountToken(kind, now = new Date()) {
+  const spec = TOKEN_KINDS[kind];
+  if (!spec) throw new Error(`Unknown account token kind "${kind}"`);
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, record: { tokenHash: hashToken(token), expiresAt: new Date(now.getTime() + spec.ttlMs) } };
+}
+
+/**
+ * The User query matching an unexpired `kind` token - pair it with
+ * redeemUpdate() in one findOneAndUpdate. Null for a token that can't be one.
+ */
+function redeemFilter(kind, token, now = new Date()) {
+  if (!TOKEN_KINDS[kind] || typeof token !== "string" || token.length === 0) return null;
+  return { [`${kind}.tokenHash`]: hashToken(token), [`${kind}.expiresAt`]: { $gt: now } };
+}
+
+/** The update that applies `changes` and burns the `kind` token. */
+function redeemUpdate(kind, changes = {}) {
+  return { $set: changes, $unset: { [kind]: 1 } };
+}
+
+/** Link the player follows from the email, on the app (APP_URL). */
+function accountLink(kind, token) {
+  const base = (process.env.APP_URL || "http://localhost:3000").replace(/\/+$/, "");
+  return `${base}${TOKEN_KINDS[kind].path}?token=${encodeURIComponent(token)}`;
+}
+
+function passwordResetEmail(user, token) {
+  const link = accountLink("passwordReset", token);
+  return {
+    to: user.email,
+    subject: "Reset your EternaVerse password",
+    text: `Hi ${user.username},\n\nSomeone (hopefully you) asked to reset your EternaVerse password. Follow this link within the hour to choose a new one:\n\n${link}\n\nIf it wasn't you, ignore this email - your password stays as it is.`
+  };
+}
+
+function verificationEmail(user, token) {
+  const link = accountLink("emailVerification", token);
+  return {
+    to: user.email,
+    subject: "Confirm your EternaVerse email",
+    text: `Hi ${user.username},\n\nConfirm this address for your EternaVerse account within 48 hours:\n\n${link}\n\nIf you didn't sign up, ignore this email.`
+  };
+}
+
+module.exports = {
+  TOKEN_KINDS,
+  hashToken,
+  isValidEmail,
+  issueAccountToken,
+  redeemFilter,
+  redeemUpdate,
+  accountLink,
+  passwordResetEmail,
+  verificationEmail
+};
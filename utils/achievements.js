@@ -7,6 +7,8 @@
 // the needle (simulate, contact, claim-mission, upgrade, discoveries);
 // cheap and idempotent, so over-calling it is safe.
 
+const { publish } = require("./eventBus");
+
 const CATALOG = [
   // Cosmic milestones - direct mirror of MilestonesSchema
   { id: "genesis", tier: "bronze", title: "Genesis", description: "Witness the formation of the first galaxy.",
@@ -80,7 +82,11 @@ async function awardAchievements(User, userId, universe) {
   user.achievements.push(...newIds.map((id) => ({ id, unlockedAt: new Date() })));
   await user.save();
 
-  return CATALOG.filter((e) => newIds.includes(e.id));
+  const unlocked = CATALOG.filter((e) => newIds.includes(e.id));
+  for (const { check, ...achievement } of unlocked) {
+    publish(universe._id, "achievement", achievement);
+  }
+  return unlocked;
 }
 
 module.exports = { CATALOG, evaluate, awardAchievements };
@@ -0,0 +1,171 @@
+// utils/actionJournal.js
+//
+// The action journal: an append-only record (models/JournalEntry.js) of every
+// state-mutating call made against a universe, so "why did it end up like
+// this?" has an answer long after significantEvents has evicted the story.
+//
+// A universe's journal opens with a "genesis" entry carrying the document as
+// it was created, imported or forked. Every later entry names an action from
+// utils/universeActions.js with its validated input, the simStep it applied
+// at and the clock it ran with. The simulation and the actions are
+// deterministic in exactly those inputs (see simulationRunner), so replaying
+// the journal from genesis rebuilds the universe - and diffing the rebuild
+// against the stored document shows where, if anywhere, they part ways.
+//
+// Admin dev tools are journaled as "dev" entries for the audit trail but are
+// not replayable; a replay reports them rather than guessing.
+
+const { applyAction, actionContext } = require("./universeActions");
+const { muted } = require("./eventBus");
+
+const GENESIS = "genesis";
+const DEV = "dev";
+
+// Never meaningful in a diff: Mongo ids are minted fresh per document and
+// subdocument, and __v is Mongoose bookkeeping.
+const DIFF_IGNORED_KEYS = new Set(["_id", "__v"]);
+// Top-level bookkeeping stamped by saves, which a replay never performs: the
+// model's lastModified hook and the delta revisions (utils/universeDelta.js).
+// Also the visit anchors: opening a universe (GET /:id) stamps them without a
+// journal entry - only the away digest reads them, never the simulation.
+const DIFF_IGNORED_PATHS = new Set([
+  "lastModified", "revision", "revisionLog",
+  "lastVisitedAt", "lastVisitAge", "lastVisitStability"
+]);
+
+const plain = (v) => JSON.parse(JSON.stringify(v?.toObject ? v.toObject() : v));
+
+/**
+ * Build the entry for `action` about to be applied to `universe` at `now`.
+ * Call BEFORE applying - simStep is recorded as the action found it.
+ */
+function journalEntry(universe, action, input = {}, now = new Date()) {
+  return {
+    universeId: universe._id,
+    userId: universe.userId,
+    action,
+    simStep: universe.simStep || 0,
+    input: plain(input),
+    at: now
+  };
+}
+
+/** The genesis entry for a freshly created, imported or forked universe. */
+function genesisEntry(universe, now = new Date()) {
+  const doc = plain(universe);
+  delete doc._id;
+  delete doc.__v;
+  return journalEntry(universe, GENESIS, { universe: doc }, now);
+}
+
+// A working copy of the genesis document. With the Universe model it is a
+// real (unsaved) Mongoose document, so schema casting and defaults apply
+// exactly as they did on the live one; without, a plain object. Either way it
+// takes the live universe's _id: generated ids (anomalies) embed it.
+function hydrate(doc, universeId, Universe) {
+  const copy = { ...plain(doc), _id: universeId };
+  if (Universe) return new Universe(copy);
+  Object.defineProperty(copy, "markModified", { value: () => {}, enumerable: false });
+  return copy;
+}
+
+/**
+ * An incremental replay, for journals read a page at a time rather than
+ * held whole: `apply` each entry, oldest first, then `finish()`. `apply`
+ * returns { index, diverged, unreplayable } - whether that entry is the
+ * divergence point or a skipped dev entry, so a caller that doesn't keep
+ * the journal can keep just those. Pass the Universe model to replay onto a
+ * Mongoose document. `finish()` returns what replayUniverse does.
+ */
+function createReplay({ Universe = null } = {}) {
+  let universe = null;
+  let index = 0;
+  let applied = 0;
+  let divergedAt = null;
+  const unreplayable = [];
+
+  function apply(entry) {
+    const i = index++;
+    const marks = { index: i, diverged: false, unreplayable: false };
+    if (i === 0) {
+      if (entry?.action === GENESIS && entry.input?.universe) {
+        universe = hydrate(entry.input.universe, entry.universeId, Universe);
+      }
+      return marks;
+    }
+    if (!universe) return marks;
+    const diverge = () => {
+      if (divergedAt !== null) return;
+      divergedAt = i;
+      marks.diverged = true;
+    };
+
+    if ((universe.simStep || 0) !== entry.simStep) diverge();
+    if (entry.action === DEV) {
+      unreplayable.push(i);
+      marks.unreplayable = true;
+      return marks;
+    }
+
+    // The rebuild carries the live universe's id - keep its events off the
+    // live stream
+    const result = muted(() =>
+      applyAction(universe, entry.action, entry.input || {}, actionContext(universe, entry.action, new Date(entry.at))));
+    // Only successful calls are journaled, so a refusal means the replay
+    // has already drifted from what the live universe looked like.
+    if (result?.ok === false) diverge();
+    else applied++;
+    return marks;
+  }
+
+  function finish() {
+    if (!universe) return { ok: false, reason: "Journal does not start with a genesis entry" };
+    return { ok: true, universe, applied, unreplayable, divergedAt };
+  }
+
+  return { apply, finish };
+}
+
+/**
+ * Rebuild a universe from its journal (entries oldest first). Pass the
+ * Universe model to replay onto a Mongoose document. Returns
+ * { ok: true, universe, applied, unreplayable, divergedAt } or
+ * { ok: false, reason }. `divergedAt` is the index of the first entry the
+ * replay could not reproduce (simStep mismatch, or an action that refused
+ * although it succeeded live), null if none; `unreplayable` lists the
+ * indexes of dev entries skipped.
+ */
+function replayUniverse(journal, options) {
+  const replay = createReplay(options);
+  for (const entry of Array.isArray(journal) ? journal : []) replay.apply(entry);
+  return replay.finish();
+}
+
+/**
+ * Leaf-level differences between a replayed and a stored universe, as
+ * [{ path, replayed, stored }] (at most `limit`). Empty means the replay
+ * reproduced the stored document.
+ */
+function diffUniverse(replayed, stored, { limit = 50 } = {}) {
+  const diffs = [];
+
+  const walk = (a, b, path) => {
+    if (diffs.length >= limit) return;
+    const bothObjects = a && b && typeof a === "object" && typeof b === "object"
+      && Array.isArray(a) === Array.isArray(b);
+    if (!bothObjects) {
+      if (JSON.stringify(a) !== JSON.stringify(b)) diffs.push({ path, replayed: a, stored: b });
+      return;
+    }
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const key of keys) {
+      if (DIFF_IGNORED_KEYS.has(key) || (!path && DIFF_IGNORED_PATHS.has(key))) continue;
+      walk(a[key], b[key], path ? `${path}.${key}` : key);
+    }
+  };
+
+  walk(plain(replayed), plain(stored), "");
+  return diffs;
+}
+
+module.exports = { GENESIS, DEV, journalEntry, genesisEntry, createReplay, replayUniverse, diffUniverse };
@@ -38,6 +38,7 @@ class AnomalyGenerator {
       anomalyIdFactory: options.anomalyIdFactory ?? (() => `${universe._id.toString()}_${Date.now()}_${Math.floor(Math.random()*1e6)}`),
       difficultyModifier: options.difficultyModifier ?? 1.0,
       playerPosition: options.playerPosition ?? { x: 0, y: 0 },
+      quiet: options.quiet ?? false, // no console output (dataset generation)
       ...options,
     };
 
@@ -49,10 +50,26 @@ class AnomalyGenerator {
     };
   }
 
+  // The engine's progress lines, unless the caller asked for quiet
+  _log(...args) {
+    if (!this.options.quiet) console.log(...args);
+  }
+
   _rand() {
     return this.rng();
   }
 
+  // Same clock convention as PhysicsEngine: options.now pins timestamps.
+  _now() {
+    return this.options.now ? new Date(this.options.now) : new Date();
+  }
+
+  /** Restart the random stream from a new seed (the runner reseeds per step). */
+  reseed(seed) {
+    this.options.seed = seed;
+    this.rng = seedrandom(seed + "_anomaly");
+  }
+
   _clamp(v, min = -Infinity, max = Infinity) {
     return Math.max(min, Math.min(max, v));
   }
@@ -170,9 +187,9 @@ class AnomalyGenerator {
     const currentTotal = this.universe.anomalies.length;
     
     if (currentTotal >= MAX_ANOMALIES_PER_UNIVERSE) {
-      console.log(`🧹 Auto-cleanup: ${currentTotal} anomalies (limit: ${MAX_ANOMALIES_PER_UNIVERSE})`);
+      this._log(`🧹 Auto-cleanup: ${currentTotal} anomalies (limit: ${MAX_ANOMALIES_PER_UNIVERSE})`);
       
-      const cutoffTime = Date.now() - 5 * 60 * 1000;
+      const cutoffTime = this._now().getTime() - 5 * 60 * 1000;
       const before = this.universe.anomalies.length;
       
       this.universe.anomalies = this.universe.anomalies.filter(a => {
@@ -182,7 +199,7 @@ class AnomalyGenerator {
       });
       
       const removed = before - this.universe.anomalies.length;
-      console.log(`   Removed ${removed} old anomalies, ${this.universe.anomalies.length} remaining`);
+      this._log(`   Removed ${removed} old anomalies, ${this.universe.anomalies.length} remaining`);
       
       return removed;
     }
@@ -197,7 +214,7 @@ class AnomalyGenerator {
     this.autoCleanup();
     
     if (this.universe.anomalies.length >= MAX_ANOMALIES_PER_UNIVERSE) {
-      console.log(`⚠️ Anomaly limit reached (${MAX_ANOMALIES_PER_UNIVERSE}), skipping generation`);
+      this._log(`⚠️ Anomaly limit reached (${MAX_ANOMALIES_PER_UNIVERSE}), skipping generation`);
       return [];
     }
     
@@ -241,7 +258,7 @@ class AnomalyGenerator {
     if (created.length > 0) {
       const playerChunk = this._getChunkCoords(this.options.playerPosition.x, this.options.playerPosition.y);
       const summary = created.map(a => `${a.type} sev${a.severity}`).join(', ');
-      console.log(`✨ Generated ${created.length} anomalies near player chunk (${playerChunk.chunkX}, ${playerChunk.chunkY}): ${summary}`);
+      this._log(`✨ Generated ${created.length} anomalies near player chunk (${playerChunk.chunkX}, ${playerChunk.chunkY}): ${summary}`);
     }
 
     return created;
@@ -263,7 +280,7 @@ class AnomalyGenerator {
       type: def.id,
       category: def.category,
       severity,
-      timestamp: new Date(),
+      timestamp: this._now(),
       resolved: false,
       effectsRaw: def.effects(severity),
       location: {
@@ -351,7 +368,8 @@ class AnomalyGenerator {
         recordEvent(this.universe, {
           type: "anomaly_escalated",
           description: `${a.description || a.type} intensified to severity ${a.severity}`,
-          effects: { anomalyId: a.id, severity: a.severity }
+          effects: { anomalyId: a.id, severity: a.severity },
+          timestamp: this._now()
         });
       }
 
@@ -367,7 +385,8 @@ class AnomalyGenerator {
       recordEvent(this.universe, {
         type: "anomaly_spread",
         description: `${spawned.length} new anomal${spawned.length === 1 ? "y" : "ies"} spread from unstable regions`,
-        effects: { count: spawned.length }
+        effects: { count: spawned.length },
+        timestamp: this._now()
       });
     }
 
@@ -387,7 +406,7 @@ class AnomalyGenerator {
       type: parent.type,
       category: parent.category,
       severity,
-      timestamp: new Date(),
+      timestamp: this._now(),
       resolved: false,
       effectsRaw: {},
       location: { x: px + Math.cos(angle) * dist, y: py + Math.sin(angle) * dist, z: (this._rand() - 0.5) * 1e4 },
@@ -410,7 +429,7 @@ class AnomalyGenerator {
     }
 
     anomaly.resolved = true;
-    anomaly.resolvedAt = new Date();
+    anomaly.resolvedAt = this._now();
 
     const performanceMultiplier = getPerformanceMultiplier(accuracy);
     const totalMultiplier = performanceMultiplier * rewardMultiplier;
@@ -0,0 +1,58 @@
+// utils/auditLog.js
+//
+// The admin console's audit log (models/AuditLog.js). Every console route
+// records who did what to whom before it runs (middleware/auditMiddleware.js)
+// - including reads, since looking into a player's account is itself worth
+// accounting for. Entries carry the request's input with anything secret
+// redacted, and the response status once there is one.
+//
+// Models are passed in (like persistSnapshot takes Snapshot) so this module
+// loads without a database.
+
+const SECRET_KEY = /password|token|secret/i;
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+/** A copy of `value` with every secret-looking key blanked out. */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== "object" || value instanceof Date) return value;
+  const out = {};
+  for (const [key, v] of Object.entries(value)) out[key] = SECRET_KEY.test(key) ? "[redacted]" : redact(v);
+  return out;
+}
+
+/**
+ * The audit entry for `req` - already through verifyToken and a permission
+ * check, which set req.user and req.role. `target` is { kind, id } or null.
+ */
+function auditEntry(req, action, target = null, now = new Date()) {
+  return {
+    actorId: req.user.id,
+    actorRole: req.role || "player",
+    action,
+    target,
+    payload: redact({ params: req.params || {}, query: req.query || {}, body: req.body || {} }),
+    ip: req.ip || null,
+    at: now
+  };
+}
+
+/**
+ * A page of the log, newest first. Filters: actor (user id), target (id),
+ * action; page with `before` set to the previous page's nextBefore.
+ */
+async function readAuditLog(AuditLog, { actor, target, action, before, limit = AUDIT_PAGE_SIZE } = {}) {
+  const filter = {};
+  if (actor) filter.actorId = actor;
+  if (target) filter["target.id"] = String(target);
+  if (action) filter.action = action;
+  if (before) filter.at = { $lt: new Date(before) };
+
+  const size = Math.max(1, Math.min(MAX_AUDIT_PAGE_SIZE, limit));
+  const entries = await AuditLog.find(filter).sort({ at: -1 }).limit(size).lean();
+  const nextBefore = entries.length === size ? entries[entries.length - 1].at : null;
+  return { entries, nextBefore };
+}
+
+module.exports = { AUDIT_PAGE_SIZE, MAX_AUDIT_PAGE_SIZE, redact, auditEntry, readAuditLog };
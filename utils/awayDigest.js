@@ -0,0 +1,209 @@
+// utils/awayDigest.js
+//
+// "While you were away": everything that happened to a universe since its
+// owner last had it open (the lastVisitedAt / lastVisitAge /
+// lastVisitStability anchors), summed up and ranked. Computed server-side so
+// every client shows the same summary, in the same order.
+//
+// The window is the event log past lastVisitAge - cosmic age, not wall-clock
+// time, so it covers exactly the steps simulated since (live, catch-up or
+// cron sweep) and nothing the player did themselves at the moment they left.
+
+const { civDesignation } = require("./contactSystem");
+const { WAR_END_OUTCOMES } = require("./warSystem");
+
+// Highlights returned, most important first
+const TOP_ITEMS = 5;
+
+// A petition this close to its deadline (in steps) is urgent
+const URGENT_PETITION_STEPS = 5;
+
+// Stability moves smaller than this are noise, not news
+const STABILITY_NEWS_THRESHOLD = 0.05;
+
+const TIER_BY_ASCENSION = { planetary: "Type1", stellar: "Type2", galactic: "Type3" };
+const TIER_IMPORTANCE = { Type1: 40, Type2: 50, Type3: 65 };
+
+const round = (v, digits = 3) => Number(v.toFixed(digits));
+
+/**
+ * Aggregate the universe's (plain, records attached) activity since the last
+ * visit. Returns null when there is no previous visit to measure from.
+ * Otherwise { since, sinceAge, elapsedGyr, stability, anomalies, wars,
+ * extinctions, petitions, research, promotions, eventsCovered, complete,
+ * highlights } - `highlights` are the TOP_ITEMS most important items as
+ * { kind, importance, text, ... }.
+ */
+function buildDigest(universe, { limit = TOP_ITEMS } = {}) {
+  if (!universe.lastVisitedAt || universe.lastVisitAge == null) return null;
+
+  const sinceAge = universe.lastVisitAge;
+  const log = universe.significantEvents || [];
+  const events = log.filter((e) => (e.age ?? 0) > sinceAge);
+  // Evicted events may have belonged to the window when the log overflowed
+  const complete = log.length === 0 || (log[0].age ?? 0) <= sinceAge
+    || (universe.eventsRecorded || log.length) <= log.length;
+
+  const items = [];
+  const simStep = universe.simStep || 0;
+  const chosenCivId = universe.chosenCivId;
+
+  // Stability
+  const now = universe.currentState?.stabilityIndex ?? null;
+  const before = universe.lastVisitStability ?? null;
+  const stabilityDelta = now !== null && before !== null ? round(now - before) : null;
+  if (stabilityDelta !== null && Math.abs(stabilityDelta) >= STABILITY_NEWS_THRESHOLD) {
+    items.push({
+      kind: "stability",
+      importance: Math.round((stabilityDelta < 0 ? 45 : 25) + Math.abs(stabilityDelta) * 100),
+      text: `Stability ${stabilityDelta < 0 ? "fell" : "rose"} by ${Math.round(Math.abs(stabilityDelta) * 100)} points`,
+      delta: stabilityDelta
+    });
+  }
+
+  // Anomalies: spawns have no fixed event type, but every anomaly carries the
+  // tick it appeared on
+  const since = new Date(universe.lastVisitedAt);
+  const spawned = (universe.anomalies || []).filter((a) => a.timestamp && new Date(a.timestamp) > since);
+  const escalated = events.filter((e) => e.type === "anomaly_escalated").length;
+  const spread = events.filter((e) => e.type === "anomaly_spread").length;
+  const stillOpen = spawned.filter((a) => !a.resolved).length;
+  if (escalated + spread > 0) {
+    items.push({
+      kind: "anomalies_escalated",
+      importance: Math.min(60, 30 + 3 * (escalated + spread)),
+      text: `${escalated + spread} anomal${escalated + spread === 1 ? "y" : "ies"} worsened while unattended`,
+      count: escalated + spread
+    });
+  }
+  if (spawned.length > 0) {
+    items.push({
+      kind: "anomalies_spawned",
+      importance: Math.min(45, 20 + 2 * stillOpen),
+      text: `${spawned.length} new anomal${spawned.length === 1 ? "y" : "ies"}, ${stillOpen} still open`,
+      count: spawned.length
+    });
+  }
+
+  // Wars, extinctions, promotions - one item per event
+  const wars = { started: 0, ended: 0 };
+  let extinctions = 0;
+  const promotions = [];
+  let tribute = 0;
+  let dividends = 0;
+  let petitionsRaised = 0;
+  let petitionsExpired = 0;
+
+  for (const event of events) {
+    const effects = event.effects || {};
+    const base = { seq: event.seq ?? null, ageGyr: round((event.age ?? 0) / 1e9) };
+
+    if (event.type === "universe_end") {
+      items.push({ kind: "end", importance: 100, text: event.description, ...base });
+    } else if (event.type === "war" && effects.outcome === "outbreak") {
+      wars.started++;
+      const involvesChosen = [effects.a, effects.b].includes(chosenCivId);
+      items.push({
+        kind: "war_started",
+        importance: involvesChosen ? 75 : 50,
+        text: `War between ${civDesignation(effects.a)} and ${civDesignation(effects.b)}`,
+        ...base
+      });
+    } else if (event.type === "war" && WAR_END_OUTCOMES.includes(effects.outcome)) {
+      wars.ended++;
+      items.push({ kind: "war_ended", importance: 45, text: event.description, ...base });
+    } else if (event.type === "catastrophe" && effects.civilizationsDestroyed) {
+      // The Great Filter: one event for the whole mass extinction
+      extinctions += effects.civilizationsDestroyed;
+      items.push({
+        kind: "great_filter",
+        importance: 90,
+        text: `The Great Filter destroyed ${effects.civilizationsDestroyed} civilizations`,
+        count: effects.civilizationsDestroyed,
+        ...base
+      });
+    } else if (event.type === "extinction") {
+      extinctions++;
+      items.push({
+        kind: "extinction",
+        importance: 70,
+        text: `${civDesignation(effects.civilizationId)} went extinct (${effects.cause || "unknown cause"})`,
+        ...base
+      });
+    } else if (event.type === "chosen" && effects.fallen) {
+      // Logged alongside the extinction, after chosenCivId was cleared
+      items.push({ kind: "chosen_lost", importance: 95, text: event.description, ...base });
+    } else if (effects.ascension && TIER_BY_ASCENSION[effects.ascension]) {
+      const tier = TIER_BY_ASCENSION[effects.ascension];
+      promotions.push({ civId: effects.civilizationId, designation: civDesignation(effects.civilizationId), tier });
+      items.push({
+        kind: "promotion",
+        importance: TIER_IMPORTANCE[tier] + (effects.civilizationId === chosenCivId ? 20 : 0),
+        text: `${civDesignation(effects.civilizationId)} reached ${tier}`,
+        ...base
+      });
+    } else if (effects.petition === "raised") {
+      petitionsRaised++;
+    } else if (effects.petition === "expired") {
+      petitionsExpired++;
+      items.push({ kind: "petition_expired", importance: 40, text: event.description, ...base });
+    }
+
+    tribute += Number(effects.tribute) || 0;
+    dividends += Number(effects.dividend) || 0;
+  }
+
+  // Petitions still waiting on the player, soonest deadline first
+  const openPetitions = (universe.civilizations || [])
+    .filter((c) => c.petition && !c.extinct)
+    .map((c) => ({
+      civId: c.id,
+      designation: civDesignation(c.id),
+      kind: c.petition.kind,
+      stepsLeft: Math.max(0, (c.petition.createdStep || 0) + (c.petition.deadline || 0) - simStep)
+    }))
+    .sort((a, b) => a.stepsLeft - b.stepsLeft);
+  for (const p of openPetitions) {
+    const urgent = p.stepsLeft <= URGENT_PETITION_STEPS;
+    items.push({
+      kind: "petition_open",
+      importance: (urgent ? 60 : 35) + (p.civId === chosenCivId ? 15 : 0),
+      text: `${p.designation} awaits your answer (${p.stepsLeft} step${p.stepsLeft === 1 ? "" : "s"} left)`,
+      civId: p.civId,
+      stepsLeft: p.stepsLeft
+    });
+  }
+
+  if (tribute + dividends > 0) {
+    items.push({
+      kind: "research",
+      importance: 15,
+      text: `+${tribute + dividends} RP from tribute and ascended dividends`,
+      amount: tribute + dividends
+    });
+  }
+
+  // Stable order: importance, then most recent first
+  const ranked = items
+    .map((item, i) => ({ item, i }))
+    .sort((x, y) => y.item.importance - x.item.importance || y.i - x.i)
+    .map(({ item }) => item);
+
+  return {
+    since: since.toISOString(),
+    sinceAge,
+    elapsedGyr: round(((universe.currentState?.age || 0) - sinceAge) / 1e9),
+    stability: { before, now, delta: stabilityDelta },
+    anomalies: { spawned: spawned.length, stillOpen, escalated, spread },
+    wars,
+    extinctions,
+    petitions: { raised: petitionsRaised, expired: petitionsExpired, open: openPetitions },
+    research: { tribute, dividends, total: tribute + dividends },
+    promotions,
+    eventsCovered: events.length,
+    complete,
+    highlights: ranked.slice(0, limit)
+  };
+}
+
+module.exports = { TOP_ITEMS, URGENT_PETITION_STEPS, buildDigest };
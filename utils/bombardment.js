@@ -39,7 +39,7 @@ const MAX_RUNS_PER_REPORT = 12;
  *
  * Returns { ok, message, effects, extinct } or { ok: false, reason }.
  */
-function applyBombardment(universe, civId, runs, { attackerCivId } = {}) {
+function applyBombardment(universe, civId, runs, { attackerCivId, now = new Date() } = {}) {
   const civs = universe.civilizations || [];
   const target = civs.find((c) => c.id === civId);
   if (!target) return { ok: false, reason: "Civilization not found" };
@@ -88,7 +88,7 @@ function applyBombardment(universe, civId, runs, { attackerCivId } = {}) {
 
   // The world is lost.
   target.extinct = true;
-  target.extinctionDate = new Date();
+  target.extinctionDate = new Date(now);
   target.extinctionAge = target.age;
   target.population = 0;
   effects.extinct = true;
@@ -0,0 +1,103 @@
+// utils/chronicle.js
+//
+// The full chronicle of a universe. The live significantEvents log keeps only
+// the latest MAX_EVENTS; older events are moved to an archive collection when
+// they are evicted (utils/universeStore.js), so the complete history is split
+// across two collections with disjoint, increasing seq ranges: archived
+// first, live after. This module pages through both as one list, oldest
+// first, with optional filters by event type, civilization and age.
+//
+// Models are passed in (like the store takes them) so this module loads
+// without a database.
+
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Effect keys that name a civilization, across every event type that
+// involves one: petitions and answers, contact actions, and wars (a/b are
+// the belligerents of an outbreak).
+const CIV_EFFECT_KEYS = ["civilizationId", "civId", "a", "b", "winner", "loser", "survivor"];
+
+const asNumber = (v) => (v === undefined || v === "" ? undefined : Number(v));
+
+/**
+ * Validate chronicle query parameters (as they arrive in a query string) and
+ * build the Mongo filter for one universe:
+ *   type   - event type, or a comma-separated list of them
+ *   civ    - civilization id appearing in the event's effects
+ *   from   - minimum universe age, in Gyr
+ *   to     - maximum universe age, in Gyr
+ *   cursor - seq of the last event already seen (from nextCursor)
+ *   limit  - page size, 1..MAX_PAGE_SIZE
+ * Returns { ok: true, filter, limit } or { ok: false, reason }.
+ */
+function chronicleQuery(universeId, params = {}) {
+  const filter = { universeId };
+
+  if (params.type !== undefined && params.type !== "") {
+    const types = String(params.type).split(",").map((t) => t.trim()).filter(Boolean);
+    if (types.length === 0) return { ok: false, reason: "type must name at least one event type" };
+    filter.type = types.length === 1 ? types[0] : { $in: types };
+  }
+
+  if (params.civ !== undefined && params.civ !== "") {
+    const civ = String(params.civ);
+    filter.$or = CIV_EFFECT_KEYS.map((key) => ({ [`effects.${key}`]: civ }));
+  }
+
+  const from = asNumber(params.from);
+  const to = asNumber(params.to);
+  if (from !== undefined && (!Number.isFinite(from) || from < 0)) {
+    return { ok: false, reason: "from must be a non-negative age in Gyr" };
+  }
+  if (to !== undefined && (!Number.isFinite(to) || to < 0)) {
+    return { ok: false, reason: "to must be a non-negative age in Gyr" };
+  }
+  if (from !== undefined && to !== undefined && from > to) {
+    return { ok: false, reason: "from must not be later than to" };
+  }
+  if (from !== undefined || to !== undefined) {
+    filter.age = {};
+    if (from !== undefined) filter.age.$gte = from * 1e9;
+    if (to !== undefined) filter.age.$lte = to * 1e9;
+  }
+
+  const cursor = asNumber(params.cursor);
+  if (cursor !== undefined) {
+    if (!Number.isInteger(cursor) || cursor < 0) return { ok: false, reason: "cursor must be an event seq" };
+    filter.seq = { $gt: cursor };
+  }
+
+  const limit = asNumber(params.limit) ?? PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { ok: false, reason: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return { ok: true, filter, limit };
+}
+
+/**
+ * One page of a universe's chronicle. `models` needs ArchivedEvent and
+ * UniverseEvent. Returns { ok: true, events, nextCursor } - nextCursor is
+ * null on the last page - or { ok: false, reason } for bad parameters.
+ */
+async function readChronicle(models, universeId, params = {}) {
+  const query = chronicleQuery(universeId, params);
+  if (!query.ok) return query;
+  const { filter, limit } = query;
+
+  // One extra row tells whether another page follows
+  const page = (Model, max) => Model.find(filter).sort({ seq: 1 }).limit(max)
+    .select("-_id -__v -universeId -archivedAt").lean();
+
+  const events = await page(models.ArchivedEvent, limit + 1);
+  if (events.length <= limit) {
+    events.push(...await page(models.UniverseEvent, limit + 1 - events.length));
+  }
+
+  const more = events.length > limit;
+  if (more) events.length = limit;
+  return { ok: true, events, nextCursor: more ? events[events.length - 1].seq : null };
+}
+
+module.exports = { PAGE_SIZE, MAX_PAGE_SIZE, CIV_EFFECT_KEYS, chronicleQuery, readChronicle };
@@ -0,0 +1,255 @@
+// utils/chronicleExport.js
+//
+// A universe's story as a document the player can keep: its events grouped by
+// cosmic era, the milestones it reached, the peoples the player shepherded
+// (chosen species and their legacies) and how it ended. Served by
+// GET /:id/chronicle/export as Markdown, HTML or JSON.
+//
+// buildChronicle() assembles the story once; the renderers only lay it out.
+// The HTML is a single self-contained file - inline CSS, no scripts, no
+// external assets - so it can be saved and opened offline.
+
+const { COSMIC_PHASES, cosmicPhaseAt } = require("./cosmologyConfig");
+const { civDesignation } = require("./contactSystem");
+const { CIV_EFFECT_KEYS } = require("./chronicle");
+
+const FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" }
+};
+
+const ERA_TITLES = {
+  dark_ages: "The Dark Ages",
+  reionization: "Reionization",
+  galaxy_formation: "The Age of Galaxies",
+  stellar_peak: "The Stellar Peak",
+  gradual_decline: "The Long Decline",
+  twilight_era: "The Twilight Era",
+  degenerate_era: "The Degenerate Era"
+};
+
+// Same titles the physics engine announces them with; keys mirror
+// MilestonesSchema.
+const MILESTONE_TITLES = {
+  firstGalaxy: "First Galaxy Formation",
+  firstStar: "First Star Ignition",
+  stellarPopulationI: "Population I Stars",
+  firstLife: "Abiogenesis Event",
+  complexLifeEra: "Complex Life Era",
+  firstCivilization: "First Civilization",
+  technologicalSingularity: "Technological Singularity",
+  greatFilter: "The Great Filter",
+  transcendence: "Transcendence"
+};
+
+const gyr = (years) => Number(((Number(years) || 0) / 1e9).toFixed(3));
+
+// Civilization ids an event names, in effect-key order, without repeats
+function eventCivIds(event) {
+  const effects = event.effects || {};
+  return [...new Set(CIV_EFFECT_KEYS.map((key) => effects[key]).filter((id) => typeof id === "string"))];
+}
+
+/**
+ * The chronicle of `universe` (a plain object) from `events`, oldest first -
+ * by default its significantEvents; pass the archived events in front of
+ * them for the full history.
+ */
+function buildChronicle(universe, events = universe.significantEvents || []) {
+  // Every people the player ever championed: ascended ones (legacies), the
+  // current one, and any the log remembers (a chosen people that went extinct)
+  const chosenIds = new Set((universe.legacies || []).map((l) => l.civId));
+  if (universe.chosenCivId) chosenIds.add(universe.chosenCivId);
+  for (const event of events) {
+    if (event.type === "chosen" || event.effects?.chosen) eventCivIds(event).forEach((id) => chosenIds.add(id));
+  }
+
+  const byPhase = new Map();
+  const milestoneAges = {};
+  for (const event of events) {
+    const civIds = eventCivIds(event);
+    const ageGyr = gyr(event.age);
+    const phase = cosmicPhaseAt(ageGyr);
+    if (!byPhase.has(phase)) byPhase.set(phase, []);
+    byPhase.get(phase).push({
+      seq: event.seq ?? null,
+      ageGyr,
+      type: event.type,
+      description: event.description || "",
+      civilizations: civIds.map((id) => ({ id, designation: civDesignation(id) })),
+      chosen: event.type === "chosen" || civIds.some((id) => chosenIds.has(id))
+    });
+
+    const key = event.effects?.milestoneKey;
+    if (event.type === "milestone" && key && milestoneAges[key] === undefined) milestoneAges[key] = ageGyr;
+  }
+
+  const eras = COSMIC_PHASES
+    .filter(({ phase }) => byPhase.has(phase))
+    .map(({ phase }) => ({ phase, title: ERA_TITLES[phase], events: byPhase.get(phase) }));
+
+  const milestones = Object.keys(MILESTONE_TITLES)
+    .filter((key) => universe.milestones?.[key])
+    .map((key) => ({ key, title: MILESTONE_TITLES[key], ageGyr: milestoneAges[key] ?? null }));
+
+  const legacies = (universe.legacies || []).map((l) => ({
+    civId: l.civId,
+    designation: l.designation || civDesignation(l.civId),
+    ageGyr: Number(l.ageGyr) || 0,
+    uplifts: l.uplifts || 0,
+    rescues: l.rescues || 0,
+    pacifies: l.pacifies || 0,
+    shepherdedFor: l.shepherdedFor || 0
+  }));
+
+  return {
+    name: universe.name,
+    difficulty: universe.difficulty,
+    seed: universe.seed,
+    createdAt: universe.createdAt ? new Date(universe.createdAt).toISOString() : null,
+    status: universe.status,
+    ageGyr: gyr(universe.currentState?.age),
+    cosmicPhase: universe.currentState?.cosmicPhase || null,
+    end: universe.endCondition ? { condition: universe.endCondition, reason: universe.endReason || "" } : null,
+    chosen: universe.chosenCivId
+      ? { civId: universe.chosenCivId, designation: civDesignation(universe.chosenCivId) }
+      : null,
+    legacies,
+    milestones,
+    eventCount: events.length,
+    eras
+  };
+}
+
+// --- Markdown ----------------------------------------------------------------
+
+const md = (text) => String(text ?? "").replace(/([\\`*_[\]<>#|])/g, "\\$1");
+
+function civList(event) {
+  return event.civilizations.map((c) => c.designation).join(", ");
+}
+
+function renderMarkdown(chronicle) {
+  const lines = [`# The Chronicle of ${md(chronicle.name)}`, ""];
+  lines.push(`_${md(chronicle.difficulty)} universe · seed ${md(chronicle.seed)} · ${chronicle.ageGyr} Gyr · ${md(chronicle.status)}_`, "");
+
+  if (chronicle.end) {
+    lines.push("## The End", "", `> **${md(chronicle.end.condition)}** - ${md(chronicle.end.reason)}`, "");
+  }
+
+  if (chronicle.milestones.length > 0) {
+    lines.push("## Milestones", "");
+    for (const m of chronicle.milestones) {
+      lines.push(`- **${md(m.title)}**${m.ageGyr !== null ? ` - ${m.ageGyr} Gyr` : ""}`);
+    }
+    lines.push("");
+  }
+
+  if (chronicle.legacies.length > 0 || chronicle.chosen) {
+    lines.push("## Chosen Species", "");
+    for (const l of chronicle.legacies) {
+      lines.push(`- **${md(l.designation)}** ascended at ${l.ageGyr} Gyr - ${l.uplifts} uplifts, ${l.rescues} rescues, ${l.pacifies} pacifications`);
+    }
+    if (chronicle.chosen) lines.push(`- Still shepherding **${md(chronicle.chosen.designation)}**`);
+    lines.push("");
+  }
+
+  for (const era of chronicle.eras) {
+    lines.push(`## ${md(era.title)}`, "");
+    for (const event of era.events) {
+      const civs = event.civilizations.length > 0 ? ` _(${md(civList(event))})_` : "";
+      const mark = event.chosen ? "★ " : "";
+      lines.push(`- ${mark}**${event.ageGyr} Gyr** · ${md(event.type)} - ${md(event.description)}${civs}`);
+    }
+    lines.push("");
+  }
+
+  if (chronicle.eras.length === 0) lines.push("_Nothing of note has happened yet._", "");
+  return lines.join("\n");
+}
+
+// --- HTML --------------------------------------------------------------------
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const html = (text) => String(text ?? "").replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+
+const STYLE = `
+body { margin: 0; background: #0b0d17; color: #d8dcf0; font: 16px/1.55 Georgia, "Times New Roman", serif; }
+main { max-width: 46rem; margin: 0 auto; padding: 3rem 1.5rem 5rem; }
+h1 { font-size: 2.2rem; margin: 0 0 .25rem; color: #fff; }
+h2 { margin-top: 2.5rem; border-bottom: 1px solid #2a2f4a; padding-bottom: .3rem; color: #aeb8ff; }
+.meta { color: #8a90ad; font-style: italic; }
+.end { border-left: 3px solid #ff7a7a; padding: .5rem 1rem; background: #1a1020; }
+ul { padding-left: 1.2rem; }
+li { margin: .35rem 0; }
+.age { color: #8a90ad; font-variant-numeric: tabular-nums; }
+.type { font: 12px/1 ui-monospace, Menlo, monospace; text-transform: uppercase; color: #7fd1c7; margin: 0 .4rem; }
+.civs { color: #c9b37e; font-size: .9em; }
+.chosen { background: #1c1a10; border-left: 3px solid #e8c35a; padding-left: .5rem; list-style: none; margin-left: -1.2rem; }
+`;
+
+function renderHtml(chronicle) {
+  const parts = [];
+  parts.push(`<h1>The Chronicle of ${html(chronicle.name)}</h1>`);
+  parts.push(`<p class="meta">${html(chronicle.difficulty)} universe · seed ${html(chronicle.seed)} · ${chronicle.ageGyr} Gyr · ${html(chronicle.status)}</p>`);
+
+  if (chronicle.end) {
+    parts.push(`<h2>The End</h2><p class="end"><strong>${html(chronicle.end.condition)}</strong> - ${html(chronicle.end.reason)}</p>`);
+  }
+
+  if (chronicle.milestones.length > 0) {
+    const items = chronicle.milestones.map((m) =>
+      `<li><strong>${html(m.title)}</strong>${m.ageGyr !== null ? ` <span class="age">${m.ageGyr} Gyr</span>` : ""}</li>`);
+    parts.push(`<h2>Milestones</h2><ul>${items.join("")}</ul>`);
+  }
+
+  if (chronicle.legacies.length > 0 || chronicle.chosen) {
+    const items = chronicle.legacies.map((l) =>
+      `<li class="chosen"><strong>${html(l.designation)}</strong> ascended at <span class="age">${l.ageGyr} Gyr</span> - ${l.uplifts} uplifts, ${l.rescues} rescues, ${l.pacifies} pacifications</li>`);
+    if (chronicle.chosen) items.push(`<li class="chosen">Still shepherding <strong>${html(chronicle.chosen.designation)}</strong></li>`);
+    parts.push(`<h2>Chosen Species</h2><ul>${items.join("")}</ul>`);
+  }
+
+  for (const era of chronicle.eras) {
+    const items = era.events.map((event) => {
+      const civs = event.civilizations.length > 0 ? ` <span class="civs">(${html(civList(event))})</span>` : "";
+      return `<li${event.chosen ? ' class="chosen"' : ""}><span class="age">${event.ageGyr} Gyr</span><span class="type">${html(event.type)}</span>${html(event.description)}${civs}</li>`;
+    });
+    parts.push(`<h2>${html(era.title)}</h2><ul>${items.join("")}</ul>`);
+  }
+
+  if (chronicle.eras.length === 0) parts.push(`<p class="meta">Nothing of note has happened yet.</p>`);
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>The Chronicle of ${html(chronicle.name)}</title>`,
+    `<style>${STYLE}</style>`,
+    "</head>",
+    `<body><main>${parts.join("\n")}</main></body>`,
+    "</html>",
+    ""
+  ].join("\n");
+}
+
+/**
+ * Render a universe's chronicle in `format` (md, html or json). Returns
+ * { ok: true, contentType, filename, body } or { ok: false, reason }.
+ */
+function exportChronicle(universe, events, format = "md") {
+  const spec = FORMATS[format];
+  if (!spec) return { ok: false, reason: `format must be one of: ${Object.keys(FORMATS).join(", ")}` };
+
+  const chronicle = buildChronicle(universe, events);
+  const body = format === "md" ? renderMarkdown(chronicle)
+    : format === "html" ? renderHtml(chronicle)
+      : JSON.stringify(chronicle, null, 2);
+  const base = String(universe.name || "").replace(/[^a-z0-9_-]+/gi, "_") || "universe";
+  return { ok: true, contentType: spec.contentType, filename: `${base}.chronicle.${spec.extension}`, body };
+}
+
+module.exports = { FORMATS, buildChronicle, renderMarkdown, renderHtml, exportChronicle };
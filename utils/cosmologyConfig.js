@@ -101,6 +101,24 @@ const TIER_CHANCE = {              // per-step chance once the tech gate is met
   Type3: 0.03,                     // ~33 steps
 };
 
+// --- Cosmic phases ---------------------------------------------------------
+// The eras currentState.cosmicPhase moves through, each lasting until the
+// given age (Gyr). The chronicle export groups history by the same eras.
+const COSMIC_PHASES = [
+  { phase: "dark_ages", untilGyr: 0.1 },
+  { phase: "reionization", untilGyr: 1 },
+  { phase: "galaxy_formation", untilGyr: 5 },
+  { phase: "stellar_peak", untilGyr: 10 },
+  { phase: "gradual_decline", untilGyr: 50 },
+  { phase: "twilight_era", untilGyr: 100 },
+  { phase: "degenerate_era", untilGyr: Infinity },
+];
+
+function cosmicPhaseAt(ageGyr) {
+  // NaN compares false everywhere and lands in the last era, as it always has
+  return (COSMIC_PHASES.find((p) => ageGyr < p.untilGyr) || COSMIC_PHASES[COSMIC_PHASES.length - 1]).phase;
+}
+
 // --- Anomalies -------------------------------------------------------------
 // Spawn "activity" now ramps with cosmic age instead of galaxyCount/2e11 -
 // that ratio never exceeded ~1e-7, making the per-type spawn chance ~1e-8 and
@@ -144,6 +162,8 @@ module.exports = {
   TECH_PER_STEP,
   TIER_THRESHOLDS,
   TIER_CHANCE,
+  COSMIC_PHASES,
+  cosmicPhaseAt,
   ACTIVITY_START_GYR,
   ACTIVITY_FULL_GYR,
   ANOMALY_PROBABILITY_SCALE,
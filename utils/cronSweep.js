@@ -0,0 +1,218 @@
+// utils/cronSweep.js
+//
+// The scheduled sweep (POST /api/cron/sweep) advances every running universe
+// its owner isn't playing. One request working through universes one at a
+// time doesn't scale past a few hundred players, so a sweep now:
+//
+// - claims universes one by one with an atomic findOneAndUpdate that stamps a
+//   lease on the document - a sweep running alongside passes leased
+//   universes over, so nothing is simulated twice - and releases each lease
+//   as soon as it's done with the universe;
+// - works SWEEP_CONCURRENCY universes at once;
+// - can be limited to one shard (`?shard=i&of=n`): every universe has a
+//   random sweepShard slot, and shard i of n takes the slots that are i
+//   mod n, so n schedulers can split the work between them;
+// - stops claiming once its time budget is spent, finishing what it holds,
+//   so the request ends cleanly before the platform kills it.
+//
+// A lease outlives any request, so one left behind by a sweep that died
+// mid-universe only holds that universe back until it expires.
+
+const crypto = require("crypto");
+const { persistSnapshot } = require("./snapshotSystem");
+const { actionContext, applyAction } = require("./universeActions");
+const { journalEntry } = require("./actionJournal");
+const { pendingSteps, SECONDS_PER_STEP } = require("./simulationRunner");
+const { attachRecords, saveUniverse } = require("./universeStore");
+const { SWEEP_SHARD_SLOTS } = require("../models/sweepShards");
+
+// Universes claimed per invocation at most - most-starved first, so with
+// more universes than this every one still gets advanced across consecutive
+// sweeps rather than the same batch hogging every run.
+const MAX_UNIVERSES_PER_SWEEP = 100;
+const SWEEP_CONCURRENCY = 4;
+// Claiming stops after this long, leaving the rest of the platform's limit
+// (10s on Vercel's free tier) for the universes still in hand
+const SWEEP_TIME_BUDGET_MS = 7000;
+const SWEEP_LEASE_MS = 5 * 60 * 1000;
+
+/** Time budget in ms: SWEEP_TIME_BUDGET_MS, or the env override. */
+function timeBudgetMs() {
+  const ms = Number(process.env.SWEEP_TIME_BUDGET_MS);
+  return Number.isFinite(ms) && ms > 0 ? ms : SWEEP_TIME_BUDGET_MS;
+}
+
+/**
+ * The shard a sweep request asks for. No `shard`/`of` is the whole
+ * keyspace. Returns { ok: true, shard: { index, of } } or { ok: false, reason }.
+ */
+function parseShard(query = {}) {
+  if (query.shard === undefined && query.of === undefined) {
+    return { ok: true, shard: { index: 0, of: 1 } };
+  }
+  const index = Number(query.shard);
+  const of = Number(query.of);
+  if (!Number.isInteger(of) || of < 1 || of > SWEEP_SHARD_SLOTS) {
+    return { ok: false, reason: `of must be an integer from 1 to ${SWEEP_SHARD_SLOTS}` };
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= of) {
+    return { ok: false, reason: "shard must be an integer from 0 to of - 1" };
+  }
+  return { ok: true, shard: { index, of } };
+}
+
+// The universes one shard sweeps. Shard 0 also takes documents from before
+// sweepShard existed, until a sweep gives them one (see releaseLease).
+function shardFilter({ index, of }) {
+  if (of === 1) return {};
+  const slots = { sweepShard: { $mod: [of, index] } };
+  return index === 0 ? { $or: [slots, { sweepShard: null }] } : slots;
+}
+
+// Running, owed at least one step, not leased to a live sweep, and not
+// already claimed by this one
+function claimable(shard, now, claimed) {
+  return {
+    status: "running",
+    lastSimulatedAt: { $lte: new Date(now.getTime() - SECONDS_PER_STEP * 1000) },
+    $and: [
+      { $or: [{ sweepLeaseUntil: null }, { sweepLeaseUntil: { $lte: now } }] },
+      shardFilter(shard)
+    ],
+    _id: { $nin: claimed }
+  };
+}
+
+function claimNext(Universe, { shard, now, claimed, leaseId }) {
+  return Universe.findOneAndUpdate(
+    claimable(shard, now, claimed),
+    { $set: { sweepLeaseId: leaseId, sweepLeaseUntil: new Date(now.getTime() + SWEEP_LEASE_MS) } },
+    { sort: { lastSimulatedAt: 1 }, new: true }
+  );
+}
+
+// Only our own lease: if it expired and another sweep took the universe
+// over, that lease is theirs to release
+function releaseLease(Universe, uni, leaseId) {
+  const update = { sweepLeaseId: null, sweepLeaseUntil: null };
+  // A document from before sweepShard got a slot in memory - keep it
+  if (uni.$isDefault?.("sweepShard")) update.sweepShard = uni.sweepShard;
+  return Universe.updateOne({ _id: uni._id, sweepLeaseId: leaseId }, { $set: update })
+    .catch((err) => console.error(`Lease release failed for universe ${uni._id}:`, err.message));
+}
+
+// Advance one claimed universe. Returns the steps taken (0 if nothing was
+// owed after all).
+async function sweepUniverse(models, uni, now) {
+  if (pendingSteps(uni, now) === 0) return 0;
+  await attachRecords(models, uni);
+  // The sweep runs while the owner is away: reduced drain, floored, and it
+  // can never enter CRITICAL or collapse a universe (see stabilityConfig).
+  const entry = journalEntry(uni, "sweep", {}, now);
+  const result = applyAction(uni, "sweep", {}, actionContext(uni, "sweep", now));
+  if (result.steps === 0) return 0;
+
+  await saveUniverse(models, uni);
+  // A missed snapshot only costs one rewind point, and a missed journal
+  // entry only a replay divergence - never a sweep failure
+  if (result.snapshot) {
+    await persistSnapshot(models.Snapshot, uni, result.snapshot)
+      .catch((err) => console.error(`Snapshot failed for universe ${uni._id}:`, err.message));
+  }
+  await models.JournalEntry.create(entry)
+    .catch((err) => console.error(`Journal append failed for universe ${uni._id}:`, err.message));
+  return result.steps;
+}
+
+/**
+ * One sweep pass over `shard` (default: everything). `models` needs the
+ * universe store collections (utils/universeStore.js) plus Snapshot and
+ * JournalEntry. Returns { shard, scanned, advanced, totalSteps, ended,
+ * superseded, failures, outOfTime, elapsedMs }; outOfTime means universes
+ * may still be waiting for the next sweep.
+ */
+async function sweepUniverses(models, {
+  shard = { index: 0, of: 1 },
+  now = new Date(),
+  limit = MAX_UNIVERSES_PER_SWEEP,
+  concurrency = SWEEP_CONCURRENCY,
+  budgetMs = timeBudgetMs(),
+  clock = Date.now,
+  advance = sweepUniverse
+} = {}) {
+  const started = clock();
+  const leaseId = crypto.randomUUID();
+  const claimed = [];
+  const report = { shard, scanned: 0, advanced: 0, totalSteps: 0, ended: 0, superseded: 0, failures: [], outOfTime: false };
+  // Claims in flight count against the limit, so the workers can't
+  // overshoot it between them
+  let reserved = 0;
+  let drained = false;
+  let claimError = null;
+
+  async function worker() {
+    while (!drained && reserved < limit) {
+      if (clock() - started >= budgetMs) {
+        report.outOfTime = true;
+        return;
+      }
+      reserved++;
+      let uni;
+      try {
+        uni = await claimNext(models.Universe, { shard, now, claimed, leaseId });
+      } catch (err) {
+        claimError = claimError || err;
+      }
+      if (!uni) {
+        reserved--;
+        drained = true;
+        return;
+      }
+      claimed.push(uni._id);
+      report.scanned++;
+
+      try {
+        const steps = await advance(models, uni, now);
+        if (steps > 0) {
+          report.advanced++;
+          report.totalSteps += steps;
+          if (uni.status === "ended") report.ended++;
+        }
+      } catch (err) {
+        // Version conflicts just mean the owner's own client simulated this
+        // universe while the sweep was working - not a failure, the state
+        // is current either way. Anything else is a real problem.
+        const isVersionConflict =
+          err.name === "VersionError" || /No matching document found/i.test(err.message);
+        if (isVersionConflict) {
+          console.log(`↩️ Sweep superseded by live session for universe ${uni._id}`);
+          report.superseded++;
+        } else {
+          // One broken universe must not stall the rest of the sweep
+          console.error(`Sweep failed for universe ${uni._id}:`, err.message);
+          report.failures.push(uni._id.toString());
+        }
+      } finally {
+        await releaseLease(models.Universe, uni, leaseId);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  // The database failing to hand out work fails the sweep - once the
+  // universes already claimed are saved and released
+  if (claimError) throw claimError;
+  report.elapsedMs = clock() - started;
+  return report;
+}
+
+module.exports = {
+  MAX_UNIVERSES_PER_SWEEP,
+  SWEEP_CONCURRENCY,
+  SWEEP_TIME_BUDGET_MS,
+  SWEEP_LEASE_MS,
+  SWEEP_SHARD_SLOTS,
+  timeBudgetMs,
+  parseShard,
+  sweepUniverses
+};
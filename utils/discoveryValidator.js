@@ -34,7 +34,7 @@ const sanitizeName = (name, fallback) =>
     ? name.trim().slice(0, 32)
     : fallback;
 
-function prepareDiscoveries(universe, rawList) {
+function prepareDiscoveries(universe, rawList, now = new Date()) {
   const accepted = [];
   const duplicates = [];
   const rejected = [];
@@ -99,7 +99,7 @@ function prepareDiscoveries(universe, rawList) {
     }
 
     doc.location = { x: raw.location.x, y: raw.location.y };
-    doc.discoveredAt = new Date();
+    doc.discoveredAt = new Date(now);
     known.add(doc.id); // in-batch dedup
     accepted.push(doc);
   }
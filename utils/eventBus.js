@@ -0,0 +1,173 @@
+// utils/eventBus.js
+//
+// Publish/subscribe for live universe updates, feeding the SSE
+// stream (GET /api/universe/:id/stream). recordEvent publishes every event it
+// logs, so the simulation, the cron sweep and the action routes all reach a
+// connected client without each having to know about streaming; the runner
+// adds end-condition warnings and awardAchievements adds unlocks.
+//
+// Channels are per universe id. On their own they live in this process
+// only, which is no use on Vercel: the cron sweep, an action and each open
+// stream are separate function invocations, usually on separate instances.
+// So the app hands the bus a shared store (useStore, models/StreamEvent.js):
+// publish then writes there, and each process with open streams polls it for
+// their universes, STREAM_POLL_MS apart. Tests and scripts without a store
+// keep the in-process path.
+//
+// The limits that come with it: events reach a client up to STREAM_POLL_MS
+// late; a stream only lasts as long as the platform lets its function run,
+// and what was published while the client was reconnecting is not replayed;
+// and a serverless caller has to await flush() before it answers, or the
+// platform may freeze the writes still in flight (api/index.js does that for
+// every JSON response).
+
+const { EventEmitter } = require("events");
+
+const emitter = new EventEmitter();
+// One listener per open stream - a player with several tabs open is normal
+emitter.setMaxListeners(0);
+
+const STREAM_POLL_MS = 2000;
+// Newest events read per poll - anything published between two polls beyond
+// this many is dropped for that universe's streams
+const STREAM_POLL_BATCH = 50;
+
+let store = null;
+let pollMs = STREAM_POLL_MS;
+const pending = new Set();
+// Universe id -> the poller feeding this process's streams for it
+const pollers = new Map();
+
+// How a logged event type is labelled on the stream. Types not listed here
+// go out as generic "event"s; callers can also name the kind explicitly.
+const STREAM_KINDS = {
+  anomaly_escalated: "anomaly",
+  anomaly_spread: "anomaly",
+  war: "war",
+  universe_end: "end"
+};
+
+let muteDepth = 0;
+
+/** Stream kind for a significantEvents type. */
+function streamKind(type) {
+  return STREAM_KINDS[type] || "event";
+}
+
+/**
+ * Route events through `model` (models/StreamEvent.js), shared by every
+ * instance; null goes back to in-process delivery. `options.pollMs` is for
+ * tests.
+ */
+function useStore(model, options = {}) {
+  store = model;
+  pollMs = options.pollMs || STREAM_POLL_MS;
+}
+
+/** Deliver `data` as a `kind` event to everyone watching `universeId`. */
+function publish(universeId, kind, data) {
+  if (universeId == null || muteDepth > 0) return;
+  if (!store) {
+    emitter.emit(String(universeId), { kind, data });
+    return;
+  }
+  // Plain JSON, taken now: the caller goes on mutating what it published
+  const doc = { universeId: String(universeId), kind, data: JSON.parse(JSON.stringify(data ?? null)) };
+  const write = Promise.resolve()
+    .then(() => store.create(doc))
+    .catch((err) => console.error(`Stream publish failed for universe ${universeId}:`, err.message))
+    .finally(() => pending.delete(write));
+  pending.add(write);
+}
+
+/**
+ * Wait for the events published so far to reach the store - only those: on
+ * a busy long-lived server, writes started after the call don't hold it up.
+ */
+async function flush() {
+  await Promise.all([...pending]);
+}
+
+// Feed one universe's stored events to this process's listeners. The first
+// read only marks what is already there as old; each later one passes on
+// whatever wasn't in the read before it, oldest first. Ids rather than
+// timestamps, so instances with skewed clocks can't hide an event.
+function startPoller(channel) {
+  const poller = { timer: null, stopped: false };
+  let seen = null;
+  const poll = async () => {
+    try {
+      const rows = await store.find({ universeId: channel }).sort({ _id: -1 }).limit(STREAM_POLL_BATCH).lean();
+      if (seen) {
+        for (const row of [...rows].reverse()) {
+          if (!seen.has(String(row._id))) emitter.emit(channel, { kind: row.kind, data: row.data });
+        }
+      }
+      seen = new Set(rows.map((row) => String(row._id)));
+    } catch (err) {
+      console.error(`Stream poll failed for universe ${channel}:`, err.message);
+    }
+    if (poller.stopped) return;
+    poller.timer = setTimeout(poll, pollMs);
+    poller.timer.unref?.();
+  };
+  poll();
+  return poller;
+}
+
+/**
+ * Watch a universe. `listener({ kind, data })` runs synchronously inside the
+ * publishing call (or the poll, with a store), so it must not throw or
+ * block. Returns the unsubscribe function - call it when the client goes
+ * away.
+ */
+function subscribe(universeId, listener) {
+  const channel = String(universeId);
+  emitter.on(channel, listener);
+  if (store && !pollers.has(channel)) pollers.set(channel, startPoller(channel));
+  return () => {
+    emitter.off(channel, listener);
+    const poller = pollers.get(channel);
+    if (poller && emitter.listenerCount(channel) === 0) {
+      poller.stopped = true;
+      clearTimeout(poller.timer);
+      pollers.delete(channel);
+    }
+  };
+}
+
+/** Number of open subscriptions to a universe. */
+function subscriberCount(universeId) {
+  return emitter.listenerCount(String(universeId));
+}
+
+/**
+ * Run `fn` (synchronously) with publishing suppressed. Journal replays rebuild
+ * a universe under its real id; their events are history, not news.
+ */
+function muted(fn) {
+  muteDepth++;
+  try {
+    return fn();
+  } finally {
+    muteDepth--;
+  }
+}
+
+/** One Server-Sent Events frame. */
+function sseFrame(kind, data) {
+  return `event: ${kind}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  STREAM_KINDS,
+  STREAM_POLL_MS,
+  streamKind,
+  useStore,
+  publish,
+  flush,
+  subscribe,
+  subscriberCount,
+  muted,
+  sseFrame
+};
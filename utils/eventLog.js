@@ -5,13 +5,22 @@
  * ones), which meant important events like universe_end could vanish.
  */
 
+const { publish, streamKind } = require("./eventBus");
+
 const MAX_EVENTS = 2000;
 
 /**
  * Append an event, evicting the oldest entries to stay within MAX_EVENTS.
- * Timestamp and age fields are derived from the universe automatically.
+ * The age fields are derived from the universe automatically, and `seq`
+ * numbers it within the universe's whole history (eventsRecorded). `timestamp`
+ * defaults to now; the simulation pins it to the tick's clock so a replayed
+ * run writes identical events.
+ *
+ * Every event is also published to the universe's live stream
+ * (utils/eventBus.js), labelled `kind` - by default derived from `type`.
+ * The label is not stored.
  */
-function recordEvent(universe, { type, description, effects = {} }) {
+function recordEvent(universe, { type, description, effects = {}, timestamp = new Date(), kind = streamKind(type) }) {
   if (!Array.isArray(universe.significantEvents)) {
     universe.significantEvents = [];
   }
@@ -22,14 +31,18 @@ function recordEvent(universe, { type, description, effects = {} }) {
   }
 
   const age = universe.currentState?.age ?? 0;
-  events.push({
-    timestamp: new Date(),
+  universe.eventsRecorded = (universe.eventsRecorded || 0) + 1;
+  const event = {
+    seq: universe.eventsRecorded,
+    timestamp: new Date(timestamp),
     age,
     type,
     description,
     effects,
     ageGyr: (age / 1e9).toFixed(3)
-  });
+  };
+  events.push(event);
+  publish(universe._id, kind, event);
 }
 
 module.exports = { recordEvent, MAX_EVENTS };
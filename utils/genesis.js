@@ -0,0 +1,89 @@
+// utils/genesis.js
+//
+// The state a new universe starts in. POST /api/universe builds players'
+// universes from it, and the predictor tooling - the evaluation harness
+// (utils/predictorEvaluation.js) and ml/generate_dataset.js - simulates fresh
+// ones from it, so what the predictors are trained and scored on begins
+// exactly where a player's universe does.
+
+// The physical constants a universe gets unless its creator overrides them
+// (the physics engine falls back to the same values)
+const DEFAULT_CONSTANTS = {
+  H0_km_s_Mpc: 67.4,
+  speedOfLight: 2.99792458e8,
+  gravitationalConstant: 6.6743e-11,
+  darkMatterDensity: 0.26,
+  darkEnergyDensity: 0.69,
+  matterDensity: 0.05,
+  observableGalaxies: 2e11,
+  averageStarsPerGalaxy: 1e10,
+  planckTemperature: 1.417e32
+};
+
+/**
+ * The genesis fields of a new universe - constants (DEFAULT_CONSTANTS with
+ * `constants` over them), initialConditions, currentState and metrics - as
+ * plain data. The caller adds the identity (owner, name, seed, difficulty).
+ */
+function genesisFields({ constants = {}, initialTemperature = 2.725 } = {}) {
+  const universeConstants = { ...DEFAULT_CONSTANTS, ...constants };
+
+  return {
+    constants: universeConstants,
+    initialConditions: { initialTemperature },
+    // Hybrid Genesis (Coherent Cosmos): a new universe begins ~1.2 Gyr after
+    // the Big Bang - the galaxy-formation era - rather than an empty dark-ages
+    // void. This makes the very first frame coherent with the render (which is
+    // now driven by these numbers) and always explorable: proto-galaxies are
+    // condensing and the first stars are alight, with counts the physics engine
+    // then grows forward from. Metallicity is authentically low this early.
+    currentState: {
+      age: 1.2e9,
+      _scaleFactor: 1.0,
+      expansionRate: universeConstants.H0_km_s_Mpc,
+      temperature: initialTemperature,
+      entropy: 0,
+      stabilityIndex: 1.0,
+      stabilityCeiling: 1,
+      criticalSteps: 0,
+      cosmicPhase: "galaxy_formation",
+      galaxyCount: 1.0e6,
+      starCount: 1.0e10,
+      blackHoleCount: 5.0e3,
+      metallicity: 0.04,
+      habitableSystemsCount: 0,
+      lifeBearingPlanetsCount: 0,
+      civilizationCount: 0,
+      energyBudget: 1,
+      stellarGenerations: 0
+    },
+    metrics: {
+      playerInterventions: 0,
+      anomalyResolutionRate: 0,
+      stabilityScore: 1.0,
+      complexityIndex: 0,
+      lifePotentialIndex: 0
+    }
+  };
+}
+
+/**
+ * A whole new universe as a plain document, for simulating without a
+ * database: the genesis fields plus the empty collections the schema would
+ * default.
+ */
+function freshUniverse(seed, difficulty = "Intermediate") {
+  return {
+    _id: `genesis:${seed}`,
+    seed,
+    difficulty,
+    status: "running",
+    ...genesisFields(),
+    anomalies: [], civilizations: [], significantEvents: [],
+    activeWars: [], milestones: {}, legacies: [], discoveries: [],
+    research: { points: 0, totalEarned: 0 },
+    simStep: 0
+  };
+}
+
+module.exports = { DEFAULT_CONSTANTS, genesisFields, freshUniverse };
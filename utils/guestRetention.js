@@ -0,0 +1,123 @@
+// utils/guestRetention.js
+//
+// Guest accounts (POST /auth/guest) cost a User and universes per anonymous
+// visitor, and used to live forever. Now an unclaimed guest inactive for
+// GUEST_RETENTION_DAYS is deleted with everything it owns
+// (utils/accountPurge.js), by POST /api/cron/reap-guests.
+//
+// Nobody is deleted unannounced. Once a guest has been idle for all but
+// GUEST_WARNING_DAYS of the retention period, the sweep schedules its
+// deletion (guestDeletionAt) at least GUEST_WARNING_DAYS out, and
+// /user/profile shows that warning to a guest who comes back - which, being
+// activity, also earns a reprieve on the next sweep. Claiming the account
+// ends the question altogether.
+//
+// Activity is lastActiveAt, stamped on sign-in and token refresh (so at the
+// access-token lifetime's resolution); accounts older than that stamp fall
+// back to updatedAt.
+
+const { purgeAccount } = require("./accountPurge");
+
+const DAY_MS = 24 * 3600 * 1000;
+const GUEST_RETENTION_DAYS = 30;
+const GUEST_WARNING_DAYS = 7;
+// Guests deleted per sweep - each costs a full universe cascade
+const MAX_GUESTS_PER_REAP = 50;
+
+/** Retention period in days: GUEST_RETENTION_DAYS, or the env override. */
+function retentionDays() {
+  const days = Number(process.env.GUEST_RETENTION_DAYS);
+  return Number.isFinite(days) && days > GUEST_WARNING_DAYS ? days : GUEST_RETENTION_DAYS;
+}
+
+const lastActive = (user) => new Date(user.lastActiveAt || user.updatedAt || user.createdAt || 0);
+
+// Guests whose last activity is before `cutoff`
+const idleGuests = (cutoff) => ({
+  isGuest: true,
+  $or: [
+    { lastActiveAt: { $lt: cutoff } },
+    { lastActiveAt: null, updatedAt: { $lt: cutoff } }
+  ]
+});
+
+/**
+ * What /user/profile tells a guest about its retention: when it will be
+ * deleted if left idle, and whether the sweep has already warned about it.
+ * Null for registered accounts.
+ */
+function guestExpiry(user, { now = new Date(), days = retentionDays() } = {}) {
+  if (!user.isGuest) return null;
+  const deleteAfter = new Date(lastActive(user).getTime() + days * DAY_MS);
+  const daysLeft = Math.max(0, Math.ceil((deleteAfter - now) / DAY_MS));
+  const warning = !!user.guestDeletionAt || daysLeft <= GUEST_WARNING_DAYS;
+  return {
+    retentionDays: days,
+    deleteAfter,
+    daysLeft,
+    warning,
+    message: warning
+      ? "This guest account is scheduled for deletion after a period of inactivity. Claim it to keep your universes."
+      : `Guest accounts are deleted after ${days} days without play. Claim it to keep your universes.`
+  };
+}
+
+/**
+ * One retention pass. `models` needs User plus everything purgeAccount
+ * deletes. Returns { reprieved, warned, reaped, universesDeleted, failures }.
+ */
+async function reapGuests(models, { now = new Date(), limit = MAX_GUESTS_PER_REAP } = {}) {
+  const days = retentionDays();
+  const warnCutoff = new Date(now.getTime() - (days - GUEST_WARNING_DAYS) * DAY_MS);
+  const reapCutoff = new Date(now.getTime() - days * DAY_MS);
+
+  // Warned guests that played again since are safe - for now
+  const reprieve = await models.User.updateMany(
+    { isGuest: true, guestDeletionAt: { $ne: null }, $nor: [idleGuests(warnCutoff)] },
+    { $set: { guestDeletionAt: null } }
+  );
+
+  // Newly idle: schedule deletion no sooner than the warning period
+  const warn = await models.User.updateMany(
+    { ...idleGuests(warnCutoff), guestDeletionAt: null },
+    { $set: { guestDeletionAt: new Date(now.getTime() + GUEST_WARNING_DAYS * DAY_MS) } }
+  );
+
+  // Past both their retention and their warning
+  const expired = await models.User.find({ ...idleGuests(reapCutoff), guestDeletionAt: { $lte: now } })
+    .select("_id")
+    .limit(limit)
+    .lean();
+
+  let reaped = 0;
+  let universesDeleted = 0;
+  const failures = [];
+  for (const guest of expired) {
+    try {
+      const { universes } = await purgeAccount(models, guest._id);
+      reaped++;
+      universesDeleted += universes;
+    } catch (err) {
+      // One stuck account must not stall the rest
+      console.error(`Guest reap failed for user ${guest._id}:`, err.message);
+      failures.push(String(guest._id));
+    }
+  }
+
+  return {
+    reprieved: reprieve.modifiedCount,
+    warned: warn.modifiedCount,
+    reaped,
+    universesDeleted,
+    failures
+  };
+}
+
+module.exports = {
+  GUEST_RETENTION_DAYS,
+  GUEST_WARNING_DAYS,
+  MAX_GUESTS_PER_REAP,
+  retentionDays,
+  guestExpiry,
+  reapGuests
+};
@@ -0,0 +1,79 @@
+// utils/loginLockout.js
+//
+// Progressive lockout for one account under password guessing. The per-IP
+// login limit (utils/rateLimiter.js) slows a single source; this catches
+// guesses at one account from anywhere. After LOCKOUT_THRESHOLD wrong
+// passwords in a row the account refuses sign-in for LOCKOUT_BASE_MS, and
+// every further wrong password doubles that, up to LOCKOUT_MAX_MS. A correct
+// password or a password reset clears the record; so does a day without
+// failures, so the odd typo never adds up.
+//
+// The record lives on the user (loginLockout, never selected unless asked
+// for). Failures are counted with $inc, so parallel guesses can't slip past
+// the threshold by all reading the same count.
+
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// Failures further apart than this start the count over
+const FAILURE_MEMORY_MS = 24 * 3600 * 1000;
+
+/** When `failures` consecutive failures at `now` lock the account until, or null. */
+function lockoutUntil(failures, now = new Date()) {
+  if (failures < LOCKOUT_THRESHOLD) return null;
+  const ms = Math.min(LOCKOUT_MAX_MS, LOCKOUT_BASE_MS * 2 ** (failures - LOCKOUT_THRESHOLD));
+  return new Date(now.getTime() + ms);
+}
+
+/** Whole seconds until `user` may try again; 0 when not locked. */
+function lockoutRemaining(user, now = new Date()) {
+  const until = user?.loginLockout?.lockedUntil;
+  if (!until) return 0;
+  return Math.max(0, Math.ceil((new Date(until) - now) / 1000));
+}
+
+/**
+ * Count a wrong password against `userId` and lock the account once the
+ * count calls for it. Returns { failures, lockedUntil, retryAfter } -
+ * retryAfter in whole seconds, 0 when the account is not locked.
+ */
+async function recordLoginFailure(User, userId, now = new Date()) {
+  const recent = new Date(now.getTime() - FAILURE_MEMORY_MS);
+  const counted = await User.findOneAndUpdate(
+    { _id: userId, "loginLockout.lastFailureAt": { $gte: recent } },
+    { $inc: { "loginLockout.failures": 1 }, $set: { "loginLockout.lastFailureAt": now } },
+    { new: true }
+  ).select("+loginLockout").lean();
+
+  let failures = counted?.loginLockout?.failures;
+  if (!counted) {
+    // First failure in a while: start over
+    failures = 1;
+    await User.updateOne(
+      { _id: userId },
+      { $set: { loginLockout: { failures, lastFailureAt: now, lockedUntil: null } } }
+    );
+  }
+
+  const lockedUntil = lockoutUntil(failures, now);
+  if (lockedUntil) {
+    await User.updateOne({ _id: userId }, { $set: { "loginLockout.lockedUntil": lockedUntil } });
+  }
+  const retryAfter = lockedUntil ? Math.ceil((lockedUntil - now) / 1000) : 0;
+  return { failures, lockedUntil, retryAfter };
+}
+
+/** Forget an account's failures (signed in, or password reset). */
+const clearLoginFailures = (User, userId) =>
+  User.updateOne({ _id: userId }, { $unset: { loginLockout: 1 } });
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  LOCKOUT_BASE_MS,
+  LOCKOUT_MAX_MS,
+  FAILURE_MEMORY_MS,
+  lockoutUntil,
+  lockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,98 @@
+// utils/mailer.js
+//
+// Outgoing mail behind one small interface, so account flows (password
+// reset, email verification) never know how a message leaves the building:
+//
+//   const mailer = createMailer();          // MAIL_TRANSPORT picks the transport
+//   await mailer.send({ to, subject, text, html });
+//
+// Built-in transports:
+//   console - prints the message (the default outside production: local
+//             development only - it puts reset and verification links in
+//             the logs, so production refuses it and needs MAIL_TRANSPORT)
+//   file    - writes each message as JSON into MAIL_DIR (default: the OS temp
+//             dir, the only writable place on Vercel) - for inspecting what
+//             would have been sent
+//   webhook - POSTs the message as JSON to MAIL_WEBHOOK_URL (bearer
+//             MAIL_WEBHOOK_TOKEN), the shape most HTTP mail APIs and relays
+//             accept
+// Anything else (SMTP, a provider SDK) plugs in with registerTransport().
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FROM = "EternaVerse <no-reply@eternaverse.app>";
+
+// A deployment: NODE_ENV says so, or Vercel does (as for the rate limiter's store)
+const isProduction = () => process.env.NODE_ENV === "production" || Boolean(process.env.VERCEL);
+
+const transports = {
+  console: () => async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  },
+
+  file: ({ dir = process.env.MAIL_DIR || path.join(os.tmpdir(), "eternaverse-mail") } = {}) => async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const file = path.join(dir, `${id}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { id, file };
+  },
+
+  webhook: ({ url = process.env.MAIL_WEBHOOK_URL, token = process.env.MAIL_WEBHOOK_TOKEN } = {}) => {
+    if (!url) throw new Error("webhook mail transport needs MAIL_WEBHOOK_URL");
+    return async (message) => {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(message)
+      });
+      if (!res.ok) throw new Error(`Mail webhook answered ${res.status}`);
+      return { id: res.headers.get("x-message-id") };
+    };
+  }
+};
+
+/**
+ * Make `factory(options) => send(message)` available as MAIL_TRANSPORT=name.
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/**
+ * A mailer over the named transport (default MAIL_TRANSPORT, else console
+ * outside production). `send({ to, subject, text, html })` resolves to the
+ * transport's receipt and rejects on delivery failure - callers decide
+ * whether that matters.
+ */
+function createMailer({
+  transport = process.env.MAIL_TRANSPORT || (isProduction() ? null : "console"),
+  from = process.env.MAIL_FROM || DEFAULT_FROM,
+  production = isProduction(),
+  ...options
+} = {}) {
+  if (!transport) throw new Error("No mail transport configured - set MAIL_TRANSPORT");
+  if (transport === "console" && production) {
+    throw new Error("The console mail transport would log account tokens - set MAIL_TRANSPORT in production");
+  }
+  const factory = transports[transport];
+  if (!factory) throw new Error(`Unknown mail transport "${transport}"`);
+  const deliver = factory(options);
+
+  return {
+    transport,
+    async send({ to, subject, text, html }) {
+      if (!to || !subject || !text) throw new Error("A message needs to, subject and text");
+      return deliver({ from, to, subject, text, ...(html ? { html } : {}) });
+    }
+  };
+}
+
+module.exports = { DEFAULT_FROM, createMailer, registerTransport };
@@ -99,7 +99,7 @@ function metricValue(uni, metric) {
   return METRICS[metric] ? METRICS[metric](uni) : 0;
 }
 
-function generateMission(uni, excludeTemplateIds = new Set(), rand = Math.random) {
+function generateMission(uni, excludeTemplateIds = new Set(), rand = Math.random, now = new Date()) {
   // Variety guard: don't immediately re-issue what the player just finished.
   // The 2 most recently claimed templates sit out - unless that would leave
   // nothing to offer.
@@ -131,7 +131,7 @@ function generateMission(uni, excludeTemplateIds = new Set(), rand = Math.random
   const baseline = metricValue(uni, template.metric);
 
   return {
-    id: `msn_${Date.now()}_${Math.floor(rand() * 1e6)}`,
+    id: `msn_${uni.simStep || 0}_${Math.floor(rand() * 1e6)}`,
     templateId: template.id,
     title: template.title(n),
     description: template.description,
@@ -140,7 +140,7 @@ function generateMission(uni, excludeTemplateIds = new Set(), rand = Math.random
     target: baseline + n,
     reward: Math.round(template.rewardPer * n * rewardMult),
     status: "active",
-    issuedAt: new Date(),
+    issuedAt: new Date(now),
   };
 }
 
@@ -149,7 +149,7 @@ function generateMission(uni, excludeTemplateIds = new Set(), rand = Math.random
  * active set. Also prunes old claimed history. Returns how many were added
  * so callers can skip saving when nothing changed.
  */
-function ensureMissions(uni, rand = Math.random) {
+function ensureMissions(uni, rand = Math.random, now = new Date()) {
   if (!Array.isArray(uni.missions)) uni.missions = [];
 
   const exclude = new Set(uni.missions.filter((m) => m.status === "active").map((m) => m.templateId));
@@ -160,7 +160,7 @@ function ensureMissions(uni, rand = Math.random) {
   // eligible template is taken, so this terminates even when fewer than
   // MAX_ACTIVE are possible
   while (exclude.size < MAX_ACTIVE) {
-    const mission = generateMission(uni, exclude, rand);
+    const mission = generateMission(uni, exclude, rand, now);
     if (!mission) break;
     exclude.add(mission.templateId);
     uni.missions.push(mission);
@@ -185,7 +185,7 @@ function missionProgress(uni, mission) {
  * Claim a completed mission: validates completion against live state,
  * pays the reward, and issues a replacement. Mutates uni; caller saves.
  */
-function claimMission(uni, missionId, rand = Math.random) {
+function claimMission(uni, missionId, rand = Math.random, now = new Date()) {
   const mission = (uni.missions || []).find((m) => m.id === missionId);
   if (!mission) return { ok: false, reason: "Mission not found" };
   if (mission.status !== "active") return { ok: false, reason: "Mission already claimed" };
@@ -194,13 +194,13 @@ function claimMission(uni, missionId, rand = Math.random) {
   }
 
   mission.status = "claimed";
-  mission.completedAt = new Date();
+  mission.completedAt = new Date(now);
 
   if (!uni.research) uni.research = {};
   uni.research.points = (uni.research.points || 0) + mission.reward;
   uni.research.totalEarned = (uni.research.totalEarned || 0) + mission.reward;
 
-  ensureMissions(uni, rand);
+  ensureMissions(uni, rand, now);
 
   return { ok: true, mission, reward: mission.reward };
 }
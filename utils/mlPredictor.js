@@ -1,22 +1,135 @@
 /**
  * ML Physics Predictor Module
  * Provides predictions about future universe states
- * Currently returns mock data - will be replaced with TensorFlow.js
+ *
+ * Stability, end-condition and life predictions come from a trained model
+ * (utils/predictorModel.js, trained by ml/train_model.js) when its weights
+ * file is present, with confidence derived from the model's held-out error.
+ * Without one - or for anything the model doesn't cover, like anomalies -
+ * they fall back to hand-written heuristics.
  */
 
+const fs = require("fs");
+const path = require("path");
+const {
+  FEATURE_SCHEMA_VERSION,
+  FEATURE_SCHEMA,
+  TARGET_SCHEMA,
+  normalizeValue,
+  denormalizeValue,
+  extractFeatures
+} = require("./predictorFeatures");
+const predictorModel = require("./predictorModel");
+
+const DEFAULT_MODEL_PATH = process.env.ML_MODEL_PATH || path.join(__dirname, "../ml/predictor_model.json");
+const SCHEMAS = { featureSchema: FEATURE_SCHEMA, targetSchema: TARGET_SCHEMA, schemaVersion: FEATURE_SCHEMA_VERSION };
+
+// A forecast counts as right when it lands within this much of the outcome,
+// in normalized units (a twentieth of the quantity's range) - confidence is
+// the chance of that, given the model's error
+const CONFIDENCE_TOLERANCE = 0.05;
+// The least per-step error a forecast is given: a held-out error of zero
+// says the quantity never moved in the dataset, not that it can't
+const MIN_STEP_RMSE = 0.005;
+// Longest model rollout a forecast may take, however long the horizon
+const MAX_MODEL_STEPS = 500;
+
+// Abramowitz & Stegun 7.1.26 - plenty for a confidence figure
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-x * x);
+  return sign * y;
+}
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+const withinTolerance = (sigma) => erf(CONFIDENCE_TOLERANCE / (Math.max(sigma, 1e-9) * Math.SQRT2));
+const clampNormalized = (v) => Math.max(-0.1, Math.min(1.1, v));
+
+// The weights file at DEFAULT_MODEL_PATH, read once per process; null when
+// there isn't a usable one
+let defaultModel;
+function loadDefaultModel() {
+  if (defaultModel !== undefined) return defaultModel;
+  defaultModel = null;
+  try {
+    const model = JSON.parse(fs.readFileSync(DEFAULT_MODEL_PATH, "utf8"));
+    const check = predictorModel.checkModel(model, SCHEMAS);
+    if (check.ok) defaultModel = model;
+    else console.warn(`Ignoring predictor model ${DEFAULT_MODEL_PATH}: ${check.reason}`);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Ignoring predictor model ${DEFAULT_MODEL_PATH}: ${err.message}`);
+  }
+  return defaultModel;
+}
+
 class MLPredictor {
+  /**
+   * @param {Object} universe
+   * @param {Object} options - predictionHorizon (game steps), and `model` to
+   *   use a specific trained model (null for heuristics only) instead of the
+   *   weights file
+   */
   constructor(universe, options = {}) {
     if (!universe) throw new Error("MLPredictor requires a universe object");
 
+    const { model, ...rest } = options;
     this.universe = universe;
     this.options = {
-      predictionHorizon: options.predictionHorizon ?? 5, // steps ahead
-      confidenceThreshold: options.confidenceThreshold ?? 0.7,
-      ...options
+      predictionHorizon: rest.predictionHorizon ?? 5, // steps ahead
+      confidenceThreshold: rest.confidenceThreshold ?? 0.7,
+      ...rest
     };
 
-    // TODO: Initialize TensorFlow model here
-    this.model = null;
+    this.model = model !== undefined ? model : loadDefaultModel();
+    this._forecastCache = null;
+  }
+
+  /**
+   * Roll the model forward over the prediction horizon, one game step at a
+   * time. Errors are treated as independent per step, so each target's
+   * spread grows with the square root of the steps.
+   * @private
+   * @returns {Object|null} - { steps, normalized, raw, sigma, stabilityFactors }, null without a model
+   */
+  _forecast() {
+    if (!this.model) return null;
+    if (this._forecastCache) return this._forecastCache;
+
+    const model = this.model;
+    const steps = Math.min(MAX_MODEL_STEPS, Math.max(1, Math.round(this.options.predictionHorizon)));
+
+    const offsets = model.targetSchema.map((key) => model.featureSchema.indexOf(key));
+    const features = extractFeatures(this.universe).normalized;
+
+    // What drives the stability change right now: the largest terms of its
+    // linear map, per feature
+    const st = model.targetSchema.indexOf("stabilityIndex");
+    const stabilityFactors = Object.fromEntries(
+      model.featureSchema
+        .map((key, i) => [key, model.weights[st][i + 1] * features[i]])
+        .filter(([, contribution]) => contribution !== 0)
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .slice(0, 3)
+    );
+
+    let next = [];
+    for (let i = 0; i < steps; i++) {
+      next = predictorModel.predictNext(model, features).map(clampNormalized);
+      next.forEach((v, t) => { if (offsets[t] >= 0) features[offsets[t]] = v; });
+    }
+
+    const raw = {};
+    const sigma = {};
+    model.targetSchema.forEach((key, t) => {
+      raw[key] = denormalizeValue(next[t], key);
+      sigma[key] = Math.max(model.rmse[key], MIN_STEP_RMSE) * Math.sqrt(steps);
+    });
+
+    const normalized = Object.fromEntries(model.targetSchema.map((key, t) => [key, next[t]]));
+    this._forecastCache = { steps, normalized, raw, sigma, stabilityFactors };
+    return this._forecastCache;
   }
 
   /**
@@ -25,13 +138,27 @@ class MLPredictor {
    */
   predictStability() {
     const cs = this.universe.currentState;
-    
-    // Mock prediction logic (replace with ML model)
+    const forecast = this._forecast();
+    if (forecast) {
+      const predicted = Math.max(0, Math.min(1, forecast.raw.stabilityIndex));
+      return {
+        current: cs.stabilityIndex,
+        predicted,
+        change: predicted - cs.stabilityIndex,
+        confidence: withinTolerance(forecast.sigma.stabilityIndex),
+        horizon: this.options.predictionHorizon,
+        factors: forecast.stabilityFactors,
+        source: "model"
+      };
+    }
+
+    // No model: the heuristic fallback - unresolved anomalies, old age and
+    // high entropy each pull stability down
     const currentStability = cs.stabilityIndex;
     const anomalyCount = this.universe.anomalies.filter(a => !a.resolved).length;
     const ageGyr = cs.age / 1e9;
     
-    // Simple heuristic for mock predictions
+    // Fixed per-factor penalties, not fitted to anything
     const anomalyImpact = -0.02 * Math.min(anomalyCount, 10);
     const ageImpact = ageGyr > 50 ? -0.01 : 0;
     const entropyImpact = cs.entropy > 1e15 ? -0.015 : 0;
@@ -43,13 +170,14 @@ class MLPredictor {
       current: currentStability,
       predicted: predictedStability,
       change: predictedChange,
-      confidence: 0.75, // Mock confidence
+      confidence: 0.75, // a fixed figure - the heuristic has no error estimate
       horizon: this.options.predictionHorizon,
       factors: {
         anomalies: anomalyImpact,
         age: ageImpact,
         entropy: entropyImpact
-      }
+      },
+      source: "heuristic"
     };
   }
 
@@ -61,7 +189,7 @@ class MLPredictor {
     const cs = this.universe.currentState;
     const ageGyr = cs.age / 1e9;
     
-    // Mock prediction logic
+    // Always the heuristic - the model doesn't forecast anomalies
     const baseProb = 0.15;
     const activityBonus = Math.min(0.3, cs.galaxyCount / 1e11);
     const ageBonus = ageGyr > 10 ? 0.1 : 0;
@@ -85,7 +213,8 @@ class MLPredictor {
       confidence: 0.7,
       horizon: this.options.predictionHorizon,
       likelyTypes,
-      recommendation: totalProb > 0.6 ? "High anomaly risk - prepare interventions" : "Anomaly risk moderate"
+      recommendation: totalProb > 0.6 ? "High anomaly risk - prepare interventions" : "Anomaly risk moderate",
+      source: "heuristic"
     };
   }
 
@@ -120,7 +249,19 @@ class MLPredictor {
         mitigation: "Resolve quantum anomalies to restore order"
       }
     };
-    
+
+    // With a model, the stability and entropy risks are the chance the
+    // forecast crosses the same thresholds by the horizon
+    const forecast = this._forecast();
+    let confidence = 0.72;
+    if (forecast) {
+      const n = forecast.normalized;
+      const s = forecast.sigma;
+      risks.instabilityCollapse.risk = normalCdf((0.3 - n.stabilityIndex) / Math.max(s.stabilityIndex, 1e-9));
+      risks.maximumEntropy.risk = 1 - normalCdf((normalizeValue(1.5e15, "entropy") - n.entropy) / Math.max(s.entropy, 1e-9));
+      confidence = (withinTolerance(s.stabilityIndex) + withinTolerance(s.entropy)) / 2;
+    }
+
     // Find highest risk
     let highestRisk = { condition: "none", risk: 0 };
     for (const [condition, data] of Object.entries(risks)) {
@@ -132,8 +273,9 @@ class MLPredictor {
     return {
       risks,
       highestRisk,
-      confidence: 0.72,
-      horizon: this.options.predictionHorizon
+      confidence,
+      horizon: this.options.predictionHorizon,
+      source: forecast ? "model" : "heuristic"
     };
   }
 
@@ -144,8 +286,32 @@ class MLPredictor {
   predictLife() {
     const cs = this.universe.currentState;
     const ageGyr = cs.age / 1e9;
+
+    const forecast = this._forecast();
+    if (forecast) {
+      // Growth is relative to the current count, over the horizon
+      const trend = (key) => {
+        const current = cs[key] || 0;
+        const predicted = forecast.raw[key];
+        return {
+          current: cs[key],
+          predictedGrowth: current > 0 ? predicted / current - 1 : (predicted >= 1 ? 1 : 0),
+          confidence: withinTolerance(forecast.sigma[key])
+        };
+      };
+      const civilizations = trend("civilizationCount");
+      return {
+        habitableSystems: trend("habitableSystemsCount"),
+        lifeBearingPlanets: trend("lifeBearingPlanetsCount"),
+        civilizations,
+        recommendation: civilizations.predictedGrowth > 0
+          ? "Conditions favorable for civilization emergence"
+          : "Focus on maintaining habitable systems",
+        source: "model"
+      };
+    }
     
-    // Mock predictions
+    // No model: the heuristic fallback, growth rates by age and metallicity
     const habitableGrowth = ageGyr < 10 ? 0.15 : ageGyr < 50 ? 0.05 : -0.02;
     const lifeGrowth = ageGyr > 3 && cs.metallicity > 0.1 ? 0.1 : 0;
     const civGrowth = ageGyr > 5 && cs.lifeBearingPlanetsCount > 1000 ? 0.08 : 0;
@@ -166,7 +332,8 @@ class MLPredictor {
         predictedGrowth: civGrowth,
         confidence: 0.6
       },
-      recommendation: civGrowth > 0 ? "Conditions favorable for civilization emergence" : "Focus on maintaining habitable systems"
+      recommendation: civGrowth > 0 ? "Conditions favorable for civilization emergence" : "Focus on maintaining habitable systems",
+      source: "heuristic"
     };
   }
 
@@ -212,7 +379,7 @@ class MLPredictor {
     return {
       score: overallRisk,
       level,
-      confidence: 0.7
+      confidence: this.model ? (stability.confidence + endConditions.confidence) / 2 : 0.7
     };
   }
 
@@ -269,24 +436,44 @@ class MLPredictor {
   }
 
   /**
-   * TODO: Train ML model with historical data
-   * @param {Array} trainingData - historical universe states
+   * Train a model on dataset samples (ml/generate_dataset.js lines:
+   * { features, targets }) and predict with it from now on
+   * @param {Array} trainingData - samples in FEATURE_SCHEMA/TARGET_SCHEMA order
+   * @param {Object} options - lambda (ridge penalty)
    */
-  async trainModel(trainingData) {
-    // Placeholder for future TensorFlow implementation
-    console.log("ML training not yet implemented. Using heuristic predictions.");
-    return { success: false, reason: "Training not implemented" };
+  async trainModel(trainingData, options = {}) {
+    try {
+      const model = predictorModel.trainModel(trainingData, { ...SCHEMAS, ...options });
+      this.model = model;
+      this._forecastCache = null;
+      return { success: true, samples: model.samples, rmse: model.rmse };
+    } catch (err) {
+      return { success: false, reason: err.message };
+    }
   }
 
   /**
-   * TODO: Load pre-trained model
-   * @param {string} modelPath - path to saved model
+   * Load a weights file written by ml/train_model.js and predict with it
+   * @param {string} modelPath - defaults to DEFAULT_MODEL_PATH
    */
-  async loadModel(modelPath) {
-    // Placeholder for future TensorFlow implementation
-    console.log("ML model loading not yet implemented. Using heuristic predictions.");
-    return { success: false, reason: "Model loading not implemented" };
+  async loadModel(modelPath = DEFAULT_MODEL_PATH) {
+    let model;
+    try {
+      model = JSON.parse(await fs.promises.readFile(modelPath, "utf8"));
+    } catch (err) {
+      return { success: false, reason: err.code === "ENOENT" ? `No model file at ${modelPath}` : err.message };
+    }
+
+    const check = predictorModel.checkModel(model, SCHEMAS);
+    if (!check.ok) return { success: false, reason: check.reason };
+
+    this.model = model;
+    this._forecastCache = null;
+    return { success: true, samples: model.samples, trainedAt: model.trainedAt };
   }
 }
 
-module.exports = MLPredictor;
\ No newline at end of file
+module.exports = MLPredictor;
+module.exports.DEFAULT_MODEL_PATH = DEFAULT_MODEL_PATH;
+module.exports.CONFIDENCE_TOLERANCE = CONFIDENCE_TOLERANCE;
+module.exports.loadDefaultModel = loadDefaultModel;
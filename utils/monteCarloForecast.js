@@ -0,0 +1,192 @@
+// utils/monteCarloForecast.js
+//
+// Forecasts by running the real engine instead of guessing: copy the
+// universe, advance the copy N steps with advanceUniverse, and do that over K
+// different seeds. What comes back is a distribution over the K futures -
+// how often the universe collapses, where stability ends up, which
+// civilizations die out or climb a Kardashev tier, and how each running war
+// ends.
+//
+// Nothing is persisted and nothing reaches the live stream: the copies are
+// thrown away and every run is muted (utils/eventBus.js). The runs play the
+// steps ONLINE (like a dev fast-forward) - this is the future if the player
+// stays and does nothing, not the softened offline catch-up.
+//
+// Each run's randomness derives from the universe seed, the run number and
+// simStep, so a forecast of the same state is the same forecast.
+
+const { advanceUniverse } = require("./simulationRunner");
+const { difficultyStability } = require("./stabilityConfig");
+const { muted } = require("./eventBus");
+
+const FORECAST_RUNS = 16;
+const MAX_FORECAST_RUNS = 32;
+const MAX_FORECAST_STEPS = 50;
+// Universes whose latest forecast is kept (createForecastCache)
+const FORECAST_CACHE_LIMIT = 500;
+
+const CIV_TIERS = ["Type0", "Type1", "Type2", "Type3"];
+
+const round = (v) => Math.round(v * 1000) / 1000;
+
+// Value at fraction `q` of a sorted array
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** Min/mean/p10/median/p90 of `values`, rounded for display. */
+function band(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  return {
+    mean: round(mean),
+    p10: round(quantile(sorted, 0.1)),
+    median: round(quantile(sorted, 0.5)),
+    p90: round(quantile(sorted, 0.9)),
+    min: round(sorted[0])
+  };
+}
+
+// What one future looked like, reduced to what the forecast reports
+function runOnce(baseJson, start, run, steps, now) {
+  const copy = JSON.parse(baseJson);
+  copy.seed = `${start.seed}:forecast:${run}`;
+  copy.markModified = () => {};
+
+  const result = muted(() => advanceUniverse(copy, now, { forceSteps: steps }));
+  const history = result.Physics ? result.Physics.getStabilityHistory() : [];
+  const newEvents = (copy.significantEvents || []).filter((e) => (e.seq || 0) > start.eventsRecorded);
+  const civs = new Map((copy.civilizations || []).map((c) => [c.id, c]));
+
+  return {
+    endCondition: copy.status === "ended" ? copy.endCondition : null,
+    stepsRun: (copy.simStep || 0) - start.simStep,
+    stability: copy.currentState?.stabilityIndex ?? 0,
+    lowestStability: Math.min(copy.currentState?.stabilityIndex ?? 0, ...history),
+    civs,
+    warEvents: newEvents.filter((e) => e.effects?.warId).map((e) => e.effects)
+  };
+}
+
+/**
+ * Forecast `uni` (a plain or lean document, records attached) `steps` steps
+ * ahead over `runs` seeds. Defaults to the difficulty's crisis window - how
+ * long a universe may sit critical before it collapses - so the collapse
+ * probability answers "could I lose within the window?".
+ *
+ * @returns {Object} { ok: true, forecast } or { ok: false, reason }
+ */
+function forecastUniverse(uni, { steps, runs = FORECAST_RUNS, now = new Date() } = {}) {
+  if (uni.status === "ended") return { ok: false, reason: "This universe has ended" };
+
+  const crisisWindow = difficultyStability(uni.difficulty || "Intermediate").crisisWindow;
+  steps = Math.max(1, Math.min(MAX_FORECAST_STEPS, Math.floor(steps || crisisWindow)));
+  runs = Math.max(1, Math.min(MAX_FORECAST_RUNS, Math.floor(runs || FORECAST_RUNS)));
+
+  const { revisionLog, ...base } = uni;
+  const baseJson = JSON.stringify(base);
+  const start = { seed: uni.seed, simStep: uni.simStep || 0, eventsRecorded: uni.eventsRecorded || 0 };
+  const outcomes = [];
+  for (let run = 0; run < runs; run++) outcomes.push(runOnce(baseJson, start, run, steps, now));
+
+  const share = (predicate) => round(outcomes.filter(predicate).length / runs);
+
+  const endings = {};
+  for (const o of outcomes) if (o.endCondition) endings[o.endCondition] = round((endings[o.endCondition] || 0) + 1 / runs);
+  const collapses = outcomes.filter((o) => o.endCondition === "instability-collapse");
+
+  const living = (uni.civilizations || []).filter((c) => !c.extinct);
+  const civilizations = living.map((civ) => {
+    const tier = CIV_TIERS.indexOf(civ.type);
+    return {
+      id: civ.id,
+      type: civ.type,
+      extinction: share((o) => !o.civs.has(civ.id) || o.civs.get(civ.id).extinct),
+      promotion: share((o) => CIV_TIERS.indexOf(o.civs.get(civ.id)?.type) > tier)
+    };
+  });
+
+  const wars = (uni.activeWars || []).map((war) => {
+    const winnerIn = (o) => {
+      const end = o.warEvents.find((e) => e.warId === war.id && e.outcome !== "outbreak");
+      return end ? end.winner || end.survivor : null;
+    };
+    return {
+      id: war.id,
+      a: war.a,
+      b: war.b,
+      aWins: share((o) => winnerIn(o) === war.a),
+      bWins: share((o) => winnerIn(o) === war.b),
+      ongoing: share((o) => winnerIn(o) === null)
+    };
+  });
+  const outbreaks = outcomes.reduce((sum, o) => sum + o.warEvents.filter((e) => e.outcome === "outbreak").length, 0);
+
+  return {
+    ok: true,
+    forecast: {
+      simStep: start.simStep,
+      steps,
+      runs,
+      collapse: {
+        probability: round(collapses.length / runs),
+        crisisWindow,
+        criticalSteps: uni.currentState?.criticalSteps || 0,
+        expectedSteps: collapses.length
+          ? round(collapses.reduce((sum, o) => sum + o.stepsRun, 0) / collapses.length)
+          : null
+      },
+      endings,
+      stability: {
+        current: uni.currentState?.stabilityIndex ?? null,
+        final: band(outcomes.map((o) => o.stability)),
+        lowest: band(outcomes.map((o) => o.lowestStability))
+      },
+      civilizations,
+      wars,
+      expectedNewWars: round(outbreaks / runs)
+    }
+  };
+}
+
+/**
+ * The latest forecast per universe, reused until the universe moves on. A
+ * forecast is keyed by simStep - and by revision, so one made before the
+ * player resolved an anomaly isn't served after - plus its own steps/runs.
+ * Per process, like the rate limiter's memory store.
+ */
+function createForecastCache(limit = FORECAST_CACHE_LIMIT) {
+  const entries = new Map(); // universe id -> { key, result }, oldest first
+
+  return {
+    fetch(uni, { steps, runs }, compute) {
+      const id = String(uni._id);
+      const key = `${uni.simStep || 0}:${uni.revision || 0}:${steps || ""}:${runs || ""}`;
+      const hit = entries.get(id);
+      entries.delete(id);
+      if (hit && hit.key === key) {
+        entries.set(id, hit);
+        return { result: hit.result, cached: true };
+      }
+
+      const result = compute();
+      entries.set(id, { key, result });
+      if (entries.size > limit) entries.delete(entries.keys().next().value);
+      return { result, cached: false };
+    },
+    size: () => entries.size
+  };
+}
+
+module.exports = {
+  FORECAST_RUNS,
+  MAX_FORECAST_RUNS,
+  MAX_FORECAST_STEPS,
+  FORECAST_CACHE_LIMIT,
+  forecastUniverse,
+  createForecastCache
+};
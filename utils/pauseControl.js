@@ -0,0 +1,43 @@
+// utils/pauseControl.js
+//
+// Vacation mode. A paused universe is frozen: the cron sweep only selects
+// "running" universes, the live tick hands back a paused payload instead of
+// stepping, and a lost vessel can't force steps into it. Resuming re-anchors the
+// simulation clock so the paused period is simply skipped - the player comes
+// back to the universe exactly as they left it, not to a drained reservoir.
+//
+// Pure state transitions over the universe document; the routes save.
+
+/**
+ * running -> paused. Returns { ok: true } or { ok: false, reason }.
+ */
+function pauseUniverse(universe, now = new Date()) {
+  if (universe.status === "ended") return { ok: false, reason: "Universe already ended" };
+  if (universe.status === "paused") return { ok: false, reason: "Universe is already paused" };
+
+  universe.status = "paused";
+  universe.pausedAt = now;
+  universe.lastModified = now;
+  return { ok: true };
+}
+
+/**
+ * paused -> running. Catch-up owed from BEFORE the pause (time between the
+ * last tick and pausing) is preserved; the paused period itself is not.
+ * Returns { ok: true, pausedMs } or { ok: false, reason }.
+ */
+function resumeUniverse(universe, now = new Date()) {
+  if (universe.status !== "paused") return { ok: false, reason: "Universe is not paused" };
+
+  const pausedAt = universe.pausedAt ? new Date(universe.pausedAt) : now;
+  const lastSimulatedAt = universe.lastSimulatedAt ? new Date(universe.lastSimulatedAt) : pausedAt;
+  const owedBeforePause = Math.max(0, pausedAt - lastSimulatedAt);
+
+  universe.status = "running";
+  universe.lastSimulatedAt = new Date(now.getTime() - owedBeforePause);
+  universe.pausedAt = null;
+  universe.lastModified = now;
+  return { ok: true, pausedMs: Math.max(0, now - pausedAt) };
+}
+
+module.exports = { pauseUniverse, resumeUniverse };
@@ -0,0 +1,79 @@
+// utils/permissions.js
+//
+// Roles and what they may do. All dev tooling used to hang off one isAdmin
+// boolean: whoever could fast-forward a test universe could also print
+// research points and reach into anyone's account. Now every privileged
+// route names the permission it needs (middleware/permissionMiddleware.js)
+// and each role grants a set of them. Roles are tiers - each one has
+// everything the one below it has:
+//
+//   player     - nothing beyond playing
+//   tester     - dev tools that bend the simulation in their OWN universes
+//                (the dev routes only ever load the caller's universes), but
+//                no minting research points
+//   moderator  - the admin console: other players' accounts and
+//                universes, read-only, and bans
+//   admin      - everything, including dev tools on anyone's universe, the
+//                console's audit log and predictor evaluations
+//
+// A user's role is the `role` field; the older isAdmin flag still counts as
+// the admin role, so accounts granted it before roles existed keep their
+// access. Neither is settable through the API.
+
+const ROLES = ["player", "tester", "moderator", "admin"];
+
+const PERMISSIONS = {
+  "dev.fastForward": "Advance an owned universe by N steps",
+  "dev.replay": "Rebuild an owned universe from its action journal",
+  "dev.spawnAnomalies": "Force-spawn anomalies in an owned universe",
+  "dev.spawnCivilizations": "Force-spawn civilizations in an owned universe",
+  "dev.startWar": "Force a war in an owned universe",
+  "dev.stageSiege": "Stage a siege in an owned universe",
+  "dev.resetOpeningSiege": "Re-arm the scripted opening siege",
+  "dev.rewindVisit": "Move the away-digest anchors back in time",
+  "dev.grantResearch": "Grant research points",
+  "admin.console": "Use the admin console",
+  "users.ban": "Ban and unban accounts",
+  "universes.inspectAny": "Read any player's universe",
+  "universes.manageAny": "Apply dev actions to any player's universe",
+  "universes.restoreEnded": "Rewind an ended universe",
+  "audit.read": "Read the admin audit log",
+  "predictor.evaluate": "Run and read predictor accuracy evaluations"
+};
+
+// What each role adds to the tier below it
+const ROLE_GRANTS = {
+  player: [],
+  tester: [
+    "dev.fastForward", "dev.replay", "dev.spawnAnomalies", "dev.spawnCivilizations",
+    "dev.startWar", "dev.stageSiege", "dev.resetOpeningSiege", "dev.rewindVisit"
+  ],
+  moderator: ["admin.console", "users.ban", "universes.inspectAny"],
+  admin: Object.keys(PERMISSIONS)
+};
+
+const ROLE_PERMISSIONS = {};
+ROLES.reduce((inherited, role) => {
+  ROLE_PERMISSIONS[role] = new Set([...inherited, ...ROLE_GRANTS[role]]);
+  return ROLE_PERMISSIONS[role];
+}, []);
+
+/** The role `user` acts with. */
+function effectiveRole(user) {
+  if (user?.isAdmin) return "admin";
+  return ROLES.includes(user?.role) ? user.role : "player";
+}
+
+/** Whether `user` holds permission `name`. Unknown names are a bug, not a no. */
+function hasPermission(user, name) {
+  if (!PERMISSIONS[name]) throw new Error(`Unknown permission: ${name}`);
+  return ROLE_PERMISSIONS[effectiveRole(user)].has(name);
+}
+
+/** Every permission `user` holds, sorted - a UI hint for which tools to show. */
+const permissionsFor = (user) => [...ROLE_PERMISSIONS[effectiveRole(user)]].sort();
+
+/** Whether `role` ranks above `user`'s role - moderators can't ban each other. */
+const outranks = (role, user) => ROLES.indexOf(role) > ROLES.indexOf(effectiveRole(user));
+
+module.exports = { ROLES, PERMISSIONS, effectiveRole, hasPermission, permissionsFor, outranks };
@@ -4,6 +4,7 @@ const { civDesignation, civAttitude } = require("./contactSystem");
 const STAB = require("./stabilityConfig");
 const COSMO = require("./cosmologyConfig");
 const { tickWars } = require("./warSystem");
+const { stepKey } = require("./snapshotSystem");
 
 /**
  * Enhanced PhysicsEngine with improved civilization lifecycle management
@@ -25,6 +26,7 @@ class PhysicsEngine {
       enableProgressiveEvents: options.enableProgressiveEvents ?? true,
       maxCivilizations: options.maxCivilizations ?? 500, // PREVENT BLOAT
       civilizationCullInterval: options.civilizationCullInterval ?? 10, // Steps between culling
+      quiet: options.quiet ?? false, // no console output (dataset generation)
       ...options,
     };
 
@@ -113,10 +115,27 @@ class PhysicsEngine {
   }
 
   // ========== Helper Methods ==========
+  // The engine's progress lines, unless the caller asked for quiet
+  _log(...args) {
+    if (!this.options.quiet) console.log(...args);
+  }
+
   _rand() {
     return this.rng();
   }
 
+  // Simulation clock. options.now pins every timestamp the engine writes
+  // (the runner passes the tick's time); without it, wall-clock time.
+  _now() {
+    return this.options.now ? new Date(this.options.now) : new Date();
+  }
+
+  /** Restart the random stream from a new seed (the runner reseeds per step). */
+  reseed(seed) {
+    this.options.seed = seed;
+    this.rng = seedrandom(seed);
+  }
+
   _clamp(v, min = -Infinity, max = Infinity) {
     return Math.max(min, Math.min(max, v));
   }
@@ -179,15 +198,7 @@ class PhysicsEngine {
 
   _updateCosmicPhase() {
     const cs = this.universe.currentState;
-    const ageGyr = cs.age / 1e9;
-    
-    if (ageGyr < 0.1) cs.cosmicPhase = "dark_ages";
-    else if (ageGyr < 1) cs.cosmicPhase = "reionization";
-    else if (ageGyr < 5) cs.cosmicPhase = "galaxy_formation";
-    else if (ageGyr < 10) cs.cosmicPhase = "stellar_peak";
-    else if (ageGyr < 50) cs.cosmicPhase = "gradual_decline";
-    else if (ageGyr < 100) cs.cosmicPhase = "twilight_era";
-    else cs.cosmicPhase = "degenerate_era";
+    cs.cosmicPhase = COSMO.cosmicPhaseAt(cs.age / 1e9);
   }
 
   _updateStructures() {
@@ -298,11 +309,11 @@ class PhysicsEngine {
       milestoneKey
     });
     
-    console.log(`🎯 MILESTONE ACHIEVED: ${title} (${milestoneKey})`);
+    this._log(`🎯 MILESTONE ACHIEVED: ${title} (${milestoneKey})`);
   }
 
   _recordSignificantEvent(type, description, effects) {
-    recordEvent(this.universe, { type, description, effects });
+    recordEvent(this.universe, { type, description, effects, timestamp: this._now() });
   }
 
   _updateLifeEvolution() {
@@ -406,9 +417,9 @@ class PhysicsEngine {
       const distance = (range.min + this._rand() * (range.max - range.min)) * CHUNK_SIZE;
 
       this.universe.civilizations.push({
-        id: `civ_${Date.now()}_${this._rand().toString(36).substr(2, 9)}`,
+        id: `civ_${stepKey(this.universe)}_${this._rand().toString(36).substr(2, 9)}`,
         type: civType,
-        createdAt: new Date(),
+        createdAt: this._now(),
         age: 0,
         developmentLevel: this._rand(),
         technology: this._rand() * 10,
@@ -472,7 +483,7 @@ class PhysicsEngine {
     this.universe.legacies.push({
       civId: civ.id,
       designation: civDesignation(civ.id),
-      ascendedAt: new Date(),
+      ascendedAt: this._now(),
       ageGyr: (this.universe.currentState.age / 1e9).toFixed(2),
       uplifts: civ.uplifts || 0,
       rescues: civ.rescues || 0,
@@ -602,7 +613,7 @@ class PhysicsEngine {
 
     // Interstellar wars: start/progress/resolve once per step (warSystem);
     // the player can tip or end them through First Contact
-    for (const ev of tickWars(this.universe, () => this._rand())) {
+    for (const ev of tickWars(this.universe, () => this._rand(), this._now())) {
       this._recordSignificantEvent("war", ev.description, ev.effects);
     }
 
@@ -720,7 +731,7 @@ class PhysicsEngine {
       
       if (this._rand() < extinctionChance) {
         civ.extinct = true;
-        civ.extinctionDate = new Date();
+        civ.extinctionDate = this._now();
         civ.extinctionAge = civ.age;
         
         cs.civilizationsExtinct = (cs.civilizationsExtinct || 0) + 1;
@@ -745,7 +756,7 @@ class PhysicsEngine {
           this.universe.chosenCivId = null;
         }
 
-        console.log(`💀 Civilization extinct: ${civ.type} (${extinctionType}) after ${(civ.age / 1e6).toFixed(1)}M years`);
+        this._log(`💀 Civilization extinct: ${civ.type} (${extinctionType}) after ${(civ.age / 1e6).toFixed(1)}M years`);
       }
     }
     
@@ -844,7 +855,7 @@ class PhysicsEngine {
     const removed = before - this.universe.civilizations.length;
     
     if (removed > 0) {
-      console.log(`🧹 Culled ${removed} ancient extinct civilizations (keeping ${recentExtinct.length} recent)`);
+      this._log(`🧹 Culled ${removed} ancient extinct civilizations (keeping ${recentExtinct.length} recent)`);
       
       if (typeof this.universe.markModified === "function") {
         this.universe.markModified('civilizations');
@@ -869,7 +880,7 @@ class PhysicsEngine {
         
         for (const civ of toKill) {
           civ.extinct = true;
-          civ.extinctionDate = new Date();
+          civ.extinctionDate = this._now();
           civ.extinctionAge = civ.age;
           cs.civilizationsExtinct = (cs.civilizationsExtinct || 0) + 1;
           cs.civilizationCount = Math.max(0, cs.civilizationCount - 1);
@@ -883,7 +894,7 @@ class PhysicsEngine {
           description: "A universe-wide catastrophic event has caused mass extinction"
         });
         
-        console.log(`☠️  GREAT FILTER: ${killCount} civilizations destroyed`);
+        this._log(`☠️  GREAT FILTER: ${killCount} civilizations destroyed`);
       }
     }
   }
@@ -934,7 +945,7 @@ class PhysicsEngine {
     
     if (uniqueEvents.length < this.universe.significantEvents.length) {
       const removed = this.universe.significantEvents.length - uniqueEvents.length;
-      console.log(`🧹 Removed ${removed} duplicate milestone events`);
+      this._log(`🧹 Removed ${removed} duplicate milestone events`);
       this.universe.significantEvents = uniqueEvents;
       if (typeof this.universe.markModified === "function"){
         this.universe.markModified('significantEvents');
@@ -1032,8 +1043,8 @@ class PhysicsEngine {
     this.universe.metrics.stabilityTrend = this._calculateStabilityTrend();
   }
 
-  // Back-compat: standalone callers (simulateSteps, ml/generate_dataset.js)
-  // that don't run the runner loop still get a moving reservoir.
+  // Back-compat: standalone callers (simulateSteps) that don't run the
+  // runner loop still get a moving reservoir.
   _updateStability() {
     this._updateCeilingAndMetrics();
     this.applyStabilityDynamics({});
@@ -1155,7 +1166,7 @@ class PhysicsEngine {
     // for this step have been generated and escalated.
     this._updateCeilingAndMetrics();
 
-    this.universe.lastModified = new Date();
+    this.universe.lastModified = this._now();
 
     return { 
       universe: this.universe,
@@ -0,0 +1,364 @@
+// utils/predictorEvaluation.js
+//
+// How good are the predictions players see? This runs universes forward and
+// scores what MLPredictor said against what happened `horizon` steps later:
+//
+//   stability      - error of the predicted stabilityIndex, and whether the
+//                    stated confidence matches how often the prediction lands
+//                    within CONFIDENCE_TOLERANCE of the outcome
+//   anomalies      - the predicted chance of a new anomaly vs whether one
+//                    appeared (Brier score, log loss)
+//   endConditions  - each end condition's predicted risk vs whether the
+//                    universe actually ended that way
+//
+// with calibration curves (predicted probability against observed frequency,
+// in tenths) for each. The heuristic predictor and the trained model
+// (utils/predictorModel.js) are scored on the same checkpoints so their
+// reports compare directly; the model's is null when there isn't one.
+//
+// Universes come from two places: fresh ones simulated from genesis, and
+// copies of stored universes. Either way nothing is saved and nothing reaches
+// a live stream (utils/eventBus.js). Steps run ONLINE with nobody resolving
+// anything, so fresh universes drift into crises - which is what gives the
+// collapse predictions something to be right about.
+//
+// An admin-requested evaluation doesn't run inside the request: it is queued
+// (planEvaluation) and POST /api/cron/predictor-evaluations works through
+// it a universe at a time under a lease (advanceEvaluations), a time budget
+// per call, keeping its progress on the PredictorEvaluation between calls.
+// evaluatePredictor runs one start to finish, for tests and scripts.
+//
+// Models are passed in (like persistSnapshot takes Snapshot) so this module
+// loads without a database.
+
+const crypto = require("crypto");
+const MLPredictor = require("./mlPredictor");
+const { CONFIDENCE_TOLERANCE, loadDefaultModel } = MLPredictor;
+const { advanceUniverse } = require("./simulationRunner");
+const { attachRecords } = require("./universeStore");
+const { muted } = require("./eventBus");
+const { freshUniverse } = require("./genesis");
+
+const REPORT_FORMAT = "eternaverse-predictor-evaluation";
+const REPORT_VERSION = 1;
+const CALIBRATION_BINS = 10;
+// Bounds on one admin-requested evaluation
+const MAX_EVALUATION_UNIVERSES = 8; // of each kind, stored and fresh
+const MAX_EVALUATION_STEPS = 300;
+// A lease outlives any cron call, so an evaluation left behind by a call
+// that died mid-universe is only held back until it expires
+const EVALUATION_LEASE_MS = 5 * 60 * 1000;
+
+// predictEndConditions' risk names -> the endCondition a universe ends with
+const END_CONDITIONS = {
+  instabilityCollapse: "instability-collapse",
+  heatDeath: "heat-death",
+  bigRip: "big-rip",
+  maximumEntropy: "maximum-entropy"
+};
+
+const round = (v) => (v == null ? null : Math.round(v * 10000) / 10000);
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/** The ids of the `limit` most recently played running universes. */
+async function pickStoredUniverses(store, limit) {
+  if (!limit) return [];
+  const universes = await store.Universe.find({ status: "running" })
+    .select("_id")
+    .sort({ lastModified: -1 })
+    .limit(limit)
+    .lean();
+  return universes.map((uni) => String(uni._id));
+}
+
+/** One stored universe, records attached, as a plain document - null if it's gone. */
+async function loadStoredUniverse(store, id) {
+  const uni = await store.Universe.findById(id).select("-revisionLog").lean();
+  if (uni) await attachRecords(store, uni);
+  return uni;
+}
+
+// Probability predictions against 0/1 outcomes
+function scoreProbabilities(pairs) {
+  if (!pairs.length) return null;
+  const eps = 1e-6;
+  const clamp = (p) => Math.max(eps, Math.min(1 - eps, p));
+  return {
+    count: pairs.length,
+    baseRate: round(mean(pairs.map((p) => p.outcome))),
+    meanPredicted: round(mean(pairs.map((p) => p.predicted))),
+    brier: round(mean(pairs.map((p) => (p.predicted - p.outcome) ** 2))),
+    logLoss: round(mean(pairs.map((p) => -(p.outcome ? Math.log(clamp(p.predicted)) : Math.log(1 - clamp(p.predicted)))))),
+    calibration: calibrationCurve(pairs)
+  };
+}
+
+/**
+ * Predicted probability vs observed frequency, one point per non-empty tenth.
+ * A well-calibrated predictor's points sit on predicted === observed.
+ */
+function calibrationCurve(pairs) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, () => []);
+  for (const pair of pairs) {
+    const i = Math.min(CALIBRATION_BINS - 1, Math.max(0, Math.floor(pair.predicted * CALIBRATION_BINS)));
+    bins[i].push(pair);
+  }
+  return bins
+    .map((bin, i) => bin.length && {
+      from: i / CALIBRATION_BINS,
+      to: (i + 1) / CALIBRATION_BINS,
+      count: bin.length,
+      predicted: round(mean(bin.map((p) => p.predicted))),
+      observed: round(mean(bin.map((p) => p.outcome)))
+    })
+    .filter(Boolean);
+}
+
+// One predictor's report from its checkpoint records
+function scorePredictor(records) {
+  const errors = records.map((r) => r.stability.predicted - r.outcome.stability);
+  const confidence = records.map((r) => ({
+    predicted: r.stability.confidence,
+    outcome: Math.abs(r.stability.predicted - r.outcome.stability) <= CONFIDENCE_TOLERANCE ? 1 : 0
+  }));
+
+  const byCondition = {};
+  const pooled = [];
+  for (const [risk, condition] of Object.entries(END_CONDITIONS)) {
+    const pairs = records.map((r) => ({
+      predicted: r.endConditions.risks[risk]?.risk ?? 0,
+      outcome: r.outcome.endCondition === condition ? 1 : 0
+    }));
+    byCondition[risk] = scoreProbabilities(pairs);
+    pooled.push(...pairs);
+  }
+
+  return {
+    source: records[0]?.stability.source ?? null,
+    stability: {
+      count: errors.length,
+      mae: round(mean(errors.map(Math.abs))),
+      rmse: round(Math.sqrt(mean(errors.map((e) => e * e)))),
+      bias: round(mean(errors)),
+      // Share of predictions within CONFIDENCE_TOLERANCE, and whether the
+      // stated confidence matched it
+      withinTolerance: round(mean(confidence.map((c) => c.outcome))),
+      meanConfidence: round(mean(confidence.map((c) => c.predicted))),
+      calibration: calibrationCurve(confidence)
+    },
+    anomalies: scoreProbabilities(records.map((r) => ({
+      predicted: r.anomalies.probability,
+      outcome: r.outcome.newAnomalies > 0 ? 1 : 0
+    }))),
+    endConditions: { ...scoreProbabilities(pooled), byCondition }
+  };
+}
+
+// The three scored predictions, from one predictor
+const predict = (predictor) => ({
+  stability: predictor.predictStability(),
+  anomalies: predictor.predictAnomalies(),
+  endConditions: predictor.predictEndConditions()
+});
+
+/**
+ * Advance `uni` (a plain document - it is modified) `steps` steps, stopping
+ * every `horizon` steps to record both predictors' predictions and, once the
+ * horizon has passed, what came of them.
+ */
+function runTrajectory(uni, { steps, horizon, now, model }) {
+  uni.markModified = () => {};
+  const records = { heuristic: [], model: [] };
+
+  for (let done = 0; done < steps && uni.status !== "ended"; done += horizon) {
+    const options = { predictionHorizon: horizon };
+    const heuristic = predict(new MLPredictor(uni, { ...options, model: null }));
+    const trained = model ? predict(new MLPredictor(uni, { ...options, model })) : null;
+
+    const result = muted(() => advanceUniverse(uni, now, { forceSteps: horizon }));
+    const outcome = {
+      stability: uni.currentState?.stabilityIndex ?? 0,
+      newAnomalies: result.createdAnomalies.length,
+      endCondition: uni.status === "ended" ? uni.endCondition : null
+    };
+
+    records.heuristic.push({ ...heuristic, outcome });
+    if (trained) records.model.push({ ...trained, outcome });
+  }
+  return records;
+}
+
+// The report on the universes run, from their checkpoint records
+function buildReport(records, { steps, horizon, stored, fresh, model, now }) {
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    generatedAt: now.toISOString(),
+    horizon,
+    steps,
+    universes: { stored, fresh },
+    checkpoints: records.heuristic.length,
+    model: model ? { trainedAt: model.trainedAt, samples: model.samples } : null,
+    predictors: {
+      heuristic: records.heuristic.length ? scorePredictor(records.heuristic) : null,
+      model: records.model.length ? scorePredictor(records.model) : null
+    }
+  };
+}
+
+/**
+ * Score the predictors over `universes` (plain documents; copies are run,
+ * the originals aren't touched) plus `fresh` newly created ones.
+ *
+ * @param {Object} options - steps per universe, horizon (steps between a
+ *   prediction and its outcome), model (a trained model; defaults to the
+ *   weights file MLPredictor loads, null for heuristics only), fresh, seed, now
+ * @returns {Object} the report
+ */
+function evaluatePredictor(universes = [], {
+  steps = 200,
+  horizon = 5,
+  fresh = 0,
+  seed = "evaluation",
+  model,
+  now = new Date()
+} = {}) {
+  if (model === undefined) model = loadDefaultModel();
+
+  const runs = [
+    ...universes.map((uni) => JSON.parse(JSON.stringify(uni))),
+    ...Array.from({ length: fresh }, (_, i) => freshUniverse(`${seed}:${i}`))
+  ].filter((uni) => uni.status !== "ended");
+
+  const records = { heuristic: [], model: [] };
+  for (const uni of runs) {
+    const trajectory = runTrajectory(uni, { steps, horizon, now, model });
+    records.heuristic.push(...trajectory.heuristic);
+    records.model.push(...trajectory.model);
+  }
+  return buildReport(records, { steps, horizon, stored: runs.length - fresh, fresh, model, now });
+}
+
+/**
+ * A queued evaluation, as plain data kept on its PredictorEvaluation between
+ * cron calls: the stored universes (by id) and fresh seeds still to run, how
+ * many of each have run, and the checkpoints recorded so far.
+ */
+function planEvaluation(storedIds, { steps = 200, horizon = 5, fresh = 0, seed = "evaluation" } = {}) {
+  return {
+    steps,
+    horizon,
+    pending: [
+      ...storedIds.map((id) => ({ stored: String(id) })),
+      ...Array.from({ length: fresh }, (_, i) => ({ fresh: `${seed}:${i}` }))
+    ],
+    ran: { stored: 0, fresh: 0 },
+    records: { heuristic: [], model: [] }
+  };
+}
+
+const nextTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Work through `job` (from planEvaluation - it is modified) a universe at a
+ * time, yielding to the event loop between universes, until nothing is
+ * pending or `budgetMs` is spent. Every call runs at least one universe, so
+ * every call makes progress. `loadStored(id)` returns a stored universe as
+ * a plain document, or null once it's gone (it is skipped, like an ended
+ * one). Returns the report once the last universe has run, null before.
+ */
+async function continueEvaluation(job, {
+  loadStored,
+  model,
+  now = new Date(),
+  budgetMs = Infinity,
+  clock = Date.now
+}) {
+  if (model === undefined) model = loadDefaultModel();
+  const started = clock();
+
+  while (job.pending.length) {
+    const item = job.pending[0];
+    const uni = item.stored
+      ? JSON.parse(JSON.stringify(await loadStored(item.stored)))
+      : freshUniverse(item.fresh);
+    if (uni && uni.status !== "ended") {
+      const trajectory = runTrajectory(uni, { steps: job.steps, horizon: job.horizon, now, model });
+      job.records.heuristic.push(...trajectory.heuristic);
+      job.records.model.push(...trajectory.model);
+      job.ran[item.stored ? "stored" : "fresh"]++;
+    }
+    job.pending.shift();
+    if (clock() - started >= budgetMs) break;
+    await nextTurn();
+  }
+
+  if (job.pending.length) return null;
+  return buildReport(job.records, { steps: job.steps, horizon: job.horizon, ...job.ran, model, now });
+}
+
+/**
+ * One cron call's worth of evaluation work: claims the oldest unfinished
+ * PredictorEvaluation under a lease - so calls running side by side never
+ * work on the same one - advances it within `budgetMs` and saves its
+ * progress, or its report once done. `models` needs PredictorEvaluation plus
+ * the universe store collections (utils/universeStore.js). Returns null when
+ * nothing is waiting, otherwise { id, status, remaining }.
+ */
+async function advanceEvaluations(models, { now = new Date(), budgetMs, clock, model } = {}) {
+  const { PredictorEvaluation } = models;
+  const leaseId = crypto.randomUUID();
+  const evaluation = await PredictorEvaluation.findOneAndUpdate(
+    {
+      status: { $in: ["queued", "running"] },
+      $or: [{ leaseUntil: null }, { leaseUntil: { $lte: now } }]
+    },
+    { $set: { status: "running", leaseId, leaseUntil: new Date(now.getTime() + EVALUATION_LEASE_MS) } },
+    { sort: { createdAt: 1 }, new: true }
+  ).lean();
+  if (!evaluation) return null;
+
+  const { job } = evaluation;
+  let update;
+  try {
+    const report = await continueEvaluation(job, {
+      loadStored: (id) => loadStoredUniverse(models, id),
+      model, now, budgetMs, clock
+    });
+    update = report
+      ? { status: "done", report, job: null, completedAt: new Date() }
+      : { job };
+  } catch (err) {
+    // Retrying would only fail the same way, on every call after this one
+    console.error(`Predictor evaluation ${evaluation._id} failed:`, err);
+    update = { status: "failed", error: "Evaluation failed", job: null, completedAt: new Date() };
+  }
+
+  // Only under our own lease: if it expired and another call took the
+  // evaluation over, the progress is theirs to save
+  await PredictorEvaluation.updateOne(
+    { _id: evaluation._id, leaseId },
+    { $set: { ...update, leaseId: null, leaseUntil: null } }
+  );
+  return {
+    id: evaluation._id,
+    status: update.status || "running",
+    remaining: update.job ? update.job.pending.length : 0
+  };
+}
+
+module.exports = {
+  REPORT_FORMAT,
+  REPORT_VERSION,
+  CALIBRATION_BINS,
+  MAX_EVALUATION_UNIVERSES,
+  MAX_EVALUATION_STEPS,
+  EVALUATION_LEASE_MS,
+  pickStoredUniverses,
+  loadStoredUniverse,
+  calibrationCurve,
+  evaluatePredictor,
+  planEvaluation,
+  continueEvaluation,
+  advanceEvaluations
+};
@@ -0,0 +1,185 @@
+// utils/predictorFeatures.js
+//
+// What the predictor sees of a universe: one feature vector per state, in a
+// fixed order, normalized to roughly [0, 1]. Shared by the dataset generator
+// (ml/generate_dataset.js), the trainer (ml/train_model.js) and MLPredictor,
+// so training and inference can't drift apart.
+//
+// Features are read only from fields a stored universe actually has - the
+// current state, the cosmological constants, the anomalies, civilizations
+// and wars, and the difficulty - because those are what drive the game.
+// TARGET_SCHEMA is the part of a state that changes from one step to the
+// next; the rest (constants, difficulty) stays put.
+//
+// FEATURE_SCHEMA_VERSION names this exact layout. Datasets and trained models
+// carry it, and anything built on a different version is refused - bump it
+// whenever a feature is added, removed, reordered or renormalized.
+
+const { difficultyOptions } = require("./simulationRunner");
+
+const FEATURE_SCHEMA_VERSION = 2;
+
+const TARGET_SCHEMA = [
+  "age",
+  "galaxyCount",
+  "starCount",
+  "blackHoleCount",
+  "expansionRate",
+  "temperature",
+  "entropy",
+  "habitableSystemsCount",
+  "lifeBearingPlanetsCount",
+  "civilizationCount",
+  "metallicity",
+  "stellarGenerations",
+  "stabilityIndex",
+  "stabilityCeiling",
+  "criticalSteps",
+  "energyBudget",
+  "scaleFactor",
+  "activeAnomalies",
+  "anomalySeverity",
+  "maxAnomalySeverity",
+  "type0Civilizations",
+  "type1Civilizations",
+  "type2Civilizations",
+  "type3Civilizations",
+  "activeWars"
+];
+
+const FEATURE_SCHEMA = [
+  ...TARGET_SCHEMA,
+  "darkEnergyDensity",
+  "darkMatterDensity",
+  "matterDensity",
+  "difficultyModifier"
+];
+
+const NORMALIZATION_RANGES = {
+  age: { min: 0, max: 3e10, log: false },
+  galaxyCount: { min: 0, max: 3e11, log: true },
+  starCount: { min: 0, max: 1e24, log: true },
+  blackHoleCount: { min: 0, max: 1e20, log: true },
+  expansionRate: { min: 0, max: 200, log: false },
+  temperature: { min: 0.01, max: 1e6, log: true },
+  entropy: { min: 0, max: 1e16, log: true },
+  habitableSystemsCount: { min: 0, max: 1e18, log: true },
+  lifeBearingPlanetsCount: { min: 0, max: 1e15, log: true },
+  civilizationCount: { min: 0, max: 1e8, log: true },
+  metallicity: { min: 0, max: 1, log: false },
+  stellarGenerations: { min: 0, max: 10, log: false },
+  stabilityIndex: { min: 0, max: 1, log: false },
+  stabilityCeiling: { min: 0, max: 1, log: false },
+  criticalSteps: { min: 0, max: 20, log: false }, // the longest crisis window
+  energyBudget: { min: 0, max: 1, log: false },
+  scaleFactor: { min: 1, max: 1e10, log: true },
+  activeAnomalies: { min: 0, max: 1e3, log: true },
+  anomalySeverity: { min: 0, max: 5e3, log: true },
+  maxAnomalySeverity: { min: 0, max: 5, log: false },
+  type0Civilizations: { min: 0, max: 1e3, log: true },
+  type1Civilizations: { min: 0, max: 1e3, log: true },
+  type2Civilizations: { min: 0, max: 1e3, log: true },
+  type3Civilizations: { min: 0, max: 1e3, log: true },
+  activeWars: { min: 0, max: 2, log: false }, // warSystem's MAX_CONCURRENT_WARS
+  darkEnergyDensity: { min: 0.5, max: 0.9, log: false },
+  darkMatterDensity: { min: 0.1, max: 0.4, log: false },
+  matterDensity: { min: 0.01, max: 0.15, log: false },
+  difficultyModifier: { min: 0.5, max: 2, log: false }
+};
+
+const CIV_TYPES = ["Type0", "Type1", "Type2", "Type3"];
+
+/** `value` scaled into roughly [0, 1] by its range (clamped to [-0.1, 1.1]). */
+function normalizeValue(value, key) {
+  const range = NORMALIZATION_RANGES[key];
+  if (!range) throw new Error(`No normalization range for ${key}`);
+
+  let normalized;
+  if (range.log && value > 0) {
+    const logMin = Math.log10(range.min + 1);
+    const logMax = Math.log10(range.max + 1);
+    normalized = (Math.log10(value + 1) - logMin) / (logMax - logMin);
+  } else {
+    normalized = (value - range.min) / (range.max - range.min);
+  }
+  return Math.max(-0.1, Math.min(1.1, normalized));
+}
+
+// Inverse of normalizeValue (up to its clamping) - turns a model's output
+// back into the units the game shows
+function denormalizeValue(normalized, key) {
+  const range = NORMALIZATION_RANGES[key];
+  if (!range) throw new Error(`No normalization range for ${key}`);
+
+  if (range.log) {
+    const logMin = Math.log10(range.min + 1);
+    const logMax = Math.log10(range.max + 1);
+    return Math.pow(10, logMin + normalized * (logMax - logMin)) - 1;
+  }
+  return range.min + normalized * (range.max - range.min);
+}
+
+/** Every feature of `universe`, in its own units, keyed by name. */
+function rawFeatures(universe) {
+  const s = universe.currentState || {};
+  const c = universe.constants || {};
+  const active = (universe.anomalies || []).filter((a) => !a.resolved);
+  const living = (universe.civilizations || []).filter((civ) => !civ.extinct);
+  const civsOf = (type) => living.filter((civ) => civ.type === type).length;
+
+  return {
+    age: s.age ?? 0,
+    galaxyCount: s.galaxyCount ?? 0,
+    starCount: s.starCount ?? 0,
+    blackHoleCount: s.blackHoleCount ?? 0,
+    expansionRate: s.expansionRate ?? 0,
+    temperature: s.temperature ?? 2.725,
+    entropy: s.entropy ?? 0,
+    habitableSystemsCount: s.habitableSystemsCount ?? 0,
+    lifeBearingPlanetsCount: s.lifeBearingPlanetsCount ?? 0,
+    civilizationCount: s.civilizationCount ?? 0,
+    metallicity: s.metallicity ?? 0,
+    stellarGenerations: s.stellarGenerations ?? 0,
+    stabilityIndex: s.stabilityIndex ?? 1,
+    stabilityCeiling: s.stabilityCeiling ?? 1,
+    criticalSteps: s.criticalSteps ?? 0,
+    energyBudget: s.energyBudget ?? 1,
+    scaleFactor: s._scaleFactor ?? 1,
+    activeAnomalies: active.length,
+    anomalySeverity: active.reduce((sum, a) => sum + (a.severity || 1), 0),
+    maxAnomalySeverity: active.reduce((max, a) => Math.max(max, a.severity || 1), 0),
+    type0Civilizations: civsOf(CIV_TYPES[0]),
+    type1Civilizations: civsOf(CIV_TYPES[1]),
+    type2Civilizations: civsOf(CIV_TYPES[2]),
+    type3Civilizations: civsOf(CIV_TYPES[3]),
+    activeWars: (universe.activeWars || []).length,
+    darkEnergyDensity: c.darkEnergyDensity ?? 0.69,
+    darkMatterDensity: c.darkMatterDensity ?? 0.26,
+    matterDensity: c.matterDensity ?? 0.05,
+    difficultyModifier: difficultyOptions(universe.difficulty || "Intermediate").difficultyModifier
+  };
+}
+
+/** { raw, normalized } features of `universe`, normalized in FEATURE_SCHEMA order. */
+function extractFeatures(universe) {
+  const raw = rawFeatures(universe);
+  return { raw, normalized: FEATURE_SCHEMA.map((key) => normalizeValue(raw[key], key)) };
+}
+
+/** { raw, normalized } targets of `universe`, normalized in TARGET_SCHEMA order. */
+function extractTargets(universe) {
+  const all = rawFeatures(universe);
+  const raw = Object.fromEntries(TARGET_SCHEMA.map((key) => [key, all[key]]));
+  return { raw, normalized: TARGET_SCHEMA.map((key) => normalizeValue(raw[key], key)) };
+}
+
+module.exports = {
+  FEATURE_SCHEMA_VERSION,
+  FEATURE_SCHEMA,
+  TARGET_SCHEMA,
+  NORMALIZATION_RANGES,
+  normalizeValue,
+  denormalizeValue,
+  extractFeatures,
+  extractTargets
+};
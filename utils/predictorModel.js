@@ -0,0 +1,172 @@
+// utils/predictorModel.js
+//
+// The trained model behind MLPredictor: ridge regression from one state's
+// normalized features (utils/predictorFeatures.js FEATURE_SCHEMA) to the
+// state one simulation step later (TARGET_SCHEMA), one linear map per target.
+// Plain JavaScript - the whole model is a few hundred numbers, so it trains
+// in one pass over the dataset and needs no native dependencies.
+//
+// Each target is learned as a CHANGE from its current value rather than the
+// next value outright: most of a state carries over from one step to the
+// next, and fitting only the change keeps the fit about the dynamics.
+//
+// Every model carries its own held-out error per target, which is where
+// MLPredictor's confidence comes from.
+
+const MODEL_FORMAT = "eternaverse-predictor";
+// 2: models step one game step and name their feature schema version
+const MODEL_VERSION = 2;
+const DEFAULT_LAMBDA = 1e-4;
+// Every HOLDOUT_EVERY-th sample is kept out of the fit to measure its error
+const HOLDOUT_EVERY = 10;
+
+/** Solve A x = b (A square) by Gaussian elimination with partial pivoting. */
+function solve(A, b) {
+  const n = A.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (Math.abs(m[pivot][col]) < 1e-12) throw new Error("Training data is degenerate");
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = m[r][n];
+    for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+    x[r] = sum / m[r][r];
+  }
+  return x;
+}
+
+// Where each target sits in the feature vector (-1 if it isn't a feature)
+const targetOffsets = (featureSchema, targetSchema) => targetSchema.map((key) => featureSchema.indexOf(key));
+
+/** What a model adds to each target's current value, for `features`. */
+function predictChange(model, features) {
+  return model.weights.map((w) => w.reduce((sum, wi, i) => sum + wi * (i === 0 ? 1 : features[i - 1]), 0));
+}
+
+/** The next state's normalized targets, predicted from normalized `features`. */
+function predictNext(model, features) {
+  const offsets = targetOffsets(model.featureSchema, model.targetSchema);
+  return predictChange(model, features).map((change, t) => (offsets[t] >= 0 ? features[offsets[t]] : 0) + change);
+}
+
+/**
+ * A trainer fed one sample at a time (dataset lines can run to millions), so
+ * only the normal equations and the held-out samples stay in memory.
+ * Samples are { features, targets } in the dataset's schema order.
+ */
+function createTrainer({ featureSchema, targetSchema, schemaVersion, lambda = DEFAULT_LAMBDA, holdoutEvery = HOLDOUT_EVERY }) {
+  const d = featureSchema.length + 1; // bias first
+  const offsets = targetOffsets(featureSchema, targetSchema);
+  const XtX = Array.from({ length: d }, () => new Array(d).fill(0));
+  const XtY = Array.from({ length: targetSchema.length }, () => new Array(d).fill(0));
+  const holdout = [];
+  let seen = 0;
+  let training = 0;
+
+  function add({ features, targets }) {
+    if (features?.length !== featureSchema.length || targets?.length !== targetSchema.length) {
+      throw new Error(`Sample ${seen + 1} doesn't match the schema`);
+    }
+    seen++;
+    if (seen % holdoutEvery === 0) {
+      holdout.push({ features, targets });
+      return;
+    }
+    training++;
+    const x = [1, ...features];
+    for (let i = 0; i < d; i++) {
+      for (let j = i; j < d; j++) XtX[i][j] += x[i] * x[j];
+    }
+    targetSchema.forEach((_, t) => {
+      const y = targets[t] - (offsets[t] >= 0 ? features[offsets[t]] : 0);
+      for (let i = 0; i < d; i++) XtY[t][i] += x[i] * y;
+    });
+  }
+
+  function finish(now = new Date()) {
+    if (training < d) throw new Error(`Need at least ${d} training samples, got ${training}`);
+    if (!holdout.length) throw new Error("No samples were held out to measure the model's error");
+    for (let i = 0; i < d; i++) for (let j = 0; j < i; j++) XtX[i][j] = XtX[j][i];
+    // Penalize the weights, not the bias; scaled by sample count so lambda
+    // means the same thing for any dataset size
+    const A = XtX.map((row, i) => row.map((v, j) => (i === j && i > 0 ? v + lambda * training : v)));
+
+    const model = {
+      format: MODEL_FORMAT,
+      version: MODEL_VERSION,
+      trainedAt: now.toISOString(),
+      schemaVersion,
+      lambda,
+      featureSchema: [...featureSchema],
+      targetSchema: [...targetSchema],
+      weights: XtY.map((b) => solve(A, b)),
+      samples: { training, holdout: holdout.length }
+    };
+    model.rmse = holdoutRmse(model, holdout);
+    return model;
+  }
+
+  return { add, finish };
+}
+
+// Root-mean-square error per target over the held-out `samples`
+function holdoutRmse(model, samples) {
+  const sse = new Array(model.targetSchema.length).fill(0);
+  for (const { features, targets } of samples) {
+    predictNext(model, features).forEach((p, t) => { sse[t] += (p - targets[t]) ** 2; });
+  }
+  const rmse = {};
+  model.targetSchema.forEach((key, t) => { rmse[key] = Math.sqrt(sse[t] / samples.length); });
+  return rmse;
+}
+
+/** Fit a model to an array of samples (see createTrainer). */
+function trainModel(samples, options) {
+  const trainer = createTrainer(options);
+  for (const sample of samples) trainer.add(sample);
+  return trainer.finish(options.now);
+}
+
+/**
+ * Whether `model` (parsed from a weights file) is one this code can run
+ * against the given schemas - an old file must not be read with a new
+ * feature layout.
+ */
+function checkModel(model, { featureSchema, targetSchema, schemaVersion }) {
+  if (model?.format !== MODEL_FORMAT) return { ok: false, reason: "Not a predictor model file" };
+  if (model.version !== MODEL_VERSION) return { ok: false, reason: `Unsupported model version ${model.version}` };
+  if (model.schemaVersion !== schemaVersion) {
+    return { ok: false, reason: `Model was trained on feature schema v${model.schemaVersion}, not v${schemaVersion}` };
+  }
+  const same = (a, b) => Array.isArray(a) && a.length === b.length && a.every((k, i) => k === b[i]);
+  if (!same(model.featureSchema, featureSchema) || !same(model.targetSchema, targetSchema)) {
+    return { ok: false, reason: "Model was trained on a different feature schema" };
+  }
+  const shaped = Array.isArray(model.weights) && model.weights.length === targetSchema.length &&
+    model.weights.every((w) => Array.isArray(w) && w.length === featureSchema.length + 1 && w.every(Number.isFinite));
+  if (!shaped) return { ok: false, reason: "Model weights are malformed" };
+  if (!targetSchema.every((key) => Number.isFinite(model.rmse?.[key]))) {
+    return { ok: false, reason: "Model is missing its error estimates" };
+  }
+  return { ok: true };
+}
+
+module.exports = {
+  MODEL_FORMAT,
+  MODEL_VERSION,
+  DEFAULT_LAMBDA,
+  HOLDOUT_EVERY,
+  createTrainer,
+  trainModel,
+  predictChange,
+  predictNext,
+  checkModel
+};
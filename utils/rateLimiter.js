@@ -0,0 +1,105 @@
+// utils/rateLimiter.js
+//
+// Request rate limits. Nothing stopped a script from guessing passwords at
+// /auth/login, minting guest accounts by the thousand at /auth/guest, or
+// hammering the reward routes as fast as the network allowed. Each limited
+// route now names a policy in RATE_LIMITS - how many requests per window,
+// counted per client IP or per signed-in account - and
+// middleware/rateLimit.js turns the answer into a 429.
+//
+// Counting is fixed-window: a request lands in window floor(now / windowMs)
+// and the counter for that window only ever goes up, which any store can do
+// atomically. The store is pluggable:
+//
+//   - memoryStore(): a Map in this process. Right for a single long-lived
+//     server; useless on serverless, where every instance counts alone.
+//   - mongoStore(RateLimit): one document per caller and window
+//     (models/RateLimit.js), shared by every instance, expired by a TTL index.
+//
+// Models are passed in (like persistSnapshot takes Snapshot) so this module
+// loads without a database.
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const RATE_LIMITS = {
+  // Password guessing across accounts; guessing at ONE account also runs
+  // into the lockout (utils/loginLockout.js)
+  login: { windowMs: 15 * MINUTE_MS, max: 20, by: "ip" },
+  register: { windowMs: HOUR_MS, max: 10, by: "ip" },
+  guest: { windowMs: HOUR_MS, max: 5, by: "ip" },
+  forgotPassword: { windowMs: 15 * MINUTE_MS, max: 5, by: "ip" },
+  // Per-kind cooldowns already cap what event rewards pay out; this caps
+  // the load of asking
+  eventReward: { windowMs: MINUTE_MS, max: 20, by: "account" },
+  discoveries: { windowMs: MINUTE_MS, max: 30, by: "account" }
+};
+
+// Hits between the memory store's sweeps for expired windows
+const MEMORY_SWEEP_EVERY = 1000;
+
+/** A store counting in this process only. */
+function memoryStore() {
+  const windows = new Map();
+  let hits = 0;
+
+  return {
+    async hit(key, expiresAt, now = new Date()) {
+      if (++hits % MEMORY_SWEEP_EVERY === 0) {
+        for (const [k, w] of windows) if (w.expiresAt <= now) windows.delete(k);
+      }
+      const window = windows.get(key) || { count: 0, expiresAt };
+      window.count++;
+      windows.set(key, window);
+      return window.count;
+    },
+    size: () => windows.size
+  };
+}
+
+/** A store counting in Mongo, shared by every instance. */
+function mongoStore(RateLimit) {
+  const bump = (key, expiresAt) => RateLimit.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  ).lean();
+
+  return {
+    async hit(key, expiresAt) {
+      let window;
+      try {
+        window = await bump(key, expiresAt);
+      } catch (err) {
+        // Two first hits raced to insert the window; the loser just counts
+        if (err.code !== 11000) throw err;
+        window = await bump(key, expiresAt);
+      }
+      return window.count;
+    }
+  };
+}
+
+/**
+ * Count one request by `caller` (an IP or account id) against `policy`.
+ * Returns { ok, limit, remaining, resetAt, retryAfter } - retryAfter in
+ * whole seconds until the window ends.
+ */
+async function consume(store, policyName, caller, now = new Date()) {
+  const policy = RATE_LIMITS[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  const windowIndex = Math.floor(now.getTime() / policy.windowMs);
+  const resetAt = new Date((windowIndex + 1) * policy.windowMs);
+  const count = await store.hit(`${policyName}:${caller}:${windowIndex}`, resetAt, now);
+
+  return {
+    ok: count <= policy.max,
+    limit: policy.max,
+    remaining: Math.max(0, policy.max - count),
+    resetAt,
+    retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000))
+  };
+}
+
+module.exports = { RATE_LIMITS, memoryStore, mongoStore, consume };
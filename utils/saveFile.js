@@ -0,0 +1,172 @@
+// utils/saveFile.js
+//
+// Portable save files: a universe serialized into a versioned JSON envelope
+// that can move between accounts and environments.
+//
+// Nothing is trusted from the client, and a save file is client input. The
+// envelope is signed with an HMAC keyed by a server secret (SAVE_SECRET,
+// falling back to JWT_SECRET) - a plain hash would just be recomputed by
+// whoever edited the file. Environments that should accept each other's
+// saves must share the secret. On top of the signature, every import is
+// re-clamped against the same ranges the schema and catalogs enforce, so even
+// a correctly signed save from an older or buggy build can't smuggle in
+// out-of-range state.
+
+const crypto = require("crypto");
+const { UPGRADE_TRACKS } = require("./upgradeCatalog");
+const { isValidDoctrine } = require("./doctrineCatalog");
+const { MAX_UNIVERSES_PER_ACCOUNT } = require("./universeFork");
+
+const SAVE_FORMAT = "eternaverse-save";
+const SAVE_VERSION = 1;
+
+// Belong to the exporting account/environment, not to the save.
+const NOT_EXPORTED = [
+  "_id", "__v", "userId", "forkedFrom", "forkedAtStep", "lastVisitedAt", "lastVisitAge",
+  "lastVisitStability", "revision", "revisionLog",
+  "sweepShard", "sweepLeaseId", "sweepLeaseUntil",
+];
+
+const CIV_TYPES = ["Type0", "Type1", "Type2", "Type3"];
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+const num = (v, fallback = 0) => (typeof v === "number" && Number.isFinite(v) ? v : fallback);
+
+/** JSON with object keys sorted at every level, so signing is stable. */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function sign(body, secret) {
+  return crypto.createHmac("sha256", secret).update(canonicalJSON(body)).digest("hex");
+}
+
+/** Wrap a (lean) universe into a signed save envelope. */
+function exportSave(universe, secret, now = new Date()) {
+  // Round-trip first so what we sign is exactly what the importer will parse
+  // (dates and ObjectIds become strings).
+  const data = JSON.parse(JSON.stringify(universe));
+  for (const field of NOT_EXPORTED) delete data[field];
+
+  const body = { format: SAVE_FORMAT, version: SAVE_VERSION, exportedAt: now.toISOString(), universe: data };
+  return { ...body, checksum: sign(body, secret) };
+}
+
+/** Check envelope shape, version and signature. Returns { ok } or { ok: false, reason }. */
+function verifySave(save, secret) {
+  if (!save || typeof save !== "object" || save.format !== SAVE_FORMAT) {
+    return { ok: false, reason: "Not an EternaVerse save file" };
+  }
+  if (save.version !== SAVE_VERSION) {
+    return { ok: false, reason: `Unsupported save version ${save.version}` };
+  }
+  if (!save.universe || typeof save.universe !== "object" || !save.universe.currentState) {
+    return { ok: false, reason: "Save file has no universe" };
+  }
+  if (typeof save.checksum !== "string") {
+    return { ok: false, reason: "Save file is not signed" };
+  }
+
+  const { checksum, ...body } = save;
+  const expected = Buffer.from(sign(body, secret), "hex");
+  const given = Buffer.from(checksum, "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, reason: "Save file checksum mismatch - the file was modified" };
+  }
+  return { ok: true };
+}
+
+/**
+ * Re-apply the server-side clamps to an imported universe in place: research
+ * can't exceed what was ever earned, upgrade levels stay inside the catalog,
+ * and civ/state stats stay inside their schema ranges.
+ */
+function sanitizeImport(universe) {
+  const research = universe.research || {};
+  const totalEarned = Math.max(0, Math.floor(num(research.totalEarned)));
+  universe.research = {
+    points: clamp(Math.floor(num(research.points)), 0, totalEarned),
+    totalEarned,
+    discoveryCount: Math.max(0, Math.floor(num(research.discoveryCount))),
+    classesDiscovered: [...new Set((research.classesDiscovered || []).filter((c) => typeof c === "string"))],
+  };
+
+  const upgrades = {};
+  for (const [track, info] of Object.entries(UPGRADE_TRACKS)) {
+    upgrades[track] = clamp(Math.floor(num(universe.upgrades?.[track])), 0, info.costs.length);
+  }
+  universe.upgrades = upgrades;
+
+  if (!isValidDoctrine(universe.doctrine ?? null)) universe.doctrine = null;
+
+  const cs = universe.currentState || {};
+  cs.stabilityIndex = clamp(num(cs.stabilityIndex, 1), 0, 1);
+  cs.stabilityCeiling = clamp(num(cs.stabilityCeiling, 1), 0, 1);
+  cs.energyBudget = clamp(num(cs.energyBudget, 1), 0, 1);
+  cs.metallicity = clamp(num(cs.metallicity), 0, 1);
+  cs.criticalSteps = Math.max(0, Math.floor(num(cs.criticalSteps)));
+  cs.age = Math.max(0, num(cs.age));
+  universe.currentState = cs;
+
+  universe.civilizations = (Array.isArray(universe.civilizations) ? universe.civilizations : [])
+    .filter((c) => c && typeof c.id === "string")
+    .map((c) => ({
+      ...c,
+      type: CIV_TYPES.includes(c.type) ? c.type : "Type0",
+      developmentLevel: clamp(num(c.developmentLevel), 0, 1),
+      technology: clamp(num(c.technology), 0, 100),
+      stability: clamp(num(c.stability, 0.5), 0, 1),
+      population: Math.max(0, num(c.population)),
+      resourceDepletion: clamp(num(c.resourceDepletion), 0, 1),
+      warlikeness: clamp(num(c.warlikeness), 0, 1),
+      relationship: clamp(num(c.relationship), -1, 1),
+      uplifts: Math.max(0, Math.floor(num(c.uplifts))),
+      pacifies: Math.max(0, Math.floor(num(c.pacifies))),
+      rescues: Math.max(0, Math.floor(num(c.rescues))),
+    }));
+
+  universe.simStep = Math.max(0, Math.floor(num(universe.simStep)));
+  return universe;
+}
+
+/**
+ * Full import check: verify the envelope, enforce the account cap, and
+ * produce a sanitized plain document for a new universe owned by `userId`.
+ * Returns { ok: true, universe } or { ok: false, reason }.
+ */
+function importSave(save, { secret, userId, ownedCount = 0, now = new Date() }) {
+  const check = verifySave(save, secret);
+  if (!check.ok) return check;
+  if (ownedCount >= MAX_UNIVERSES_PER_ACCOUNT) {
+    return { ok: false, reason: `Universe limit reached (${MAX_UNIVERSES_PER_ACCOUNT}) - delete one to import another` };
+  }
+
+  const universe = sanitizeImport(JSON.parse(JSON.stringify(save.universe)));
+  for (const field of NOT_EXPORTED) delete universe[field];
+  Object.assign(universe, {
+    userId,
+    name: (typeof universe.name === "string" && universe.name.trim().slice(0, 80)) || `Imported-${now.getTime()}`,
+    createdAt: now,
+    lastModified: now,
+    // No catch-up is owed for the time the save spent on disk
+    lastSimulatedAt: now,
+  });
+
+  return { ok: true, universe };
+}
+
+module.exports = {
+  SAVE_FORMAT,
+  SAVE_VERSION,
+  canonicalJSON,
+  exportSave,
+  verifySave,
+  sanitizeImport,
+  importSave,
+};
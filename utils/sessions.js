@@ -0,0 +1,204 @@
+// utils/sessions.js
+//
+// Sign-in sessions. A login used to mint a 24h JWT and nothing else: a stolen
+// token stayed good for a day and logging out only forgot it client-side.
+// Now every login opens a Session (models/Session.js) and gets two tokens:
+//
+//   - a short-lived access JWT carrying the session id (`sid`), checked by
+//     middleware/authMiddleware.js on every request - revoking the session
+//     shuts it out immediately;
+//   - a long-lived random refresh token, stored only as a sha256 hash, traded
+//     at POST /auth/refresh for a new pair. It rotates on every use, and the
+//     replaced one is remembered: if it is ever presented again, someone else
+//     holds a copy, and the session is revoked outright.
+//
+// Models are passed in (like persistSnapshot takes Snapshot) so this module
+// loads without a database.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 3600 * 1000;
+// lastUsedAt is kept to this resolution - one write per session per interval,
+// not one per request
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+/** Short-lived access JWT bound to `sessionId`. */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ id: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+}
+
+// The token fields every sign-in response carries
+function tokenPair(userId, sessionId, refreshToken) {
+  return {
+    token: signAccessToken(userId, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Open a session for `userId` on the device described by `userAgent`/`ip`.
+ * Returns { session, token, refreshToken, expiresIn }.
+ */
+async function openSession(Session, userId, { userAgent = "", ip = null, now = new Date() } = {}) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: String(userAgent).slice(0, 300),
+    ip,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  });
+  return { session, ...tokenPair(userId, session._id, refreshToken) };
+}
+
+/**
+ * Trade a refresh token for a new pair. Returns
+ * { ok: true, session, token, refreshToken, expiresIn } or { ok: false, reason }.
+ * A token that was already rotated away revokes its session.
+ */
+async function rotateSession(Session, refreshToken, { userAgent, now = new Date() } = {}) {
+  if (typeof refreshToken !== "string" || refreshToken.length === 0) {
+    return { ok: false, reason: "Refresh token required" };
+  }
+  const hash = hashToken(refreshToken);
+  const next = newRefreshToken();
+
+  // Atomic: two requests racing with the same token can't both win
+  const update = {
+    tokenHash: hashToken(next),
+    previousTokenHash: hash,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+  };
+  if (userAgent) update.userAgent = String(userAgent).slice(0, 300);
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  ).lean();
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: hash, revokedAt: null }).lean();
+    if (reused) {
+      await Session.updateOne({ _id: reused._id }, { $set: { revokedAt: now } });
+      return { ok: false, reason: "Refresh token reused - session revoked" };
+    }
+    return { ok: false, reason: "Invalid or expired refresh token" };
+  }
+
+  return { ok: true, session, ...tokenPair(session.userId, session._id, next) };
+}
+
+/**
+ * Is the session behind an access token still good? Returns { ok: true } or
+ * { ok: false, reason }. Refreshes lastUsedAt (at SESSION_TOUCH_MS
+ * resolution) without waiting on the write.
+ */
+async function checkSession(Session, sessionId, { now = new Date() } = {}) {
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt lastUsedAt").lean();
+  if (!session || session.revokedAt) return { ok: false, reason: "Session revoked" };
+  if (new Date(session.expiresAt) <= now) return { ok: false, reason: "Session expired" };
+
+  if (now - new Date(session.lastUsedAt || 0) > SESSION_TOUCH_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: now } })
+      .catch((err) => console.error("Session touch failed:", err.message));
+  }
+  return { ok: true };
+}
+
+/**
+ * Do a verified access token's claims still grant access? Every token is
+ * bound to a session; one without a sid predates sessions and could never be
+ * revoked, so it is refused. A banned account is refused too, whatever its
+ * tokens - banning revokes sessions, but access tokens outlive that by up to
+ * their lifetime. `models` needs Session and User. Returns { ok: true } or
+ * { ok: false, status, reason }.
+ */
+async function checkAccess(models, claims, { now = new Date() } = {}) {
+  if (!claims?.sid) return { ok: false, status: 401, reason: "Session expired - please sign in again" };
+  const [session, user] = await Promise.all([
+    checkSession(models.Session, claims.sid, { now }),
+    models.User.findById(claims.id).select("bannedAt").lean()
+  ]);
+  if (!session.ok) return { ok: false, status: 401, reason: session.reason };
+  if (!user) return { ok: false, status: 401, reason: "Account not found" };
+  if (user.bannedAt) return { ok: false, status: 403, reason: "This account has been suspended" };
+  return { ok: true };
+}
+
+/** Revoke one of `userId`'s sessions. Returns whether one was revoked. */
+async function revokeSession(Session, userId, sessionId, { now = new Date() } = {}) {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/** Revoke every live session of `userId`. Returns how many were revoked. */
+async function revokeAllSessions(Session, userId, { now = new Date() } = {}) {
+  const result = await Session.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: now } });
+  return result.modifiedCount;
+}
+
+/** "Chrome on Windows" - enough to recognize a device in a session list. */
+function deviceLabel(userAgent = "") {
+  const ua = String(userAgent);
+  const browser = /Edg\//.test(ua) ? "Edge"
+    : /OPR\//.test(ua) ? "Opera"
+      : /Firefox\//.test(ua) ? "Firefox"
+        : /Chrome\//.test(ua) ? "Chrome"
+          : /Safari\//.test(ua) ? "Safari"
+            : null;
+  const os = /iPhone|iPad/.test(ua) ? "iOS"
+    : /Android/.test(ua) ? "Android"
+      : /Windows/.test(ua) ? "Windows"
+        : /Mac OS X/.test(ua) ? "macOS"
+          : /Linux/.test(ua) ? "Linux"
+            : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+}
+
+/** `userId`'s live sessions, most recently used first, for display. */
+async function listSessions(Session, userId, { currentSessionId = null, now = new Date() } = {}) {
+  const sessions = await Session.find({ userId, revokedAt: null, expiresAt: { $gt: now } })
+    .sort({ lastUsedAt: -1 })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .lean();
+  return sessions.map((s) => ({
+    id: String(s._id),
+    device: deviceLabel(s.userAgent),
+    userAgent: s.userAgent,
+    ip: s.ip,
+    createdAt: s.createdAt,
+    lastUsedAt: s.lastUsedAt,
+    expiresAt: s.expiresAt,
+    current: currentSessionId !== null && String(s._id) === String(currentSessionId)
+  }));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_MS,
+  hashToken,
+  signAccessToken,
+  openSession,
+  rotateSession,
+  checkSession,
+  checkAccess,
+  revokeSession,
+  revokeAllSessions,
+  deviceLabel,
+  listSessions
+};
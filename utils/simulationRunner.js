@@ -6,16 +6,22 @@
 // online. Mutates the passed universe document (state, anomalies, events,
 // timestamps, markModified flags) but never saves - persistence is the
 // caller's job.
+//
+// Deterministic: every random draw and generated id derives from the
+// universe seed plus its simStep, and every timestamp written is the call's
+// `now`. The same starting document advanced the same number of steps at the
+// same `now` produces a byte-identical result - which is what lets a reported
+// bug be replayed from a snapshot, and the sweep and live paths be compared.
+const seedrandom = require("seedrandom");
 const PhysicsEngine = require("./physicsEngine");
 const AnomalyGenerator = require("./anomalyGenerator");
 const EndConditions = require("./endConditions");
 const { recordEvent } = require("./eventLog");
 const { difficultyStability } = require("./stabilityConfig");
 const COSMO = require("./cosmologyConfig");
-
-
-
 const { generatePetitions, expirePetitions } = require("./petitionSystem");
+const { isSnapshotStep, captureSnapshot, stepKey } = require("./snapshotSystem");
+const { publish } = require("./eventBus");
 
 // How much real-world time one simulation step represents. The universe
 // advances based on wall-clock time since it was last simulated, capped at
@@ -74,18 +80,21 @@ function difficultyOptions(difficulty) {
 }
 
 /**
- * Simulation randomness must not replay the same sequence every request
- * (seeding from uni.seed alone did exactly that). Mixing in the universe's
- * current age keeps it deterministic for a given state while advancing the
- * sequence as the universe evolves.
+ * Seed for the step the universe is about to run. Simulation randomness must
+ * not replay the same sequence every request (seeding from uni.seed alone did
+ * exactly that); mixing in simStep advances it every step while keeping each
+ * step reproducible on its own. The runner reseeds its engines per step, so a
+ * step draws the same numbers whether it runs alone on a live tick or in the
+ * middle of a catch-up burst.
  */
 function simulationSeed(uni) {
-  return `${uni.seed}:${uni.currentState?.age ?? 0}`;
+  return `${uni.seed}:${uni.simStep || 0}`;
 }
 
 /** Steps owed to this universe based on wall-clock time since last tick. */
 function pendingSteps(uni, now = new Date()) {
-  const lastSimulatedAt = uni.lastSimulatedAt || uni.lastModified || uni.createdAt || now;
+  // new Date(): plain (replayed or imported) documents carry ISO strings
+  const lastSimulatedAt = new Date(uni.lastSimulatedAt || uni.lastModified || uni.createdAt || now);
   const elapsedSeconds = Math.max(0, (now - lastSimulatedAt) / 1000);
   return Math.min(MAX_STEPS, Math.floor(elapsedSeconds / SECONDS_PER_STEP));
 }
@@ -93,11 +102,16 @@ function pendingSteps(uni, now = new Date()) {
 /**
  * Run the full simulation pipeline for however many steps this universe is
  * owed. Returns { steps: 0 } when no full step has elapsed yet; otherwise
- * { steps, createdAnomalies, Physics, AnomalyGen, EndChecker } so callers
- * can pull stats/warnings from the same engine instances that ran.
+ * { steps, createdAnomalies, Physics, AnomalyGen, EndChecker, snapshot } so
+ * callers can pull stats/warnings from the same engine instances that ran.
+ * `snapshot` is the latest periodic capture taken during the run (null if
+ * no interval boundary was crossed) - the caller persists it after saving
+ * the universe (utils/snapshotSystem.js).
  *
  * options.forceSteps (admin dev tooling only): run exactly this many steps
  * regardless of wall-clock time - used to fast-forward test universes.
+ * options.quiet: keep the engines' progress lines off the console (tools
+ * that run thousands of steps, like ml/generate_dataset.js).
  */
 function advanceUniverse(uni, now = new Date(), options = {}) {
   const steps = options.forceSteps
@@ -120,16 +134,24 @@ function advanceUniverse(uni, now = new Date(), options = {}) {
     timeStepYears: diffOpts.timeStepYears,
     difficultyModifier: diffOpts.difficultyModifier,
     seed: stepSeed,
-    playerPosition // civilization spawn locations, same convention as anomalies
+    now,
+    playerPosition, // civilization spawn locations, same convention as anomalies
+    quiet: !!options.quiet
   });
 
+  // Anomaly ids: universe, step (with its rewind count), and order within
+  // the step.
+  let anomalySeq = 0;
+
   const AnomalyGen = new AnomalyGenerator(uni, {
     anomalyProbabilityScale: diffOpts.anomalyProbabilityScale,
     maxAnomalyPerStep: diffOpts.maxAnomalyPerStep,
     difficultyModifier: diffOpts.difficultyModifier,
     seed: stepSeed,
+    now,
     playerPosition,
-    anomalyIdFactory: () => `${uni._id.toString()}_${Date.now()}_${Math.floor(Math.random() * 1e6)}`
+    anomalyIdFactory: () => `${uni._id.toString()}_${stepKey(uni)}_${anomalySeq++}`,
+    quiet: !!options.quiet
   });
 
   const EndChecker = new EndConditions(uni, {
@@ -137,6 +159,7 @@ function advanceUniverse(uni, now = new Date(), options = {}) {
   });
 
   const createdAnomalies = [];
+  let snapshot = null;
 
   const stab = difficultyStability(uni.difficulty || "Intermediate");
   EndChecker.options.crisisWindow = stab.crisisWindow;
@@ -148,6 +171,15 @@ function advanceUniverse(uni, now = new Date(), options = {}) {
     || (!options.forceSteps && steps > ATTENDED_STEPS);
 
   for (let i = 0; i < steps; i++) {
+    // Taken between steps, before this one touches anything - a snapshot is
+    // always a state the universe really sat in.
+    if (isSnapshotStep(uni.simStep)) snapshot = captureSnapshot(uni);
+
+    const seed = simulationSeed(uni);
+    Physics.reseed(seed);
+    AnomalyGen.reseed(seed);
+    anomalySeq = 0;
+
     // Where the reservoir stood before anything this step touched it. The
     // offline floor is measured against this, so an anomaly's spawn shock
     // can't drag the floor down with it (see applyStabilityDynamics).
@@ -162,7 +194,9 @@ function advanceUniverse(uni, now = new Date(), options = {}) {
         recordEvent(uni, {
           type: anomaly.type,
           description: anomaly.description,
-          effects: anomaly.effectsRaw
+          effects: anomaly.effectsRaw,
+          timestamp: now,
+          kind: "anomaly"
         });
       }
       uni.anomalies.push(...newAnomalies);
@@ -183,18 +217,20 @@ function advanceUniverse(uni, now = new Date(), options = {}) {
     // Civilizations petition the player, and unanswered ones resolve the hard
     // way. Uses the persistent simStep so deadlines survive across calls.
     uni.simStep = (uni.simStep || 0) + 1;
-    for (const ev of generatePetitions(uni, uni.simStep, () => Math.random())) {
-      recordEvent(uni, { type: "civilization", description: `${ev.petition.civName} petitions the sky-vessel.`, effects: { civilizationId: ev.civId } });
+    const petitionRand = seedrandom(`${seed}:petitions`);
+    for (const ev of generatePetitions(uni, uni.simStep, petitionRand)) {
+      recordEvent(uni, { type: "civilization", description: `${ev.petition.civName} petitions the sky-vessel.`, effects: { civilizationId: ev.civId, petition: "raised" }, timestamp: now, kind: "petition" });
     }
-    for (const ev of expirePetitions(uni, uni.simStep, () => Math.random())) {
-      recordEvent(uni, { type: "civilization", description: ev.description, effects: { civilizationId: ev.civId } });
+    for (const ev of expirePetitions(uni, uni.simStep, petitionRand)) {
+      recordEvent(uni, { type: "civilization", description: ev.description, effects: { civilizationId: ev.civId, petition: "expired" }, timestamp: now, kind: "petition" });
     }
 
     EndChecker.options.stabilityHistory = Physics.getStabilityHistory();
     if (EndChecker.checkEndConditions()) {
       recordEvent(uni, {
         type: "universe_end",
-        description: uni.endReason
+        description: uni.endReason,
+        timestamp: now
       });
       break;
     }
@@ -213,7 +249,10 @@ function advanceUniverse(uni, now = new Date(), options = {}) {
   uni.lastModified = now;
   uni.lastSimulatedAt = now;
 
-  return { steps, createdAnomalies, Physics, AnomalyGen, EndChecker };
+  // Live clients get the run's end-condition warnings (empty = all clear)
+  publish(uni._id, "warning", { warnings: EndChecker.getWarnings(), simStep: uni.simStep });
+
+  return { steps, createdAnomalies, Physics, AnomalyGen, EndChecker, snapshot };
 }
 
 module.exports = {
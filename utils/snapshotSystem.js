@@ -0,0 +1,177 @@
+// utils/snapshotSystem.js
+//
+// Universe snapshots: a rewind path for universes lost to an instability
+// collapse caused by a bug or a bad balance change. The simulation loop
+// (simulationRunner.advanceUniverse) captures a plain copy of the mutable
+// simulation state every SNAPSHOT_INTERVAL_STEPS steps and hands it back to
+// its caller, which persists it (models/Snapshot.js) after the universe
+// itself saved - same split as everything else: the runner never saves.
+//
+// Restoring is free for admins on ENDED universes (the bug-recovery path).
+// On a live universe the owner may rewind too, but it costs research scaled
+// by how far back they go, paid out of the balance they rewind TO - so a
+// rewind can never be used to keep RP earned in the abandoned timeline.
+// The event log is deliberately NOT rolled back: the chronicle records that
+// the rewind happened.
+
+// The fields a snapshot owns. Everything else on the document (event log,
+// discoveries, legacies, timestamps) stays as it is on restore. Upgrades and
+// the doctrine go back with the research balance, or rewinding would refund
+// the RP spent on them while keeping what it bought.
+const SNAPSHOT_FIELDS = [
+  "currentState",
+  "civilizations",
+  "activeWars",
+  "anomalies",
+  "missions",
+  "research",
+  "upgrades",
+  "doctrine",
+  "simStep",
+];
+
+// Fields older snapshots were taken without
+const LATER_FIELDS = ["upgrades", "doctrine"];
+
+// One snapshot per ~12.5 min of live play; with the rotation cap below a
+// universe can always be rewound ~250 steps (a full sweep's catch-up twice
+// over), which comfortably covers a collapse nobody noticed for a while.
+const SNAPSHOT_INTERVAL_STEPS = 25;
+const MAX_SNAPSHOTS_PER_UNIVERSE = 10;
+
+// Rewinding a running universe: a flat fee plus a per-step charge.
+const RESTORE_BASE_COST = 100;
+const RESTORE_COST_PER_STEP = 2;
+
+// Snapshots are stored as plain JSON: detaches them from the live document
+// (and from Mongoose's subdocument wrappers) so later steps can't mutate them.
+const clone = (v) => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+/**
+ * The step as record ids carry it. A rewind replays step numbers, and ids
+ * built from the step alone would then repeat ones already stored from the
+ * abandoned timeline, so after the first rewind the rewind count is part of
+ * it: "140", then "140r1".
+ */
+function stepKey(universe) {
+  const step = universe.simStep || 0;
+  return universe.rewinds ? `${step}r${universe.rewinds}` : String(step);
+}
+
+/** True when the step about to run starts a new snapshot interval. */
+function isSnapshotStep(simStep) {
+  return (simStep || 0) % SNAPSHOT_INTERVAL_STEPS === 0;
+}
+
+/**
+ * Capture the universe's snapshot fields as of right now. Returns a plain
+ * object shaped like a Snapshot document minus the ids - no mutation.
+ */
+function captureSnapshot(universe) {
+  const state = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    state[field] = clone(universe[field]);
+  }
+  return {
+    simStep: universe.simStep || 0,
+    age: universe.currentState?.age || 0,
+    stabilityIndex: universe.currentState?.stabilityIndex ?? 1,
+    takenAt: new Date(),
+    state,
+  };
+}
+
+/** RP a rewind to `snapshot` costs on a running universe. */
+function restoreCost(universe, snapshot) {
+  const stepsRewound = Math.max(0, (universe.simStep || 0) - (snapshot.simStep || 0));
+  return RESTORE_BASE_COST + RESTORE_COST_PER_STEP * stepsRewound;
+}
+
+/**
+ * Roll the universe back to a snapshot. `cost` (0 for the admin path) is
+ * charged against the restored research balance. An ended universe comes
+ * back running. Returns { ok, stepsRewound, cost } or { ok: false, reason };
+ * nothing is touched on failure.
+ */
+function applySnapshot(universe, snapshot, { cost = 0, now = new Date() } = {}) {
+  const state = snapshot?.state;
+  if (!state || !state.currentState) {
+    return { ok: false, reason: "Snapshot is empty or corrupt" };
+  }
+
+  // A snapshot from before upgrades were captured can't say what they were
+  // worth: the free admin restore keeps today's, a paid rewind is refused
+  const missing = LATER_FIELDS.filter((field) => !(field in state));
+  if (missing.length > 0 && cost > 0) {
+    return { ok: false, reason: "This snapshot predates upgrade tracking and can't be rewound to - pick a later one" };
+  }
+
+  const restoredPoints = state.research?.points || 0;
+  if (cost > restoredPoints) {
+    return { ok: false, reason: `Insufficient research: this rewind costs ${cost} RP from the ${restoredPoints} RP you would rewind to` };
+  }
+
+  const stepsRewound = Math.max(0, (universe.simStep || 0) - (snapshot.simStep || 0));
+
+  for (const field of SNAPSHOT_FIELDS) {
+    if (!missing.includes(field)) universe[field] = clone(state[field]);
+  }
+  if (!universe.research) universe.research = {};
+  universe.research.points = restoredPoints - cost;
+  // Not a snapshot field: it only ever goes up, so ids never repeat
+  universe.rewinds = (universe.rewinds || 0) + 1;
+
+  if (universe.status === "ended") {
+    universe.status = "running";
+    universe.endCondition = null;
+    universe.endReason = null;
+  }
+  // The rewound universe owes no catch-up for the time it spent collapsed.
+  universe.lastSimulatedAt = now;
+  universe.lastModified = now;
+
+  if (typeof universe.markModified === "function") {
+    for (const field of SNAPSHOT_FIELDS) universe.markModified(field);
+  }
+
+  return { ok: true, stepsRewound, cost };
+}
+
+/**
+ * Persist a captured snapshot and rotate old ones out. Takes the Snapshot
+ * model as a parameter (like achievements.awardAchievements takes User) so
+ * this module stays loadable without a database.
+ */
+async function persistSnapshot(Snapshot, universe, snapshot, reason = "auto") {
+  const doc = await Snapshot.create({
+    universeId: universe._id,
+    userId: universe.userId,
+    reason,
+    ...snapshot,
+  });
+
+  const stale = await Snapshot.find({ universeId: universe._id })
+    .sort({ takenAt: -1 })
+    .skip(MAX_SNAPSHOTS_PER_UNIVERSE)
+    .select("_id")
+    .lean();
+  if (stale.length > 0) {
+    await Snapshot.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+  }
+
+  return doc;
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  SNAPSHOT_INTERVAL_STEPS,
+  MAX_SNAPSHOTS_PER_UNIVERSE,
+  RESTORE_BASE_COST,
+  RESTORE_COST_PER_STEP,
+  stepKey,
+  isSnapshotStep,
+  captureSnapshot,
+  restoreCost,
+  applySnapshot,
+  persistSnapshot,
+};
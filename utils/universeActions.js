@@ -0,0 +1,470 @@
+// utils/universeActions.js
+//
+// Every state-mutating player action, as one function per journaled action.
+// The routes call these once they've parsed and validated a request, and the
+// journal replay (utils/actionJournal.js) calls the very same functions to
+// rebuild a universe - so a replay re-does exactly what the live route did,
+// rather than a second copy of it that slowly drifts.
+//
+// Each action takes (universe, input, { now, rand }): `input` is the
+// validated input the journal records, `now` the call's clock and `rand` a
+// generator seeded from the universe, the action and that clock (see
+// actionContext). Nothing reads Math.random or the wall clock, so the same
+// input against the same document always lands the same way. Actions mutate
+// the universe (markModified and lastModified included) and return the
+// underlying system's result; they never save.
+
+const seedrandom = require("seedrandom");
+const AnomalyGenerator = require("./anomalyGenerator");
+const PhysicsEngine = require("./physicsEngine");
+const { recordEvent } = require("./eventLog");
+const { advanceUniverse } = require("./simulationRunner");
+const { prepareDiscoveries } = require("./discoveryValidator");
+const { applyWarStrike } = require("./warStrike");
+const { applyBombardment } = require("./bombardment");
+const { shouldStageOpeningSiege, stageOpeningSiege } = require("./openingSiege");
+const { validatePurchase, CONTAINMENT_BONUS_PER_LEVEL } = require("./upgradeCatalog");
+const { doctrineModifiers, isValidDoctrine } = require("./doctrineCatalog");
+const { applyContact } = require("./contactSystem");
+const { respondToPetition } = require("./petitionSystem");
+const { ensureMissions, claimMission } = require("./missionSystem");
+const { applyMinorResolution } = require("./minorAnomalies");
+const { claimEventReward } = require("./eventRewards");
+const { applySnapshot } = require("./snapshotSystem");
+const { pauseUniverse, resumeUniverse } = require("./pauseControl");
+
+// Vessel lost: the death penalty (the game's fail state). Losing your ship is
+// no longer free - the universe DRIFTS while you recover: a direct stability
+// hit plus a forced time-skip that runs real physics (civs age, anomalies may
+// spawn, the reservoir drains). Death now means losing ground in the collapse
+// you're fighting, and enough deaths in a crisis can tip the universe over.
+const DEATH_PENALTY = {
+  Beginner:     { stability: 0.04, steps: 1 },
+  Intermediate: { stability: 0.06, steps: 2 },
+  Advanced:     { stability: 0.09, steps: 3 },
+};
+
+const MAX_DISCOVERIES_STORED = 1000;
+
+/**
+ * Clock and randomness for one action. The generator is keyed on the
+ * universe's seed and simStep, the action and the call's time - all of which
+ * the journal records - so a replay draws the same numbers the live call did.
+ */
+function actionContext(universe, action, now = new Date()) {
+  return {
+    now,
+    rand: seedrandom(`${universe.seed}:${action}:${universe.simStep || 0}:${now.getTime()}`)
+  };
+}
+
+const touch = (uni, now, ...fields) => {
+  for (const field of fields) uni.markModified(field);
+  uni.lastModified = now;
+};
+
+const ACTIONS = {
+  // A live tick from POST /:id/simulate: catch up on wall-clock time, then the
+  // things only a present player triggers (objective top-up, the scripted
+  // first siege, the away-digest anchors).
+  tick(uni, { playerPosition }, { now, rand }) {
+    // Player position drives where anomalies spawn - persist whatever the
+    // client last reported; null keeps the previous one.
+    if (playerPosition) {
+      uni.lastPlayerPosition = { x: playerPosition.x, y: playerPosition.y };
+    }
+
+    const result = advanceUniverse(uni, now);
+    if (result.steps === 0) return result;
+
+    // Top up the objective board (covers universes created before missions
+    // existed, and templates that only became eligible as the sim evolved)
+    if (ensureMissions(uni, rand, now) > 0) {
+      uni.markModified("missions");
+    }
+
+    // The scripted first siege: a star-faring power falls on a young world
+    // near the player, once, after they've met their first civilization. The
+    // simulation wouldn't produce a Type II for ~200 more steps, so without
+    // this a first session never sees fleet combat at all. Only on a LIVE tick -
+    // the cron sweep must never stage drama nobody is present for.
+    if (shouldStageOpeningSiege(uni)) {
+      const siegeEngine = new PhysicsEngine(uni, {
+        seed: `${uni.seed}:opening-siege`,
+        now,
+        playerPosition: uni.lastPlayerPosition,
+        // Next door, so the Locator's guidance is a short trip
+        civSpawnRange: { min: 1, max: 2 },
+      });
+      // Take only civs this call actually created - promoting a pre-existing
+      // one would rewrite a people the player has already met.
+      const before = uni.civilizations.length;
+      siegeEngine._spawnCivilizations(2, (uni.currentState?.age || 0) / 1e9);
+      const staged = stageOpeningSiege(uni, uni.civilizations.slice(before), now);
+
+      if (staged) {
+        uni.currentState.civilizationCount = (uni.currentState.civilizationCount || 0) + 2;
+        uni.currentState.civilizationsCreated = (uni.currentState.civilizationsCreated || 0) + 2;
+        recordEvent(uni, {
+          type: "war",
+          description: staged.message,
+          effects: {
+            outcome: "outbreak",
+            a: staged.defender.id,
+            b: staged.attacker.id,
+            scripted: true,
+          },
+          timestamp: now
+        });
+        uni.markModified("civilizations");
+        uni.markModified("currentState");
+        uni.markModified("activeWars");
+      }
+    }
+
+    // Live tick = the player is HERE: keep the visit anchors fresh so the
+    // away-digest window starts when they actually leave. The cron sweep
+    // deliberately never touches these.
+    uni.lastVisitedAt = now;
+    uni.lastVisitAge = uni.currentState?.age || 0;
+    uni.lastVisitStability = uni.currentState?.stabilityIndex ?? null;
+
+    return result;
+  },
+
+  // The cron sweep: offline catch-up while the owner is away.
+  sweep(uni, input, { now }) {
+    return advanceUniverse(uni, now, { offline: true });
+  },
+
+  // Admin dev tooling: exactly `steps` steps regardless of wall-clock time.
+  "fast-forward"(uni, { steps }, { now }) {
+    return advanceUniverse(uni, now, { forceSteps: steps });
+  },
+
+  "vessel-lost"(uni, input, { now }) {
+    const pen = DEATH_PENALTY[uni.difficulty] || DEATH_PENALTY.Intermediate;
+
+    if (!uni.currentState) uni.currentState = {};
+    const before = uni.currentState.stabilityIndex ?? 1;
+    // Direct hit first, so the forced steps run from the weakened state and can
+    // actually push a fragile universe past collapse.
+    uni.currentState.stabilityIndex = Math.max(0, before - pen.stability);
+    // Erode the recovery reservoir's ceiling too, so it can't instantly heal
+    // the wound back (mirrors how sustained damage caps regen).
+    if (typeof uni.currentState.stabilityCeiling === "number") {
+      uni.currentState.stabilityCeiling = Math.max(0, uni.currentState.stabilityCeiling - pen.stability);
+    }
+
+    const ageBefore = uni.currentState.age || 0;
+    const result = advanceUniverse(uni, now, { forceSteps: pen.steps });
+    const yearsSkipped = (uni.currentState.age || 0) - ageBefore;
+    const stabilityDelta = (uni.currentState.stabilityIndex ?? 0) - before;
+
+    uni.metrics = uni.metrics || {};
+    uni.metrics.deaths = (uni.metrics.deaths || 0) + 1;
+    uni.markModified("metrics");
+
+    recordEvent(uni, {
+      type: "milestone",
+      description: `Vessel lost. The universe drifted ${(yearsSkipped / 1e6).toFixed(0)} Myr while you recovered — stability ${(stabilityDelta * 100).toFixed(1)}%.`,
+      effects: { death: true, stabilityDelta, yearsSkipped },
+      timestamp: now
+    });
+
+    return { ok: true, result, stabilityDelta, yearsSkipped };
+  },
+
+  "resolve-anomaly"(uni, { anomalyId, accuracy }, { now }) {
+    const AnomalyGen = new AnomalyGenerator(uni, { seed: uni.seed, now });
+
+    // Accuracy (0-100, from the minigame's performance grade) scales the
+    // reward; resolveAnomaly() clamps/validates it internally. The
+    // Containment Rig upgrade adds a server-side reward bonus computed from
+    // the universe's persisted upgrade level, never from client input. The
+    // chosen doctrine (build identity) scales it further - a Warden is
+    // rewarded for containment, a Surveyor/Voidrunner is penalized.
+    const containmentMultiplier =
+      (1 + (uni.upgrades?.containment || 0) * CONTAINMENT_BONUS_PER_LEVEL) *
+      doctrineModifiers(uni.doctrine).containment;
+    const result = AnomalyGen.resolveAnomaly(anomalyId, accuracy, containmentMultiplier);
+    if (!result.success) return { ok: false, reason: result.reason };
+
+    const precisionNote = result.accuracy !== null ? ` at ${result.accuracy.toFixed(0)}% precision` : "";
+    recordEvent(uni, {
+      type: "anomaly_resolved",
+      description: `Resolved ${result.anomaly.type} anomaly (severity ${result.anomaly.severity})${precisionNote}`,
+      effects: {
+        anomalyId,
+        category: result.anomaly.category,
+        severityResolved: result.anomaly.severity,
+        stabilityBoost: result.stabilityBoost,
+        entropyReduction: result.entropyReduction,
+        performanceMultiplier: result.performanceMultiplier,
+        accuracy: result.accuracy
+      },
+      timestamp: now
+    });
+
+    touch(uni, now, "anomalies", "currentState", "metrics", "significantEvents");
+    return { ok: true, ...result };
+  },
+
+  // Research value is computed server-side (utils/researchValues.js) - the
+  // client only reports WHAT was scanned, never what it is worth.
+  discoveries(uni, { discoveries }, { now }) {
+    const { accepted, duplicates, rejected } = prepareDiscoveries(uni, discoveries, now);
+    if (accepted.length === 0) return { ok: true, accepted, duplicates, rejected, earned: 0 };
+
+    uni.discoveries.push(...accepted);
+    // Evict oldest past the cap; counters below survive eviction.
+    if (uni.discoveries.length > MAX_DISCOVERIES_STORED) {
+      uni.discoveries.splice(0, uni.discoveries.length - MAX_DISCOVERIES_STORED);
+    }
+
+    // Survey-streak bonus: the client reports its scan-chain multiplier; the
+    // server clamps it to the legitimate ceiling (+60%) so a tampered payload
+    // can never do better than a perfect streak would.
+    const streakMult = Math.min(1.6, Math.max(1, ...discoveries.map((r) => Number(r?.surveyMult) || 1)));
+    const base = accepted.reduce((sum, d) => sum + d.researchValue, 0);
+    const earned = Math.round(base * streakMult);
+    if (!uni.research) uni.research = {};
+    uni.research.points = (uni.research.points || 0) + earned;
+    uni.research.totalEarned = (uni.research.totalEarned || 0) + earned;
+    uni.research.discoveryCount = (uni.research.discoveryCount || 0) + accepted.length;
+    if (!Array.isArray(uni.research.classesDiscovered)) uni.research.classesDiscovered = [];
+    for (const d of accepted) {
+      if (!uni.research.classesDiscovered.includes(d.objectClass)) {
+        uni.research.classesDiscovered.push(d.objectClass);
+      }
+    }
+
+    for (const d of accepted.filter((a) => a.rarity === "rare" || a.rarity === "exceptional")) {
+      recordEvent(uni, {
+        type: "discovery",
+        description: `Cataloged ${d.name} (${d.objectClass})`,
+        effects: { discoveryId: d.id, rarity: d.rarity, researchValue: d.researchValue },
+        timestamp: now
+      });
+    }
+
+    touch(uni, now, "discoveries", "research");
+    return { ok: true, accepted, duplicates, rejected, earned };
+  },
+
+  "resolve-minor"(uni, { anomalyId, severity, accuracy }, { now }) {
+    const result = applyMinorResolution(uni, { anomalyId, severity, accuracy }, CONTAINMENT_BONUS_PER_LEVEL);
+    if (!result.ok) return result;
+
+    touch(uni, now, "currentState", "research", "metrics", "resolvedMinorAnomalies");
+    return result;
+  },
+
+  "event-reward"(uni, { kind }, { now }) {
+    const result = claimEventReward(uni, kind, now.getTime());
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "cosmic_event",
+      description: result.title,
+      effects: { kind, reward: result.reward },
+      timestamp: now
+    });
+
+    touch(uni, now, "research", "eventRewards", "significantEvents");
+    return result;
+  },
+
+  "claim-mission"(uni, { missionId }, { now, rand }) {
+    const result = claimMission(uni, missionId, rand, now);
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "mission",
+      description: `Objective complete: ${result.mission.title} (+${result.reward} RP)`,
+      effects: { missionId, templateId: result.mission.templateId, reward: result.reward },
+      timestamp: now
+    });
+
+    touch(uni, now, "missions", "research", "significantEvents");
+    return result;
+  },
+
+  // All effects, costs, and the uplift backfire roll are server-side
+  // (utils/contactSystem.js) - the client only names the civ and the action.
+  "contact-civilization"(uni, { civId, action }, { now, rand }) {
+    const result = applyContact(uni, civId, action, rand);
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "contact",
+      description: result.message,
+      effects: { civId, action, outcome: result.outcome, cost: result.cost ?? 0, reward: result.reward ?? 0 },
+      timestamp: now
+    });
+
+    // arm mutates war scores, broker removes entries and bumps warsBrokered
+    touch(uni, now, "civilizations", "research", "significantEvents", "activeWars", "metrics");
+    return result;
+  },
+
+  "respond-petition"(uni, { civId, petitionId, optionId }, { now, rand }) {
+    const result = respondToPetition(uni, civId, petitionId, optionId, rand);
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "contact",
+      description: result.message,
+      effects: { civId, petition: result.kind, optionId },
+      timestamp: now
+    });
+
+    // arm/broker options mutate wars
+    touch(uni, now, "civilizations", "research", "significantEvents", "activeWars", "metrics");
+    return result;
+  },
+
+  // Costs and level caps live in utils/upgradeCatalog.js (server-authoritative).
+  upgrade(uni, { track }, { now }) {
+    const check = validatePurchase(uni, track);
+    if (!check.ok) return check;
+
+    uni.research.points -= check.cost;
+    uni.upgrades[track] = check.nextLevel;
+
+    recordEvent(uni, {
+      type: "upgrade",
+      description: `Installed ${check.label} Mk ${check.nextLevel}`,
+      effects: { track, level: check.nextLevel, cost: check.cost },
+      timestamp: now
+    });
+
+    touch(uni, now, "upgrades", "research");
+    return check;
+  },
+
+  // null clears the doctrine back to a stock configuration.
+  doctrine(uni, { doctrine }, { now }) {
+    if (!isValidDoctrine(doctrine)) return { ok: false, reason: "Unknown doctrine" };
+
+    uni.doctrine = doctrine;
+    recordEvent(uni, {
+      type: "upgrade",
+      description: doctrine ? `Adopted the ${doctrine} doctrine` : "Reverted to a stock configuration",
+      effects: { doctrine },
+      timestamp: now
+    });
+
+    touch(uni, now);
+    return { ok: true, doctrine };
+  },
+
+  "war-strike"(uni, { civId, kills, defendingCivId }, { now }) {
+    const result = applyWarStrike(uni, civId, kills, { defendingCivId });
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: result.brokeSiege ? "war" : "civilization",
+      description: result.message,
+      effects: result.effects,
+      timestamp: now
+    });
+
+    touch(uni, now, "civilizations", "activeWars");
+    return result;
+  },
+
+  bombard(uni, { civId, runs, attackerCivId }, { now }) {
+    const result = applyBombardment(uni, civId, runs, { attackerCivId, now });
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: result.extinct ? "extinction" : "war",
+      description: result.message,
+      effects: result.effects,
+      timestamp: now
+    });
+
+    touch(uni, now, "civilizations", "activeWars", "currentState");
+    return result;
+  },
+
+  pause(uni, input, { now }) {
+    const result = pauseUniverse(uni, now);
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "milestone",
+      description: "Universe paused. Time stands still until you return.",
+      effects: { paused: true },
+      timestamp: now
+    });
+    return result;
+  },
+
+  resume(uni, input, { now }) {
+    const result = resumeUniverse(uni, now);
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "milestone",
+      description: `Universe resumed after ${(result.pausedMs / 86400000).toFixed(1)} days paused.`,
+      effects: { resumed: true, pausedMs: result.pausedMs },
+      timestamp: now
+    });
+    return result;
+  },
+
+  // Bulk-drop resolved anomalies older than `keepRecentMinutes`. Their age
+  // runs from resolvedAt, or from timestamp for ones resolved before
+  // resolvedAt was recorded - the criterion the route always used.
+  "cleanup-anomalies"(uni, { keepRecentMinutes }, { now }) {
+    const cutoffTime = now.getTime() - keepRecentMinutes * 60 * 1000;
+    const before = uni.anomalies.length;
+    uni.anomalies = uni.anomalies.filter((a) =>
+      !a.resolved || new Date(a.resolvedAt || a.timestamp).getTime() > cutoffTime
+    );
+
+    const removed = before - uni.anomalies.length;
+    if (removed > 0) touch(uni, now, "anomalies");
+    return { ok: true, removed };
+  },
+
+  // Loading a universe stamps the visit anchors. GET /:id no longer journals
+  // its stamp (the anchors are out of the replay diff); this stays so
+  // journals written before that still replay.
+  visit(uni, input, { now }) {
+    uni.lastVisitedAt = now;
+    uni.lastVisitAge = uni.currentState?.age || 0;
+    uni.lastVisitStability = uni.currentState?.stabilityIndex ?? null;
+    return { ok: true };
+  },
+
+  // Snapshot restore. The journal carries the snapshot itself - snapshots
+  // rotate out, and a replay must not depend on one still existing.
+  rewind(uni, { snapshotId, snapshot, cost }, { now }) {
+    const result = applySnapshot(uni, snapshot, { cost, now });
+    if (!result.ok) return result;
+
+    recordEvent(uni, {
+      type: "rewind",
+      description: `Spacetime rewound ${result.stepsRewound} steps to step ${snapshot.simStep}${cost ? ` (-${cost} RP)` : ""}.`,
+      effects: { snapshotId, simStep: snapshot.simStep, stepsRewound: result.stepsRewound, cost },
+      timestamp: now
+    });
+    uni.markModified("significantEvents");
+    return result;
+  },
+};
+
+/**
+ * Apply one action by name. Returns the action's result, or
+ * { ok: false, reason } for an action this module doesn't know.
+ */
+function applyAction(universe, action, input = {}, context = actionContext(universe, action)) {
+  const fn = Object.prototype.hasOwnProperty.call(ACTIONS, action) ? ACTIONS[action] : null;
+  if (!fn) return { ok: false, reason: `Unknown action "${action}"` };
+  return fn(universe, input, context);
+}
+
+module.exports = { DEATH_PENALTY, MAX_DISCOVERIES_STORED, ACTIONS, actionContext, applyAction };
@@ -0,0 +1,156 @@
+// utils/universeDelta.js
+//
+// Delta responses. A full universe (2000 events, hundreds of civilizations,
+// 1000 discoveries) is far too much to resend on every tick, so each saved
+// change bumps the universe's `revision` and appends to a short
+// `revisionLog` what that save touched: top-level paths, array items by id,
+// and how many events it appended. A client that sends the revision it holds
+// gets back only what changed since; one whose revision has fallen out of
+// the log (or never had one) gets the full document, as before.
+//
+// Change detection is by fingerprint, not by Mongoose's modified flags -
+// routes markModified() whole arrays, which would turn every tick into "all
+// civilizations changed". The model fingerprints the document when it is
+// loaded and again when it is saved (models/Universe.js); anything whose
+// hash moved is in the delta.
+
+const crypto = require("crypto");
+
+// Revisions kept; a client further behind than this gets the full document.
+const REVISION_LOG_SIZE = 50;
+
+// Arrays delivered item by item, keyed by each item's `id`.
+const KEYED_ARRAYS = ["civilizations", "anomalies", "discoveries", "missions", "activeWars"];
+
+// Append-only (oldest evicted at MAX_EVENTS): delivered as the events
+// appended since the client's revision, counted by `eventsRecorded`.
+const APPENDED_ARRAY = "significantEvents";
+
+// Bookkeeping never sent as a change.
+const NOT_TRACKED = new Set(["_id", "__v", "revision", "revisionLog", "eventsRecorded", APPENDED_ARRAY]);
+
+const hash = (value) =>
+  crypto.createHash("sha1").update(JSON.stringify(value ?? null)).digest("base64");
+
+/**
+ * What the change detector remembers about a universe (a plain object):
+ * a hash per tracked top-level path, a hash per keyed array item, and the
+ * event counter.
+ */
+function fingerprint(universe) {
+  const paths = {};
+  const items = {};
+  for (const [path, value] of Object.entries(universe)) {
+    if (NOT_TRACKED.has(path)) continue;
+    if (KEYED_ARRAYS.includes(path) && Array.isArray(value)) {
+      items[path] = {};
+      for (const item of value) items[path][item.id] = hash(item);
+    } else {
+      paths[path] = hash(value);
+    }
+  }
+  return { paths, items, eventsRecorded: universe.eventsRecorded || 0 };
+}
+
+/**
+ * What changed between two fingerprints, as a revisionLog entry body:
+ * { paths: [...], items: { array: [ids] }, events } - or null when nothing
+ * did. Item ids cover additions, edits and removals alike; the delta sorts
+ * out which is which against the current document.
+ */
+function diffFingerprints(before, after) {
+  const paths = [...new Set([...Object.keys(before.paths), ...Object.keys(after.paths)])]
+    .filter((p) => before.paths[p] !== after.paths[p]);
+
+  const items = {};
+  for (const array of KEYED_ARRAYS) {
+    const was = before.items[array] || {};
+    const now = after.items[array] || {};
+    const ids = [...new Set([...Object.keys(was), ...Object.keys(now)])]
+      .filter((id) => was[id] !== now[id]);
+    if (ids.length > 0) items[array] = ids;
+  }
+
+  const events = Math.max(0, after.eventsRecorded - before.eventsRecorded);
+
+  if (paths.length === 0 && Object.keys(items).length === 0 && events === 0) return null;
+  return { paths, items, events };
+}
+
+/**
+ * Record a save in the universe's revision history. `before` is the
+ * fingerprint taken when the document was loaded (or last saved); `plainDoc`
+ * is the document as it is about to be written. Bumps `revision` and appends
+ * to `revisionLog` (trimmed to REVISION_LOG_SIZE) when anything changed.
+ * Returns the new fingerprint, to diff the next save against.
+ */
+function recordRevision(universe, before, plainDoc) {
+  const after = fingerprint(plainDoc);
+  const change = before ? diffFingerprints(before, after) : null;
+  if (change) {
+    const revision = (universe.revision || 0) + 1;
+    universe.revision = revision;
+    universe.revisionLog = [...(universe.revisionLog || []), { revision, ...change }]
+      .slice(-REVISION_LOG_SIZE);
+  }
+  return after;
+}
+
+/**
+ * Everything that changed in `universe` since revision `since`:
+ * { since, revision, set: { path: value }, items: { array: { upsert, remove } },
+ *   events: [appended] }
+ * Clients replace each path in `set`, upsert/remove array items by id, and
+ * append `events` (trimming to MAX_EVENTS themselves). Returns null when a
+ * delta can't be built - unknown, future or too-old revision - and the full
+ * document must be sent instead.
+ */
+function universeDelta(universe, since) {
+  const revision = universe.revision || 0;
+  if (!Number.isInteger(since) || since < 0 || since > revision) return null;
+
+  const entries = (universe.revisionLog || []).filter((e) => e.revision > since);
+  if (entries.length !== revision - since) return null; // fell out of the log
+
+  const paths = new Set();
+  const ids = {};
+  let appended = 0;
+  for (const entry of entries) {
+    for (const p of entry.paths || []) paths.add(p);
+    for (const [array, list] of Object.entries(entry.items || {})) {
+      ids[array] = ids[array] || new Set();
+      for (const id of list) ids[array].add(id);
+    }
+    appended += entry.events || 0;
+  }
+
+  const set = {};
+  for (const p of paths) set[p] = universe[p] ?? null;
+
+  const items = {};
+  for (const [array, touched] of Object.entries(ids)) {
+    const current = new Map((universe[array] || []).map((item) => [String(item.id), item]));
+    items[array] = {
+      upsert: [...touched].filter((id) => current.has(id)).map((id) => current.get(id)),
+      remove: [...touched].filter((id) => !current.has(id))
+    };
+  }
+
+  // More appended than the log still holds: the client's copy has no overlap
+  // left, so the whole (capped) log goes out as a replacement.
+  const log = universe[APPENDED_ARRAY] || [];
+  let events = [];
+  if (appended > log.length) set[APPENDED_ARRAY] = log;
+  else if (appended > 0) events = log.slice(-appended);
+
+  return { since, revision, set, items, events };
+}
+
+module.exports = {
+  REVISION_LOG_SIZE,
+  KEYED_ARRAYS,
+  fingerprint,
+  diffFingerprints,
+  recordRevision,
+  universeDelta
+};
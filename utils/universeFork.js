@@ -0,0 +1,118 @@
+// utils/universeFork.js
+//
+// Forking: branch an owned universe into a new, independent document so a
+// player can try "what if I brokered that war" without risking the main
+// save. The fork carries the whole simulation forward (state, civs, wars,
+// missions, legacies, the event log...) under a NEW seed, so its future
+// genuinely diverges from the original's instead of replaying it.
+//
+// Forks are capped per account: achievements are account-wide and evaluated
+// from universe state, so unbounded forking would let a player clone one
+// good universe into a farm.
+
+const crypto = require("crypto");
+const { recordEvent } = require("./eventLog");
+
+// Total universes (originals + forks) an account may hold before forking is
+// refused. Deleting a universe frees a slot.
+const MAX_UNIVERSES_PER_ACCOUNT = 10;
+const limitReason = (verb) => `Universe limit reached (${MAX_UNIVERSES_PER_ACCOUNT}) - delete one to ${verb} another`;
+
+// Identity and bookkeeping fields that belong to the source document and must
+// never be copied onto the fork.
+const NOT_COPIED = [
+  "_id", "__v", "name", "seed", "userId", "forkedFrom", "forkedAtStep",
+  "createdAt", "lastModified", "lastSimulatedAt", "lastVisitedAt", "lastVisitAge",
+  "lastVisitStability", "revision", "revisionLog",
+  "sweepShard", "sweepLeaseId", "sweepLeaseUntil",
+];
+
+/** A fresh seed that still reads as descended from the source's. */
+function forkSeed(seed, rand = () => crypto.randomBytes(3).toString("hex")) {
+  return `${seed}-fork-${rand()}`;
+}
+
+/**
+ * Build the plain document for a fork of `source` (a lean universe). Pure -
+ * the caller constructs and saves the Universe. Returns
+ * { ok: true, fork } or { ok: false, reason }.
+ */
+function buildFork(source, { name, ownedCount = 0, now = new Date(), seed } = {}) {
+  if (source.status === "ended") {
+    return { ok: false, reason: "Cannot fork an ended universe" };
+  }
+  if (ownedCount >= MAX_UNIVERSES_PER_ACCOUNT) {
+    return { ok: false, reason: limitReason("fork") };
+  }
+
+  const fork = JSON.parse(JSON.stringify(source));
+  for (const field of NOT_COPIED) delete fork[field];
+
+  const trimmed = typeof name === "string" ? name.trim().slice(0, 80) : "";
+  Object.assign(fork, {
+    userId: source.userId,
+    name: trimmed || `${source.name} (fork)`,
+    seed: seed || forkSeed(source.seed),
+    forkedFrom: source._id,
+    forkedAtStep: source.simStep || 0,
+    createdAt: now,
+    lastModified: now,
+    lastSimulatedAt: now,
+    lastVisitedAt: null,
+    lastVisitAge: null,
+    lastVisitStability: null,
+  });
+
+  recordEvent(fork, {
+    type: "fork",
+    description: `Timeline branched from ${source.name} at step ${fork.forkedAtStep}.`,
+    effects: { forkedFrom: String(source._id), simStep: fork.forkedAtStep }
+  });
+
+  return { ok: true, fork };
+}
+
+/**
+ * The limit check again, once the fork is saved. The count buildFork got
+ * was taken before the insert, so forks racing each other all pass it; the
+ * count after the insert includes every fork saved so far, so one that
+ * tipped the account over sees it and is removed by the caller. Racing
+ * forks may all back out - none ever stays past the limit. Imports
+ * (utils/saveFile.js) share the limit and the race, so POST /import checks
+ * the same way with `verb: "import"`. Returns { ok: true } or
+ * { ok: false, reason }.
+ */
+async function confirmFork(Universe, userId, { verb = "fork" } = {}) {
+  const owned = await Universe.countDocuments({ userId });
+  return owned > MAX_UNIVERSES_PER_ACCOUNT ? { ok: false, reason: limitReason(verb) } : { ok: true };
+}
+
+/**
+ * Lineage for a set of one account's universes (lean, with _id and
+ * forkedFrom): per id, its ancestor chain (root first) and direct forks.
+ * Ancestors that were deleted end the chain.
+ */
+function buildLineage(universes) {
+  const byId = new Map(universes.map((u) => [String(u._id), u]));
+  const lineage = {};
+  for (const u of universes) lineage[String(u._id)] = { ancestors: [], forks: [] };
+
+  for (const u of universes) {
+    const id = String(u._id);
+    const parentId = u.forkedFrom ? String(u.forkedFrom) : null;
+    if (parentId && lineage[parentId]) lineage[parentId].forks.push(id);
+
+    const seen = new Set([id]);
+    let cursor = parentId;
+    while (cursor && byId.has(cursor) && !seen.has(cursor)) {
+      lineage[id].ancestors.unshift(cursor);
+      seen.add(cursor);
+      const next = byId.get(cursor).forkedFrom;
+      cursor = next ? String(next) : null;
+    }
+  }
+
+  return lineage;
+}
+
+module.exports = { MAX_UNIVERSES_PER_ACCOUNT, forkSeed, buildFork, confirmFork, buildLineage };
@@ -0,0 +1,261 @@
+// utils/universeStore.js
+//
+// Loading and saving universes. A Universe document used to embed its whole
+// event log (2000), discovery catalog (1000) and every extinct civilization
+// (100), and each save rewrote all of it - slow, and heading for Mongo's
+// 16 MB document cap. Those records now live in collections of their own
+// keyed by universe id (models/UniverseEvent.js, models/Discovery.js,
+// models/ExtinctCivilization.js), and this module moves them in and out.
+//
+// The simulation is synchronous and deterministic, so it keeps seeing plain
+// arrays on the document: attachRecords() reads the records back onto
+// significantEvents / discoveries / civilizations after a load, and
+// saveUniverse() writes the document WITHOUT them, then inserts the records
+// that are new since the load and deletes the ones that were evicted. Every
+// route and the cron sweep go through these two instead of Universe.find /
+// doc.save.
+//
+// Documents still carrying embedded records (saved before the split) need no
+// special path: whatever the document embeds is treated as not yet stored,
+// so their next save moves it out. POST /api/cron/migrate-storage does that
+// for universes nobody opens.
+//
+// Events evicted from the capped log are not deleted but moved to an archive
+// collection (models/ArchivedEvent.js), where utils/chronicle.js reads them.
+//
+// Models are passed in (like persistSnapshot takes Snapshot) so this module
+// loads without a database.
+
+const { MAX_EVENTS } = require("./eventLog");
+const { MAX_DISCOVERIES_STORED } = require("./universeActions");
+const { fingerprint, recordRevision } = require("./universeDelta");
+
+// Each split-out record set: the array it lives on in memory, the model it
+// is stored in, the key it is stored under, and which of the array's items
+// it holds (living civilizations stay embedded). A set with an `archive`
+// model moves records evicted from the front of its array there instead of
+// deleting them.
+const RECORD_SETS = [
+  { path: "significantEvents", model: "UniverseEvent", archive: "ArchivedEvent", key: "seq", sort: { seq: -1 }, limit: MAX_EVENTS, holds: () => true },
+  { path: "discoveries", model: "Discovery", key: "id", sort: { _id: -1 }, limit: MAX_DISCOVERIES_STORED, holds: () => true },
+  { path: "civilizations", model: "ExtinctCivilization", key: "id", sort: { _id: -1 }, limit: 0, holds: (c) => !!c.extinct }
+];
+
+// Query matching documents that still embed records - the migration's worklist.
+const EMBEDDED_RECORDS_QUERY = {
+  $or: [
+    { "significantEvents.0": { $exists: true } },
+    { "discoveries.0": { $exists: true } },
+    { "civilizations.extinct": true }
+  ]
+};
+
+const isDocument = (uni) => typeof uni.toObject === "function";
+const plainArray = (v) => JSON.parse(JSON.stringify(v || []));
+
+// Events logged before events were numbered get seqs now, oldest first,
+// ending where the document's counter says the log ends.
+function numberEvents(events, eventsRecorded) {
+  let seq = Math.max(0, (eventsRecorded || 0) - events.length);
+  for (const event of events) {
+    if (event.seq == null) event.seq = ++seq;
+    else seq = Math.max(seq, event.seq);
+  }
+  return seq;
+}
+
+/**
+ * Read a loaded universe's records back onto it (a Mongoose document or a
+ * lean object). On a document, also remembers what is stored - the baseline
+ * saveUniverse() diffs against - and the revision fingerprint.
+ */
+async function attachRecords(models, uni) {
+  const stored = await Promise.all(RECORD_SETS.map((set) => {
+    let query = models[set.model].find({ universeId: uni._id }).sort(set.sort);
+    if (set.limit) query = query.limit(set.limit);
+    return query.select("-_id -__v -universeId").lean();
+  }));
+
+  const records = {};
+  const embedded = new Set();
+  RECORD_SETS.forEach((set, i) => {
+    const rows = stored[i].reverse(); // oldest first, as the arrays are kept
+    const inDocument = plainArray(uni[set.path]);
+    if (set.path === "significantEvents" && inDocument.length > 0) {
+      uni.eventsRecorded = Math.max(uni.eventsRecorded || 0, numberEvents(inDocument, uni.eventsRecorded));
+    }
+
+    const keys = new Set(rows.map((r) => r[set.key]));
+    const documentKeys = new Set(inDocument.map((item) => item[set.key]));
+    if (inDocument.some(set.holds)) embedded.add(set.path);
+
+    const merged = set.path === "civilizations"
+      ? [...inDocument, ...rows.filter((r) => !documentKeys.has(r.id))]
+      : [...rows, ...inDocument.filter((item) => !keys.has(item[set.key]))];
+    if (set.path === "significantEvents") merged.sort((a, b) => a.seq - b.seq);
+
+    uni[set.path] = merged;
+    records[set.path] = keys;
+  });
+
+  if (isDocument(uni)) {
+    // Attaching is not a change; only records still embedded in the stored
+    // document must be written out of it on the next save
+    for (const set of RECORD_SETS) {
+      if (!embedded.has(set.path)) uni.unmarkModified(set.path);
+    }
+    uni.$locals.records = records;
+    uni.$locals.embedded = embedded;
+    uni.$locals.deltaBase = fingerprint(uni.toObject());
+  }
+  return uni;
+}
+
+// insertMany where a duplicate key is only fine if it's the same record,
+// already stored by another writer (the storage migration racing a live
+// save). A different record under a stored key would be lost, so that is an
+// error - record ids are built never to repeat (see snapshotSystem.stepKey).
+async function insertRecords(Model, rows, key) {
+  try {
+    await Model.insertMany(rows, { ordered: false });
+  } catch (err) {
+    const errors = err.writeErrors || [err];
+    if (!errors.every((e) => (e.code ?? e.err?.code) === 11000)) throw err;
+
+    const dupes = err.writeErrors ? errors.map((e) => rows[e.index ?? e.err?.index]) : rows;
+    const universeId = rows[0].universeId;
+    const stored = await Model.find({ universeId, [key]: { $in: dupes.map((row) => row[key]) } })
+      .select("-_id -__v -universeId").lean();
+    const byKey = new Map(stored.map((row) => [row[key], row]));
+    const clash = dupes.find((row) => !sameRecord(row, byKey.get(row[key])));
+    if (clash) {
+      throw new Error(`${Model.modelName || "Record"} ${key} ${clash[key]} is already stored for universe ${universeId} as a different record`);
+    }
+  }
+}
+
+// Whether a row about to be inserted says what the stored one says, on the
+// fields both have - the stored one has schema defaults filled in, and the
+// schema drops fields it doesn't know
+function agrees(mine, stored) {
+  if (mine === undefined || stored === undefined) return true;
+  if (mine && stored && typeof mine === "object" && typeof stored === "object" && !Array.isArray(mine)) {
+    return Object.keys(mine).every((field) => agrees(mine[field], stored[field]));
+  }
+  return JSON.stringify(mine) === JSON.stringify(stored);
+}
+
+const sameRecord = (row, stored) =>
+  !!stored && agrees(JSON.parse(JSON.stringify(row)), JSON.parse(JSON.stringify(stored)));
+
+// Store what's new in one record set since the baseline and drop what's
+// gone - into the set's archive when it fell off the front of the array.
+async function syncRecords(models, set, universeId, items, stored) {
+  const Model = models[set.model];
+  const keys = new Set(items.map((item) => item[set.key]));
+  const fresh = items.filter((item) => !stored.has(item[set.key]));
+  const gone = [...stored].filter((key) => !keys.has(key));
+
+  if (fresh.length > 0) {
+    await insertRecords(Model, fresh.map((item) => ({ ...item, universeId })), set.key);
+  }
+  if (gone.length > 0) {
+    const oldest = items.length > 0 ? items[0][set.key] : Infinity;
+    const evicted = set.archive ? gone.filter((key) => key < oldest) : [];
+    if (evicted.length > 0) {
+      const rows = await Model.find({ universeId, [set.key]: { $in: evicted } })
+        .select("-_id -__v -universeId").lean();
+      await insertRecords(models[set.archive], rows.map((row) => ({ ...row, universeId })), set.key);
+    }
+    await Model.deleteMany({ universeId, [set.key]: { $in: gone } });
+  }
+  return keys;
+}
+
+/**
+ * Save a universe document: record the revision for delta responses
+ * (utils/universeDelta.js), write the document without its records, then
+ * sync the records to their collections. Save errors (version conflicts
+ * included) propagate exactly as from doc.save(); the records are only
+ * written once the document is.
+ */
+async function saveUniverse(models, uni) {
+  const locals = uni.$locals;
+  const isNew = uni.isNew;
+  if (isNew) {
+    // Forks and imports start their own history
+    uni.revision = 0;
+    uni.revisionLog = [];
+  }
+
+  // Imported save files can predate event numbering
+  const events = uni.significantEvents || [];
+  if (events.some((e) => e.seq == null)) {
+    uni.eventsRecorded = Math.max(uni.eventsRecorded || 0, numberEvents(events, uni.eventsRecorded));
+  }
+
+  const view = uni.toObject();
+  locals.deltaBase = recordRevision(uni, isNew ? null : locals.deltaBase, view);
+
+  // Strip the records from whatever part of the document this save writes
+  const stripped = RECORD_SETS.filter((set) =>
+    isNew || uni.isModified(set.path) || locals.embedded?.has(set.path));
+  for (const set of stripped) {
+    uni[set.path] = (view[set.path] || []).filter((item) => !set.holds(item));
+  }
+
+  try {
+    await uni.save();
+  } finally {
+    for (const set of stripped) {
+      uni[set.path] = view[set.path];
+      uni.unmarkModified(set.path);
+    }
+  }
+
+  locals.embedded = new Set();
+  locals.records = locals.records || {};
+  for (const set of RECORD_SETS) {
+    const items = (view[set.path] || []).filter(set.holds);
+    const stored = locals.records[set.path] || new Set();
+    locals.records[set.path] = await syncRecords(models, set, uni._id, items, stored);
+  }
+  return uni;
+}
+
+/** Delete every record of a universe, archives included (the universe itself is the caller's). */
+async function deleteRecords(models, universeId) {
+  const names = RECORD_SETS.flatMap((set) => (set.archive ? [set.model, set.archive] : [set.model]));
+  await Promise.all(names.map((name) => models[name].deleteMany({ universeId })));
+}
+
+/**
+ * Move up to `limit` universes' embedded records into their collections.
+ * Idempotent - rerun until `remaining` is 0.
+ */
+async function migrateEmbeddedRecords(models, { limit = 50 } = {}) {
+  const universes = await models.Universe.find(EMBEDDED_RECORDS_QUERY).limit(limit);
+  let migrated = 0;
+  const failures = [];
+  for (const uni of universes) {
+    try {
+      await attachRecords(models, uni);
+      await saveUniverse(models, uni);
+      migrated++;
+    } catch (err) {
+      console.error(`Record migration failed for universe ${uni._id}:`, err.message);
+      failures.push(uni._id.toString());
+    }
+  }
+  const remaining = await models.Universe.countDocuments(EMBEDDED_RECORDS_QUERY);
+  return { migrated, failures, remaining };
+}
+
+module.exports = {
+  RECORD_SETS,
+  EMBEDDED_RECORDS_QUERY,
+  attachRecords,
+  saveUniverse,
+  deleteRecords,
+  migrateEmbeddedRecords
+};
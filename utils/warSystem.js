@@ -12,14 +12,19 @@ const { civDesignation } = require("./contactSystem");
 const MAX_CONCURRENT_WARS = 2;
 const WAR_START_BASE_PROB = 0.0012; // per step, scaled by combined aggression
 const WAR_END_PROB = 0.012;         // per step (~8 in-game "hours" of steps on average)
+// The `outcome` of the events tickWars records when a war leaves
+// activeWars; "outbreak" is one starting
+const WAR_END_OUTCOMES = ["victory", "annihilation"];
 
 const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 
 /**
  * Tick all war logic for one simulation step. Mutates the universe;
- * returns an array of { description, effects } events to record.
+ * returns an array of { description, effects } events to record. War ids
+ * come from the universe's simStep and `rand`, never the wall clock, so a
+ * seeded tick is reproducible.
  */
-function tickWars(universe, rand = Math.random) {
+function tickWars(universe, rand = Math.random, now = new Date()) {
   if (!Array.isArray(universe.activeWars)) universe.activeWars = [];
   const events = [];
   const alive = (universe.civilizations || []).filter((c) => !c.extinct);
@@ -79,12 +84,12 @@ function tickWars(universe, rand = Math.random) {
 
     if (rand() < WAR_START_BASE_PROB * (0.5 + heat * 2.5)) {
       universe.activeWars.push({
-        id: `war_${Date.now()}_${Math.floor(rand() * 1e5)}`,
+        id: `war_${universe.simStep || 0}_${Math.floor(rand() * 1e5)}`,
         a: a.id,
         b: b.id,
         scoreA: 0,
         scoreB: 0,
-        startedAt: new Date(),
+        startedAt: new Date(now),
       });
       events.push({
         description: `War erupts between ${civDesignation(a.id)} and ${civDesignation(b.id)}. Both fleets are burning fuel toward the frontier.`,
@@ -101,4 +106,4 @@ function activeWarFor(universe, civId) {
   return (universe.activeWars || []).find((w) => w.a === civId || w.b === civId) || null;
 }
 
-module.exports = { tickWars, activeWarFor, MAX_CONCURRENT_WARS };
+module.exports = { tickWars, activeWarFor, MAX_CONCURRENT_WARS, WAR_END_OUTCOMES };